@@ -23,10 +23,37 @@
  * 
  * ENVIRONMENT VARIABLE REQUIRED:
  * - OPENAI_API_KEY: Your OpenAI API key (set in Twilio Function configuration)
+ *
+ * ASSET REQUIRED:
+ * - Upload src/services/pricing.js as a private asset named /pricing.js — the shared pricing
+ *   engine, so totals match the server. Without it totals fall back to simple flat-rate math.
+ *
+ * OPTIONAL:
+ * - TAX_RATE: sales tax rate (default 0.08)
  */
 
 const https = require('https');
 
+/**
+ * Load the shared pricing engine: the /pricing.js private asset on Twilio, the repo copy locally.
+ * Returns null when neither loads (the asset wasn't uploaded), so totals use the inline math.
+ */
+function loadPricing() {
+  try {
+    if (typeof Runtime !== 'undefined' && Runtime.getAssets()['/pricing.js']) {
+      return require(Runtime.getAssets()['/pricing.js'].path);
+    }
+  } catch (error) {
+    console.error('Could not load /pricing.js asset:', error.message);
+  }
+  try {
+    return require('./src/services/pricing');
+  } catch (error) {
+    console.error('Pricing engine not available — upload /pricing.js; using flat-rate totals:', error.message);
+    return null;
+  }
+}
+
 exports.handler = function(context, event, callback) {
   try {
     return processOrder(context, event, callback);
@@ -241,15 +268,23 @@ function processOrder(context, event, callback) {
         }
       }
       
+      // The model is told not to do the math, so the total comes from the pricing engine
+      const totals = calculateTotals(updatedOrder, menu, context);
+      Object.assign(updatedOrder, totals);
+      let say = aiResult.response || "Got it! Anything else?";
+      if (updatedOrder.items.length > 0 && (aiResult.extractedData?.isDone || shouldLog)) {
+        say += ` Your total comes to $${totals.total.toFixed(2)} with tax.`;
+      }
+      
       return callback(null, {
-        say: aiResult.response || "Got it! Anything else?",
+        say: say,
         order: updatedOrder,
         shouldLog: shouldLog
       });
     })
     .catch(error => {
       console.error('OpenAI API error:', error);
-      return callback(null, getFallbackResponse(speech, order, menu));
+      return callback(null, getFallbackResponse(speech, order, menu, context));
     });
 }
 
@@ -401,7 +436,7 @@ INSTRUCTIONS:
 7. Common completion phrases: "I'm all set", "that's it", "that's all", "that'll be it", "I'm done", "nothing else"
 8. When they indicate they're done, ask about pickup/delivery if not already known
 9. Don't ask pickup/delivery immediately after adding items — only when they say they're done
-10. Use 8% sales tax for calculations
+10. Tax and totals are calculated for you and added after your response when they're done — don't say a price or total yourself
 11. When order is complete and customer confirms, set "shouldLog": true
 12. If customer says "a dozen donuts" without specifying type, ask which kind
 13. Always return valid JSON
@@ -525,9 +560,9 @@ function updateOrderFromAI(currentOrder, aiResult, menu) {
 }
 
 /**
- * Fallback response if OpenAI fails
+ * Fallback response if OpenAI fails (context: the Function's environment, for TAX_RATE)
  */
-function getFallbackResponse(speech, order, menu) {
+function getFallbackResponse(speech, order, menu, context = {}) {
   const speechLower = speech.toLowerCase();
   
   const completionPhrases = [
@@ -558,7 +593,7 @@ function getFallbackResponse(speech, order, menu) {
       };
     }
     
-    const totals = calculateTotals(order, menu);
+    const totals = calculateTotals(order, menu, context);
     const summary = generateOrderSummary(order, menu, totals);
     order.confirmed = true;
     return {
@@ -631,29 +666,50 @@ function getNextRequiredQuestion(order) {
 }
 
 /**
- * Calculate order totals with 8% sales tax
+ * Calculate order totals with the shared pricing engine (TAX_RATE, default 8%)
  */
-function calculateTotals(order, menu) {
-  let subtotal = 0;
+function calculateTotals(order, menu, context = {}) {
+  const pricing = loadPricing();
+  const items = Array.isArray(order.items) ? order.items : [];
   
-  if (order.items && Array.isArray(order.items)) {
-    order.items.forEach(item => {
-      if (menu[item.name] && menu[item.name].priceMap[item.size]) {
-        item.price = menu[item.name].priceMap[item.size];
-      }
-      const itemTotal = (item.price || 0) * (item.quantity || 1);
-      subtotal += itemTotal;
-    });
+  items.forEach(item => {
+    if (menu[item.name] && menu[item.name].priceMap[item.size]) {
+      item.price = menu[item.name].priceMap[item.size];
+    }
+  });
+  
+  const parsedRate = parseFloat(context.TAX_RATE);
+  const taxRate = isNaN(parsedRate) ? 0.08 : parsedRate;
+  if (!pricing) {
+    return calculateInlineTotals(items, order.taxExempt ? 0 : taxRate);
   }
   
-  const taxRate = 0.08;
+  const totals = pricing.calculateTotals(items, {
+    taxConfig: { defaultRate: taxRate },
+    taxExempt: !!order.taxExempt
+  });
+  
+  return {
+    subtotal: totals.subtotal,
+    tax: totals.tax,
+    total: totals.total
+  };
+}
+
+/**
+ * Flat-rate totals for when the pricing engine isn't available (one tax rate on everything)
+ */
+function calculateInlineTotals(items, taxRate) {
+  let subtotal = 0;
+  items.forEach(item => {
+    subtotal += (item.price || 0) * (item.quantity || 1);
+  });
   const tax = subtotal * taxRate;
-  const total = subtotal + tax;
   
   return {
     subtotal: Math.round(subtotal * 100) / 100,
     tax: Math.round(tax * 100) / 100,
-    total: Math.round(total * 100) / 100
+    total: Math.round((subtotal + tax) * 100) / 100
   };
 }
 
@@ -6,6 +6,13 @@
  */
 
 const { google } = require('googleapis');
+const { formatLocalTime } = require('../src/config/store-hours');
+const { getTaxConfig } = require('../src/config/tax');
+const { calculateTotals, formatMoney, toCents } = require('../src/services/pricing');
+const { describePayment } = require('../src/services/payment-service');
+const { describeReview } = require('../src/services/order-verifier');
+const { REASON_LABELS, describeFollowUp } = require('../src/services/abandoned-orders');
+const { formatPhoneNumber } = require('../src/utils/phone');
 
 let sheetsClient = null;
 
@@ -46,10 +53,19 @@ async function initializeGoogleSheets() {
   }
 }
 
+const SIZE_COLUMNS = ['single', 'half-dozen', 'dozen', 'small', 'medium', 'large', 'regular', 'double'];
+
 /**
  * Fetch menu items from the Menu Google Sheet
  * Expects columns: Category | Item Name | Description | Price
- * Returns formatted menu text for the AI prompt
+ * Optional columns (any order, matched by header):
+ *   - Per-size prices: "Single", "Half-Dozen", "Dozen", "Small", "Medium", "Large", "Double"
+ *     (also "Price (Dozen)" / "Dozen Price"); a plain "Price" column means a single 'regular' size
+ *   - Available: Y/N, TRUE/FALSE or "sold out" (blank = available)
+ *   - Modifiers: comma-separated, with optional upcharge, e.g. "oat milk +0.70, decaf"
+ *   - Box Surcharge: per-donut upcharge when the item goes in a mixed box
+ *   - Square Item ID / Toast Item ID / Clover Item ID: POS catalog mapping
+ * Returns the menu in the same shape as the hardcoded fallback menu
  */
 async function fetchMenuFromSheet() {
   const menuSheetId = process.env.GOOGLE_SHEETS_MENU_ID;
@@ -65,7 +81,7 @@ async function fetchMenuFromSheet() {
 
     const response = await sheetsClient.spreadsheets.values.get({
       spreadsheetId: menuSheetId,
-      range: `${menuSheetName}!A:D`,
+      range: `${menuSheetName}!A:Z`,
     });
 
     const rows = response.data.values;
@@ -74,76 +90,131 @@ async function fetchMenuFromSheet() {
       return null;
     }
 
-    // First row is headers, rest is data
-    const headers = rows[0].map(h => h.toLowerCase().trim());
-    const catIdx = headers.findIndex(h => h.includes('category'));
-    const nameIdx = headers.findIndex(h => h.includes('item') || h.includes('name'));
-    const descIdx = headers.findIndex(h => h.includes('desc'));
-    const priceIdx = headers.findIndex(h => h.includes('price'));
+    const parsed = parseMenuRows(rows);
+    if (!parsed) return null;
 
-    if (nameIdx === -1 || priceIdx === -1) {
-      console.error('❌ Menu sheet must have "Item Name" and "Price" columns. Found headers:', headers);
-      return null;
+    console.log(`✅ Loaded ${parsed.menuItems.length} menu items from Google Sheets across ${Object.keys(parsed.menuByCategory).length} categories`);
+    return parsed;
+  } catch (error) {
+    console.error('❌ Failed to fetch menu from Google Sheets:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Parse Menu sheet rows (first row is headers) into
+ * { menu, modifiers, menuItems, menuByCategory }
+ * - menu: { [lowercase name]: { sizes, priceMap, modifiers, boxSurcharge, category, description, available } }
+ * - modifiers: { [name]: { price } } — price is null when the sheet lists no upcharge
+ */
+function parseMenuRows(rows) {
+  const headers = rows[0].map(h => String(h || '').toLowerCase().trim());
+  const findHeader = (test) => headers.findIndex(test);
+
+  const catIdx = findHeader(h => h.includes('category'));
+  const nameIdx = findHeader(h => (h.includes('item') || h.includes('name')) && !h.includes('id'));
+  const descIdx = findHeader(h => h.includes('desc'));
+  const availIdx = findHeader(h => h.includes('avail'));
+  const modIdx = findHeader(h => h.includes('modifier') || h.includes('customization'));
+  const surchargeIdx = findHeader(h => h.includes('surcharge'));
+  const posIdx = {
+    squareItemId: findHeader(h => h.includes('square') && h.includes('id')),
+    toastItemId: findHeader(h => h.includes('toast') && h.includes('id')),
+    cloverItemId: findHeader(h => h.includes('clover') && h.includes('id')),
+  };
+
+  // Size columns: "Dozen", "Price (Dozen)", "Dozen Price", "Half Dozen"...
+  const sizeIdx = {};
+  let priceIdx = -1;
+  headers.forEach((h, i) => {
+    const stripped = h.replace(/price/g, '').replace(/[()\-:]/g, ' ').trim().replace(/\s+/g, '-');
+    if (SIZE_COLUMNS.includes(stripped)) {
+      sizeIdx[stripped] = i;
+    } else if (stripped === '' && h.includes('price') && priceIdx === -1) {
+      priceIdx = i;
     }
+  });
 
-    // Parse rows into menu items grouped by category
-    const menuByCategory = {};
-    const menuItems = []; // flat list for OrderManager
+  if (nameIdx === -1 || (priceIdx === -1 && Object.keys(sizeIdx).length === 0)) {
+    console.error('❌ Menu sheet must have "Item Name" and "Price" (or per-size price) columns. Found headers:', headers);
+    return null;
+  }
 
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const name = row[nameIdx]?.trim();
-      const price = parseFloat(row[priceIdx]?.replace(/[$,]/g, ''));
-      const category = catIdx >= 0 ? (row[catIdx]?.trim() || 'Other') : 'Other';
-      const description = descIdx >= 0 ? (row[descIdx]?.trim() || '') : '';
+  const parseMoney = (value) => parseFloat(String(value ?? '').replace(/[$,]/g, ''));
+  const cell = (row, idx) => (idx >= 0 ? String(row[idx] ?? '').trim() : '');
 
-      if (!name || isNaN(price)) continue;
+  const menu = {};
+  const modifiers = {};
+  const menuByCategory = {};
+  const menuItems = []; // flat list for logging
 
-      if (!menuByCategory[category]) {
-        menuByCategory[category] = [];
-      }
-      menuByCategory[category].push({ name, price, description });
-      menuItems.push({ name, price, category, description });
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const name = cell(row, nameIdx);
+    if (!name) continue;
+
+    const priceMap = {};
+    for (const size of SIZE_COLUMNS) {
+      if (sizeIdx[size] === undefined) continue;
+      const price = parseMoney(row[sizeIdx[size]]);
+      if (!isNaN(price)) priceMap[size] = price;
+    }
+    if (Object.keys(priceMap).length === 0) {
+      const price = parseMoney(row[priceIdx]);
+      if (isNaN(price)) continue;
+      priceMap.regular = price;
     }
 
-    // Format as text for the AI prompt
-    const lines = [];
-    for (const [category, items] of Object.entries(menuByCategory)) {
-      lines.push(`\n${category.toUpperCase()}:`);
-      for (const item of items) {
-        const desc = item.description ? ` — ${item.description}` : '';
-        lines.push(`  - ${item.name}: $${item.price.toFixed(2)}${desc}`);
+    const category = cell(row, catIdx) || 'Other';
+    const description = cell(row, descIdx);
+    const availability = cell(row, availIdx).toLowerCase();
+    const available = !['n', 'no', 'false', '0', 'sold out', 'unavailable'].includes(availability);
+
+    const itemModifiers = [];
+    for (const part of cell(row, modIdx).split(/[,;]/)) {
+      const priceMatch = part.match(/\+\s*\$?(\d+(?:\.\d+)?)/);
+      const modName = part.replace(/\(?\+\s*\$?\d+(?:\.\d+)?\)?/, '').trim().toLowerCase();
+      if (!modName) continue;
+      itemModifiers.push(modName);
+      if (priceMatch || !modifiers[modName]) {
+        modifiers[modName] = { price: priceMatch ? parseFloat(priceMatch[1]) : null };
       }
     }
 
-    const menuText = lines.join('\n');
-    console.log(`✅ Loaded ${menuItems.length} menu items from Google Sheets across ${Object.keys(menuByCategory).length} categories`);
+    const boxSurcharge = parseMoney(row[surchargeIdx]);
+    const entry = {
+      sizes: Object.keys(priceMap),
+      priceMap,
+      modifiers: itemModifiers,
+      category,
+      description,
+      available,
+      ...(boxSurcharge > 0 ? { boxSurcharge } : {}),
+    };
+    for (const [key, idx] of Object.entries(posIdx)) {
+      if (cell(row, idx)) entry[key] = cell(row, idx);
+    }
 
-    return { menuText, menuItems, menuByCategory };
-  } catch (error) {
-    console.error('❌ Failed to fetch menu from Google Sheets:', error.message);
-    return null;
+    menu[name.toLowerCase()] = entry;
+    if (!menuByCategory[category]) {
+      menuByCategory[category] = [];
+    }
+    menuByCategory[category].push({ name, priceMap, description, available });
+    menuItems.push({ name, priceMap, category, description, available });
   }
-}
 
-/**
- * Format phone number as (123) 456-0987
- */
-function formatPhoneNumber(phone) {
-  if (!phone) return 'Unknown';
-  const phoneStr = String(phone).toLowerCase().trim();
-  if (['anonymous', 'blocked', 'restricted', 'private', 'undefined', 'null'].some(s => phoneStr.includes(s))) {
-    return 'Blocked';
-  }
-  const digits = String(phone).replace(/\D/g, '');
-  const clean = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
-  if (clean.length !== 10) return phone || 'Unknown';
-  return `(${clean.slice(0, 3)}) ${clean.slice(3, 6)}-${clean.slice(6)}`;
+  return { menu, modifiers, menuItems, menuByCategory };
 }
 
 /**
  * Log a completed order to the Call Log Google Sheet
- * Columns: Name | Phone Number | Pick Up/Delivery | Delivery Address | Estimated Pick Up Time (EST) | Price | Order Details
+ * Columns: Name | Phone Number | Pick Up/Delivery | Delivery Address | Estimated Pick Up Time (EST) | Price | Order Details | Campaign | Order # | Status | Payment | Transcript | Review
+ * The pick up time column holds the caller's requested time when one was scheduled.
+ * Campaign is the fundraiser the order supports, with the seller credited ("Lincoln PTA — Emma R.").
+ * Payment is how the order is paid ("Cash at pickup", "Card — payment link sent", "PREPAID (card)").
+ * Transcript is a "View" link to the call's transcript, when one was saved.
+ * Review is the post-call check against the transcript: "OK", or "NEEDS REVIEW: ..." with what
+ * didn't match (those orders aren't sent to the POS until staff approve them).
  */
 async function logOrderToCallLog(order) {
   const callLogSheetId = process.env.GOOGLE_SHEETS_ID;
@@ -164,23 +235,34 @@ async function logOrderToCallLog(order) {
       return false;
     }
 
-    // Calculate totals
-    let subtotal = 0;
-    order.items.forEach(item => {
-      subtotal += (parseFloat(item.price) || 0) * (parseInt(item.quantity) || 1);
+    // Calculate totals (same pricing engine as the order manager)
+    const { totalCents } = calculateTotals(order.items, {
+      taxConfig: getTaxConfig(),
+      taxExempt: order.taxExempt,
+      deliveryFee: order.deliveryFee,
+      discounts: (order.discounts || []).map(d => ({ amountCents: toCents(d.amount), category: d.category })),
     });
-    const tax = subtotal * 0.08;
-    const total = subtotal + tax;
 
     // Format items string
     const capitalize = (s) => s ? s.split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(' ') : s;
 
     const itemsString = order.items.map(item => {
       const qty = item.quantity || 1;
+      if (item.box?.flavors) {
+        const flavors = item.box.flavors.map(f => `${f.count} ${f.name}`).join(', ');
+        return `${qty}x ${item.size} ${item.name || 'mixed box'} (${flavors})`;
+      }
       const name = item.name || 'Unknown';
       const size = item.size && item.size !== 'single' && item.size !== 'regular' ? `${item.size} ` : '';
-      return `${qty}x ${size}${name}`;
+      const mods = item.modifiers && item.modifiers.length > 0
+        ? ` (${item.modifiers.map(m => m.name).join(', ')})`
+        : '';
+      const note = item.specialInstructions ? ` [${item.specialInstructions}]` : '';
+      return `${qty}x ${size}${name}${mods}${note}`;
     }).join('; ');
+    const discountsString = (order.discounts || [])
+      .map(d => `; ${d.name} ${formatMoney(-toCents(d.amount))}`)
+      .join('');
 
     // Delivery info
     const deliveryRaw = (order.deliveryMethod || '').toLowerCase();
@@ -190,35 +272,49 @@ async function logOrderToCallLog(order) {
       ? (order.address?.trim() || 'Address not provided')
       : 'N/A';
 
-    // Estimated pickup time
-    let estMinutes = 10;
-    if (order.items.length > 3) estMinutes += (order.items.length - 3) * 2;
-    if (isDelivery) estMinutes += 10;
-    estMinutes = Math.max(10, Math.ceil(estMinutes / 5) * 5);
-
-    const estTime = new Date(Date.now() + estMinutes * 60000);
-    const estTimeStr = estTime.toLocaleString('en-US', {
-      timeZone: 'America/New_York',
-      month: 'short', day: 'numeric',
-      hour: 'numeric', minute: '2-digit', hour12: true
-    });
+    // Pickup time: the time the caller asked for, the kitchen slot booked for an ASAP order,
+    // otherwise an estimate (pre-orders are ready at the next opening)
+    let estTime;
+    if (order.pickupTime || order.readyAt) {
+      estTime = new Date(order.pickupTime || order.readyAt);
+    } else {
+      let estMinutes = 10;
+      if (order.items.length > 3) estMinutes += (order.items.length - 3) * 2;
+      if (isDelivery) estMinutes += 10;
+      estMinutes = Math.max(10, Math.ceil(estMinutes / 5) * 5);
+
+      estTime = order.preorderFor
+        ? new Date(new Date(order.preorderFor).getTime() + estMinutes * 60000)
+        : new Date(Date.now() + estMinutes * 60000);
+    }
+    const estTimeStr = order.pickupTime
+      ? `${formatLocalTime(estTime)} (requested)`
+      : formatLocalTime(estTime);
 
     // Build the row
     const row = [
-      capitalize(order.customerName) || 'Not Provided',
-      formatPhoneNumber(order.customerPhone || order.from),
+      plainText(capitalize(order.customerName)) || 'Not Provided',
+      plainText(formatPhoneNumber(order.customerPhone || order.from)),
       deliveryMethod,
-      isDelivery ? capitalize(address) : 'N/A',
+      isDelivery ? plainText(capitalize(address)) : 'N/A',
       estTimeStr,
-      `$${total.toFixed(2)}`,
-      capitalize(itemsString) || 'No Items'
+      order.taxExempt ? `${formatMoney(totalCents)} (tax exempt)` : formatMoney(totalCents),
+      plainText(capitalize(itemsString) || 'No Items') + discountsString,
+      order.campaign
+        ? plainText(`${order.campaign.name}${order.campaign.sellerName ? ` — ${order.campaign.sellerName}` : ''}`)
+        : '',
+      order.orderNumber ? `#${order.orderNumber}` : '',
+      order.status || '',
+      describePayment(order.paymentMethod, order.payment),
+      order.transcriptUrl ? `=HYPERLINK("${order.transcriptUrl.replace(/"/g, '""')}", "View")` : '',
+      describeReview(order.review)
     ];
 
     console.log('📝 Writing row:', row);
 
     const response = await sheetsClient.spreadsheets.values.append({
       spreadsheetId: callLogSheetId,
-      range: 'Sheet1!A:G',
+      range: 'Sheet1!A:M',
       valueInputOption: 'USER_ENTERED',
       insertDataOption: 'INSERT_ROWS',
       resource: { values: [row] },
@@ -232,6 +328,129 @@ async function logOrderToCallLog(order) {
   }
 }
 
+/**
+ * Update the Status column (J) of an order's Call Log row, found by its Order # (column I)
+ * Used when staff or a caller change an order after it was logged (e.g. cancelled)
+ */
+async function updateCallLogStatus(orderNumber, status) {
+  const updated = await _updateCallLogCell(orderNumber, 'J', status, 'status');
+  if (updated) console.log(`✅ Call Log: order #${orderNumber} → ${status}`);
+  return updated;
+}
+
+/**
+ * Update the Payment column (K) of an order's Call Log row (e.g. "PREPAID (card)" once the link is paid)
+ */
+async function updateCallLogPayment(orderNumber, payment) {
+  const updated = await _updateCallLogCell(orderNumber, 'K', payment, 'payment');
+  if (updated) console.log(`✅ Call Log: order #${orderNumber} payment → ${payment}`);
+  return updated;
+}
+
+/**
+ * Update the Review column (M) of an order's Call Log row (e.g. once staff approve a flagged order)
+ */
+async function updateCallLogReview(orderNumber, review) {
+  const updated = await _updateCallLogCell(orderNumber, 'M', review, 'review');
+  if (updated) console.log(`✅ Call Log: order #${orderNumber} review → ${review}`);
+  return updated;
+}
+
+/**
+ * Log an unconfirmed order to the "Abandoned" tab of the Call Log spreadsheet (a callback list)
+ * Columns: Time | Call ID | Name | Phone | Reason | Items | Total | Follow-up | Transcript
+ */
+async function logAbandonedOrder(order) {
+  const callLogSheetId = process.env.GOOGLE_SHEETS_ID;
+  if (!sheetsClient || !callLogSheetId) return false;
+
+  const row = [
+    formatLocalTime(order.abandonment?.at || new Date()),
+    order.callSid || order.streamSid || '',
+    plainText(order.customerName || ''),
+    plainText(formatPhoneNumber(order.customerPhone || order.from)),
+    REASON_LABELS[order.abandonment?.reason] || order.abandonment?.reason || '',
+    plainText(order.itemsSummary || ''),
+    order.items?.length ? formatMoney(toCents(order.total)) : '',
+    describeFollowUp(order.abandonment),
+    order.transcriptUrl ? `=HYPERLINK("${order.transcriptUrl.replace(/"/g, '""')}", "View")` : '',
+  ];
+
+  try {
+    await sheetsClient.spreadsheets.values.append({
+      spreadsheetId: callLogSheetId,
+      range: 'Abandoned!A:I',
+      valueInputOption: 'USER_ENTERED',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values: [row] },
+    });
+    console.log('✅ Abandoned order logged to the Abandoned tab');
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to log to the Abandoned tab:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Update the Follow-up column (H) of an abandoned order's row, found by its Call ID (column B)
+ */
+async function updateAbandonedFollowUp(callId, followUp) {
+  return _updateSheetCell({
+    tab: 'Abandoned', keyColumn: 'B', key: callId, column: 'H', value: followUp, label: 'follow-up',
+    where: `Call ${callId} not found in the Abandoned tab`,
+  });
+}
+
+async function _updateCallLogCell(orderNumber, column, value, label) {
+  if (!orderNumber) return false;
+  return _updateSheetCell({
+    tab: 'Sheet1', keyColumn: 'I', key: `#${orderNumber}`, column, value, label,
+    where: `Order #${orderNumber} not found in the Call Log`,
+  });
+}
+
+/**
+ * Set one cell of the row whose `keyColumn` holds `key`
+ */
+async function _updateSheetCell({ tab, keyColumn, key, column, value, label, where }) {
+  const callLogSheetId = process.env.GOOGLE_SHEETS_ID;
+  if (!sheetsClient || !callLogSheetId) return false;
+
+  try {
+    const response = await sheetsClient.spreadsheets.values.get({
+      spreadsheetId: callLogSheetId,
+      range: `${tab}!${keyColumn}:${keyColumn}`,
+    });
+    const rows = response.data.values || [];
+    const index = rows.findIndex(r => String(r[0] || '').trim() === key);
+    if (index < 0) {
+      console.warn(`⚠️  ${where} — ${label} not updated`);
+      return false;
+    }
+
+    await sheetsClient.spreadsheets.values.update({
+      spreadsheetId: callLogSheetId,
+      range: `${tab}!${column}${index + 1}`,
+      valueInputOption: 'RAW',
+      resource: { values: [[value]] },
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to update ${label} for ${key} (${tab}):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Keep text from the customer (names, addresses, notes) from being read as a formula when
+ * appended with USER_ENTERED — a leading apostrophe makes Sheets show it as plain text
+ */
+function plainText(value) {
+  if (typeof value !== 'string') return value;
+  return /^[=+\-@]/.test(value) ? `'${value}` : value;
+}
+
 /**
  * Check if Google Sheets is initialized
  */
@@ -242,7 +461,14 @@ function isSheetsReady() {
 module.exports = {
   initializeGoogleSheets,
   fetchMenuFromSheet,
+  parseMenuRows,
   logOrderToCallLog,
+  updateCallLogStatus,
+  updateCallLogPayment,
+  updateCallLogReview,
+  logAbandonedOrder,
+  updateAbandonedFollowUp,
   formatPhoneNumber,
+  plainText,
   isSheetsReady,
 };
@@ -0,0 +1,154 @@
+/**
+ * Order Review Integration
+ * Compares a call's transcript with the order that came out of it and lists discrepancies
+ * (wrong size, missed item, an item the caller never asked for)
+ * for Glazed and Confused donut shop
+ *
+ * ORDER_REVIEW_PROVIDER=openai (default) asks a text model (OPENAI_TEXT_MODEL, default gpt-4o-mini).
+ * ORDER_REVIEW_PROVIDER=stub checks offline, deterministically: every item's name, and any size
+ * other than the default, must have come up in what the caller said (local development and tests).
+ * The OpenAI reviewer gives up after ORDER_REVIEW_TIMEOUT_MS (default 15000) so a slow model can't
+ * hold an order back; the fetch then rejects with a TimeoutError.
+ * Both reviewers have the same shape: review({ transcript, entries, order }) — the transcript as
+ * text, its entries, and the order for logging — resolves to { discrepancies: [string] },
+ * empty when the order matches the call.
+ */
+
+const { formatLocalTime } = require('../src/config/store-hours');
+
+const REVIEW_INSTRUCTIONS = [
+  'You check phone orders for Glazed and Confused, a donut shop. You get the transcript of a call',
+  '(what the caller and the ordering agent said, and the agent\'s tool calls) and the order that was placed.',
+  'List every real discrepancy between what the caller asked for and the final order: a wrong item, size,',
+  'quantity, flavor or customization; an item the caller asked for that is missing; an item they never',
+  'asked for or took back; a wrong pickup time, delivery address or name.',
+  'Go by the caller\'s final wishes — ignore things they changed their mind about, and ignore wording',
+  'differences and speech recognition typos that clearly mean the same thing.',
+  'Reply with JSON only: {"discrepancies": ["short description", ...]}, an empty list if the order matches.',
+].join(' ');
+
+class OpenAIOrderReviewer {
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_TEXT_MODEL || 'gpt-4o-mini',
+    timeoutMs = parseInt(process.env.ORDER_REVIEW_TIMEOUT_MS || '15000', 10),
+  } = {}) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required to review orders');
+    }
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async review({ transcript, order }) {
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      signal: AbortSignal.timeout(this.timeoutMs),
+      body: JSON.stringify({
+        model: this.model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: REVIEW_INSTRUCTIONS },
+          { role: 'user', content: `TRANSCRIPT:\n${transcript}\n\nFINAL ORDER:\n${JSON.stringify(describeOrder(order), null, 2)}` },
+        ],
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`OpenAI ${response.status}: ${await response.text()}`);
+    }
+    const data = await response.json();
+    const { discrepancies } = JSON.parse(data.choices[0].message.content || '{}');
+    if (!Array.isArray(discrepancies)) {
+      throw new Error('Order review reply had no discrepancies list');
+    }
+    return { discrepancies: discrepancies.map(String).filter(Boolean) };
+  }
+}
+
+class StubOrderReviewer {
+  constructor() {
+    this.reviews = []; // [{ transcript, order }]
+  }
+
+  async review({ transcript, entries = [], order }) {
+    this.reviews.push({ transcript, order });
+    const said = entries
+      .filter(entry => entry.type === 'speech' && entry.speaker === 'caller')
+      .map(entry => entry.text.toLowerCase())
+      .join(' ');
+
+    const discrepancies = [];
+    for (const item of order.items || []) {
+      const label = `${item.quantity || 1}x ${item.size} ${item.name}`;
+      const words = String(item.name || '').toLowerCase().split(/\W+/).filter(w => w.length > 2 && !GENERIC_WORDS.includes(w));
+      if (words.length > 0 && !words.some(word => said.includes(word))) {
+        discrepancies.push(`${label}: the caller never asked for ${item.name}`);
+      } else if (SIZE_WORDS[item.size] && !SIZE_WORDS[item.size].test(said)) {
+        discrepancies.push(`${label}: the caller never said ${item.size}`);
+      }
+    }
+    return { discrepancies };
+  }
+}
+
+// Words too common in item names to tell items apart
+const GENERIC_WORDS = ['donut', 'donuts', 'the', 'and', 'with'];
+
+// What a caller says when they want each non-default size
+const SIZE_WORDS = {
+  'half-dozen': /\bhalf[\s-](a\s)?dozen\b/,
+  dozen: /(?<!half[\s-](a\s)?)\bdozen\b/,
+  small: /\bsmall\b/,
+  medium: /\bmedium\b/,
+  large: /\blarge\b/,
+};
+
+/**
+ * The parts of an order a caller would have said out loud (times in the store's time zone,
+ * as the caller said them — the transcript has no UTC)
+ */
+function describeOrder(order) {
+  return {
+    customerName: order.customerName || null,
+    items: (order.items || []).map(item => ({
+      name: item.name,
+      size: item.size,
+      quantity: item.quantity,
+      modifiers: (item.modifiers || []).map(m => m.name),
+      box: item.box?.flavors || null,
+      specialInstructions: item.specialInstructions || null,
+    })),
+    deliveryMethod: order.deliveryMethod || null,
+    address: order.address || null,
+    pickupTime: order.pickupTime ? formatLocalTime(order.pickupTime) : null,
+    pickupTimeRequested: order.pickupTimeRequested || null,
+    paymentMethod: order.paymentMethod || null,
+    promoCodes: order.promoCodes || [],
+  };
+}
+
+/**
+ * Order reviewer for ORDER_REVIEW_PROVIDER ('openai' or 'stub')
+ */
+function createOrderReviewer(provider = process.env.ORDER_REVIEW_PROVIDER || 'openai') {
+  switch (provider.toLowerCase()) {
+    case 'openai':
+      return new OpenAIOrderReviewer();
+    case 'stub':
+      return new StubOrderReviewer();
+    default:
+      throw new Error(`Unknown ORDER_REVIEW_PROVIDER "${provider}" — use openai or stub`);
+  }
+}
+
+module.exports = {
+  OpenAIOrderReviewer,
+  StubOrderReviewer,
+  createOrderReviewer,
+};
@@ -0,0 +1,169 @@
+/**
+ * Payment Link Integration
+ * Creates hosted card-payment links through Square Checkout, or through a local fake provider
+ * for Glazed and Confused donut shop
+ *
+ * PAYMENT_PROVIDER=square (default) uses the Square POS credentials (SQUARE_ACCESS_TOKEN,
+ * SQUARE_LOCATION_ID, SQUARE_ENVIRONMENT). Square reports payments to POST /payments/webhook:
+ * subscribe to payment.updated in the Square Developer Dashboard and set
+ *   - SQUARE_WEBHOOK_SIGNATURE_KEY — the subscription's signature key
+ *   - SQUARE_WEBHOOK_URL — the exact notification URL registered with Square
+ *     (default SERVER_URL + /payments/webhook)
+ * PAYMENT_PROVIDER=fake links to a page on this server with a "Pay" button (local development and tests).
+ *
+ * Both providers have the same shape:
+ *   createLink({ reference, amountCents, description }) → { linkId, url, providerOrderId }
+ *   cancelLink(linkId) — so a link for an order that has since changed can't be paid
+ *   verifyWebhook(rawBody, headers) → true if the notification really came from the provider
+ *   parseWebhook(body) → { linkId, providerOrderId, status: 'paid' | 'failed', paymentId } or null
+ */
+
+const crypto = require('crypto');
+
+const SQUARE_API_VERSION = '2024-01-18';
+
+class SquarePaymentProvider {
+  constructor({
+    accessToken = process.env.SQUARE_ACCESS_TOKEN,
+    locationId = process.env.SQUARE_LOCATION_ID,
+    environment = process.env.SQUARE_ENVIRONMENT || 'sandbox',
+    signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY,
+    notificationUrl = process.env.SQUARE_WEBHOOK_URL ||
+      (process.env.SERVER_URL ? `${process.env.SERVER_URL.replace(/\/$/, '')}/payments/webhook` : null),
+  } = {}) {
+    if (!accessToken || !locationId) {
+      throw new Error('SQUARE_ACCESS_TOKEN and SQUARE_LOCATION_ID are required for Square payment links');
+    }
+    if (!signatureKey || !notificationUrl) {
+      throw new Error('SQUARE_WEBHOOK_SIGNATURE_KEY and SQUARE_WEBHOOK_URL (or SERVER_URL) are required to track Square payments');
+    }
+    this.name = 'square';
+    this.accessToken = accessToken;
+    this.locationId = locationId;
+    this.baseUrl = environment === 'production'
+      ? 'https://connect.squareup.com'
+      : 'https://connect.squareupsandbox.com';
+    this.signatureKey = signatureKey;
+    this.notificationUrl = notificationUrl;
+  }
+
+  async createLink({ reference, amountCents, description }) {
+    const response = await fetch(`${this.baseUrl}/v2/online-checkout/payment-links`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Square-Version': SQUARE_API_VERSION,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        idempotency_key: `pay-${reference}`,
+        quick_pay: {
+          name: description,
+          price_money: { amount: amountCents, currency: 'USD' },
+          location_id: this.locationId,
+        },
+        payment_note: description,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Square ${response.status}: ${await response.text()}`);
+    }
+    const { payment_link: link } = await response.json();
+    return { linkId: link.id, url: link.url, providerOrderId: link.order_id };
+  }
+
+  async cancelLink(linkId) {
+    const response = await fetch(`${this.baseUrl}/v2/online-checkout/payment-links/${encodeURIComponent(linkId)}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Square-Version': SQUARE_API_VERSION,
+      },
+    });
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Square ${response.status}: ${await response.text()}`);
+    }
+  }
+
+  /**
+   * Square signs notification URL + raw body with HMAC-SHA256 (base64) in x-square-hmacsha256-signature
+   */
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-square-hmacsha256-signature'];
+    if (!signature) return false;
+    const expected = crypto.createHmac('sha256', this.signatureKey)
+      .update(this.notificationUrl + rawBody)
+      .digest('base64');
+    return _safeEqual(signature, expected);
+  }
+
+  parseWebhook(body) {
+    const payment = body?.data?.object?.payment;
+    if (!body?.type?.startsWith('payment.') || !payment?.order_id) return null;
+    const status = { COMPLETED: 'paid', FAILED: 'failed', CANCELED: 'failed' }[payment.status];
+    if (!status) return null; // APPROVED / PENDING — wait for the final state
+    return { linkId: null, providerOrderId: payment.order_id, status, paymentId: payment.id };
+  }
+}
+
+class FakePaymentProvider {
+  constructor({ baseUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 3000}` } = {}) {
+    this.name = 'fake';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.links = new Map(); // linkId -> { reference, amountCents, description }
+  }
+
+  async createLink({ reference, amountCents, description }) {
+    const linkId = `fakelink-${crypto.randomUUID()}`;
+    this.links.set(linkId, { reference, amountCents, description });
+    console.log(`💳 [fake] Payment link for ${description}: ${this.baseUrl}/payments/fake/${linkId}`);
+    return { linkId, url: `${this.baseUrl}/payments/fake/${linkId}`, providerOrderId: linkId };
+  }
+
+  async cancelLink(linkId) {
+    this.links.delete(linkId);
+  }
+
+  verifyWebhook() {
+    return true;
+  }
+
+  /**
+   * { "linkId": "...", "status": "paid" | "failed" } — what the fake checkout page posts
+   */
+  parseWebhook(body) {
+    if (!body?.linkId || !['paid', 'failed'].includes(body.status)) return null;
+    return {
+      linkId: body.linkId,
+      providerOrderId: body.linkId,
+      status: body.status,
+      paymentId: body.status === 'paid' ? `fakepay-${body.linkId.slice(-8)}` : null,
+    };
+  }
+}
+
+/**
+ * Payment provider for PAYMENT_PROVIDER ('square' or 'fake')
+ */
+function createPaymentProvider(provider = process.env.PAYMENT_PROVIDER || 'square') {
+  switch (provider.toLowerCase()) {
+    case 'square':
+      return new SquarePaymentProvider();
+    case 'fake':
+      return new FakePaymentProvider();
+    default:
+      throw new Error(`Unknown PAYMENT_PROVIDER "${provider}" — use square or fake`);
+  }
+}
+
+function _safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = {
+  SquarePaymentProvider,
+  FakePaymentProvider,
+  createPaymentProvider,
+};
@@ -41,10 +41,84 @@
  */
 
 const { Client, Environment } = require('squareup');
+const { formatLocalTime } = require('../src/config/store-hours');
+const { getTaxConfig } = require('../src/config/tax');
+const { toCents, getTaxRate } = require('../src/services/pricing');
 
 let squareClient = null;
 let squareLocationId = null;
 
+/**
+ * Describe the flavor mix of a mixed box line item, e.g. "6 glazed donut, 6 boston cream donut"
+ */
+function describeBox(item) {
+  if (!item.box?.flavors) return null;
+  return item.box.flavors.map(f => `${f.count} ${f.name}`).join(', ');
+}
+
+/**
+ * Whether the order was already paid through its payment link (staff must not charge at pickup)
+ */
+function isPrepaid(order) {
+  return order.payment?.status === 'paid';
+}
+
+const PREPAID_NOTE = 'PREPAID by card — do not charge';
+
+/**
+ * Square fulfillment for an order with a scheduled pickup/delivery time
+ */
+function squareFulfillment(order) {
+  const recipient = {
+    ...(order.customerName ? { displayName: order.customerName } : {}),
+    ...(order.customerPhone ? { phoneNumber: order.customerPhone } : {}),
+  };
+  if (order.deliveryMethod === 'delivery') {
+    return {
+      type: 'DELIVERY',
+      state: 'PROPOSED',
+      deliveryDetails: {
+        scheduleType: 'SCHEDULED',
+        deliverAt: order.pickupTime,
+        recipient: { ...recipient, ...(order.address ? { address: { addressLine1: order.address } } : {}) },
+      },
+    };
+  }
+  return {
+    type: 'PICKUP',
+    state: 'PROPOSED',
+    pickupDetails: { scheduleType: 'SCHEDULED', pickupAt: order.pickupTime, recipient },
+  };
+}
+
+/**
+ * Square line-item taxes, one per distinct non-zero rate in the order (none when tax-exempt).
+ * Returns { taxes, taxUidFor(item) }.
+ */
+function squareTaxes(order) {
+  if (order.taxExempt) return { taxes: [], taxUidFor: () => null };
+  
+  const taxConfig = getTaxConfig();
+  const taxes = new Map();
+  const taxUidFor = (item) => {
+    const rate = getTaxRate(item.category, taxConfig);
+    if (!rate) return null;
+    const percentage = String(parseFloat((rate * 100).toFixed(4)));
+    const uid = `sales-tax-${percentage}`;
+    taxes.set(uid, { uid, name: `Sales Tax ${percentage}%`, percentage, scope: 'LINE_ITEM' });
+    return uid;
+  };
+  order.items.forEach(taxUidFor);
+  return { taxes: [...taxes.values()], taxUidFor };
+}
+
+/**
+ * Square order metadata recording a payment-link payment
+ */
+function squarePaymentMetadata(payment) {
+  return { prepaid: 'true', ...(payment.paymentId ? { paymentId: payment.paymentId } : {}) };
+}
+
 /**
  * Initialize Square POS client
  */
@@ -83,25 +157,43 @@ async function createSquareOrder(order, storeConfig = {}, menuCache = null) {
   }
   
   try {
+    const { taxes, taxUidFor } = squareTaxes(order);
+    
     const lineItems = order.items.map(item => {
       const menuItem = menuCache?.menu?.[item.name.toLowerCase()];
       const squareItemId = menuItem?.squareItemId;
       
+      // Ad-hoc modifiers carry their own price on top of the base price
+      const modifiers = (item.modifiers || []).map(m => ({
+        name: m.name,
+        basePriceMoney: { amount: toCents(m.price || 0), currency: 'USD' },
+      }));
+      const note = [describeBox(item), item.specialInstructions].filter(Boolean).join('; ');
+      const taxUid = taxUidFor(item);
+      const extras = {
+        ...(modifiers.length > 0 ? { modifiers } : {}),
+        ...(note ? { note } : {}),
+        ...(taxUid ? { appliedTaxes: [{ taxUid }] } : {}),
+      };
+      
       if (!squareItemId) {
         console.warn(`⚠ No Square Item ID mapped for "${item.name}" - creating custom item`);
         return {
           name: `${item.size || ''} ${item.name}`.trim(),
           quantity: (item.quantity || 1).toString(),
           basePriceMoney: {
-            amount: Math.round((item.price || item.unitPrice || 0) * 100),
+            // Boxes have no modifiers, so their unit price carries the premium-flavor surcharges
+            amount: toCents(item.box ? item.price : (item.basePrice ?? item.price ?? item.unitPrice ?? 0)),
             currency: 'USD',
           },
+          ...extras,
         };
       }
       
       return {
         catalogObjectId: squareItemId,
         quantity: (item.quantity || 1).toString(),
+        ...extras,
       };
     });
     
@@ -110,7 +202,25 @@ async function createSquareOrder(order, storeConfig = {}, menuCache = null) {
       order: {
         locationId: squareLocationId,
         lineItems: lineItems,
+        ...(taxes.length > 0 ? { taxes } : {}),
         ...(order.customerName ? { customerId: order.customerId } : {}),
+        ...(order.pickupTime ? { fulfillments: [squareFulfillment(order)] } : {}),
+        ...(isPrepaid(order) ? { ticketName: 'PREPAID', metadata: squarePaymentMetadata(order.payment) } : {}),
+        ...((order.discounts || []).length > 0 ? {
+          discounts: order.discounts.map((d, i) => ({
+            uid: `discount-${i}`,
+            name: d.name,
+            amountMoney: { amount: toCents(d.amount), currency: 'USD' },
+            scope: 'ORDER',
+          })),
+        } : {}),
+        ...(order.deliveryFee > 0 ? {
+          serviceCharges: [{
+            name: 'Delivery fee',
+            amountMoney: { amount: toCents(order.deliveryFee), currency: 'USD' },
+            calculationPhase: 'TOTAL_PHASE',
+          }],
+        } : {}),
       },
     };
     
@@ -144,6 +254,10 @@ async function createToastOrder(order, storeConfig = {}, menuCache = null) {
         menuItemId: toastItemId || null,
         quantity: item.quantity || 1,
         name: `${item.size || ''} ${item.name}`.trim(),
+        modifiers: (item.modifiers || []).map(m => ({ name: m.name, price: m.price || 0 })),
+        ...(item.specialInstructions || item.box ? {
+          specialRequest: [describeBox(item), item.specialInstructions].filter(Boolean).join('; '),
+        } : {}),
       };
     });
     
@@ -158,6 +272,13 @@ async function createToastOrder(order, storeConfig = {}, menuCache = null) {
       ...(order.deliveryMethod === 'delivery' && order.address ? {
         deliveryAddress: order.address,
       } : {}),
+      ...(order.pickupTime ? { promisedDate: order.pickupTime } : {}),
+      ...(order.deliveryFee > 0 ? { deliveryFee: order.deliveryFee } : {}),
+      ...((order.discounts || []).length > 0 ? {
+        discounts: order.discounts.map(d => ({ name: d.name, amount: d.amount, ...(d.code ? { promoCode: d.code } : {}) })),
+      } : {}),
+      ...(order.taxExempt ? { taxExempt: true } : {}),
+      ...(isPrepaid(order) ? { paymentStatus: 'PREPAID', notes: PREPAID_NOTE } : {}),
     };
     
     const response = await fetch(`https://api.toasttab.com/v1/restaurants/${restaurantId}/orders`, {
@@ -202,20 +323,35 @@ async function createCloverOrder(order, storeConfig = {}, menuCache = null) {
       const menuItem = menuCache?.menu?.[item.name.toLowerCase()];
       const cloverItemId = menuItem?.cloverItemId;
       
+      const mods = (item.modifiers || []).map(m => m.name);
+      const note = [...mods, describeBox(item), item.specialInstructions].filter(Boolean).join(', ');
+      
       if (!cloverItemId) {
+        // Custom items are priced with modifiers included and list them in the name
         return {
-          name: `${item.size || ''} ${item.name}`.trim(),
-          price: Math.round((item.price || item.unitPrice || 0) * 100),
+          name: `${item.size || ''} ${item.name}${mods.length > 0 ? ` (${mods.join(', ')})` : ''}`.trim(),
+          price: toCents(item.price || item.unitPrice || 0),
           quantity: item.quantity || 1,
+          ...(note ? { note } : {}),
         };
       }
       
       return {
         id: cloverItemId,
         quantity: item.quantity || 1,
+        ...(note ? { note } : {}),
       };
     });
     
+    // Promotions go on as negative line items so the ticket total matches what the caller heard
+    for (const discount of order.discounts || []) {
+      lineItems.push({ name: `Discount: ${discount.name}`, price: -toCents(discount.amount), quantity: 1 });
+    }
+    
+    if (order.deliveryFee > 0) {
+      lineItems.push({ name: 'Delivery Fee', price: toCents(order.deliveryFee), quantity: 1 });
+    }
+    
     const baseUrl = environment === 'sandbox' 
       ? 'https://sandbox.dev.clover.com'
       : 'https://api.clover.com';
@@ -224,11 +360,16 @@ async function createCloverOrder(order, storeConfig = {}, menuCache = null) {
       merchant: merchantId,
       items: lineItems,
       currency: 'USD',
+      ...(order.taxExempt ? { taxRemoved: true } : {}),
       ...(order.customerName ? { customer: { name: order.customerName } } : {}),
       ...(order.customerPhone ? { customer: { phone: order.customerPhone } } : {}),
       ...(order.deliveryMethod === 'delivery' && order.address ? {
         deliveryAddress: order.address
       } : {}),
+      ...(order.pickupTime ? {
+        note: `Scheduled ${order.deliveryMethod === 'delivery' ? 'delivery' : 'pickup'}: ${formatLocalTime(order.pickupTime)}`
+      } : {}),
+      ...(isPrepaid(order) ? { title: PREPAID_NOTE } : {}),
     };
     
     const response = await fetch(`${baseUrl}/v3/merchants/${merchantId}/orders`, {
@@ -286,6 +427,207 @@ async function sendOrderToPOS(order, storeConfig = {}, menuCache = null) {
   }
 }
 
+/**
+ * Cancel a Square order (state CANCELED needs the order's current version)
+ */
+async function cancelSquareOrder(posOrderId) {
+  if (!squareClient || !squareLocationId) return false;
+  
+  try {
+    const { result } = await squareClient.ordersApi.retrieveOrder(posOrderId);
+    await squareClient.ordersApi.updateOrder(posOrderId, {
+      idempotencyKey: `cancel-${posOrderId}`,
+      order: { locationId: squareLocationId, version: result.order.version, state: 'CANCELED' },
+    });
+    console.log('✓ Order cancelled in Square:', posOrderId);
+    return true;
+  } catch (error) {
+    console.error('✗ Error cancelling Square order:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Void a Toast order
+ */
+async function cancelToastOrder(posOrderId) {
+  const apiKey = process.env.TOAST_API_KEY;
+  const restaurantId = process.env.TOAST_RESTAURANT_ID;
+  if (!apiKey || !restaurantId) return false;
+  
+  try {
+    const response = await fetch(`https://api.toasttab.com/v1/restaurants/${restaurantId}/orders/${posOrderId}/void`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+    });
+    if (!response.ok) {
+      console.error('✗ Toast API error:', response.status, await response.text());
+      return false;
+    }
+    console.log('✓ Order voided in Toast:', posOrderId);
+    return true;
+  } catch (error) {
+    console.error('✗ Error voiding Toast order:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a Clover order
+ */
+async function cancelCloverOrder(posOrderId) {
+  const apiToken = process.env.CLOVER_API_TOKEN;
+  const merchantId = process.env.CLOVER_MERCHANT_ID;
+  if (!apiToken || !merchantId) return false;
+  
+  const baseUrl = process.env.CLOVER_ENVIRONMENT === 'sandbox'
+    ? 'https://sandbox.dev.clover.com'
+    : 'https://api.clover.com';
+  
+  try {
+    const response = await fetch(`${baseUrl}/v3/merchants/${merchantId}/orders/${posOrderId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${apiToken}` },
+    });
+    if (!response.ok) {
+      console.error('✗ Clover API error:', response.status, await response.text());
+      return false;
+    }
+    console.log('✓ Order deleted in Clover:', posOrderId);
+    return true;
+  } catch (error) {
+    console.error('✗ Error deleting Clover order:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Cancel an order in the configured POS system
+ */
+async function cancelOrderInPOS(posOrderId) {
+  const posSystem = (process.env.POS_SYSTEM || 'none').toLowerCase();
+  if (!posOrderId) return false;
+  
+  console.log(`📤 Cancelling ${posSystem.toUpperCase()} order ${posOrderId}`);
+  switch (posSystem) {
+    case 'square':
+      return await cancelSquareOrder(posOrderId);
+    case 'toast':
+      return await cancelToastOrder(posOrderId);
+    case 'clover':
+      return await cancelCloverOrder(posOrderId);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Mark a Square order prepaid (metadata and ticket name; needs the order's current version)
+ */
+async function markSquareOrderPaid(posOrderId, payment) {
+  if (!squareClient || !squareLocationId) return false;
+  
+  try {
+    const { result } = await squareClient.ordersApi.retrieveOrder(posOrderId);
+    await squareClient.ordersApi.updateOrder(posOrderId, {
+      idempotencyKey: `paid-${posOrderId}`,
+      order: {
+        locationId: squareLocationId,
+        version: result.order.version,
+        ticketName: 'PREPAID',
+        metadata: { ...(result.order.metadata || {}), ...squarePaymentMetadata(payment) },
+      },
+    });
+    console.log('✓ Order marked prepaid in Square:', posOrderId);
+    return true;
+  } catch (error) {
+    console.error('✗ Error marking Square order prepaid:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Mark a Toast order prepaid
+ */
+async function markToastOrderPaid(posOrderId) {
+  const apiKey = process.env.TOAST_API_KEY;
+  const restaurantId = process.env.TOAST_RESTAURANT_ID;
+  if (!apiKey || !restaurantId) return false;
+  
+  try {
+    const response = await fetch(`https://api.toasttab.com/v1/restaurants/${restaurantId}/orders/${posOrderId}`, {
+      method: 'PATCH',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ paymentStatus: 'PREPAID', notes: PREPAID_NOTE }),
+    });
+    if (!response.ok) {
+      console.error('✗ Toast API error:', response.status, await response.text());
+      return false;
+    }
+    console.log('✓ Order marked prepaid in Toast:', posOrderId);
+    return true;
+  } catch (error) {
+    console.error('✗ Error marking Toast order prepaid:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Mark a Clover order prepaid (order title)
+ */
+async function markCloverOrderPaid(posOrderId) {
+  const apiToken = process.env.CLOVER_API_TOKEN;
+  const merchantId = process.env.CLOVER_MERCHANT_ID;
+  if (!apiToken || !merchantId) return false;
+  
+  const baseUrl = process.env.CLOVER_ENVIRONMENT === 'sandbox'
+    ? 'https://sandbox.dev.clover.com'
+    : 'https://api.clover.com';
+  
+  try {
+    const response = await fetch(`${baseUrl}/v3/merchants/${merchantId}/orders/${posOrderId}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiToken}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ title: PREPAID_NOTE }),
+    });
+    if (!response.ok) {
+      console.error('✗ Clover API error:', response.status, await response.text());
+      return false;
+    }
+    console.log('✓ Order marked prepaid in Clover:', posOrderId);
+    return true;
+  } catch (error) {
+    console.error('✗ Error marking Clover order prepaid:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Mark an order already in the configured POS as paid through its payment link
+ */
+async function markOrderPaidInPOS(posOrderId, payment = {}) {
+  const posSystem = (process.env.POS_SYSTEM || 'none').toLowerCase();
+  if (!posOrderId) return false;
+  
+  console.log(`📤 Marking ${posSystem.toUpperCase()} order ${posOrderId} prepaid`);
+  switch (posSystem) {
+    case 'square':
+      return await markSquareOrderPaid(posOrderId, payment);
+    case 'toast':
+      return await markToastOrderPaid(posOrderId);
+    case 'clover':
+      return await markCloverOrderPaid(posOrderId);
+    default:
+      return false;
+  }
+}
+
 /**
  * Initialize all POS systems
  */
@@ -296,6 +638,8 @@ function initializePOS() {
 module.exports = {
   initializePOS,
   sendOrderToPOS,
+  cancelOrderInPOS,
+  markOrderPaidInPOS,
   createSquareOrder,
   createToastOrder,
   createCloverOrder,
@@ -0,0 +1,58 @@
+/**
+ * SMS Integration
+ * Sends text messages through Twilio, or through a local stub that only records them
+ * for Glazed and Confused donut shop
+ *
+ * SMS_PROVIDER=twilio (default) sends with TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN.
+ * SMS_PROVIDER=stub logs each message instead of sending it (local development and tests).
+ * Both clients have the same shape: send({ to, from, body }) resolves to a message SID.
+ */
+
+const twilio = require('twilio');
+
+class TwilioSmsClient {
+  constructor({ accountSid = process.env.TWILIO_ACCOUNT_SID, authToken = process.env.TWILIO_AUTH_TOKEN } = {}) {
+    if (!accountSid || !authToken) {
+      throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required to send SMS');
+    }
+    this.client = twilio(accountSid, authToken);
+  }
+
+  async send({ to, from, body }) {
+    const message = await this.client.messages.create({ to, from, body });
+    return message.sid;
+  }
+}
+
+class StubSmsClient {
+  constructor() {
+    this.sent = []; // [{ sid, to, from, body }]
+  }
+
+  async send({ to, from, body }) {
+    const sid = `SMSTUB${String(this.sent.length + 1).padStart(4, '0')}`;
+    this.sent.push({ sid, to, from, body });
+    console.log(`📱 [stub] SMS to ${to}: ${body}`);
+    return sid;
+  }
+}
+
+/**
+ * SMS client for SMS_PROVIDER ('twilio' or 'stub')
+ */
+function createSmsClient(provider = process.env.SMS_PROVIDER || 'twilio') {
+  switch (provider.toLowerCase()) {
+    case 'twilio':
+      return new TwilioSmsClient();
+    case 'stub':
+      return new StubSmsClient();
+    default:
+      throw new Error(`Unknown SMS_PROVIDER "${provider}" — use twilio or stub`);
+  }
+}
+
+module.exports = {
+  TwilioSmsClient,
+  StubSmsClient,
+  createSmsClient,
+};
@@ -0,0 +1,56 @@
+/**
+ * Twilio Calls Integration
+ * Redirects a live call to new TwiML (e.g. to dial the shop's staff line), or records
+ * the redirect with a local stub
+ * for Glazed and Confused donut shop
+ *
+ * CALL_PROVIDER=twilio (default) uses TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN.
+ * CALL_PROVIDER=stub logs each redirect instead (local development and tests).
+ * Both clients have the same shape: updateCall(callSid, twiml) resolves when Twilio accepts it.
+ */
+
+const twilio = require('twilio');
+
+class TwilioCallClient {
+  constructor({ accountSid = process.env.TWILIO_ACCOUNT_SID, authToken = process.env.TWILIO_AUTH_TOKEN } = {}) {
+    if (!accountSid || !authToken) {
+      throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required to transfer calls');
+    }
+    this.client = twilio(accountSid, authToken);
+  }
+
+  async updateCall(callSid, twiml) {
+    await this.client.calls(callSid).update({ twiml });
+  }
+}
+
+class StubCallClient {
+  constructor() {
+    this.updates = []; // [{ callSid, twiml }]
+  }
+
+  async updateCall(callSid, twiml) {
+    this.updates.push({ callSid, twiml });
+    console.log(`📞 [stub] Call ${callSid} redirected: ${twiml}`);
+  }
+}
+
+/**
+ * Call client for CALL_PROVIDER ('twilio' or 'stub')
+ */
+function createCallClient(provider = process.env.CALL_PROVIDER || 'twilio') {
+  switch (provider.toLowerCase()) {
+    case 'twilio':
+      return new TwilioCallClient();
+    case 'stub':
+      return new StubCallClient();
+    default:
+      throw new Error(`Unknown CALL_PROVIDER "${provider}" — use twilio or stub`);
+  }
+}
+
+module.exports = {
+  TwilioCallClient,
+  StubCallClient,
+  createCallClient,
+};
@@ -0,0 +1,121 @@
+/**
+ * Chat Widget
+ * Drop-in "Order donuts" chat for the shop's website:
+ *   <script src="https://your-server/chat-widget.js" async></script>
+ * Messages go to POST /api/chat on the server the script was loaded from.
+ * A ?gc_chat=<session> on the page URL (from a "finish your order" text) opens that chat.
+ * for Glazed and Confused donut shop
+ */
+
+(function () {
+  var script = document.currentScript;
+  var apiBase = script ? new URL(script.src).origin : '';
+  var storageKey = 'gc-chat-session';
+  var sessionId = window.sessionStorage.getItem(storageKey);
+
+  // Picking up a reopened cart: take over its chat and tidy the link out of the address bar
+  var pageUrl = new URL(window.location.href);
+  var resumedId = pageUrl.searchParams.get('gc_chat');
+  if (resumedId) {
+    sessionId = resumedId;
+    window.sessionStorage.setItem(storageKey, sessionId);
+    pageUrl.searchParams.delete('gc_chat');
+    window.history.replaceState(null, '', pageUrl.toString());
+  }
+
+  var style = document.createElement('style');
+  style.textContent = [
+    '.gc-chat-button{position:fixed;right:20px;bottom:20px;z-index:2147483000;border:0;border-radius:28px;padding:14px 20px;',
+    'background:#e85d9a;color:#fff;font:600 16px system-ui,sans-serif;box-shadow:0 4px 12px rgba(0,0,0,.2);cursor:pointer}',
+    '.gc-chat-panel{position:fixed;right:20px;bottom:84px;z-index:2147483000;width:320px;max-width:calc(100vw - 40px);height:440px;',
+    'display:none;flex-direction:column;background:#fff;border-radius:12px;box-shadow:0 8px 24px rgba(0,0,0,.25);',
+    'font:14px system-ui,sans-serif;overflow:hidden}',
+    '.gc-chat-panel.gc-open{display:flex}',
+    '.gc-chat-header{padding:12px 16px;background:#e85d9a;color:#fff;font-weight:600}',
+    '.gc-chat-log{flex:1;overflow-y:auto;padding:12px;display:flex;flex-direction:column;gap:8px}',
+    '.gc-chat-msg{max-width:80%;padding:8px 12px;border-radius:12px;white-space:pre-wrap;line-height:1.35}',
+    '.gc-chat-msg.gc-bot{align-self:flex-start;background:#f3f0f2;color:#222}',
+    '.gc-chat-msg.gc-user{align-self:flex-end;background:#e85d9a;color:#fff}',
+    '.gc-chat-form{display:flex;border-top:1px solid #eee}',
+    '.gc-chat-form input{flex:1;border:0;padding:12px;font:inherit;outline:none}',
+    '.gc-chat-form button{border:0;background:none;color:#e85d9a;font:600 14px system-ui,sans-serif;padding:0 16px;cursor:pointer}',
+  ].join('');
+  document.head.appendChild(style);
+
+  var button = document.createElement('button');
+  button.className = 'gc-chat-button';
+  button.textContent = '🍩 Order donuts';
+
+  var panel = document.createElement('div');
+  panel.className = 'gc-chat-panel';
+  panel.innerHTML = '<div class="gc-chat-header">Glazed and Confused</div>' +
+    '<div class="gc-chat-log" aria-live="polite"></div>' +
+    '<form class="gc-chat-form"><input type="text" placeholder="A dozen glazed, please…" aria-label="Message">' +
+    '<button type="submit">Send</button></form>';
+
+  var log = panel.querySelector('.gc-chat-log');
+  var form = panel.querySelector('form');
+  var input = form.querySelector('input');
+
+  function addMessage(text, who) {
+    var bubble = document.createElement('div');
+    bubble.className = 'gc-chat-msg gc-' + who;
+    bubble.textContent = text;
+    log.appendChild(bubble);
+    log.scrollTop = log.scrollHeight;
+  }
+
+  function send(text) {
+    input.disabled = true;
+    return fetch(apiBase + '/api/chat', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId: sessionId, message: text }),
+    })
+      .then(function (response) { return response.json(); })
+      .then(function (data) {
+        if (data.error) throw new Error(data.error);
+        // A confirmed order ends the conversation; the next message starts a new one
+        sessionId = data.order && data.order.confirmed ? null : data.sessionId;
+        if (sessionId) {
+          window.sessionStorage.setItem(storageKey, sessionId);
+        } else {
+          window.sessionStorage.removeItem(storageKey);
+        }
+        addMessage(data.reply, 'bot');
+      })
+      .catch(function () {
+        addMessage('Sorry, something went wrong. Please try again, or give us a call!', 'bot');
+      })
+      .then(function () {
+        input.disabled = false;
+        input.focus();
+      });
+  }
+
+  button.addEventListener('click', function () {
+    var opening = !panel.classList.contains('gc-open');
+    panel.classList.toggle('gc-open');
+    if (opening && !log.children.length) {
+      send('Hi!');
+    }
+    if (opening) input.focus();
+  });
+
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var text = input.value.trim();
+    if (!text) return;
+    input.value = '';
+    addMessage(text, 'user');
+    send(text);
+  });
+
+  document.body.appendChild(panel);
+  document.body.appendChild(button);
+
+  if (resumedId) {
+    panel.classList.add('gc-open');
+    send('Hi! I\'d like to finish my order.');
+  }
+})();
@@ -7,12 +7,20 @@
 
 require('dotenv').config();
 
+const path = require('path');
 const express = require('express');
 const WebSocket = require('ws');
 
 // ── Load modules ──
 let handleIncomingCall, setupMediaStream, Logger, validateEnv;
-let googleSheets, menuConfig;
+let googleSheets, menuConfig, createAdminRoutes, KitchenScheduler, CampaignTracker, CustomerStore;
+let OrderStore, createOrderAdapter, OrderFinalizer, pos;
+let SmsNotifier, createSmsClient, createSmsRoutes, TextOrderService, OrderSessions, createWebOrderRoutes;
+let PhoneVerifier;
+let PaymentService, createPaymentProvider, createPaymentRoutes;
+let StaffTransfer, createCallClient, createTransferRoutes;
+let TranscriptStore, createTranscriptRoutes, CallRecorder, OrderVerifier, createOrderReviewer;
+let AbandonedOrders, createResumeRoutes;
 let initError = null;
 
 try {
@@ -22,6 +30,34 @@ try {
   Logger = require('./src/services/logger');
   googleSheets = require('./integrations/google-sheets');
   menuConfig = require('./src/config/menu');
+  createAdminRoutes = require('./src/routes/admin');
+  KitchenScheduler = require('./src/services/kitchen-scheduler');
+  CampaignTracker = require('./src/services/campaign-tracker');
+  CustomerStore = require('./src/services/customer-store');
+  OrderStore = require('./src/services/order-store');
+  ({ createOrderAdapter } = require('./src/services/order-store-adapters'));
+  OrderFinalizer = require('./src/services/order-finalizer');
+  pos = require('./integrations/pos-systems');
+  SmsNotifier = require('./src/services/sms-notifier');
+  ({ createSmsClient } = require('./integrations/sms'));
+  createSmsRoutes = require('./src/routes/sms');
+  TextOrderService = require('./src/services/text-order-service');
+  OrderSessions = require('./src/services/order-sessions');
+  createWebOrderRoutes = require('./src/routes/web-orders');
+  PhoneVerifier = require('./src/services/phone-verifier');
+  PaymentService = require('./src/services/payment-service');
+  ({ createPaymentProvider } = require('./integrations/payments'));
+  createPaymentRoutes = require('./src/routes/payments');
+  StaffTransfer = require('./src/services/staff-transfer');
+  ({ createCallClient } = require('./integrations/twilio-calls'));
+  createTransferRoutes = require('./src/routes/staff-transfer');
+  TranscriptStore = require('./src/services/transcript-store');
+  createTranscriptRoutes = require('./src/routes/transcripts');
+  CallRecorder = require('./src/services/call-recorder');
+  OrderVerifier = require('./src/services/order-verifier');
+  ({ createOrderReviewer } = require('./integrations/order-review'));
+  AbandonedOrders = require('./src/services/abandoned-orders');
+  createResumeRoutes = require('./src/routes/resume');
 } catch (err) {
   initError = err;
   console.error('❌ Failed to load modules:', err.message, err.stack);
@@ -36,12 +72,138 @@ if (validateEnv) {
   }
 }
 
+// ── Kitchen capacity (shared by every call; KITCHEN_DOZENS_PER_SLOT=0 disables) ──
+const dozensPerSlot = parseFloat(process.env.KITCHEN_DOZENS_PER_SLOT || '6');
+const kitchenScheduler = KitchenScheduler && dozensPerSlot > 0
+  ? new KitchenScheduler({
+    dozensPerSlot,
+    slotMinutes: parseInt(process.env.KITCHEN_SLOT_MINUTES || '15', 10),
+  })
+  : null;
+
+// ── Fundraiser campaign totals (shared by every call) ──
+const campaignTracker = CampaignTracker ? new CampaignTracker() : null;
+
+// ── Returning customers by caller ID (REMEMBER_CUSTOMERS=false disables) ──
+const customerStore = CustomerStore && process.env.REMEMBER_CUSTOMERS !== 'false' ? new CustomerStore() : null;
+
+// ── Orders: numbers, statuses, history (ORDER_STORE=json by default) ──
+let orderStore = null;
+if (OrderStore) {
+  try {
+    orderStore = new OrderStore({ adapter: createOrderAdapter() });
+    orderStore.start();
+  } catch (error) {
+    console.error('❌ Order store not initialized:', error.message);
+  }
+}
+
+// ── Order texts (only when SMS_FROM_NUMBER is set; SMS_PROVIDER=stub for local testing) ──
+let smsNotifier = null;
+if (SmsNotifier && process.env.SMS_FROM_NUMBER) {
+  try {
+    smsNotifier = new SmsNotifier({ client: createSmsClient(), from: process.env.SMS_FROM_NUMBER });
+  } catch (error) {
+    console.error('❌ SMS notifier not initialized:', error.message);
+  }
+}
+
+// ── Card payment links (CARD_PAYMENT_LINKS=true; needs order texts and the order store;
+//    PAYMENT_PROVIDER=fake for local testing) ──
+let paymentService = null;
+if (PaymentService && process.env.CARD_PAYMENT_LINKS === 'true') {
+  if (!smsNotifier || !orderStore) {
+    console.error('⚠️  Card payment links need SMS_FROM_NUMBER and the order store — disabled');
+  } else {
+    try {
+      paymentService = new PaymentService({ provider: createPaymentProvider(), orderStore, smsNotifier });
+    } catch (error) {
+      console.error('❌ Card payment links not initialized:', error.message);
+    }
+  }
+}
+
+// ── Hand calls to a person (only when STAFF_PHONE_NUMBER is set; needs SERVER_URL for Twilio callbacks) ──
+let staffTransfer = null;
+if (StaffTransfer && process.env.STAFF_PHONE_NUMBER) {
+  try {
+    staffTransfer = new StaffTransfer({ callClient: createCallClient(), smsNotifier, orderStore });
+  } catch (error) {
+    console.error('❌ Staff transfers not initialized:', error.message);
+  }
+}
+
+// ── Call transcripts (on unless CALL_TRANSCRIPTS=false; Call Log links need SERVER_URL and a signing secret) ──
+const transcriptStore = TranscriptStore && process.env.CALL_TRANSCRIPTS !== 'false' ? new TranscriptStore() : null;
+
+// ── Call audio recording (CALL_RECORDING=true; callers are told before the agent picks up) ──
+const callRecorder = CallRecorder && process.env.CALL_RECORDING === 'true' ? new CallRecorder() : null;
+if (callRecorder) {
+  callRecorder.startCleanup();
+  console.log(`✅ Call recording on — kept ${callRecorder.retentionDays > 0 ? `${callRecorder.retentionDays} days` : 'forever'}`);
+}
+
+// ── Post-call order check against the transcript (ORDER_VERIFICATION=true; needs transcripts) ──
+let orderVerifier = null;
+if (OrderVerifier && process.env.ORDER_VERIFICATION === 'true') {
+  if (!transcriptStore) {
+    console.error('⚠️  Order verification needs call transcripts (CALL_TRANSCRIPTS) — disabled');
+  } else {
+    try {
+      orderVerifier = new OrderVerifier({ reviewer: createOrderReviewer(), transcriptStore });
+    } catch (error) {
+      console.error('❌ Order verification not initialized:', error.message);
+    }
+  }
+}
+
+// ── Text and web orders (TEXT_ORDERING / WEB_ORDERING=true): open orders that outlive a request,
+//    finalized like calls once services are up ──
+let orderFinalizer = null;
+const textOrdering = process.env.TEXT_ORDERING === 'true';
+const webOrdering = process.env.WEB_ORDERING === 'true';
+const orderSessions = OrderSessions && (textOrdering || webOrdering)
+  ? new OrderSessions({
+    idleMinutes: parseFloat(process.env.TEXT_SESSION_MINUTES || '30'),
+    onSessionEnd: (orderManager) => orderFinalizer?.finalize(orderManager),
+    kitchenScheduler,
+    customerStore,
+    orderStore,
+    smsNotifier,
+    paymentService,
+  })
+  : null;
+const textOrders = orderSessions && TextOrderService ? new TextOrderService({ sessions: orderSessions }) : null;
+if (orderSessions) orderSessions.start();
+
+// ── Abandoned orders: classified and kept for callbacks; a redial within REDIAL_RESUME_MINUTES picks
+//    the cart back up; ABANDONED_FOLLOWUP=true texts the customer, with a link that reopens their cart
+//    when website ordering and WEB_ORDER_PAGE_URL are set ──
+const resumableCarts = !!(webOrdering && textOrders && process.env.WEB_ORDER_PAGE_URL && process.env.SERVER_URL);
+const abandonedOrders = AbandonedOrders && orderStore
+  ? new AbandonedOrders({ orderStore, smsNotifier, resumeBaseUrl: resumableCarts ? process.env.SERVER_URL : null })
+  : null;
+if (abandonedOrders) {
+  abandonedOrders.start();
+  if (abandonedOrders.redialMinutes > 0) {
+    console.log(`✅ Redials within ${abandonedOrders.redialMinutes} min pick up their unfinished cart`);
+  }
+  if (abandonedOrders.followUp) {
+    console.log(`✅ Abandoned order follow-up texts on — ${abandonedOrders.followUpMinutes} min after the order ends`);
+  }
+}
+
 const app = express();
 const port = process.env.PORT || 3000;
+// Behind a load balancer, TRUST_PROXY=true makes req.ip the customer's address (web code rate limits)
+if (process.env.TRUST_PROXY === 'true') app.set('trust proxy', true);
 
 // ── Middleware ──
 app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+app.use(express.json({
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, _res, buf) => { req.rawBody = buf; },
+}));
 app.use((req, res, next) => {
   if (req.path !== '/health' && req.path !== '/') {
     console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
@@ -66,7 +228,9 @@ app.get('/', (_req, res) => {
 
 // ── Incoming call webhook ──
 if (handleIncomingCall) {
-  app.post('/incoming-call', handleIncomingCall);
+  app.post('/incoming-call', callRecorder
+    ? handleIncomingCall.createIncomingCallHandler({ disclosure: callRecorder.disclosure })
+    : handleIncomingCall);
   console.log('✅ POST /incoming-call registered');
 } else {
   app.post('/incoming-call', (_req, res) => {
@@ -77,6 +241,58 @@ if (handleIncomingCall) {
   console.error('⚠️  /incoming-call using FALLBACK handler');
 }
 
+// ── Inbound SMS webhook (STOP / START / HELP, text orders) ──
+if (createSmsRoutes && (smsNotifier || textOrdering)) {
+  app.use('/sms', createSmsRoutes({ smsNotifier, textOrders: textOrdering ? textOrders : null }));
+  console.log('✅ POST /sms/inbound registered');
+}
+
+// ── Payment webhook (and the fake provider's checkout page) ──
+if (createPaymentRoutes && paymentService) {
+  app.use('/payments', createPaymentRoutes({ paymentService }));
+  console.log('✅ POST /payments/webhook registered');
+}
+
+// ── Staff transfer callbacks (whisper, voicemail fallback) ──
+if (createTransferRoutes && staffTransfer) {
+  app.use('/transfer', createTransferRoutes({ staffTransfer }));
+  console.log('✅ /transfer callbacks registered');
+}
+
+// ── Signed transcript links from the Call Log ──
+if (createTranscriptRoutes && transcriptStore) {
+  app.use('/transcripts', createTranscriptRoutes({ transcriptStore }));
+  console.log('✅ GET /transcripts/:callSid registered');
+}
+
+// ── Resume links from abandoned order follow-up texts ──
+if (createResumeRoutes && abandonedOrders?.resumeBaseUrl) {
+  app.use('/resume', createResumeRoutes({ abandonedOrders, textOrders }));
+  console.log('✅ GET/POST /resume/:token registered');
+}
+
+// ── Website ordering: REST cart API, chat endpoint and the embeddable widget ──
+if (createWebOrderRoutes && webOrdering && orderSessions) {
+  const phoneVerifier = smsNotifier && PhoneVerifier ? new PhoneVerifier({ smsNotifier }) : null;
+  app.use('/api', createWebOrderRoutes({ orderSessions, textOrders, orderStore, phoneVerifier }));
+  app.get('/chat-widget.js', (_req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'chat-widget.js'));
+  });
+  console.log('✅ /api/orders, /api/chat and /chat-widget.js registered');
+}
+
+// ── Admin (staff) routes ──
+if (createAdminRoutes) {
+  app.use('/admin', createAdminRoutes({
+    reloadMenu, kitchenScheduler, campaignTracker, orderStore, transcriptStore, callRecorder, abandonedOrders,
+    approveReview: orderVerifier ? async (ref) => {
+      if (!orderFinalizer) throw new Error('The server is still starting — try again in a moment');
+      return orderFinalizer.approveReview(ref);
+    } : null,
+  }));
+  console.log('✅ /admin routes registered');
+}
+
 // ── Start HTTP server ──
 const server = app.listen(port, '0.0.0.0', () => {
   console.log(`🍩 Glazed and Confused server listening on 0.0.0.0:${port}`);
@@ -107,17 +323,21 @@ async function initializeServices() {
     try {
       const sheetsOk = await googleSheets.initializeGoogleSheets();
       if (sheetsOk) {
-        // 2. Load menu from the Menu sheet
-        const menuData = await googleSheets.fetchMenuFromSheet();
-        if (menuData && menuConfig) {
-          menuConfig.setDynamicMenu(menuData);
+        // 2. Load menu from the Menu sheet, and keep it fresh
+        const { loaded } = await reloadMenu();
+        if (loaded) {
           console.log('✅ Dynamic menu loaded from Google Sheets');
         } else {
           console.log('⚠️  Using hardcoded fallback menu');
         }
+        startMenuRefresh();
 
         // Prepare the Sheets logging function for media-stream
         sheetsLogFn = googleSheets.logOrderToCallLog;
+        if (abandonedOrders) {
+          abandonedOrders.sheetsLogger = googleSheets.logAbandonedOrder;
+          abandonedOrders.sheetsFollowUpUpdater = googleSheets.updateAbandonedFollowUp;
+        }
       } else {
         console.log('⚠️  Google Sheets not initialized — using fallback menu, no order logging');
       }
@@ -126,10 +346,43 @@ async function initializeServices() {
     }
   }
 
-  // 3. Initialize logger and media stream
-  if (setupMediaStream && Logger) {
+  // 3. POS (only when POS_SYSTEM is set)
+  let posSender = null;
+  let posCanceller = null;
+  let posPaymentMarker = null;
+  if (pos && process.env.POS_SYSTEM) {
+    pos.initializePOS();
+    posSender = (order) => pos.sendOrderToPOS(order, {}, { menu: menuConfig.getMenu() });
+    posCanceller = pos.cancelOrderInPOS;
+    posPaymentMarker = pos.markOrderPaidInPOS;
+  }
+
+  // 4. Initialize logger, order finalizer and media stream
+  if (setupMediaStream && Logger && OrderFinalizer) {
     const logger = new Logger(process.env.ZAPIER_WEBHOOK_URL, 3, 1000);
-    setupMediaStream(wss, logger, sheetsLogFn);
+    orderFinalizer = new OrderFinalizer({
+      orderStore,
+      logger,
+      sheetsLogger: sheetsLogFn,
+      sheetsStatusUpdater: sheetsLogFn ? googleSheets.updateCallLogStatus : null,
+      posSender,
+      posCanceller,
+      campaignTracker,
+      customerStore,
+      kitchenScheduler,
+      smsNotifier,
+      paymentService,
+      sheetsPaymentUpdater: sheetsLogFn ? googleSheets.updateCallLogPayment : null,
+      posPaymentMarker,
+      transcriptStore,
+      orderVerifier,
+      sheetsReviewUpdater: sheetsLogFn ? googleSheets.updateCallLogReview : null,
+      abandonedOrders,
+    });
+    setupMediaStream(wss, orderFinalizer, {
+      kitchenScheduler, customerStore, orderStore, smsNotifier, paymentService, staffTransfer, transcriptStore,
+      callRecorder, abandonedOrders,
+    });
     console.log('✅ Media stream handler initialized');
   } else {
     console.error('⚠️  Media stream NOT initialized');
@@ -140,11 +393,52 @@ async function initializeServices() {
   console.log('🍩 Glazed and Confused is READY');
   console.log('   Health:   GET  /health');
   console.log('   Webhook:  POST /incoming-call');
+  if (smsNotifier || textOrdering) console.log('   SMS:      POST /sms/inbound');
+  if (webOrdering) console.log('   Web:      /api/orders, POST /api/chat, GET /chat-widget.js');
+  if (paymentService) console.log('   Payments: POST /payments/webhook');
+  if (staffTransfer) console.log(`   Transfer: to ${process.env.STAFF_PHONE_NUMBER} (/transfer/* callbacks)`);
+  if (abandonedOrders?.resumeBaseUrl) console.log('   Resume:   GET  /resume/:token (POST reopens the cart)');
   console.log('   Stream:   WS   /media-stream');
+  console.log('   Admin:    POST /admin/menu/reload, /admin/menu/items/:item/availability');
+  console.log('             GET  /admin/kitchen/slots, /admin/campaigns, /admin/orders');
+  if (transcriptStore) console.log('             GET  /admin/orders/:ref/transcript');
+  if (callRecorder) console.log('             GET  /admin/orders/:ref/recording');
+  if (orderVerifier) console.log('             POST /admin/orders/:ref/review');
+  if (abandonedOrders) console.log('             GET  /admin/abandoned');
   console.log('═══════════════════════════════════════════════════');
   console.log('');
 }
 
+// ── Menu reload ──
+/**
+ * Re-read the Menu sheet. Live calls pick up changes through menu change listeners.
+ */
+async function reloadMenu() {
+  if (!googleSheets?.isSheetsReady() || !menuConfig) {
+    return { loaded: false, changed: false };
+  }
+  const menuData = await googleSheets.fetchMenuFromSheet();
+  if (!menuData) {
+    return { loaded: false, changed: false };
+  }
+  const changed = menuConfig.setDynamicMenu(menuData);
+  return { loaded: true, changed };
+}
+
+function startMenuRefresh() {
+  const minutes = parseFloat(process.env.MENU_REFRESH_MINUTES || '10');
+  if (!minutes || minutes <= 0) {
+    console.log('ℹ️  Periodic menu refresh disabled');
+    return;
+  }
+  setInterval(() => {
+    reloadMenu().then(({ changed }) => {
+      if (changed) console.log('🔄 Menu changed on periodic refresh');
+    }).catch(err => console.error('❌ Menu refresh error:', err.message));
+  }, minutes * 60000);
+  console.log(`✅ Menu refresh every ${minutes} min`);
+}
+
 // ── Periodic health log ──
 setInterval(() => {
   console.log(`📊 Heartbeat — ${new Date().toISOString()} — uptime: ${Math.floor(process.uptime())}s`);
@@ -0,0 +1,105 @@
+/**
+ * Campaigns Configuration
+ * Fundraiser campaigns: each has its own Twilio number and/or codes sellers hand out
+ * for Glazed and Confused donut shop
+ *
+ * Load from a JSON file at CAMPAIGNS_PATH:
+ * {
+ *   "campaigns": [
+ *     {
+ *       "id": "lincoln-pta",
+ *       "name": "Lincoln Elementary PTA",
+ *       "phoneNumbers": ["+15551230001"],
+ *       "codes": ["LINCOLN"],
+ *       "sellers": [
+ *         { "code": "EMMA", "name": "Emma R.", "team": "4th grade" },
+ *         { "code": "JAYDEN", "name": "Jayden T.", "team": "5th grade" }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * A call to a campaign's number is attributed to it automatically. A spoken campaign code
+ * ("LINCOLN") or seller code ("EMMA") attributes the order — a seller code also credits the seller.
+ */
+
+const fs = require('fs');
+const { normalizeCode } = require('./promotions');
+const { normalizePhone } = require('../utils/phone');
+
+let campaigns = loadCampaigns();
+
+/**
+ * Load campaigns from CAMPAIGNS_PATH (if set); none by default
+ */
+function loadCampaigns() {
+  const path = process.env.CAMPAIGNS_PATH;
+  if (!path) return [];
+
+  try {
+    const loaded = JSON.parse(fs.readFileSync(path, 'utf-8'));
+    console.log(`✅ Campaigns loaded from ${path}: ${(loaded.campaigns || []).length} campaigns`);
+    return loaded.campaigns || [];
+  } catch (error) {
+    console.error(`❌ Failed to load campaigns from ${path}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Replace campaigns at runtime (also used by tests)
+ */
+function setCampaigns(config) {
+  campaigns = config?.campaigns || [];
+}
+
+function getCampaigns() {
+  return campaigns;
+}
+
+function getCampaign(id) {
+  return campaigns.find(c => c.id === id) || null;
+}
+
+/**
+ * Campaign whose dedicated number was called, or null
+ */
+function findCampaignByNumber(calledNumber) {
+  const phone = normalizePhone(calledNumber);
+  if (!phone) return null;
+  return campaigns.find(c => (c.phoneNumbers || []).some(n => normalizePhone(n) === phone)) || null;
+}
+
+/**
+ * Match a spoken campaign or seller code: { campaign, seller } (seller null for a campaign code), or null
+ */
+function findCampaignByCode(code) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return null;
+
+  for (const campaign of campaigns) {
+    if ((campaign.codes || []).some(c => normalizeCode(c) === normalized)) {
+      return { campaign, seller: null };
+    }
+    const seller = (campaign.sellers || []).find(s => normalizeCode(s.code) === normalized);
+    if (seller) return { campaign, seller };
+  }
+  return null;
+}
+
+/**
+ * Active campaigns for the agent ("Lincoln Elementary PTA"); codes are never listed
+ */
+function getCampaignsText() {
+  if (campaigns.length === 0) return 'No fundraiser campaigns right now.';
+  return campaigns.map(c => `- ${c.name}`).join('\n');
+}
+
+module.exports = {
+  getCampaigns,
+  setCampaigns,
+  getCampaign,
+  findCampaignByNumber,
+  findCampaignByCode,
+  getCampaignsText,
+};
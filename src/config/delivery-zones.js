@@ -0,0 +1,141 @@
+/**
+ * Delivery Zones Configuration
+ * Where we deliver, what it costs, and the minimum order per zone
+ * for Glazed and Confused donut shop
+ *
+ * Load zones from a JSON file at DELIVERY_ZONES_PATH. Without one, delivery isn't restricted
+ * (any address, no fee). Zones are checked in order — list the closest/cheapest first.
+ * {
+ *   "origin": [45.5231, -122.6765],           // the shop [lat, lng], for radius zones
+ *   "minimumOrder": 15,                       // default minimum (before tax) for every zone
+ *   "zones": [
+ *     { "name": "Downtown", "zips": ["97201", "97204"], "fee": 2.99 },
+ *     { "name": "3 mile radius", "radiusMiles": 3, "fee": 4.99, "minimumOrder": 25 },
+ *     { "name": "East side", "polygon": [[45.53, -122.66], [45.53, -122.60], [45.50, -122.60], [45.50, -122.66]], "fee": 5.99 }
+ *   ],
+ *   "zipCentroids": { "97214": [45.5143, -122.6423] }   // ZIP -> [lat, lng] for radius/polygon zones
+ * }
+ */
+
+const fs = require('fs');
+
+let deliveryConfig = loadDeliveryZones();
+
+/**
+ * Load zones from DELIVERY_ZONES_PATH (if set); null means delivery is unrestricted
+ */
+function loadDeliveryZones() {
+  const path = process.env.DELIVERY_ZONES_PATH;
+  if (!path) return null;
+
+  try {
+    const loaded = JSON.parse(fs.readFileSync(path, 'utf-8'));
+    console.log(`✅ Delivery zones loaded from ${path}: ${(loaded.zones || []).length} zones`);
+    return loaded;
+  } catch (error) {
+    console.error(`❌ Failed to load delivery zones from ${path}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Replace the zone config at runtime (also used by tests); null removes restrictions
+ */
+function setDeliveryZones(config) {
+  deliveryConfig = config;
+}
+
+/**
+ * Whether delivery is limited to configured zones
+ */
+function isDeliveryRestricted() {
+  return !!deliveryConfig?.zones?.length;
+}
+
+/**
+ * Five-digit ZIP code from the end of an address (after the state, optionally followed by the
+ * country), or null. Only a trailing ZIP counts, so a five-digit house number isn't taken for one.
+ */
+function extractZip(address) {
+  const match = String(address || '').trim().match(/(?:^|[\s,])(\d{5})(?:-\d{4})?[\s,.]*(?:USA?|United States)?[\s.]*$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Zone that delivers to an address: { name, fee, minimumOrder, zip }, or null if out of range
+ * (or the address has no ZIP we can place)
+ */
+function findDeliveryZone(address) {
+  if (!isDeliveryRestricted()) return null;
+
+  const zip = extractZip(address);
+  if (!zip) return null;
+  const point = deliveryConfig.zipCentroids?.[zip] || null;
+
+  const zone = deliveryConfig.zones.find(z => {
+    if (z.zips) return z.zips.map(String).includes(zip);
+    if (!point) return false;
+    if (z.radiusMiles && deliveryConfig.origin) return _distanceMiles(deliveryConfig.origin, point) <= z.radiusMiles;
+    if (z.polygon) return _insidePolygon(point, z.polygon);
+    return false;
+  });
+  if (!zone) return null;
+
+  return {
+    name: zone.name,
+    fee: zone.fee || 0,
+    minimumOrder: zone.minimumOrder ?? deliveryConfig.minimumOrder ?? 0,
+    zip,
+  };
+}
+
+/**
+ * Delivery area for the agent, e.g. "Downtown (ZIPs 97201, 97204): $2.99 fee, $15.00 minimum"
+ */
+function getDeliveryAreaText() {
+  if (!isDeliveryRestricted()) return 'We deliver anywhere — no delivery fee.';
+
+  return deliveryConfig.zones.map(z => {
+    let area = '';
+    if (z.zips) area = ` (ZIPs ${z.zips.join(', ')})`;
+    else if (z.radiusMiles) area = ` (within ${z.radiusMiles} miles)`;
+    const minimum = z.minimumOrder ?? deliveryConfig.minimumOrder ?? 0;
+    return `- ${z.name}${area}: $${(z.fee || 0).toFixed(2)} fee${minimum > 0 ? `, $${minimum.toFixed(2)} minimum` : ''}`;
+  }).join('\n');
+}
+
+// ── Geometry ──
+
+/**
+ * Great-circle distance between two [lat, lng] points
+ */
+function _distanceMiles([lat1, lng1], [lat2, lng2]) {
+  const rad = (deg) => deg * Math.PI / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Ray-casting point-in-polygon test on [lat, lng] vertices
+ */
+function _insidePolygon([lat, lng], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    if ((lngI > lng) !== (lngJ > lng) && lat < (latJ - latI) * (lng - lngI) / (lngJ - lngI) + latI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+module.exports = {
+  setDeliveryZones,
+  isDeliveryRestricted,
+  extractZip,
+  findDeliveryZone,
+  getDeliveryAreaText,
+};
@@ -4,51 +4,179 @@
  * The dynamic menu (from Sheets) takes priority if loaded successfully.
  */
 
-// ── Dynamic menu (populated from Google Sheets at startup) ──
-let dynamicMenuText = null;   // formatted text for AI prompt
-let dynamicMenuItems = null;  // flat array of { name, price, category }
+// ── Dynamic menu (populated from Google Sheets at startup and on reload) ──
+// Same shape as fallbackMenu, plus category/description/available per item
+let dynamicMenu = null;
+let dynamicModifiers = null;  // modifier catalog with Menu sheet prices merged in
+
+// ── Availability overrides (items 86'd mid-service), kept across menu reloads ──
+const availabilityOverrides = new Map(); // item name -> available (boolean)
+const menuChangeListeners = new Set();
 
 /**
  * Set the dynamic menu loaded from Google Sheets
- * Called once at startup from server.js
+ * Called at startup and on every reload from server.js
+ * Returns true if the menu changed
  */
 function setDynamicMenu(sheetData) {
-  if (sheetData && sheetData.menuText && sheetData.menuItems) {
-    dynamicMenuText = sheetData.menuText;
-    dynamicMenuItems = sheetData.menuItems;
-    console.log(`✅ Dynamic menu set: ${dynamicMenuItems.length} items`);
+  if (!sheetData || !sheetData.menu || Object.keys(sheetData.menu).length === 0) {
+    return false;
+  }
+
+  const modifiers = { ...modifierCatalog };
+  for (const [name, mod] of Object.entries(sheetData.modifiers || {})) {
+    modifiers[name] = {
+      group: modifierCatalog[name]?.group || 'other',
+      price: mod.price ?? modifierCatalog[name]?.price ?? 0,
+    };
+  }
+
+  const changed = JSON.stringify([sheetData.menu, modifiers]) !== JSON.stringify([dynamicMenu, dynamicModifiers]);
+  dynamicMenu = sheetData.menu;
+  dynamicModifiers = modifiers;
+
+  if (changed) {
+    console.log(`✅ Dynamic menu set: ${Object.keys(dynamicMenu).length} items`);
+    _notifyMenuChange();
+  }
+  return changed;
+}
+
+/**
+ * Mark an item sold out (available = false) or back in stock mid-service
+ * Returns the matched menu item name, or null if not on the menu
+ */
+function setItemAvailability(itemName, available) {
+  const found = _findMenuItem(itemName);
+  if (!found) return null;
+
+  if (available && found.data.available !== false) {
+    availabilityOverrides.delete(found.name); // back to what the menu says
+  } else {
+    availabilityOverrides.set(found.name, !!available);
+  }
+
+  console.log(`${available ? '✅' : '🚫'} ${found.name} marked ${available ? 'available' : 'sold out'}`);
+  _notifyMenuChange();
+  return found.name;
+}
+
+/**
+ * Names of items currently sold out
+ */
+function getSoldOutItems() {
+  const menu = getMenu();
+  return Object.keys(menu).filter(name => menu[name].available === false);
+}
+
+/**
+ * Subscribe to menu changes (reloads and sold-out updates)
+ * Returns an unsubscribe function
+ */
+function onMenuChange(listener) {
+  menuChangeListeners.add(listener);
+  return () => menuChangeListeners.delete(listener);
+}
+
+function _notifyMenuChange() {
+  for (const listener of menuChangeListeners) {
+    try {
+      listener();
+    } catch (error) {
+      console.error('❌ Menu change listener error:', error.message);
+    }
+  }
+}
+
+/**
+ * Apply availability overrides to a menu object
+ */
+function _withAvailability(menu) {
+  if (availabilityOverrides.size === 0) return menu;
+  const result = {};
+  for (const [name, item] of Object.entries(menu)) {
+    result[name] = availabilityOverrides.has(name)
+      ? { ...item, available: availabilityOverrides.get(name) }
+      : item;
   }
+  return result;
 }
 
+// ── Modifiers (customizations) ──
+// price is added to the item's unit price; only one modifier per single-choice group
+const modifierCatalog = {
+  'whole milk':         { group: 'milk', price: 0 },
+  'skim milk':          { group: 'milk', price: 0 },
+  'oat milk':           { group: 'milk', price: 0.70 },
+  'almond milk':        { group: 'milk', price: 0.70 },
+  'extra shot':         { group: 'espresso', price: 1.00 },
+  'decaf':              { group: 'espresso', price: 0 },
+  'vanilla syrup':      { group: 'syrup', price: 0.60 },
+  'caramel syrup':      { group: 'syrup', price: 0.60 },
+  'hazelnut syrup':     { group: 'syrup', price: 0.60 },
+  'sugar free vanilla': { group: 'syrup', price: 0.60 },
+  'iced':               { group: 'temperature', price: 0 },
+  'whipped cream':      { group: 'topping', price: 0.50 },
+  'raspberry filling':  { group: 'filling', price: 0 },
+  'strawberry filling': { group: 'filling', price: 0 },
+  'lemon filling':      { group: 'filling', price: 0 },
+  'glazed':             { group: 'flavor', price: 0 },
+  'cinnamon sugar':     { group: 'flavor', price: 0 },
+  'powdered sugar':     { group: 'flavor', price: 0 },
+  'warmed':             { group: 'prep', price: 0 },
+  'toasted':            { group: 'prep', price: 0 },
+  'extra cream cheese': { group: 'spread', price: 0.75 },
+  'butter':             { group: 'spread', price: 0.25 },
+};
+const singleChoiceGroups = ['milk', 'filling', 'flavor', 'temperature'];
+
+const COFFEE_MODS   = ['whole milk', 'skim milk', 'oat milk', 'almond milk', 'decaf', 'vanilla syrup', 'caramel syrup', 'hazelnut syrup', 'sugar free vanilla'];
+const ESPRESSO_MODS = ['whole milk', 'skim milk', 'oat milk', 'almond milk', 'extra shot', 'decaf', 'vanilla syrup', 'caramel syrup', 'hazelnut syrup', 'sugar free vanilla', 'iced'];
+const MILK_DRINK_MODS = ['whole milk', 'skim milk', 'oat milk', 'almond milk', 'vanilla syrup', 'caramel syrup', 'hazelnut syrup', 'whipped cream', 'iced'];
+const DONUT_MODS    = ['warmed'];
+const JELLY_MODS    = ['raspberry filling', 'strawberry filling', 'lemon filling', 'warmed'];
+const HOLE_MODS     = ['glazed', 'cinnamon sugar', 'powdered sugar'];
+const BAKERY_MODS   = ['warmed', 'butter'];
+const BAGEL_MODS    = ['toasted', 'butter', 'extra cream cheese'];
+
+// ── Mixed boxes (build-your-own half-dozen / dozen) ──
+// Any donut sold by the half-dozen/dozen can go in a box; premium flavors
+// carry a per-donut boxSurcharge on top of the box price
+const boxConfig = {
+  'half-dozen': { count: 6, price: 12.99 },
+  dozen:        { count: 12, price: 22.99 },
+};
+
 // ── Hardcoded fallback menu ──
+// category drives per-category tax rates (see src/config/tax.js)
 const fallbackMenu = {
-  'glazed donut':           { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.49, 'half-dozen': 12.99, dozen: 22.99 } },
-  'chocolate frosted donut':{ sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.99, 'half-dozen': 15.99, dozen: 27.99 } },
-  'boston cream donut':      { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 3.49, 'half-dozen': 18.99, dozen: 33.99 } },
-  'maple bar':              { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 3.29, 'half-dozen': 17.99, dozen: 31.99 } },
-  'jelly filled donut':     { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 3.29, 'half-dozen': 17.99, dozen: 31.99 } },
-  'sprinkle donut':         { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.79, 'half-dozen': 14.99, dozen: 25.99 } },
-  'old fashioned donut':    { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.79, 'half-dozen': 14.99, dozen: 25.99 } },
-  'apple fritter':          { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 3.99, 'half-dozen': 21.99, dozen: 39.99 } },
-  'cruller':                { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.99, 'half-dozen': 15.99, dozen: 27.99 } },
-  'cinnamon sugar donut':   { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.79, 'half-dozen': 14.99, dozen: 25.99 } },
-  'blueberry cake donut':   { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 3.29, 'half-dozen': 17.99, dozen: 31.99 } },
-  'donut holes':            { sizes: ['small', 'large'], priceMap: { small: 4.99, large: 8.99 } },
-  'muffin':                 { sizes: ['regular'], priceMap: { regular: 3.49 } },
-  'croissant':              { sizes: ['regular'], priceMap: { regular: 3.99 } },
-  'bagel':                  { sizes: ['regular'], priceMap: { regular: 2.99 } },
-  'bagel with cream cheese':{ sizes: ['regular'], priceMap: { regular: 4.49 } },
-  'coffee':                 { sizes: ['small', 'medium', 'large'], priceMap: { small: 2.49, medium: 3.29, large: 3.99 } },
-  'iced coffee':            { sizes: ['small', 'medium', 'large'], priceMap: { small: 3.29, medium: 3.99, large: 4.79 } },
-  'espresso':               { sizes: ['single', 'double'], priceMap: { single: 2.99, double: 3.99 } },
-  'latte':                  { sizes: ['small', 'medium', 'large'], priceMap: { small: 4.29, medium: 4.99, large: 5.79 } },
-  'cappuccino':             { sizes: ['small', 'medium', 'large'], priceMap: { small: 4.29, medium: 4.99, large: 5.79 } },
-  'hot chocolate':          { sizes: ['small', 'medium', 'large'], priceMap: { small: 3.49, medium: 4.29, large: 4.99 } },
-  'chai latte':             { sizes: ['small', 'medium', 'large'], priceMap: { small: 4.49, medium: 5.29, large: 5.99 } },
-  'matcha latte':           { sizes: ['small', 'medium', 'large'], priceMap: { small: 4.99, medium: 5.79, large: 6.49 } },
-  'orange juice':           { sizes: ['regular'], priceMap: { regular: 3.49 } },
-  'milk':                   { sizes: ['regular'], priceMap: { regular: 2.49 } },
-  'water':                  { sizes: ['regular'], priceMap: { regular: 1.99 } },
+  'glazed donut':           { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.49, 'half-dozen': 12.99, dozen: 22.99 }, modifiers: DONUT_MODS, category: 'Donuts' },
+  'chocolate frosted donut':{ sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.99, 'half-dozen': 15.99, dozen: 27.99 }, modifiers: DONUT_MODS, category: 'Donuts' },
+  'boston cream donut':      { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 3.49, 'half-dozen': 18.99, dozen: 33.99 }, modifiers: DONUT_MODS, boxSurcharge: 0.75, category: 'Donuts' },
+  'maple bar':              { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 3.29, 'half-dozen': 17.99, dozen: 31.99 }, modifiers: DONUT_MODS, boxSurcharge: 0.50, category: 'Donuts' },
+  'jelly filled donut':     { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 3.29, 'half-dozen': 17.99, dozen: 31.99 }, modifiers: JELLY_MODS, boxSurcharge: 0.50, category: 'Donuts' },
+  'sprinkle donut':         { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.79, 'half-dozen': 14.99, dozen: 25.99 }, modifiers: DONUT_MODS, category: 'Donuts' },
+  'old fashioned donut':    { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.79, 'half-dozen': 14.99, dozen: 25.99 }, modifiers: DONUT_MODS, category: 'Donuts' },
+  'apple fritter':          { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 3.99, 'half-dozen': 21.99, dozen: 39.99 }, modifiers: DONUT_MODS, boxSurcharge: 1.25, category: 'Donuts' },
+  'cruller':                { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.99, 'half-dozen': 15.99, dozen: 27.99 }, modifiers: DONUT_MODS, category: 'Donuts' },
+  'cinnamon sugar donut':   { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 2.79, 'half-dozen': 14.99, dozen: 25.99 }, modifiers: DONUT_MODS, category: 'Donuts' },
+  'blueberry cake donut':   { sizes: ['single', 'half-dozen', 'dozen'], priceMap: { single: 3.29, 'half-dozen': 17.99, dozen: 31.99 }, modifiers: DONUT_MODS, boxSurcharge: 0.50, category: 'Donuts' },
+  'donut holes':            { sizes: ['small', 'large'], priceMap: { small: 4.99, large: 8.99 }, modifiers: HOLE_MODS, category: 'Donut Holes' },
+  'muffin':                 { sizes: ['regular'], priceMap: { regular: 3.49 }, modifiers: BAKERY_MODS, category: 'Bakery' },
+  'croissant':              { sizes: ['regular'], priceMap: { regular: 3.99 }, modifiers: BAKERY_MODS, category: 'Bakery' },
+  'bagel':                  { sizes: ['regular'], priceMap: { regular: 2.99 }, modifiers: BAGEL_MODS, category: 'Bakery' },
+  'bagel with cream cheese':{ sizes: ['regular'], priceMap: { regular: 4.49 }, modifiers: BAGEL_MODS, category: 'Bakery' },
+  'coffee':                 { sizes: ['small', 'medium', 'large'], priceMap: { small: 2.49, medium: 3.29, large: 3.99 }, modifiers: COFFEE_MODS, category: 'Coffee & Drinks' },
+  'iced coffee':            { sizes: ['small', 'medium', 'large'], priceMap: { small: 3.29, medium: 3.99, large: 4.79 }, modifiers: COFFEE_MODS, category: 'Coffee & Drinks' },
+  'espresso':               { sizes: ['single', 'double'], priceMap: { single: 2.99, double: 3.99 }, modifiers: ['decaf'], category: 'Coffee & Drinks' },
+  'latte':                  { sizes: ['small', 'medium', 'large'], priceMap: { small: 4.29, medium: 4.99, large: 5.79 }, modifiers: ESPRESSO_MODS, category: 'Coffee & Drinks' },
+  'cappuccino':             { sizes: ['small', 'medium', 'large'], priceMap: { small: 4.29, medium: 4.99, large: 5.79 }, modifiers: ESPRESSO_MODS, category: 'Coffee & Drinks' },
+  'hot chocolate':          { sizes: ['small', 'medium', 'large'], priceMap: { small: 3.49, medium: 4.29, large: 4.99 }, modifiers: MILK_DRINK_MODS, category: 'Coffee & Drinks' },
+  'chai latte':             { sizes: ['small', 'medium', 'large'], priceMap: { small: 4.49, medium: 5.29, large: 5.99 }, modifiers: MILK_DRINK_MODS, category: 'Coffee & Drinks' },
+  'matcha latte':           { sizes: ['small', 'medium', 'large'], priceMap: { small: 4.99, medium: 5.79, large: 6.49 }, modifiers: MILK_DRINK_MODS, category: 'Coffee & Drinks' },
+  'orange juice':           { sizes: ['regular'], priceMap: { regular: 3.49 }, category: 'Bottled Drinks' },
+  'milk':                   { sizes: ['regular'], priceMap: { regular: 2.49 }, category: 'Bottled Drinks' },
+  'water':                  { sizes: ['regular'], priceMap: { regular: 1.99 }, category: 'Bottled Drinks' },
 };
 
 /**
@@ -56,75 +184,177 @@ const fallbackMenu = {
  * Prefers dynamic (Google Sheets) menu if available.
  */
 function getMenuText() {
-  if (dynamicMenuText) {
-    return dynamicMenuText;
+  if (dynamicMenu) {
+    return _buildMenuText(_withAvailability(dynamicMenu));
   }
-  return _buildFallbackMenuText();
+  return _buildFallbackMenuText(_withAvailability(fallbackMenu));
 }
 
-function _buildFallbackMenuText() {
+/**
+ * Build prompt text for a sheet-driven menu, grouped by category
+ */
+function _buildMenuText(menu) {
+  const byCategory = new Map();
+  const soldOut = [];
+  for (const [name, item] of Object.entries(menu)) {
+    if (item.available === false) {
+      soldOut.push(name);
+      continue;
+    }
+    const category = item.category || 'Other';
+    if (!byCategory.has(category)) byCategory.set(category, []);
+    byCategory.get(category).push([name, item]);
+  }
+
   const lines = [];
+  for (const [category, items] of byCategory) {
+    lines.push(`\n${category.toUpperCase()}:`);
+    for (const [name, item] of items) {
+      const prices = item.sizes.length === 1 && item.sizes[0] === 'regular'
+        ? `$${item.priceMap.regular.toFixed(2)}`
+        : item.sizes.map(s => `${s} $${item.priceMap[s].toFixed(2)}`).join(', ');
+      const desc = item.description ? ` — ${item.description}` : '';
+      lines.push(`  - ${name}: ${prices}${desc}`);
+    }
+  }
+
+  const hasBoxFlavors = Object.values(menu).some(item =>
+    item.available !== false && Object.keys(boxConfig).every(size => item.sizes.includes(size)));
+  if (hasBoxFlavors) {
+    lines.push(`\nMIXED BOXES (mix any donuts sold by the half-dozen/dozen): ${_buildBoxText(menu)}`);
+  }
+
+  const modifierLines = _buildModifierLines(menu);
+  if (modifierLines.length > 0) {
+    lines.push('\nCUSTOMIZATIONS (price added per item):');
+    lines.push(...modifierLines);
+  }
+
+  if (soldOut.length > 0) {
+    lines.push(`\nSOLD OUT TODAY (do not offer): ${soldOut.join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+function _buildFallbackMenuText(menu) {
+  const lines = [];
+  const available = (names) => names.filter(n => menu[n].available !== false);
   const donutNames = ['glazed donut','chocolate frosted donut','boston cream donut','maple bar',
     'jelly filled donut','sprinkle donut','old fashioned donut','apple fritter','cruller',
     'cinnamon sugar donut','blueberry cake donut'];
 
   lines.push('DONUTS (single, half-dozen, or dozen):');
-  donutNames.forEach(n => {
-    const it = fallbackMenu[n];
+  available(donutNames).forEach(n => {
+    const it = menu[n];
     lines.push(`  - ${n}: ${it.sizes.map(s => `${s} $${it.priceMap[s].toFixed(2)}`).join(', ')}`);
   });
 
-  lines.push('\nDONUT HOLES:');
-  const h = fallbackMenu['donut holes'];
-  lines.push(`  - donut holes: small (25pc) $${h.priceMap.small.toFixed(2)}, large (50pc) $${h.priceMap.large.toFixed(2)}`);
+  lines.push(`\nMIXED BOXES (mix any donuts above): ${_buildBoxText(menu)}`);
+
+  if (available(['donut holes']).length > 0) {
+    lines.push('\nDONUT HOLES:');
+    const h = menu['donut holes'];
+    lines.push(`  - donut holes: small (25pc) $${h.priceMap.small.toFixed(2)}, large (50pc) $${h.priceMap.large.toFixed(2)}`);
+  }
 
   lines.push('\nBAKERY:');
-  ['muffin','croissant','bagel','bagel with cream cheese'].forEach(n => {
-    lines.push(`  - ${n}: $${fallbackMenu[n].priceMap[Object.keys(fallbackMenu[n].priceMap)[0]].toFixed(2)}`);
+  available(['muffin','croissant','bagel','bagel with cream cheese']).forEach(n => {
+    lines.push(`  - ${n}: $${menu[n].priceMap[Object.keys(menu[n].priceMap)[0]].toFixed(2)}`);
   });
 
   lines.push('\nCOFFEE:');
-  ['coffee','iced coffee','espresso','latte','cappuccino'].forEach(n => {
-    const it = fallbackMenu[n];
+  available(['coffee','iced coffee','espresso','latte','cappuccino']).forEach(n => {
+    const it = menu[n];
     lines.push(`  - ${n}: ${it.sizes.map(s => `${s} $${it.priceMap[s].toFixed(2)}`).join(', ')}`);
   });
 
   lines.push('\nSPECIALTY DRINKS:');
-  ['hot chocolate','chai latte','matcha latte'].forEach(n => {
-    const it = fallbackMenu[n];
+  available(['hot chocolate','chai latte','matcha latte']).forEach(n => {
+    const it = menu[n];
     lines.push(`  - ${n}: ${it.sizes.map(s => `${s} $${it.priceMap[s].toFixed(2)}`).join(', ')}`);
   });
 
   lines.push('\nOTHER:');
-  ['orange juice','milk','water'].forEach(n => {
-    lines.push(`  - ${n}: $${fallbackMenu[n].priceMap[Object.keys(fallbackMenu[n].priceMap)[0]].toFixed(2)}`);
+  available(['orange juice','milk','water']).forEach(n => {
+    lines.push(`  - ${n}: $${menu[n].priceMap[Object.keys(menu[n].priceMap)[0]].toFixed(2)}`);
   });
 
+  lines.push('\nCUSTOMIZATIONS (price added per item):');
+  lines.push(..._buildModifierLines(menu));
+
+  const soldOut = Object.keys(menu).filter(n => menu[n].available === false);
+  if (soldOut.length > 0) {
+    lines.push(`\nSOLD OUT TODAY (do not offer): ${soldOut.join(', ')}`);
+  }
+
   return lines.join('\n');
 }
 
+/**
+ * Describe box prices and premium-flavor surcharges in one line
+ */
+function _buildBoxText(menu) {
+  const prices = Object.entries(boxConfig).map(([size, box]) => `${size} box (${box.count}) $${box.price.toFixed(2)}`);
+  const premium = Object.entries(menu)
+    .filter(([, item]) => item.boxSurcharge > 0 && item.available !== false)
+    .map(([name, item]) => `${name} +$${item.boxSurcharge.toFixed(2)}`);
+  const premiumText = premium.length > 0 ? `; premium flavors add per donut: ${premium.join(', ')}` : '';
+  return `${prices.join(', ')}${premiumText}`;
+}
+
+/**
+ * List allowed modifiers, grouping items that share the same modifier list
+ */
+function _buildModifierLines(menu) {
+  const groups = new Map(); // modifier list key -> { modifiers, items }
+  for (const [name, item] of Object.entries(menu)) {
+    if (!item.modifiers || item.modifiers.length === 0 || item.available === false) continue;
+    const key = item.modifiers.join('|');
+    if (!groups.has(key)) {
+      groups.set(key, { modifiers: item.modifiers, items: [] });
+    }
+    groups.get(key).items.push(name);
+  }
+
+  const lines = [];
+  for (const { modifiers, items } of groups.values()) {
+    const mods = modifiers.map(m => {
+      const price = _getModifierCatalog()[m]?.price || 0;
+      return price > 0 ? `${m} +$${price.toFixed(2)}` : m;
+    });
+    lines.push(`  - ${items.join(', ')}: ${mods.join(', ')}`);
+  }
+  return lines;
+}
+
 /**
  * Find menu item by name (case-insensitive, fuzzy matching).
  * Checks dynamic menu first, then falls back to hardcoded.
+ * The returned data reflects items marked sold out mid-service.
  */
 function findMenuItem(itemName) {
+  const found = _findMenuItem(itemName);
+  if (!found || !availabilityOverrides.has(found.name)) return found;
+  return { name: found.name, data: { ...found.data, available: availabilityOverrides.get(found.name) } };
+}
+
+function _findMenuItem(itemName) {
   if (!itemName) return null;
   const lowerName = itemName.toLowerCase().trim();
 
   // Try dynamic menu first
-  if (dynamicMenuItems) {
-    const exact = dynamicMenuItems.find(it => it.name.toLowerCase() === lowerName);
-    if (exact) {
-      return { name: exact.name, data: { sizes: ['regular'], priceMap: { regular: exact.price } } };
+  if (dynamicMenu) {
+    if (dynamicMenu[lowerName]) {
+      return { name: lowerName, data: dynamicMenu[lowerName] };
     }
     // Fuzzy: check if search words appear in item name
     const words = lowerName.split(/\s+/);
-    const fuzzy = dynamicMenuItems.find(it => {
-      const itemWords = it.name.toLowerCase().split(/\s+/);
-      return words.every(w => itemWords.some(iw => iw.includes(w) || w.includes(iw)));
-    });
-    if (fuzzy) {
-      return { name: fuzzy.name, data: { sizes: ['regular'], priceMap: { regular: fuzzy.price } } };
+    for (const key in dynamicMenu) {
+      const itemWords = key.split(/\s+/);
+      if (words.every(w => itemWords.some(iw => iw.includes(w) || w.includes(iw)))) {
+        return { name: key, data: dynamicMenu[key] };
+      }
     }
   }
 
@@ -159,8 +389,80 @@ function getPrice(itemName, size = 'single') {
   return firstKey ? pm[firstKey] : null;
 }
 
+/**
+ * Get the active menu object (Menu sheet if loaded, else hardcoded fallback)
+ */
 function getMenu() {
-  return fallbackMenu;
+  return _withAvailability(dynamicMenu || fallbackMenu);
+}
+
+/**
+ * Modifier catalog in effect (Menu sheet prices override the hardcoded ones)
+ */
+function _getModifierCatalog() {
+  return dynamicModifiers || modifierCatalog;
+}
+
+/**
+ * Find a modifier by name (case-insensitive, fuzzy matching).
+ * "oat" -> "oat milk", "vanilla" -> "vanilla syrup"
+ */
+function findModifier(modifierName) {
+  if (!modifierName) return null;
+  const lowerName = modifierName.toLowerCase().trim();
+  const catalog = _getModifierCatalog();
+
+  if (catalog[lowerName]) {
+    return { name: lowerName, data: catalog[lowerName] };
+  }
+  const words = lowerName.split(/\s+/);
+  for (const key in catalog) {
+    const modWords = key.split(/\s+/);
+    if (words.every(w => modWords.some(mw => mw.includes(w) || w.includes(mw)))) {
+      return { name: key, data: catalog[key] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the modifier names allowed on a menu item (empty if none)
+ */
+function getAllowedModifiers(itemName) {
+  const found = findMenuItem(itemName);
+  return found?.data.modifiers || [];
+}
+
+/**
+ * Get the count and price of a mixed box size ('half-dozen' or 'dozen')
+ */
+function getBoxConfig(size) {
+  return boxConfig[size] || null;
+}
+
+/**
+ * Check whether a menu item can go in a mixed box (sold by the half-dozen/dozen)
+ */
+function isBoxFlavor(itemName) {
+  const found = findMenuItem(itemName);
+  return !!found && found.data.available !== false &&
+    Object.keys(boxConfig).every(size => found.data.sizes.includes(size));
+}
+
+/**
+ * Check whether a menu item is available today (not marked sold out)
+ */
+function isItemAvailable(itemName) {
+  const found = findMenuItem(itemName);
+  return !!found && found.data.available !== false;
+}
+
+/**
+ * Check whether only one modifier from a group can be chosen (e.g. one milk)
+ */
+function isSingleChoiceGroup(group) {
+  return singleChoiceGroups.includes(group);
 }
 
 module.exports = {
@@ -168,5 +470,14 @@ module.exports = {
   getMenuText,
   findMenuItem,
   getPrice,
+  findModifier,
+  getAllowedModifiers,
+  isSingleChoiceGroup,
+  getBoxConfig,
+  isBoxFlavor,
+  isItemAvailable,
+  setItemAvailability,
+  getSoldOutItems,
+  onMenuChange,
   setDynamicMenu,
 };
@@ -0,0 +1,94 @@
+/**
+ * Promotions Configuration
+ * Automatic deals and caller-spoken promo codes
+ * for Glazed and Confused donut shop
+ *
+ * No deals run by default. Set them up with a JSON file at PROMOTIONS_PATH:
+ * {
+ *   "rules": [
+ *     { "id": "bakers-dozen", "type": "buy-n-get-one", "name": "Baker's dozen",
+ *       "buy": { "size": "dozen", "category": "Donuts" }, "buyQuantity": 1,
+ *       "get": { "size": "single", "category": "Donuts" }, "free": 1 },
+ *     { "id": "dozen-coffee", "type": "combo", "name": "Dozen + coffee",
+ *       "items": [{ "item": "glazed donut", "size": "dozen" }, { "item": "coffee", "size": "medium" }], "price": 24.99 },
+ *     { "id": "happy-hour", "type": "percent", "name": "Happy hour", "percent": 20,
+ *       "match": { "category": "Donuts" }, "days": ["monday", "friday"], "start": "13:00", "end": "14:00" }
+ *   ],
+ *   "codes": [
+ *     { "code": "FUNDRAISER10", "name": "Fundraiser 10% off", "percent": 10 },
+ *     { "code": "SWEET5", "name": "$5 off $25", "amount": 5, "minSubtotal": 25, "expires": "2026-12-31" }
+ *   ]
+ * }
+ *
+ * Item matchers ("buy", "get", "items", "match") use any of: item (menu name), category, size.
+ * Combos take a fixed "price" or a "discount" off the items' combined price.
+ */
+
+const fs = require('fs');
+
+// No deals unless PROMOTIONS_PATH sets some up
+const defaultPromotions = {
+  rules: [],
+  codes: [],
+};
+
+let promotions = loadPromotions();
+
+/**
+ * Load promotions from PROMOTIONS_PATH (if set), falling back to defaults
+ */
+function loadPromotions() {
+  const path = process.env.PROMOTIONS_PATH;
+  if (!path) return defaultPromotions;
+
+  try {
+    const loaded = JSON.parse(fs.readFileSync(path, 'utf-8'));
+    console.log(`✅ Promotions loaded from ${path}: ${(loaded.rules || []).length} rules, ${(loaded.codes || []).length} codes`);
+    return { rules: loaded.rules || [], codes: loaded.codes || [] };
+  } catch (error) {
+    console.error(`❌ Failed to load promotions from ${path}:`, error.message);
+    return defaultPromotions;
+  }
+}
+
+/**
+ * Replace promotions at runtime (also used by tests)
+ */
+function setPromotions(config) {
+  promotions = { rules: config?.rules || [], codes: config?.codes || [] };
+}
+
+function getPromotions() {
+  return promotions;
+}
+
+/**
+ * Look up a promo code (case- and space-insensitive), or null
+ */
+function findPromoCode(code) {
+  const normalized = normalizeCode(code);
+  return promotions.codes.find(c => normalizeCode(c.code) === normalized) || null;
+}
+
+/**
+ * "sweet 5" -> "SWEET5"
+ */
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Automatic deals for the agent to mention (codes are never listed — callers have to know them)
+ */
+function getPromotionsText() {
+  if (promotions.rules.length === 0) return 'No automatic deals right now.';
+  return promotions.rules.map(rule => `- ${rule.name}`).join('\n');
+}
+
+module.exports = {
+  getPromotions,
+  setPromotions,
+  findPromoCode,
+  normalizeCode,
+  getPromotionsText,
+};
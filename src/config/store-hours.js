@@ -0,0 +1,282 @@
+/**
+ * Store Hours Configuration
+ * Weekly hours, holiday exceptions and early (sold-out) closures,
+ * evaluated in the store's timezone.
+ * for Glazed and Confused donut shop
+ *
+ * Override the defaults with a JSON file at STORE_SCHEDULE_PATH:
+ * {
+ *   "timezone": "America/New_York",
+ *   "afterHours": "message",            // "message" = play hours and hang up, "preorder" = take pre-orders
+ *   "weekly": { "monday": { "open": "06:00", "close": "14:00" }, "sunday": null, ... },
+ *   "holidays": { "2026-12-25": { "closed": true, "name": "Christmas" },
+ *                 "2026-12-24": { "open": "06:00", "close": "11:00", "name": "Christmas Eve" } },
+ *   "pickup": { "minLeadMinutes": 15, "maxDaysAhead": 14,
+ *               "largeOrderLeadTimes": [{ "minDozens": 4, "hours": 24 }], "cancelCutoffMinutes": 30 }
+ * }
+ */
+
+const fs = require('fs');
+const { DAYS, localParts, zonedTime, addDays, weekdayOf, minutesToClock } = require('../utils/timezone');
+
+const defaultSchedule = {
+  timezone: 'America/New_York',
+  afterHours: 'message',
+  weekly: {
+    monday:    { open: '06:00', close: '14:00' },
+    tuesday:   { open: '06:00', close: '14:00' },
+    wednesday: { open: '06:00', close: '14:00' },
+    thursday:  { open: '06:00', close: '14:00' },
+    friday:    { open: '06:00', close: '14:00' },
+    saturday:  { open: '07:00', close: '14:00' },
+    sunday:    { open: '07:00', close: '12:00' },
+  },
+  holidays: {},
+  pickup: {
+    minLeadMinutes: 15,   // earliest scheduled pickup from now
+    maxDaysAhead: 14,     // furthest out a pickup can be scheduled
+    largeOrderLeadTimes: [{ minDozens: 4, hours: 24 }], // notice needed for big orders
+    cancelCutoffMinutes: 30, // callers can't cancel closer than this to pickup
+  },
+};
+
+let schedule = loadSchedule();
+let earlyClosure = null; // { date: 'YYYY-MM-DD', reason, at } — closed for the rest of that day
+
+/**
+ * Load the schedule from STORE_SCHEDULE_PATH (if set), falling back to defaults
+ */
+function loadSchedule() {
+  const path = process.env.STORE_SCHEDULE_PATH;
+  let loaded = {};
+
+  if (path) {
+    try {
+      loaded = JSON.parse(fs.readFileSync(path, 'utf-8'));
+      console.log(`✅ Store schedule loaded from ${path}`);
+    } catch (error) {
+      console.error(`❌ Failed to load store schedule from ${path}:`, error.message);
+    }
+  }
+
+  return {
+    ...defaultSchedule,
+    ...loaded,
+    timezone: process.env.STORE_TIMEZONE || loaded.timezone || defaultSchedule.timezone,
+    afterHours: process.env.AFTER_HOURS_MODE || loaded.afterHours || defaultSchedule.afterHours,
+  };
+}
+
+/**
+ * Replace the schedule at runtime (also used by tests)
+ */
+function setSchedule(newSchedule) {
+  schedule = { ...defaultSchedule, ...newSchedule };
+  earlyClosure = null;
+}
+
+function getSchedule() {
+  return schedule;
+}
+
+/**
+ * Scheduled pickup rules (lead times), with defaults for anything not overridden
+ */
+function getPickupRules() {
+  return { ...defaultSchedule.pickup, ...schedule.pickup };
+}
+
+/**
+ * Close for the rest of today (e.g. sold out early)
+ */
+function closeEarly(reason = 'sold out', now = new Date()) {
+  earlyClosure = { date: _localParts(now).date, reason, at: now.toISOString() };
+  console.log(`🚪 Store closed early for ${earlyClosure.date}: ${reason}`);
+  return earlyClosure;
+}
+
+/**
+ * Undo an early closure
+ */
+function reopen() {
+  earlyClosure = null;
+  console.log('🚪 Early closure cleared');
+}
+
+/**
+ * Open/close times for a local date ('YYYY-MM-DD'), or null if closed all day.
+ * Holiday exceptions win over weekly hours.
+ */
+function getHoursForDate(date) {
+  const holiday = schedule.holidays?.[date];
+  if (holiday) {
+    if (holiday.closed || !holiday.open || !holiday.close) return null;
+    return { open: holiday.open, close: holiday.close, name: holiday.name || null };
+  }
+  const hours = schedule.weekly?.[weekdayOf(date)];
+  return hours ? { open: hours.open, close: hours.close, name: null } : null;
+}
+
+/**
+ * Current store status:
+ * { open, reason ('open' | 'closed' | 'holiday' | 'closed-early'), closesAt, minutesUntilClose, nextOpen, note }
+ */
+function getStoreStatus(now = new Date()) {
+  const today = _localParts(now).date;
+  const hours = getHoursForDate(today);
+  const closedEarly = earlyClosure && earlyClosure.date === today;
+
+  if (hours && !closedEarly) {
+    const opensAt = _zonedTime(today, hours.open);
+    const closesAt = _zonedTime(today, hours.close);
+    if (now >= opensAt && now < closesAt) {
+      return {
+        open: true,
+        reason: 'open',
+        closesAt,
+        minutesUntilClose: Math.floor((closesAt - now) / 60000),
+        nextOpen: null,
+        note: hours.name,
+      };
+    }
+  }
+
+  const holiday = schedule.holidays?.[today];
+  let reason = 'closed';
+  let note = null;
+  if (closedEarly) {
+    reason = 'closed-early';
+    note = earlyClosure.reason;
+  } else if (holiday && !hours) {
+    reason = 'holiday';
+    note = holiday.name || null;
+  }
+
+  return { open: false, reason, closesAt: null, minutesUntilClose: 0, nextOpen: getNextOpening(now), note };
+}
+
+/**
+ * Check whether the store is open at a given moment (ignores early closures on other days)
+ */
+function isOpenAt(date) {
+  const local = _localParts(date);
+  if (earlyClosure && earlyClosure.date === local.date && date >= new Date(earlyClosure.at)) return false;
+  const hours = getHoursForDate(local.date);
+  if (!hours) return false;
+  return date >= _zonedTime(local.date, hours.open) && date < _zonedTime(local.date, hours.close);
+}
+
+/**
+ * Next time the store opens after `now` (looks ahead up to two weeks)
+ */
+function getNextOpening(now = new Date()) {
+  const today = _localParts(now).date;
+  for (let i = 0; i < 14; i++) {
+    const date = addDays(today, i);
+    if (earlyClosure && earlyClosure.date === date) continue;
+    const hours = getHoursForDate(date);
+    if (!hours) continue;
+    const opensAt = _zonedTime(date, hours.open);
+    if (opensAt > now) return opensAt;
+  }
+  return null;
+}
+
+/**
+ * Closing time on the local day of `date`, or null if closed that day
+ */
+function getClosingTime(date) {
+  const local = _localParts(date);
+  const hours = getHoursForDate(local.date);
+  return hours ? _zonedTime(local.date, hours.close) : null;
+}
+
+/**
+ * Spoken weekly hours, e.g. "Monday through Friday 6 AM to 2 PM; Saturday 7 AM to 2 PM; closed Sunday"
+ */
+function formatWeeklyHours() {
+  const describe = (hours) => (hours ? `${_formatClock(hours.open)} to ${_formatClock(hours.close)}` : 'closed');
+  const runs = [];
+  for (const day of DAYS) {
+    const text = describe(schedule.weekly?.[day]);
+    const last = runs[runs.length - 1];
+    if (last && last.text === text) {
+      last.end = day;
+    } else {
+      runs.push({ start: day, end: day, text });
+    }
+  }
+
+  const cap = (day) => day.charAt(0).toUpperCase() + day.slice(1);
+  return runs.map(run => {
+    const days = run.start === run.end ? cap(run.start) : `${cap(run.start)} through ${cap(run.end)}`;
+    return run.text === 'closed' ? `closed ${days}` : `${days} ${run.text}`;
+  }).join('; ');
+}
+
+/**
+ * Spoken description of a moment relative to now: "today at 2 PM", "tomorrow at 7 AM", "Saturday at 7 AM"
+ * (with the date once it's more than a week out)
+ */
+function describeTime(date, now = new Date()) {
+  if (!date) return 'soon';
+  const local = _localParts(date);
+  const today = _localParts(now).date;
+  const clock = _formatClock(minutesToClock(local.minutes));
+
+  if (local.date === today) return `today at ${clock}`;
+  if (local.date === addDays(today, 1)) return `tomorrow at ${clock}`;
+  const weekday = local.weekday.charAt(0).toUpperCase() + local.weekday.slice(1);
+  if (local.date > addDays(today, 6)) {
+    const day = new Date(date).toLocaleString('en-US', { timeZone: schedule.timezone, month: 'long', day: 'numeric' });
+    return `${weekday}, ${day} at ${clock}`;
+  }
+  return `${weekday} at ${clock}`;
+}
+
+/**
+ * Absolute local date and time for logs and tickets, e.g. "Oct 24, 7:00 AM"
+ */
+function formatLocalTime(date) {
+  return new Date(date).toLocaleString('en-US', {
+    timeZone: schedule.timezone,
+    month: 'short', day: 'numeric',
+    hour: 'numeric', minute: '2-digit', hour12: true,
+  });
+}
+
+// ── Timezone helpers (store timezone) ──
+
+function _localParts(date) {
+  return localParts(date, schedule.timezone);
+}
+
+function _zonedTime(date, time) {
+  return zonedTime(date, time, schedule.timezone);
+}
+
+/**
+ * '06:00' -> '6 AM', '14:30' -> '2:30 PM'
+ */
+function _formatClock(time) {
+  const [hh, mm] = time.split(':').map(Number);
+  const suffix = hh >= 12 ? 'PM' : 'AM';
+  const hour = hh % 12 === 0 ? 12 : hh % 12;
+  return mm === 0 ? `${hour} ${suffix}` : `${hour}:${String(mm).padStart(2, '0')} ${suffix}`;
+}
+
+module.exports = {
+  getSchedule,
+  setSchedule,
+  getPickupRules,
+  closeEarly,
+  reopen,
+  getHoursForDate,
+  getStoreStatus,
+  isOpenAt,
+  getNextOpening,
+  getClosingTime,
+  formatWeeklyHours,
+  describeTime,
+  formatLocalTime,
+};
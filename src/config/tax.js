@@ -0,0 +1,65 @@
+/**
+ * Tax Configuration
+ * Store sales tax: a default rate plus per-category rates (e.g. bakery vs prepared drinks)
+ * for Glazed and Confused donut shop
+ *
+ * Override with a JSON file at TAX_CONFIG_PATH (shape documented in src/services/pricing.js):
+ * { "defaultRate": 0.08, "categoryRates": { "bakery": 0, "coffee & drinks": 0.1 }, "taxDeliveryFee": false }
+ * TAX_RATE overrides the default rate.
+ */
+
+const fs = require('fs');
+const { DEFAULT_TAX_CONFIG } = require('../services/pricing');
+
+let taxConfig = loadTaxConfig();
+
+/**
+ * Load the tax config from TAX_CONFIG_PATH / TAX_RATE, falling back to 8% on everything
+ */
+function loadTaxConfig() {
+  const path = process.env.TAX_CONFIG_PATH;
+  let loaded = {};
+
+  if (path) {
+    try {
+      loaded = JSON.parse(fs.readFileSync(path, 'utf-8'));
+      console.log(`✅ Tax config loaded from ${path}`);
+    } catch (error) {
+      console.error(`❌ Failed to load tax config from ${path}:`, error.message);
+    }
+  }
+
+  const envRate = parseFloat(process.env.TAX_RATE);
+  return _normalize({
+    ...DEFAULT_TAX_CONFIG,
+    ...loaded,
+    ...(isNaN(envRate) ? {} : { defaultRate: envRate }),
+  });
+}
+
+/**
+ * Replace the tax config at runtime (also used by tests)
+ */
+function setTaxConfig(config) {
+  taxConfig = _normalize({ ...DEFAULT_TAX_CONFIG, ...config });
+}
+
+function getTaxConfig() {
+  return taxConfig;
+}
+
+/**
+ * Category keys are matched case-insensitively
+ */
+function _normalize(config) {
+  const categoryRates = {};
+  for (const [category, rate] of Object.entries(config.categoryRates || {})) {
+    categoryRates[category.toLowerCase()] = rate;
+  }
+  return { ...config, categoryRates };
+}
+
+module.exports = {
+  getTaxConfig,
+  setTaxConfig,
+};
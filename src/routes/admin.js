@@ -0,0 +1,228 @@
+/**
+ * Admin Routes
+ * Staff endpoints for running the shop mid-service (all require ADMIN_API_KEY)
+ * for Glazed and Confused donut shop
+ *
+ *   POST /admin/menu/reload                    — re-read the Menu sheet now
+ *   GET  /admin/menu/sold-out                  — list items currently sold out
+ *   POST /admin/menu/items/:item/availability  — { "available": false } to 86 an item
+ *   GET  /admin/store/status                   — open/closed, closing time, next opening
+ *   POST /admin/store/close-early              — { "reason": "sold out" } closes for the rest of today
+ *   POST /admin/store/reopen                   — undo an early closure
+ *   GET  /admin/kitchen/slots                  — upcoming pickup slots and committed dozens
+ *   GET  /admin/campaigns                      — raised so far per fundraiser campaign
+ *   GET  /admin/campaigns/:id                  — one campaign's total and seller leaderboard
+ *   GET  /admin/orders                         — ?status=received,ready&phone=&since=&until=&limit=
+ *   GET  /admin/orders/:ref                    — one order by number (1042) or call SID
+ *   POST /admin/orders/:ref/status             — { "status": "ready", "note": "..." }
+ *   POST /admin/orders/:ref/review             — { "approved": true } sends an order flagged "needs review" to the POS
+ *   GET  /admin/orders/:ref/transcript         — the call's transcript (?format=text for plain text)
+ *   GET  /admin/orders/:ref/recording          — the call's recording (stereo WAV: caller left, agent right)
+ *   GET  /admin/abandoned                      — unfinished orders to call back: ?reason=hung-up&since=&until=&limit=
+ */
+
+const express = require('express');
+const { requireAdmin } = require('../utils/admin-auth');
+const { setItemAvailability, getSoldOutItems } = require('../config/menu');
+const { getStoreStatus, closeEarly, reopen } = require('../config/store-hours');
+const { getCampaigns, getCampaign } = require('../config/campaigns');
+const { ABANDON_REASONS } = require('../services/order-manager');
+
+function createAdminRoutes({
+  reloadMenu,
+  kitchenScheduler = null,
+  campaignTracker = null,
+  orderStore = null,
+  transcriptStore = null,
+  callRecorder = null,
+  approveReview = null,
+  abandonedOrders = null,
+}) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.post('/menu/reload', async (_req, res) => {
+    try {
+      const result = await reloadMenu();
+      res.json({ success: result.loaded, changed: result.changed, soldOut: getSoldOutItems() });
+    } catch (error) {
+      console.error('❌ Menu reload error:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/menu/sold-out', (_req, res) => {
+    res.json({ soldOut: getSoldOutItems() });
+  });
+
+  router.post('/menu/items/:item/availability', (req, res) => {
+    const { available } = req.body || {};
+    if (typeof available !== 'boolean') {
+      return res.status(400).json({ error: 'Body must include "available": true or false' });
+    }
+
+    const name = setItemAvailability(req.params.item, available);
+    if (!name) {
+      return res.status(404).json({ error: `Menu item not found: ${req.params.item}` });
+    }
+
+    res.json({ success: true, item: name, available, soldOut: getSoldOutItems() });
+  });
+
+  router.get('/store/status', (_req, res) => {
+    res.json(getStoreStatus());
+  });
+
+  router.post('/store/close-early', (req, res) => {
+    const closure = closeEarly(req.body?.reason || 'sold out');
+    res.json({ success: true, closure, status: getStoreStatus() });
+  });
+
+  router.post('/store/reopen', (_req, res) => {
+    reopen();
+    res.json({ success: true, status: getStoreStatus() });
+  });
+
+  router.get('/kitchen/slots', (_req, res) => {
+    if (!kitchenScheduler) {
+      return res.status(404).json({ error: 'Kitchen scheduling is disabled' });
+    }
+    res.json({
+      slotMinutes: kitchenScheduler.slotMinutes,
+      dozensPerSlot: kitchenScheduler.dozensPerSlot,
+      slots: kitchenScheduler.getSlots(),
+    });
+  });
+
+  router.get('/campaigns', (_req, res) => {
+    if (!campaignTracker) {
+      return res.status(404).json({ error: 'Campaign tracking is disabled' });
+    }
+    // Configured campaigns with no orders yet still show up, at $0
+    const totals = getCampaigns().map(c => campaignTracker.getTotals(c.id));
+    const retired = campaignTracker.getAllTotals().filter(t => !getCampaign(t.campaignId));
+    const campaigns = [...totals, ...retired]
+      .map(({ leaderboard, ...t }) => t)
+      .sort((a, b) => b.raised - a.raised);
+    res.json({ campaigns });
+  });
+
+  router.get('/campaigns/:id', (req, res) => {
+    if (!campaignTracker) {
+      return res.status(404).json({ error: 'Campaign tracking is disabled' });
+    }
+    const totals = campaignTracker.getTotals(req.params.id);
+    if (!getCampaign(req.params.id) && totals.orders === 0) {
+      return res.status(404).json({ error: `Campaign not found: ${req.params.id}` });
+    }
+    res.json(totals);
+  });
+
+  router.get('/orders', (req, res) => {
+    if (!orderStore) {
+      return res.status(404).json({ error: 'Order store is disabled' });
+    }
+    const { status, phone, since, until, limit } = req.query;
+    const orders = orderStore.list({
+      status: status ? String(status).split(',') : null,
+      phone: phone || null,
+      since: since || null,
+      until: until || null,
+      limit: limit ? parseInt(limit, 10) : 50,
+    });
+    res.json({ count: orders.length, orders });
+  });
+
+  router.get('/orders/:ref', (req, res) => {
+    const order = orderStore?.find(req.params.ref);
+    if (!order) {
+      return res.status(404).json({ error: `Order not found: ${req.params.ref}` });
+    }
+    res.json(order);
+  });
+
+  router.post('/orders/:ref/status', (req, res) => {
+    if (!orderStore?.find(req.params.ref)) {
+      return res.status(404).json({ error: `Order not found: ${req.params.ref}` });
+    }
+    try {
+      const order = orderStore.updateStatus(req.params.ref, req.body?.status, { note: req.body?.note || null });
+      res.json({ success: true, orderNumber: order.orderNumber, status: order.status, statusHistory: order.statusHistory });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/orders/:ref/review', async (req, res) => {
+    if (!approveReview) {
+      return res.status(404).json({ error: 'Order verification is disabled' });
+    }
+    if (!orderStore?.find(req.params.ref)) {
+      return res.status(404).json({ error: `Order not found: ${req.params.ref}` });
+    }
+    if (req.body?.approved !== true) {
+      return res.status(400).json({ error: 'Body must include "approved": true' });
+    }
+    try {
+      const order = await approveReview(req.params.ref);
+      res.json({ success: true, orderNumber: order.orderNumber, review: order.review, posOrderId: order.posOrderId || null });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get('/orders/:ref/transcript', (req, res) => {
+    if (!transcriptStore) {
+      return res.status(404).json({ error: 'Call transcripts are disabled' });
+    }
+    const order = orderStore?.find(req.params.ref);
+    const transcript = transcriptStore.get(order ? order.id : req.params.ref);
+    if (!transcript) {
+      return res.status(404).json({ error: `No transcript for: ${req.params.ref}` });
+    }
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(transcriptStore.format(transcript));
+    }
+    res.json({ orderNumber: order?.orderNumber || null, link: transcriptStore.linkFor(transcript.callSid), ...transcript });
+  });
+
+  router.get('/orders/:ref/recording', (req, res) => {
+    if (!callRecorder) {
+      return res.status(404).json({ error: 'Call recording is disabled' });
+    }
+    const order = orderStore?.find(req.params.ref);
+    const callSid = order ? order.id : req.params.ref;
+    const filePath = callRecorder.find(callSid);
+    if (!filePath) {
+      return res.status(404).json({ error: `No recording for: ${req.params.ref}` });
+    }
+    const name = order?.orderNumber ? `order-${order.orderNumber}-${callSid}.wav` : `${callSid}.wav`;
+    res.download(filePath, name, { headers: { 'Content-Type': 'audio/wav' } });
+  });
+
+  router.get('/abandoned', (req, res) => {
+    if (!abandonedOrders) {
+      return res.status(404).json({ error: 'Order store is disabled' });
+    }
+    const { reason, since, until, limit } = req.query;
+    if (reason && !ABANDON_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Unknown reason "${reason}" — use one of: ${ABANDON_REASONS.join(', ')}` });
+    }
+    const orders = abandonedOrders.list({
+      reason: reason || null,
+      since: since || null,
+      until: until || null,
+      limit: limit ? parseInt(limit, 10) : 50,
+    });
+    const byReason = {};
+    for (const order of orders) {
+      const key = order.abandonment?.reason || 'unknown';
+      byReason[key] = (byReason[key] || 0) + 1;
+    }
+    res.json({ count: orders.length, byReason, orders });
+  });
+
+  return router;
+}
+
+module.exports = createAdminRoutes;
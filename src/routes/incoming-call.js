@@ -3,11 +3,38 @@
  * Handles Twilio webhook for incoming calls
  * Returns TwiML to start Media Stream
  * for Glazed and Confused donut shop
+ *
+ * When calls are recorded, Twilio itself says so before the agent is connected, so callers
+ * always hear it no matter what the model does.
  */
 
 const twilio = require('twilio');
+const { getStoreStatus, getSchedule, formatWeeklyHours, describeTime } = require('../config/store-hours');
+const { findCampaignByNumber } = require('../config/campaigns');
 
-function handleIncomingCall(req, res) {
+/**
+ * Spoken message for callers when the shop is closed
+ */
+function buildClosedMessage(status) {
+  let why = "we're closed right now";
+  if (status.reason === 'closed-early') {
+    why = "we've sold out for today and closed a little early";
+  } else if (status.reason === 'holiday') {
+    why = `we're closed today${status.note ? ` for ${status.note}` : ''}`;
+  }
+  const next = status.nextOpen ? ` We'll be open again ${describeTime(status.nextOpen)}.` : '';
+  return `Thanks for calling Glazed and Confused! Sorry, ${why}.${next} Our regular hours are ${formatWeeklyHours()}. See you soon!`;
+}
+
+/**
+ * Handler for POST /incoming-call. disclosure: said before the agent picks up (e.g. that
+ * the call is recorded — CallRecorder.disclosure)
+ */
+function createIncomingCallHandler({ disclosure = null } = {}) {
+  return (req, res) => respondToCall(req, res, disclosure);
+}
+
+function respondToCall(req, res, disclosure) {
   try {
     const calledNumber = req.body.Called || req.body.To;
     const callSid = req.body.CallSid;
@@ -15,10 +42,23 @@ function handleIncomingCall(req, res) {
     
     console.log(`📞 Incoming call: ${fromNumber} -> ${calledNumber} (CallSid: ${callSid})`);
     
+    // After hours: either play the hours and hang up, or take a pre-order for the next opening
+    const status = getStoreStatus();
+    const takePreorder = !status.open && getSchedule().afterHours === 'preorder' && !!status.nextOpen;
+    if (!status.open && !takePreorder) {
+      console.log(`🚪 Store closed (${status.reason}) — playing closed message`);
+      const closed = new twilio.twiml.VoiceResponse();
+      closed.say(buildClosedMessage(status));
+      closed.hangup();
+      res.type('text/xml');
+      return res.send(closed.toString());
+    }
+    
     const host = req.get('host') || process.env.SERVER_URL?.replace(/^https?:\/\//, '') || 'localhost:3000';
     const wsUrl = `wss://${host}/media-stream`;
     
     const twiml = new twilio.twiml.VoiceResponse();
+    if (disclosure) twiml.say(disclosure);
     const connect = twiml.connect();
     const stream = connect.stream({
       url: wsUrl,
@@ -28,6 +68,17 @@ function handleIncomingCall(req, res) {
     // Pass the caller's phone number to the media stream handler
     stream.parameter({ name: 'callerPhone', value: fromNumber });
     stream.parameter({ name: 'callSid', value: callSid });
+    if (takePreorder) {
+      console.log(`🚪 Store closed (${status.reason}) — taking pre-order for ${status.nextOpen.toISOString()}`);
+      stream.parameter({ name: 'preorderFor', value: status.nextOpen.toISOString() });
+    }
+
+    // A campaign's dedicated number attributes the order to that fundraiser
+    const campaign = findCampaignByNumber(calledNumber);
+    if (campaign) {
+      console.log(`🎗️  Campaign line: ${campaign.name}`);
+      stream.parameter({ name: 'campaignId', value: campaign.id });
+    }
     
     console.log(`✓ TwiML generated, connecting to: ${wsUrl} (from: ${fromNumber})`);
     
@@ -39,4 +90,7 @@ function handleIncomingCall(req, res) {
   }
 }
 
+const handleIncomingCall = createIncomingCallHandler();
+
 module.exports = handleIncomingCall;
+module.exports.createIncomingCallHandler = createIncomingCallHandler;
@@ -2,14 +2,41 @@
  * Media Stream Route
  * Handles WebSocket connections from Twilio Media Streams.
  * Each call gets its own OpenAI session and OrderManager.
- * On call end, logs the order to Google Sheets.
+ * Returning callers are looked up by caller ID so the agent can greet them by name.
+ * On call end, the OrderFinalizer stores, logs and sends the order.
+ *
+ * When the agent hands the call to staff, the transfer starts once Twilio has played the
+ * agent's last words (a mark sent after the response comes back).
+ *
+ * Each call's transcript (both sides and tool calls) is recorded and saved when the call ends,
+ * before the order is finalized so the Call Log row can link to it. With a callRecorder, the
+ * call's audio is saved too (caller left, agent right); /incoming-call has already told them it's recorded.
+ *
+ * A caller who redials right after hanging up or dropping gets their unfinished cart back
+ * (from abandonedOrders), and the agent offers to keep going with it.
+ *
+ * services: shared { kitchenScheduler, customerStore, orderStore, smsNotifier, paymentService,
+ *           staffTransfer, transcriptStore, callRecorder, abandonedOrders } (each optional)
  */
 
 const WebSocket = require('ws');
+
+const TRANSFER_MARK = 'staff-transfer';
 const OrderManager = require('../services/order-manager');
 const OpenAIService = require('../services/openai-service');
+const { getCampaign } = require('../config/campaigns');
 
-function setupMediaStream(wss, logger, sheetsLogger) {
+function setupMediaStream(wss, orderFinalizer, {
+  kitchenScheduler = null,
+  customerStore = null,
+  orderStore = null,
+  smsNotifier = null,
+  paymentService = null,
+  staffTransfer = null,
+  transcriptStore = null,
+  callRecorder = null,
+  abandonedOrders = null,
+} = {}) {
   wss.on('connection', (ws, req) => {
     console.log('═══════════════════════════════════════════════════');
     console.log('📡 NEW CALL — Twilio Media Stream connected');
@@ -20,6 +47,8 @@ function setupMediaStream(wss, logger, sheetsLogger) {
     let fromNumber = null;
     let orderManager = null;
     let openaiService = null;
+    let recording = null;
+    let openaiFailed = false;
     let audioChunksFromTwilio = 0;
 
     ws.on('message', (data) => {
@@ -39,7 +68,37 @@ function setupMediaStream(wss, logger, sheetsLogger) {
             console.log(`   Params:    ${JSON.stringify(message.start.customParameters || {})}`);
 
             // Initialize order manager for this call
-            orderManager = new OrderManager(streamSid, callSid, fromNumber);
+            const customer = customerStore?.getProfile(fromNumber) || null;
+            if (customer) {
+              console.log(`   Returning: ${customer.name || 'no name on file'} (${customer.orderCount} orders)`);
+            }
+            orderManager = new OrderManager(streamSid, callSid, fromNumber, {
+              scheduler: kitchenScheduler,
+              customer,
+              orderStore,
+              smsNotifier,
+              paymentService,
+              staffTransfer,
+            });
+            if (message.start.customParameters?.preorderFor) {
+              orderManager.setPreorder(message.start.customParameters.preorderFor);
+              console.log(`   Pre-order: ${orderManager.getOrder().preorderFor}`);
+            }
+            const campaign = getCampaign(message.start.customParameters?.campaignId);
+            if (campaign) {
+              orderManager.setCampaign(campaign);
+              console.log(`   Campaign:  ${campaign.name}`);
+            }
+            const droppedCall = abandonedOrders?.claimRedial(fromNumber);
+            if (droppedCall) {
+              const { added, skipped } = orderManager.restoreCart(droppedCall.order);
+              console.log(`   Resumed:   ${added.length} item(s) from ${droppedCall.id}${skipped.length ? ` (skipped ${skipped.map(s => s.name).join(', ')})` : ''}`);
+            }
+
+            const transcript = transcriptStore && callSid
+              ? transcriptStore.start(callSid, { from: fromNumber })
+              : null;
+            recording = callRecorder && callSid ? callRecorder.start(callSid) : null;
 
             // Initialize OpenAI service
             openaiService = new OpenAIService(
@@ -47,6 +106,7 @@ function setupMediaStream(wss, logger, sheetsLogger) {
               orderManager,
               // onAudio — send AI's audio back to Twilio
               (audioBase64) => {
+                if (recording) recording.addOutbound(audioBase64);
                 if (ws.readyState === WebSocket.OPEN) {
                   ws.send(JSON.stringify({
                     event: 'media',
@@ -58,7 +118,16 @@ function setupMediaStream(wss, logger, sheetsLogger) {
               // onTranscript — user speech transcribed
               (transcript) => {
                 console.log(`👤 Transcript: "${transcript}"`);
-              }
+              },
+              // onResponseDone — after the agent's spoken reply to transfer_to_staff, wait for
+              // Twilio to finish playing it before moving the call
+              (response) => {
+                const calledTool = (response?.output || []).some(item => item.type === 'function_call');
+                if (!calledTool && staffTransfer?.isPending(callSid) && ws.readyState === WebSocket.OPEN) {
+                  ws.send(JSON.stringify({ event: 'mark', streamSid, mark: { name: TRANSFER_MARK } }));
+                }
+              },
+              transcript
             );
 
             // Connect to OpenAI
@@ -66,12 +135,16 @@ function setupMediaStream(wss, logger, sheetsLogger) {
               console.log('✅ OpenAI connected — waiting for customer to speak');
             }).catch(error => {
               console.error('❌ Failed to connect to OpenAI:', error.message);
+              openaiFailed = true;
             });
 
             break;
           }
 
           case 'media': {
+            if (message.media?.payload && recording) {
+              recording.addInbound(message.media.payload);
+            }
             // Forward each audio chunk directly to OpenAI (no buffering)
             if (message.media?.payload && openaiService?.isReady()) {
               openaiService.sendAudio(message.media.payload);
@@ -96,7 +169,9 @@ function setupMediaStream(wss, logger, sheetsLogger) {
           }
 
           case 'mark': {
-            // Twilio mark events — ignore
+            if (message.mark?.name === TRANSFER_MARK && staffTransfer) {
+              _startTransfer();
+            }
             break;
           }
 
@@ -118,6 +193,17 @@ function setupMediaStream(wss, logger, sheetsLogger) {
       console.error('❌ Twilio WebSocket error:', error.message);
     });
 
+    /**
+     * Move the call to the staff line. Twilio then ends this stream, which finalizes the order.
+     */
+    function _startTransfer() {
+      staffTransfer.start(callSid).then(started => {
+        if (!started && openaiService) {
+          openaiService.sendSystemMessage('The transfer to staff did not go through. Apologize, say nobody can come to the phone right now, and offer to keep helping.');
+        }
+      }).catch(err => console.error('❌ Transfer error:', err.message));
+    }
+
     /**
      * Handle call ending (from stop event or WebSocket close)
      */
@@ -131,7 +217,15 @@ function setupMediaStream(wss, logger, sheetsLogger) {
         openaiService = null;
       }
 
-      // Log the order
+      if (transcriptStore && callSid) {
+        transcriptStore.finish(callSid);
+      }
+      if (recording) {
+        callRecorder.finish(callSid); // finishes the file in the background; logs its own errors
+        recording = null;
+      }
+
+      // Finish the order
       if (orderManager) {
         const order = orderManager.getOrder();
         console.log(`📋 Order state at call end:`);
@@ -147,37 +241,14 @@ function setupMediaStream(wss, logger, sheetsLogger) {
           });
         }
 
-        // Log to Google Sheets (even if not fully confirmed — captures partial orders)
-        if (order.items.length > 0 && !order.logged) {
-          const orderData = orderManager.getOrderForLogging();
-
-          // Log to Zapier
-          if (logger) {
-            logger.logOrder(orderData).then(result => {
-              if (result.success) {
-                console.log('✅ Order logged to Zapier');
-              } else {
-                console.log('⚠️  Zapier log failed:', result.error);
-              }
-            }).catch(err => console.error('❌ Zapier error:', err.message));
-          }
-
-          // Log to Google Sheets Call Log
-          if (sheetsLogger) {
-            sheetsLogger(orderData).then(success => {
-              if (success) {
-                console.log('✅ Order logged to Google Sheets');
-                orderManager.markAsLogged();
-              } else {
-                console.log('⚠️  Google Sheets log failed');
-              }
-            }).catch(err => console.error('❌ Google Sheets error:', err.message));
-          }
-        } else if (order.items.length === 0) {
-          console.log('ℹ️  No items in order — skipping log');
-        } else if (order.logged) {
-          console.log('ℹ️  Order already logged — skipping');
-        }
+        // Store, send to the POS and log (even if not confirmed — captures partial orders).
+        // Twilio sends 'stop' when the call ends; a socket closed without one was dropped.
+        const transfer = staffTransfer?.get(callSid);
+        const endReason = transfer && transfer.status !== 'failed'
+          ? 'transferred'
+          : reason === 'stop' && !openaiFailed ? 'hung-up' : 'dropped';
+        orderFinalizer.finalize(orderManager, { endReason })
+          .catch(err => console.error('❌ Error finalizing order:', err.message));
 
         orderManager = null;
       }
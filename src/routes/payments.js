@@ -0,0 +1,55 @@
+/**
+ * Payment Routes
+ * Payment provider webhook, plus the fake provider's checkout page for local testing
+ * for Glazed and Confused donut shop
+ *
+ *   POST /payments/webhook          — provider notifications (Square payment.updated); signature checked
+ *   GET  /payments/fake/:linkId     — fake checkout page (PAYMENT_PROVIDER=fake only)
+ *   POST /payments/fake/:linkId     — "pay" (or { "status": "failed" }) through the fake checkout
+ */
+
+const express = require('express');
+
+function createPaymentRoutes({ paymentService }) {
+  const router = express.Router();
+
+  router.post('/webhook', async (req, res) => {
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(req.body || {});
+    if (!paymentService.verifyWebhook(rawBody, req.headers)) {
+      console.warn('⚠️  Payment webhook with a bad signature — ignored');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    try {
+      const record = await paymentService.handleWebhook(req.body || {});
+      res.json({ received: true, ...(record ? { orderNumber: record.orderNumber, payment: record.payment.status } : {}) });
+    } catch (error) {
+      console.error('❌ Payment webhook error:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  if (paymentService.provider.name === 'fake') {
+    router.get('/fake/:linkId', (req, res) => {
+      const record = paymentService.findByLink({ linkId: req.params.linkId });
+      if (!record) return res.status(404).send('Payment link not found');
+      const { orderNumber, payment } = record;
+      res.type('html').send(`<!doctype html>
+<title>Pay for order #${orderNumber}</title>
+<h1>Glazed and Confused — order #${orderNumber}</h1>
+<p>Total: $${(Number(payment.amount || 0) - Number(payment.paidAmount || 0)).toFixed(2)} — ${payment.status}</p>
+${payment.status === 'paid' ? '<p>Paid, thank you!</p>' : `<form method="post"><button type="submit">Pay (fake)</button></form>`}`);
+    });
+
+    router.post('/fake/:linkId', async (req, res) => {
+      const status = req.body?.status === 'failed' ? 'failed' : 'paid';
+      const record = await paymentService.handleWebhook({ linkId: req.params.linkId, status });
+      if (!record) return res.status(404).json({ error: 'Payment link not found' });
+      if (req.is('json')) return res.json({ orderNumber: record.orderNumber, payment: record.payment.status });
+      res.redirect(303, req.originalUrl);
+    });
+  }
+
+  return router;
+}
+
+module.exports = createPaymentRoutes;
@@ -0,0 +1,53 @@
+/**
+ * Resume Routes
+ * The link in an abandoned order's follow-up text: reopens the customer's cart in a new website
+ * chat and sends them to the ordering page, where the chat widget picks the conversation up
+ * for Glazed and Confused donut shop
+ *
+ *   GET  /resume/:token  — a page with what's in the cart and a button to reopen it
+ *   POST /resume/:token  — restore the cart, then redirect to WEB_ORDER_PAGE_URL?gc_chat=<session>
+ *
+ * Only the POST reopens the cart: link previews in messaging apps fetch the GET on their own.
+ */
+
+const express = require('express');
+
+function createResumeRoutes({ abandonedOrders, textOrders, pageUrl = process.env.WEB_ORDER_PAGE_URL }) {
+  const router = express.Router();
+
+  router.get('/:token', (req, res) => {
+    const record = abandonedOrders.findByToken(req.params.token);
+    if (!record) return _expired(res);
+
+    res.type('html').send(`<!doctype html>
+<title>Glazed and Confused</title>
+<h1>Glazed and Confused</h1>
+<p>Looks like we got cut off! Your cart: ${_escapeHtml(record.order.itemsSummary || 'your order')}</p>
+<form method="post"><button type="submit">Pick up where you left off</button></form>`);
+  });
+
+  router.post('/:token', (req, res) => {
+    const record = abandonedOrders.findByToken(req.params.token);
+    if (!record) return _expired(res);
+
+    const { sessionId } = textOrders.resumeChat(record.order);
+    abandonedOrders.markResumed(record);
+    const separator = pageUrl.includes('?') ? '&' : '?';
+    res.redirect(303, `${pageUrl}${separator}gc_chat=${encodeURIComponent(sessionId)}`);
+  });
+
+  return router;
+}
+
+function _expired(res) {
+  return res.status(404).type('html').send(`<!doctype html>
+<title>Glazed and Confused</title>
+<h1>Glazed and Confused</h1>
+<p>Sorry, this link has expired. Give us a call and we'll take your order!</p>`);
+}
+
+function _escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[ch]));
+}
+
+module.exports = createResumeRoutes;
@@ -0,0 +1,50 @@
+/**
+ * SMS Routes
+ * Twilio Messaging webhook for texts sent to the shop's number
+ * for Glazed and Confused donut shop
+ *
+ *   POST /sms/inbound — STOP / START / HELP keywords, otherwise a text order; replies with TwiML.
+ *   Mid-order, only STOP-type keywords are taken as keywords ("Yes", "Cancel" go to the order).
+ *   Only Twilio can post here (X-Twilio-Signature) — a text can look up and cancel orders.
+ *
+ * services: { smsNotifier, textOrders } (each optional)
+ */
+
+const express = require('express');
+const twilio = require('twilio');
+const { requireTwilioSignature } = require('../utils/twilio-auth');
+
+const UNAVAILABLE_REPLY = 'Thanks for texting Glazed and Confused! We can\'t take orders by text yet — please give us a call.';
+
+function createSmsRoutes({ smsNotifier = null, textOrders = null, authToken = process.env.TWILIO_AUTH_TOKEN, baseUrl = process.env.SERVER_URL }) {
+  const router = express.Router();
+  router.use(requireTwilioSignature({ authToken, baseUrl }));
+
+  router.post('/inbound', async (req, res) => {
+    const from = req.body?.From;
+    const body = req.body?.Body;
+    console.log(`💬 Inbound SMS from ${from}: "${body}"`);
+
+    const twiml = new twilio.twiml.MessagingResponse();
+    try {
+      const midOrder = !!textOrders?.isOrdering(from);
+      const keywordReply = smsNotifier ? smsNotifier.handleInbound(from, body, { midOrder }) : null;
+      if (keywordReply) {
+        twiml.message(keywordReply);
+      } else if (textOrders) {
+        twiml.message(await textOrders.handleMessage(from, body));
+      } else if (String(body || '').trim()) {
+        twiml.message(UNAVAILABLE_REPLY);
+      }
+    } catch (error) {
+      console.error('❌ Inbound SMS error:', error.message);
+    }
+
+    res.type('text/xml');
+    res.send(twiml.toString());
+  });
+
+  return router;
+}
+
+module.exports = createSmsRoutes;
@@ -0,0 +1,55 @@
+/**
+ * Staff Transfer Routes
+ * TwiML Twilio fetches while a call is being handed to staff
+ * for Glazed and Confused donut shop
+ *
+ *   POST /transfer/:callSid/whisper      — played to staff before they're connected
+ *   POST /transfer/:callSid/dial-status  — after the dial: hang up if answered, else voicemail
+ *   POST /transfer/:callSid/voicemail    — after the caller leaves a message
+ *   POST /transfer/:callSid/recording    — recording status callback: text staff the voicemail
+ *
+ * Every callback must carry Twilio's signature (they read orders and text staff).
+ */
+
+const express = require('express');
+const { requireTwilioSignature } = require('../utils/twilio-auth');
+
+function createTransferRoutes({ staffTransfer, authToken = process.env.TWILIO_AUTH_TOKEN }) {
+  const router = express.Router();
+  router.use(requireTwilioSignature({ authToken, baseUrl: staffTransfer.baseUrl }));
+
+  const sendTwiml = (res, twiml) => {
+    res.type('text/xml');
+    res.send(twiml);
+  };
+
+  router.post('/:callSid/whisper', (req, res) => {
+    sendTwiml(res, staffTransfer.buildWhisperTwiml(req.params.callSid));
+  });
+
+  router.post('/:callSid/dial-status', (req, res) => {
+    sendTwiml(res, staffTransfer.buildDialStatusTwiml(req.params.callSid, req.body?.DialCallStatus));
+  });
+
+  router.post('/:callSid/voicemail', (_req, res) => {
+    sendTwiml(res, staffTransfer.buildVoicemailDoneTwiml());
+  });
+
+  router.post('/:callSid/recording', async (req, res) => {
+    try {
+      if (req.body?.RecordingStatus === 'completed') {
+        await staffTransfer.handleRecording(req.params.callSid, {
+          recordingUrl: req.body.RecordingUrl,
+          duration: req.body.RecordingDuration,
+        });
+      }
+    } catch (error) {
+      console.error('❌ Voicemail callback error:', error.message);
+    }
+    res.sendStatus(204);
+  });
+
+  return router;
+}
+
+module.exports = createTransferRoutes;
@@ -0,0 +1,30 @@
+/**
+ * Transcript Routes
+ * Signed links to call transcripts, as put in the Call Log (no admin key needed —
+ * the signature is the access check)
+ * for Glazed and Confused donut shop
+ *
+ *   GET /transcripts/:callSid?sig=...  — the transcript as plain text
+ */
+
+const express = require('express');
+
+function createTranscriptRoutes({ transcriptStore }) {
+  const router = express.Router();
+
+  router.get('/:callSid', (req, res) => {
+    const { callSid } = req.params;
+    if (!transcriptStore.verifyLink(callSid, String(req.query.sig || ''))) {
+      return res.status(403).type('text/plain').send('This transcript link is invalid.');
+    }
+    const transcript = transcriptStore.get(callSid);
+    if (!transcript) {
+      return res.status(404).type('text/plain').send('Transcript not found.');
+    }
+    res.type('text/plain').send(transcriptStore.format(transcript));
+  });
+
+  return router;
+}
+
+module.exports = createTranscriptRoutes;
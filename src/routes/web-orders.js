@@ -0,0 +1,267 @@
+/**
+ * Web Order Routes
+ * Ordering from the shop's website: a REST cart API and the chat widget's endpoint.
+ * Web orders are ordinary OrderManagers in OrderSessions, so once confirmed (or left idle)
+ * they are stored, sent to the POS and logged exactly like phone orders.
+ * for Glazed and Confused donut shop
+ *
+ *   POST   /api/orders                    — start a cart, optionally { "customerName", "customerPhone" }
+ *   GET    /api/orders/:id                — the cart, or its status once confirmed
+ *   POST   /api/orders/:id/items          — { "name", "size", "quantity", "modifiers", "specialInstructions" }
+ *   DELETE /api/orders/:id/items/:name    — ?size=dozen when the cart has more than one size of it
+ *   PATCH  /api/orders/:id                — { customerName, customerPhone, deliveryMethod, address,
+ *                                             pickupTime, paymentMethod, promoCode, campaignCode }
+ *   POST   /api/orders/:id/phone/code     — text a one-time code to the cart's customerPhone
+ *   POST   /api/orders/:id/phone/verify   — { "code" }; once verified the shop texts that number
+ *                                             (confirmation, payment link, ready, follow-up)
+ *   POST   /api/orders/:id/confirm        — place the order; returns the order number
+ *   POST   /api/chat                      — { "sessionId", "message" } for the chat widget
+ *
+ * Errors come back as { "error": "..." } — 404 for an unknown cart, 400 when the order
+ * manager rejects a change (sold out, outside the delivery area, ...) or a field is too long,
+ * 429 when WEB_MAX_OPEN_CARTS carts and chats are already open or too many codes were requested.
+ * An order whose number was never verified is still placed, it just isn't texted.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { normalizePhone } = require('../utils/phone');
+const { describeOrderStatus } = require('../services/order-lookup');
+
+// Free-text fields -> longest accepted value
+const TEXT_LIMITS = {
+  customerName: 60,
+  address: 200,
+  specialInstructions: 200,
+  message: 1000,
+};
+
+// PATCH fields -> how to apply them, in this order (delivery method before address)
+const DETAIL_SETTERS = [
+  ['customerName', (om, value) => om.setCustomerName(value)],
+  ['customerPhone', (om, value) => om.setCustomerPhone(value)],
+  ['deliveryMethod', (om, value) => om.setDeliveryMethod(value)],
+  ['address', (om, value) => om.setAddress(value)],
+  ['pickupTime', (om, value) => om.setPickupTime(value)],
+  ['paymentMethod', (om, value) => om.setPaymentMethod(value)],
+  ['promoCode', (om, value) => om.applyPromoCode(value)],
+  ['campaignCode', (om, value) => om.applyCampaignCode(value)],
+];
+
+/**
+ * maxCarts: open web carts and chats allowed at once (each holds an order in memory)
+ */
+function createWebOrderRoutes({
+  orderSessions,
+  textOrders = null,
+  orderStore = null,
+  phoneVerifier = null,
+  maxCarts = parseInt(process.env.WEB_MAX_OPEN_CARTS || '200', 10),
+}) {
+  const router = express.Router();
+  router.use(allowWebOrigins);
+
+  const tooManyCarts = (res) => {
+    if (orderSessions.count('web') < maxCarts) return false;
+    console.warn(`⚠️  ${maxCarts} web orders already open — turning a new one away`);
+    res.status(429).json({ error: 'We\'re taking a lot of orders right now — please try again in a few minutes or give us a call' });
+    return true;
+  };
+
+  router.post('/orders', (req, res) => {
+    if (tooManyCarts(res)) return;
+    const id = crypto.randomUUID();
+    const session = orderSessions.open(_cartKey(id), { id: `web-${id}`, channel: 'web' });
+    try {
+      _applyDetails(session.orderManager, req.body || {});
+    } catch (error) {
+      orderSessions.end(_cartKey(id));
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(201).json(describeCart(id, session.orderManager));
+  });
+
+  router.get('/orders/:id', (req, res) => {
+    const session = orderSessions.get(_cartKey(req.params.id));
+    if (session) {
+      return res.json(describeCart(req.params.id, session.orderManager));
+    }
+    const record = orderStore?.get(`web-${req.params.id}`);
+    if (record) {
+      return res.json({ id: req.params.id, confirmed: record.status !== 'abandoned', ...describeOrderStatus(record) });
+    }
+    res.status(404).json({ error: `Cart not found: ${req.params.id}` });
+  });
+
+  router.post('/orders/:id/items', withCart(orderSessions, (orderManager, req) => {
+    const { name, size, quantity, modifiers, specialInstructions } = req.body || {};
+    _checkText('specialInstructions', specialInstructions);
+    orderManager.addItem(name, size || 'single', quantity ?? 1, specialInstructions || null, modifiers || []);
+  }, 201));
+
+  router.delete('/orders/:id/items/:name', withCart(orderSessions, (orderManager, req) => {
+    orderManager.removeItem(req.params.name, req.query.size || null);
+  }));
+
+  router.patch('/orders/:id', withCart(orderSessions, (orderManager, req) => {
+    _applyDetails(orderManager, req.body || {});
+  }));
+
+  router.post('/orders/:id/phone/code', async (req, res) => {
+    const session = orderSessions.get(_cartKey(req.params.id));
+    if (!session) {
+      return res.status(404).json({ error: `Cart not found: ${req.params.id}` });
+    }
+    if (!phoneVerifier) {
+      return res.status(503).json({ error: 'Order texts are not enabled' });
+    }
+    const phone = session.orderManager.getOrder().customerPhone;
+    if (phoneVerifier.isLimited(phone, req.ip)) {
+      return res.status(429).json({ error: 'Too many codes requested — please wait a while and try again, or give us a call' });
+    }
+    session.lastActivity = new Date();
+    try {
+      await phoneVerifier.sendCode(phone, req.ip);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json(describeCart(req.params.id, session.orderManager));
+  });
+
+  router.post('/orders/:id/phone/verify', withCart(orderSessions, (orderManager, req) => {
+    if (!phoneVerifier) {
+      throw new Error('Order texts are not enabled');
+    }
+    const phone = orderManager.getOrder().customerPhone;
+    phoneVerifier.check(phone, (req.body || {}).code);
+    orderManager.markPhoneVerified(phone);
+  }));
+
+  router.post('/orders/:id/confirm', withCart(orderSessions, (orderManager, req) => {
+    if (!normalizePhone(orderManager.getOrder().customerPhone)) {
+      throw new Error('customerPhone is required so the shop can reach you about your order');
+    }
+    orderManager.confirm();
+    orderSessions.end(_cartKey(req.params.id)); // stores, sends to POS and logs
+  }));
+
+  router.post('/chat', async (req, res) => {
+    if (!textOrders) {
+      return res.status(503).json({ error: 'Web chat ordering is not enabled' });
+    }
+    const { sessionId = null, message } = req.body || {};
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({ error: 'Body must include a "message"' });
+    }
+    try {
+      _checkText('message', message);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!(sessionId && orderSessions.get(`web:${sessionId}`)) && tooManyCarts(res)) return;
+    try {
+      res.json(await textOrders.handleChat(sessionId, message));
+    } catch (error) {
+      console.error('❌ Web chat error:', error.message);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Route handler that runs `change` on the cart's OrderManager and responds with the cart
+ */
+function withCart(orderSessions, change, successStatus = 200) {
+  return (req, res) => {
+    const session = orderSessions.get(_cartKey(req.params.id));
+    if (!session) {
+      return res.status(404).json({ error: `Cart not found: ${req.params.id}` });
+    }
+    session.lastActivity = new Date();
+    try {
+      change(session.orderManager, req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(successStatus).json(describeCart(req.params.id, session.orderManager));
+  };
+}
+
+/**
+ * The cart as the website sees it
+ */
+function describeCart(id, orderManager) {
+  const order = orderManager.getOrderForLogging();
+  return {
+    id,
+    items: order.items,
+    summary: order.itemsSummary,
+    customerName: order.customerName,
+    customerPhone: order.customerPhone,
+    phoneVerified: orderManager.isPhoneVerified(),
+    deliveryMethod: order.deliveryMethod,
+    address: order.address,
+    pickupTime: order.pickupTime,
+    paymentMethod: order.paymentMethod,
+    promoCodes: order.promoCodes,
+    discounts: order.discounts,
+    campaign: order.campaign,
+    subtotal: order.subtotal,
+    discount: order.discount,
+    tax: order.tax,
+    deliveryFee: order.deliveryFee,
+    total: order.total,
+    confirmed: orderManager.getOrder().confirmed,
+    orderNumber: order.orderNumber,
+    status: order.status,
+  };
+}
+
+/**
+ * CORS for the shop's website (WEB_ORDER_ORIGINS, comma-separated; default any origin)
+ */
+function allowWebOrigins(req, res, next) {
+  const allowed = (process.env.WEB_ORDER_ORIGINS || '*').split(',').map(o => o.trim());
+  const origin = req.get('origin');
+  if (allowed.includes('*')) {
+    res.set('Access-Control-Allow-Origin', '*');
+  } else if (origin && allowed.includes(origin)) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Vary', 'Origin');
+  }
+  res.set('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  next();
+}
+
+function _applyDetails(orderManager, details) {
+  for (const [field, apply] of DETAIL_SETTERS) {
+    if (details[field] !== undefined && details[field] !== null) {
+      _checkText(field, details[field]);
+      apply(orderManager, details[field]);
+    }
+  }
+}
+
+function _checkText(field, value) {
+  const limit = TEXT_LIMITS[field];
+  if (!limit || value === undefined || value === null) return;
+  if (typeof value !== 'string') {
+    throw new Error(`${field} must be text`);
+  }
+  if (value.length > limit) {
+    throw new Error(`${field} is too long — keep it under ${limit} characters`);
+  }
+  if (/[\u0000-\u001f\u007f]/.test(value)) {
+    throw new Error(`${field} can't contain line breaks or control characters`);
+  }
+}
+
+function _cartKey(id) {
+  return `cart:${id}`;
+}
+
+module.exports = createWebOrderRoutes;
@@ -0,0 +1,248 @@
+/**
+ * Abandoned Orders Service
+ * Follows up on orders that ended without being confirmed. Each one is classified by how it
+ * ended (see ABANDON_REASONS in order-manager.js), logged to the "Abandoned" tab of the Call Log
+ * spreadsheet as a callback list, and — with follow-ups on — the customer is texted a few
+ * minutes later: "looks like we got cut off — want to finish your order?" with a link that
+ * reopens their cart in the website chat. A caller who rings back within a few minutes of
+ * hanging up or dropping picks their cart up on the new call instead.
+ * for Glazed and Confused donut shop
+ *
+ * The follow-up is kept on the order record as `abandonment`:
+ *   { reason, at, resumeToken, resumedAt,
+ *     followUp: { status: 'scheduled' | 'sent' | 'skipped' | 'off', dueAt, sentAt, note } }
+ * Scheduled texts are sent by a once-a-minute check, so they survive a restart.
+ */
+
+const crypto = require('crypto');
+const { formatLocalTime } = require('../config/store-hours');
+const { normalizePhone } = require('../utils/phone');
+
+const REASON_LABELS = {
+  'hung-up': 'Hung up before confirming',
+  dropped: 'Call dropped',
+  transferred: 'Transferred to staff',
+  'stopped-replying': 'Stopped replying',
+  'no-items': 'Nothing ordered',
+};
+
+// How long a resume link keeps working
+const RESUME_LINK_HOURS = 48;
+
+// Calls whose cart a redial picks up
+const REDIAL_REASONS = ['hung-up', 'dropped'];
+
+// Handed to a person, or nothing to finish — no follow-up text
+const NO_FOLLOW_UP = ['transferred', 'no-items'];
+
+class AbandonedOrders {
+  /**
+   * resumeBaseUrl: public URL the resume links start with (SERVER_URL) — only set when
+   * carts can be reopened (website ordering with WEB_ORDER_PAGE_URL)
+   * redialMinutes: how long after a call ends a redial picks its cart up (0 = never)
+   */
+  constructor({
+    orderStore,
+    smsNotifier = null,
+    sheetsLogger = null,
+    sheetsFollowUpUpdater = null,
+    followUp = process.env.ABANDONED_FOLLOWUP === 'true',
+    followUpMinutes = parseFloat(process.env.ABANDONED_FOLLOWUP_MINUTES || '10'),
+    resumeBaseUrl = null,
+    redialMinutes = parseFloat(process.env.REDIAL_RESUME_MINUTES || '10'),
+  }) {
+    this.orderStore = orderStore;
+    this.smsNotifier = smsNotifier;
+    this.sheetsLogger = sheetsLogger;
+    this.sheetsFollowUpUpdater = sheetsFollowUpUpdater;
+    this.followUp = followUp && !!smsNotifier;
+    this.followUpMinutes = followUpMinutes;
+    this.resumeBaseUrl = resumeBaseUrl ? resumeBaseUrl.replace(/\/$/, '') : null;
+    this.redialMinutes = redialMinutes;
+    orderStore.addIndex('resumeToken', r => [r.abandonment?.resumeToken]);
+    this.timer = null;
+  }
+
+  /**
+   * An order (for logging) just ended unconfirmed; `record` is its order store record, if it
+   * was stored (empty orders aren't). Schedules the follow-up and logs it. Resolves to the
+   * abandonment details.
+   */
+  async record(order, record = null, now = new Date()) {
+    const reason = order.abandonReason || 'hung-up';
+    const abandonment = {
+      reason,
+      at: now.toISOString(),
+      resumeToken: record ? crypto.randomBytes(12).toString('base64url') : null,
+      resumedAt: null,
+      followUp: this._planFollowUp(order, record, reason, now),
+    };
+    if (record) this.orderStore.update(record.id, { abandonment }, now);
+    console.log(`🛒 Abandoned order (${REASON_LABELS[reason] || reason}) — follow-up ${abandonment.followUp.status}`);
+
+    if (this.sheetsLogger) {
+      try {
+        await this.sheetsLogger({ ...order, abandonment });
+      } catch (error) {
+        console.error('❌ Abandoned tab error:', error.message);
+      }
+    }
+    return abandonment;
+  }
+
+  /**
+   * Text every follow-up that's due. Resolves to how many were sent.
+   */
+  async sendDueFollowUps(now = new Date()) {
+    const due = this.orderStore.list({ status: 'abandoned' })
+      .filter(r => r.abandonment?.followUp?.status === 'scheduled' && new Date(r.abandonment.followUp.dueAt) <= now);
+
+    let sent = 0;
+    for (const record of due) {
+      if (await this._sendFollowUp(record, now)) sent++;
+    }
+    return sent;
+  }
+
+  /**
+   * The abandoned order a resume link points to, or null (unknown or expired link)
+   */
+  findByToken(token, now = new Date()) {
+    if (!token) return null;
+    const record = this.orderStore.findByIndex('resumeToken', token)[0];
+    if (!record || record.status !== 'abandoned') return null;
+    const expiresAt = new Date(record.abandonment.at).getTime() + RESUME_LINK_HOURS * 60 * 60 * 1000;
+    return now.getTime() <= expiresAt ? record : null;
+  }
+
+  /**
+   * Note that the customer reopened their cart (from the link, or by calling back)
+   */
+  markResumed(record, now = new Date()) {
+    const abandonment = { ...record.abandonment, resumedAt: now.toISOString() };
+    if (abandonment.followUp?.status === 'scheduled') {
+      abandonment.followUp = { ...abandonment.followUp, status: 'skipped', note: 'reopened before the text' };
+    }
+    this.orderStore.update(record.id, { abandonment }, now);
+    this._updateSheet(record);
+  }
+
+  /**
+   * The cart from this caller's last call, if it hung up or dropped unconfirmed within
+   * redialMinutes and hasn't been picked up yet. It's marked resumed, so it's handed out once.
+   */
+  claimRedial(phone, now = new Date()) {
+    if (!this.redialMinutes || !phone) return null;
+    const cutoff = now.getTime() - this.redialMinutes * 60000;
+    const record = this.orderStore.list({ status: 'abandoned', phone })
+      .find(r => r.order?.channel === 'voice'
+        && REDIAL_REASONS.includes(r.abandonment?.reason)
+        && !r.abandonment.resumedAt
+        && new Date(r.abandonment.at).getTime() >= cutoff);
+    if (!record) return null;
+    this.markResumed(record, now);
+    console.log(`🔁 Caller redialed — picking up the cart from ${record.id}`);
+    return record;
+  }
+
+  /**
+   * Resume link for an abandoned order record, or null when carts can't be reopened
+   */
+  resumeLinkFor(record) {
+    if (!this.resumeBaseUrl || !record.abandonment?.resumeToken) return null;
+    return `${this.resumeBaseUrl}/resume/${record.abandonment.resumeToken}`;
+  }
+
+  /**
+   * Abandoned orders, newest first; query: reason, since, until, limit
+   */
+  list({ reason = null, since = null, until = null, limit = null } = {}) {
+    const results = this.orderStore.list({ status: 'abandoned', since, until })
+      .filter(r => !reason || r.abandonment?.reason === reason);
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * Send due follow-ups every minute
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.sendDueFollowUps().catch(err => console.error('❌ Abandoned order follow-up error:', err.message));
+    }, 60000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  _planFollowUp(order, record, reason, now) {
+    const plan = (status, note = null) => ({ status, dueAt: null, sentAt: null, note });
+    if (!this.followUp) return plan('off');
+    if (!record || NO_FOLLOW_UP.includes(reason)) return plan('skipped', REASON_LABELS[reason].toLowerCase());
+    // A reopened cart already had its one follow-up — left again, it isn't chased with another link
+    if (order.resumedFrom) return plan('skipped', 'already followed up on this cart');
+    // Anyone can type a number into a web cart, so it's only texted once the customer verified it
+    if (order.channel === 'web' && (!order.verifiedPhone || normalizePhone(order.customerPhone) !== order.verifiedPhone)) {
+      return plan('skipped', 'web number never verified');
+    }
+    if (!this.smsNotifier.canText(order)) return plan('skipped', 'no textable number or opted out');
+    return {
+      ...plan('scheduled'),
+      dueAt: new Date(now.getTime() + this.followUpMinutes * 60000).toISOString(),
+    };
+  }
+
+  async _sendFollowUp(record, now) {
+    const finish = (changes) => {
+      this.orderStore.update(record.id, {
+        abandonment: { ...record.abandonment, followUp: { ...record.abandonment.followUp, ...changes } },
+      }, now);
+      this._updateSheet(record);
+    };
+
+    // They called or texted back and ordered in the meantime
+    const phone = record.order?.customerPhone || record.order?.from;
+    const reordered = phone && this.orderStore.list({ phone, since: record.createdAt })
+      .some(r => r.id !== record.id && r.status !== 'abandoned');
+    if (reordered) {
+      finish({ status: 'skipped', note: 'ordered again' });
+      return false;
+    }
+
+    const sent = await this.smsNotifier.sendFollowUp(record.order, this.resumeLinkFor(record));
+    finish(sent ? { status: 'sent', sentAt: now.toISOString() } : { status: 'skipped', note: 'text not sent' });
+    return sent;
+  }
+
+  _updateSheet(record) {
+    if (!this.sheetsFollowUpUpdater) return;
+    this.sheetsFollowUpUpdater(record.id, describeFollowUp(record.abandonment))
+      .catch(err => console.error('❌ Abandoned tab update error:', err.message));
+  }
+}
+
+/**
+ * The Abandoned tab's Follow-up column
+ */
+function describeFollowUp(abandonment) {
+  const followUp = abandonment?.followUp;
+  if (!followUp) return '';
+  const resumed = abandonment.resumedAt ? ' — reopened their cart' : '';
+  switch (followUp.status) {
+    case 'scheduled':
+      return `Text at ${formatLocalTime(followUp.dueAt)}`;
+    case 'sent':
+      return `Texted ${formatLocalTime(followUp.sentAt)}${resumed}`;
+    case 'skipped':
+      return `Not texted (${followUp.note})${resumed}`;
+    default:
+      return '';
+  }
+}
+
+module.exports = AbandonedOrders;
+module.exports.REASON_LABELS = REASON_LABELS;
+module.exports.describeFollowUp = describeFollowUp;
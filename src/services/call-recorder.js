@@ -0,0 +1,251 @@
+/**
+ * Call Recorder
+ * Records calls to stereo WAV files for reviewing problem calls: the caller (Twilio's inbound
+ * μ-law frames) on the left channel, the agent (OpenAI's audio deltas) on the right.
+ * One file per call SID under DATA_DIR/recordings, deleted after `retentionDays`.
+ * for Glazed and Confused donut shop
+ *
+ * Inbound frames arrive in real time, so they set the clock. The agent's audio arrives in
+ * bursts faster than it's played, so each chunk is placed where Twilio would play it: after
+ * the agent's previous audio, and never before the caller audio received so far.
+ *
+ * Audio is streamed to a temporary file as the caller's frames come in, so a call never sits
+ * in memory or gets written in one go; the WAV header is filled in when the call ends.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { finished } = require('stream/promises');
+const { dataPath } = require('../utils/json-file');
+
+const SAMPLE_RATE = 8000; // Twilio media streams: 8 kHz μ-law, one byte per sample
+const MULAW_SILENCE = 0xff;
+const WAVE_FORMAT_MULAW = 7;
+const HEADER_BYTES = 58;
+const MAX_SECONDS = 60 * 60; // stop recording a call after an hour
+
+// Said by Twilio before the agent picks up (routes/incoming-call.js)
+const DEFAULT_DISCLOSURE = 'This call is recorded for quality.';
+
+/**
+ * One call's audio while it's being recorded, written to tmpPath as it comes in
+ */
+class CallRecording {
+  constructor(callSid, tmpPath) {
+    this.callSid = callSid;
+    this.tmpPath = tmpPath;
+    this.file = null; // write stream, opened with the first audio
+    this.inboundBytes = 0;
+    this.written = 0; // samples per channel already in the file
+    this.outbound = []; // { offset, audio } agent audio not written yet
+    this.outboundEnd = 0;
+  }
+
+  /**
+   * Caller audio from Twilio (base64 μ-law)
+   */
+  addInbound(payload) {
+    const audio = Buffer.from(payload, 'base64');
+    if (this.inboundBytes + audio.length > MAX_SECONDS * SAMPLE_RATE) return;
+    this.inboundBytes += audio.length;
+    this._write(audio, audio.length);
+  }
+
+  /**
+   * Agent audio from OpenAI (base64 μ-law)
+   */
+  addOutbound(payload) {
+    const audio = Buffer.from(payload, 'base64');
+    const offset = Math.max(this.outboundEnd, this.inboundBytes);
+    if (offset + audio.length > MAX_SECONDS * SAMPLE_RATE) return;
+    this.outbound.push({ offset, audio });
+    this.outboundEnd = offset + audio.length;
+  }
+
+  get seconds() {
+    return Math.max(this.inboundBytes, this.outboundEnd) / SAMPLE_RATE;
+  }
+
+  /**
+   * Write the agent audio still queued after the caller's last frame, then the WAV header.
+   * Resolves to false when the call had no audio (no file was written).
+   */
+  async close() {
+    const remaining = this.outboundEnd - this.written;
+    for (let done = 0; done < remaining; done += SAMPLE_RATE) {
+      this._write(null, Math.min(SAMPLE_RATE, remaining - done));
+    }
+    if (!this.file) return false;
+
+    this.file.end();
+    await finished(this.file);
+    const handle = await fs.promises.open(this.tmpPath, 'r+');
+    try {
+      await handle.write(_wavHeader(this.written * 2, this.written), 0, HEADER_BYTES, 0);
+    } finally {
+      await handle.close();
+    }
+    return true;
+  }
+
+  /**
+   * Append the next `samples` of the call: caller audio (or silence) on the left, interleaved
+   * with whatever agent audio falls in the same span on the right
+   */
+  _write(inbound, samples) {
+    const start = this.written;
+    const end = start + samples;
+    const data = Buffer.alloc(samples * 2, MULAW_SILENCE);
+    if (inbound) {
+      for (let i = 0; i < samples; i++) data[i * 2] = inbound[i];
+    }
+    for (const { offset, audio } of this.outbound) {
+      const from = Math.max(offset, start);
+      const to = Math.min(offset + audio.length, end);
+      for (let i = from; i < to; i++) data[(i - start) * 2 + 1] = audio[i - offset];
+    }
+    this.outbound = this.outbound.filter(({ offset, audio }) => offset + audio.length > end);
+    this.written = end;
+
+    if (!this.file) {
+      this.file = fs.createWriteStream(this.tmpPath);
+      this.file.on('error', error => console.error(`❌ Call recording ${this.callSid} write failed:`, error.message));
+      this.file.write(Buffer.alloc(HEADER_BYTES)); // filled in by close()
+    }
+    this.file.write(data);
+  }
+}
+
+class CallRecorder {
+  constructor({
+    dir = dataPath('recordings'),
+    retentionDays = parseFloat(process.env.CALL_RECORDING_RETENTION_DAYS || '30'),
+    disclosure = process.env.CALL_RECORDING_DISCLOSURE || DEFAULT_DISCLOSURE,
+  } = {}) {
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    this.disclosure = disclosure;
+    this.active = new Map(); // callSid -> CallRecording
+    this.timer = null;
+  }
+
+  /**
+   * Start recording a call
+   */
+  start(callSid) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const recording = new CallRecording(callSid, `${this.filePath(callSid)}.${process.pid}.tmp`);
+    this.active.set(callSid, recording);
+    return recording;
+  }
+
+  /**
+   * Stop recording a call and finish its WAV file. Resolves to the file path (null if no
+   * audio or the file couldn't be saved) — never rejects.
+   */
+  async finish(callSid) {
+    const recording = this.active.get(callSid);
+    if (!recording) return null;
+    this.active.delete(callSid);
+
+    const filePath = this.filePath(callSid);
+    try {
+      if (!(await recording.close())) return null;
+      await fs.promises.rename(recording.tmpPath, filePath);
+      console.log(`🎙️  Call recording saved: ${callSid} (${Math.round(recording.seconds)}s)`);
+      return filePath;
+    } catch (error) {
+      console.error(`❌ Failed to save call recording ${callSid}:`, error.message);
+      await fs.promises.rm(recording.tmpPath, { force: true }).catch(() => {});
+      return null;
+    }
+  }
+
+  /**
+   * Path of a call's saved recording, or null if there isn't one
+   */
+  find(callSid) {
+    if (!/^[A-Za-z0-9_-]+$/.test(String(callSid || ''))) return null;
+    const filePath = this.filePath(callSid);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  filePath(callSid) {
+    return path.join(this.dir, `${callSid}.wav`);
+  }
+
+  /**
+   * Delete recordings older than retentionDays (0 keeps them forever). Returns how many.
+   */
+  purgeExpired(now = new Date()) {
+    if (!(this.retentionDays > 0)) return 0;
+    const cutoff = now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000;
+
+    let files;
+    try {
+      // .tmp files are calls still in progress, or left behind by a crash
+      files = fs.readdirSync(this.dir).filter(name => name.endsWith('.wav') || name.endsWith('.tmp'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to read recordings:', error.message);
+      return 0;
+    }
+
+    let removed = 0;
+    for (const name of files) {
+      const filePath = path.join(this.dir, name);
+      try {
+        if (fs.statSync(filePath).mtimeMs < cutoff) {
+          fs.unlinkSync(filePath);
+          removed++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to remove recording ${name}:`, error.message);
+      }
+    }
+    if (removed > 0) console.log(`🧹 Removed ${removed} call recordings older than ${this.retentionDays} days`);
+    return removed;
+  }
+
+  /**
+   * Apply the retention policy now and every hour
+   */
+  startCleanup() {
+    if (this.timer) return;
+    this.purgeExpired();
+    this.timer = setInterval(() => this.purgeExpired(), 60 * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stopCleanup() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * RIFF header for 8 kHz stereo μ-law (non-PCM formats carry a fact chunk)
+ */
+function _wavHeader(dataBytes, samplesPerChannel) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(50 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(18, 16);
+  header.writeUInt16LE(WAVE_FORMAT_MULAW, 20);
+  header.writeUInt16LE(2, 22); // channels: caller, agent
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32); // block align
+  header.writeUInt16LE(8, 34); // bits per sample
+  header.writeUInt16LE(0, 36); // extension size
+  header.write('fact', 38);
+  header.writeUInt32LE(4, 42);
+  header.writeUInt32LE(samplesPerChannel, 46);
+  header.write('data', 50);
+  header.writeUInt32LE(dataBytes, 54);
+  return header;
+}
+
+module.exports = CallRecorder;
+module.exports.CallRecording = CallRecording;
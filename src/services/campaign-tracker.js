@@ -0,0 +1,109 @@
+/**
+ * Campaign Tracker Service
+ * Running sales per fundraiser campaign and a seller leaderboard, from confirmed orders.
+ * Orders are persisted to a JSON file so totals survive a restart.
+ * for Glazed and Confused donut shop
+ *
+ * "Raised" is the food total after discounts — before tax and delivery fees,
+ * which don't go to the cause.
+ */
+
+const { getCampaign } = require('../config/campaigns');
+const { toCents, fromCents } = require('./pricing');
+const { dataPath, readJsonFile, writeJsonFile } = require('../utils/json-file');
+
+class CampaignTracker {
+  constructor({ filePath = dataPath('campaign-orders.json') } = {}) {
+    this.filePath = filePath;
+    this.orders = readJsonFile(filePath, {}).orders || {}; // callSid -> attributed order
+    console.log(`✅ Campaign tracker: ${Object.keys(this.orders).length} attributed orders loaded`);
+  }
+
+  /**
+   * Credit a confirmed order (from getOrderForLogging) to its campaign and seller.
+   * Recording the same call again replaces the earlier entry. Returns false if it has no campaign.
+   */
+  record(order) {
+    if (!order.campaign?.id) return false;
+
+    const id = order.callSid || order.streamSid;
+    this.orders[id] = {
+      id,
+      campaignId: order.campaign.id,
+      seller: order.campaign.seller || null,
+      raisedCents: toCents(order.subtotal) - toCents(order.discount || 0),
+      timestamp: order.timestamp || new Date().toISOString(),
+    };
+    this._save();
+    return true;
+  }
+
+  /**
+   * Take a cancelled order back out of its campaign's total. Returns false if it wasn't credited.
+   */
+  remove(id) {
+    if (!this.orders[id]) return false;
+    delete this.orders[id];
+    this._save();
+    return true;
+  }
+
+  /**
+   * Running total and seller leaderboard for one campaign
+   */
+  getTotals(campaignId) {
+    const campaign = getCampaign(campaignId);
+    const orders = Object.values(this.orders).filter(o => o.campaignId === campaignId);
+    const raisedCents = orders.reduce((sum, o) => sum + o.raisedCents, 0);
+
+    const sellers = new Map(); // seller code -> { orders, raisedCents }
+    for (const order of orders) {
+      if (!order.seller) continue;
+      const entry = sellers.get(order.seller) || { orders: 0, raisedCents: 0 };
+      entry.orders += 1;
+      entry.raisedCents += order.raisedCents;
+      sellers.set(order.seller, entry);
+    }
+
+    const leaderboard = [...sellers.entries()]
+      .map(([code, entry]) => {
+        const seller = (campaign?.sellers || []).find(s => s.code === code);
+        return {
+          seller: code,
+          name: seller?.name || code,
+          team: seller?.team || null,
+          orders: entry.orders,
+          raised: fromCents(entry.raisedCents),
+        };
+      })
+      .sort((a, b) => b.raised - a.raised);
+
+    return {
+      campaignId,
+      name: campaign?.name || campaignId,
+      orders: orders.length,
+      raised: fromCents(raisedCents),
+      leaderboard,
+    };
+  }
+
+  /**
+   * Totals for every campaign that has orders, biggest first
+   */
+  getAllTotals() {
+    const ids = [...new Set(Object.values(this.orders).map(o => o.campaignId))];
+    return ids
+      .map(id => this.getTotals(id))
+      .sort((a, b) => b.raised - a.raised);
+  }
+
+  _save() {
+    try {
+      writeJsonFile(this.filePath, { orders: this.orders });
+    } catch (error) {
+      console.error('❌ Failed to save campaign orders:', error.message);
+    }
+  }
+}
+
+module.exports = CampaignTracker;
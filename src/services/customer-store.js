@@ -0,0 +1,120 @@
+/**
+ * Customer Store Service
+ * Remembers callers by phone number: their name, recent orders and delivery address,
+ * so the agent can greet regulars by name and offer "your usual".
+ * Customers are persisted to a JSON file under DATA_DIR.
+ * for Glazed and Confused donut shop
+ */
+
+const { normalizePhone } = require('../utils/phone');
+const { dataPath, readJsonFile, writeJsonFile } = require('../utils/json-file');
+
+class CustomerStore {
+  constructor({ filePath = dataPath('customers.json'), maxOrders = 5 } = {}) {
+    this.filePath = filePath;
+    this.maxOrders = maxOrders;
+    this.customers = readJsonFile(filePath, {}).customers || {}; // normalized phone -> customer
+    console.log(`✅ Customer store: ${Object.keys(this.customers).length} customers loaded`);
+  }
+
+  /**
+   * Saved customer for a phone number, or null (also null for blocked caller ID)
+   */
+  get(phone) {
+    const key = normalizePhone(phone);
+    return key ? this.customers[key] || null : null;
+  }
+
+  /**
+   * What a call needs to know about a caller: { name, deliveryMethod, address, orderCount, usual }
+   * or null for a first-time caller. `usual` is the items of their most repeated order.
+   */
+  getProfile(phone) {
+    const customer = this.get(phone);
+    if (!customer) return null;
+    return {
+      name: customer.name,
+      deliveryMethod: customer.deliveryMethod,
+      address: customer.address,
+      orderCount: customer.orderCount,
+      usual: this.getUsual(phone),
+    };
+  }
+
+  /**
+   * Remember a confirmed order (from getOrderForLogging) under the caller's number.
+   * Returns false when caller ID was blocked.
+   */
+  recordOrder(order) {
+    const key = normalizePhone(order.from) || normalizePhone(order.customerPhone);
+    if (!key) return false;
+
+    const customer = this.customers[key] || { phone: key, name: null, deliveryMethod: null, address: null, orderCount: 0, orders: [] };
+    customer.name = order.customerName || customer.name;
+    customer.deliveryMethod = order.deliveryMethod || customer.deliveryMethod;
+    if (order.deliveryMethod === 'delivery' && order.address) {
+      customer.address = order.address;
+    }
+    customer.orderCount += 1;
+    customer.orders = [{
+      timestamp: order.timestamp || new Date().toISOString(),
+      items: order.items.map(_reorderableItem),
+      total: order.total,
+    }, ...customer.orders].slice(0, this.maxOrders);
+
+    this.customers[key] = customer;
+    this._save();
+    return true;
+  }
+
+  /**
+   * Items of the caller's most repeated recent order (the latest one on a tie), or null
+   */
+  getUsual(phone) {
+    const customer = this.get(phone);
+    if (!customer || customer.orders.length === 0) return null;
+
+    const counts = new Map(); // signature -> times ordered
+    customer.orders.forEach(o => {
+      const signature = _signature(o.items);
+      counts.set(signature, (counts.get(signature) || 0) + 1);
+    });
+    // orders are newest first, so the first one with the top count wins a tie
+    const top = Math.max(...counts.values());
+    return customer.orders.find(o => counts.get(_signature(o.items)) === top).items;
+  }
+
+  _save() {
+    try {
+      writeJsonFile(this.filePath, { customers: this.customers });
+    } catch (error) {
+      console.error('❌ Failed to save customers:', error.message);
+    }
+  }
+}
+
+/**
+ * Just enough of an order line to add it again at today's prices
+ */
+function _reorderableItem(item) {
+  return {
+    name: item.name,
+    size: item.size,
+    quantity: item.quantity || 1,
+    modifiers: (item.modifiers || []).map(m => m.name),
+    specialInstructions: item.specialInstructions || null,
+    box: item.box ? { flavors: item.box.flavors.map(f => ({ name: f.name, count: f.count })) } : null,
+  };
+}
+
+/**
+ * Order-independent fingerprint of a list of items, for spotting a repeat order
+ */
+function _signature(items) {
+  return items
+    .map(item => JSON.stringify([item.name, item.size, item.quantity, [...item.modifiers].sort(), item.box]))
+    .sort()
+    .join('|');
+}
+
+module.exports = CustomerStore;
@@ -0,0 +1,189 @@
+/**
+ * Kitchen Scheduler Service
+ * Tracks how many dozens the fryer has committed per pickup slot (15 minutes by default)
+ * across every active call and confirmed order, and finds the next slot with room.
+ * Bookings are persisted to a JSON file so a restart doesn't double-book.
+ * for Glazed and Confused donut shop
+ *
+ * A booking can spread its donuts over the pickup slot and a few slots before it
+ * (fried ahead), but never over a slot that has already passed.
+ * Unconfirmed holds (a caller still on the line) expire after `holdMinutes`.
+ */
+
+const { isOpenAt } = require('../config/store-hours');
+const { dataPath, readJsonFile, writeJsonFile } = require('../utils/json-file');
+
+class KitchenScheduler {
+  constructor({
+    filePath = dataPath('kitchen-slots.json'),
+    slotMinutes = 15,
+    dozensPerSlot = 6,
+    prepSlots = 4,
+    holdMinutes = 30,
+    maxDaysAhead = 14,
+  } = {}) {
+    this.filePath = filePath;
+    this.slotMinutes = slotMinutes;
+    this.dozensPerSlot = dozensPerSlot;
+    this.prepSlots = prepSlots;
+    this.holdMinutes = holdMinutes;
+    this.maxDaysAhead = maxDaysAhead;
+    this.bookings = readJsonFile(filePath, {}).bookings || {}; // id (callSid) -> booking
+    this._purge();
+    console.log(`✅ Kitchen scheduler: ${dozensPerSlot} dozen per ${slotMinutes} min, ${Object.keys(this.bookings).length} bookings loaded`);
+  }
+
+  /**
+   * Start of the slot containing `time`
+   */
+  slotStart(time) {
+    const slotMs = this.slotMinutes * 60000;
+    return new Date(Math.floor(new Date(time).getTime() / slotMs) * slotMs);
+  }
+
+  /**
+   * Dozens already committed to a slot (optionally ignoring one booking)
+   */
+  getCommitted(slot, excludeId = null, now = new Date()) {
+    const key = this.slotStart(slot).toISOString();
+    let donuts = 0;
+    for (const booking of Object.values(this.bookings)) {
+      if (booking.id === excludeId || !this._isActive(booking, now)) continue;
+      booking.allocations.forEach(a => { if (a.slot === key) donuts += a.donuts; });
+    }
+    return donuts / 12;
+  }
+
+  /**
+   * Hold (or, with confirmed: true, commit) capacity for pickup at `pickupTime`.
+   * Replaces any earlier booking with the same id.
+   * Returns { ok: true, slot } or { ok: false, nextAvailable } when the kitchen is full then.
+   */
+  reserve(id, pickupTime, dozens, { confirmed = false, now = new Date() } = {}) {
+    const time = new Date(pickupTime);
+    const donuts = Math.round(dozens * 12);
+    if (donuts <= 0) {
+      this.release(id);
+      return { ok: true, slot: time };
+    }
+
+    const allocations = this._allocate(time, donuts, id, now);
+    if (!allocations) {
+      const after = new Date(this.slotStart(time).getTime() + this.slotMinutes * 60000);
+      return { ok: false, nextAvailable: this.findNextAvailable(after, dozens, { excludeId: id, now }) };
+    }
+
+    this.bookings[id] = {
+      id,
+      pickupTime: time.toISOString(),
+      dozens,
+      allocations,
+      confirmed: confirmed || !!this.bookings[id]?.confirmed,
+      updatedAt: now.toISOString(),
+    };
+    this._save(now);
+    return { ok: true, slot: time };
+  }
+
+  /**
+   * Earliest slot at or after `after` when the store is open and `dozens` fit, or null
+   */
+  findNextAvailable(after, dozens, { excludeId = null, now = new Date() } = {}) {
+    const slotMs = this.slotMinutes * 60000;
+    const donuts = Math.round(dozens * 12);
+    const start = Math.ceil(new Date(after).getTime() / slotMs) * slotMs;
+    const end = now.getTime() + this.maxDaysAhead * 24 * 3600000;
+
+    for (let t = start; t <= end; t += slotMs) {
+      const slot = new Date(t);
+      if (!isOpenAt(slot)) continue;
+      if (donuts <= 0 || this._allocate(slot, donuts, excludeId, now)) return slot;
+    }
+    return null;
+  }
+
+  /**
+   * Drop a booking (call ended without confirming, or order cancelled)
+   */
+  release(id, now = new Date()) {
+    if (!this.bookings[id]) return false;
+    delete this.bookings[id];
+    this._save(now);
+    return true;
+  }
+
+  /**
+   * Booking for an id, or null
+   */
+  getBooking(id) {
+    return this.bookings[id] || null;
+  }
+
+  /**
+   * Upcoming slots with committed dozens, for staff: [{ slot, committed, capacity }]
+   */
+  getSlots(now = new Date()) {
+    const current = this.slotStart(now).toISOString();
+    const totals = new Map();
+    for (const booking of Object.values(this.bookings)) {
+      if (!this._isActive(booking, now)) continue;
+      booking.allocations.forEach(a => {
+        if (a.slot >= current) totals.set(a.slot, (totals.get(a.slot) || 0) + a.donuts);
+      });
+    }
+    return [...totals.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([slot, donuts]) => ({ slot, committed: donuts / 12, capacity: this.dozensPerSlot }));
+  }
+
+  /**
+   * Spread donuts over the pickup slot and up to `prepSlots - 1` slots before it; null if they don't fit
+   */
+  _allocate(pickupTime, donuts, excludeId, now) {
+    const slotMs = this.slotMinutes * 60000;
+    const pickupSlot = this.slotStart(pickupTime).getTime();
+    const earliest = this.slotStart(now).getTime();
+    const capacity = Math.round(this.dozensPerSlot * 12);
+    const allocations = [];
+    let remaining = donuts;
+
+    for (let i = 0; i < this.prepSlots && remaining > 0; i++) {
+      const slot = pickupSlot - i * slotMs;
+      if (slot < earliest) break;
+      const free = capacity - Math.round(this.getCommitted(new Date(slot), excludeId, now) * 12);
+      const take = Math.min(free, remaining);
+      if (take > 0) {
+        allocations.push({ slot: new Date(slot).toISOString(), donuts: take });
+        remaining -= take;
+      }
+    }
+    return remaining > 0 ? null : allocations;
+  }
+
+  _isActive(booking, now) {
+    return booking.confirmed || now - new Date(booking.updatedAt) < this.holdMinutes * 60000;
+  }
+
+  /**
+   * Forget expired holds and bookings whose pickup is more than a day past
+   */
+  _purge(now = new Date()) {
+    const cutoff = now.getTime() - 24 * 3600000;
+    for (const [id, booking] of Object.entries(this.bookings)) {
+      if (!this._isActive(booking, now) || new Date(booking.pickupTime).getTime() < cutoff) {
+        delete this.bookings[id];
+      }
+    }
+  }
+
+  _save(now = new Date()) {
+    this._purge(now);
+    try {
+      writeJsonFile(this.filePath, { bookings: this.bookings });
+    } catch (error) {
+      console.error('❌ Failed to save kitchen bookings:', error.message);
+    }
+  }
+}
+
+module.exports = KitchenScheduler;
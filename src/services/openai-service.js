@@ -5,19 +5,30 @@
  */
 
 const WebSocket = require('ws');
-const { getMenuText } = require('../config/menu');
+const { onMenuChange } = require('../config/menu');
+const { buildOrderInstructions } = require('./order-prompt');
+const { ORDER_TOOLS, runOrderTool } = require('./order-tools');
 
 class OpenAIService {
-  constructor(apiKey, orderManager, onAudioCallback, onTranscriptCallback) {
+  /**
+   * onResponseDone(response): called when the model finishes a response (e.g. to start a
+   * staff transfer once the agent has finished speaking)
+   * transcript: a CallTranscript (transcript-store.js) to record both sides and tool calls in
+   */
+  constructor(apiKey, orderManager, onAudioCallback, onTranscriptCallback, onResponseDone = null, transcript = null) {
     this.apiKey = apiKey;
     this.orderManager = orderManager;
     this.onAudioCallback = onAudioCallback;
     this.onTranscriptCallback = onTranscriptCallback;
+    this.onResponseDone = onResponseDone;
+    this.transcript = transcript;
+    this.speechStartedAt = new Map(); // conversation item id -> when that speech began
     this.client = null;
     this.ready = false;
     this.sessionId = null;
     this.audioChunksSent = 0;
     this.audioChunksReceived = 0;
+    this.unsubscribeMenu = null;
   }
 
   /**
@@ -67,57 +78,7 @@ class OpenAIService {
    * Setup OpenAI session with configuration
    */
   _setupSession() {
-    const menuText = getMenuText();
-    const orderSummary = this.orderManager.getSummary();
-
-    console.log('📋 Menu text length for AI prompt:', menuText.length, 'chars');
-
-    const instructions = `You are a friendly, enthusiastic ordering assistant for Glazed & Confused — a fundraiser donut line. You genuinely love the products and want to help the cause succeed by helping customers find what they'll enjoy. You sound like a real person working the fundraiser, not a robot.
-
-MENU:
-${menuText}
-
-CURRENT ORDER:
-Items: ${orderSummary}
-Method: ${this.orderManager.getOrder().deliveryMethod || 'not set'}
-Address: ${this.orderManager.getOrder().address || 'not set'}
-Name: ${this.orderManager.getOrder().customerName || 'not set'}
-
-ORDER FLOW:
-1. Greet warmly: "Hey, thanks for calling Glazed and Confused! What can I get started for you?"
-2. When customer names items, call add_item_to_order IMMEDIATELY — don't wait or ask to confirm first.
-3. After adding, briefly confirm what you added and ask "What else?"
-4. When they say they're done, ask pickup or delivery.
-5. If delivery, get the address and repeat it back.
-6. Read back the full order with the total.
-7. Ask for their name (REQUIRED before confirming).
-8. Confirm only after they say yes.
-
-UPSELLING — CRITICAL (this is a fundraiser, every sale helps the cause):
-You get a MAXIMUM of 2 upsell moments per call. Track them internally. Pick the best opportunities from these:
-
-- Individual donuts (3+): "Oh nice — just so you know, if you grab a few more you'd hit a dozen and save a few bucks. The Classic Dozen is a great deal."
-- Classic Dozen ordered: "Want to upgrade to the Confused Dozen for just a few bucks more? You get all our specialty flavors — it's really popular."
-- No drinks in order: "Can I throw in a coffee or cold brew with that? Our cold brew is really good."
-- Breakfast doninis ordered: "Those pair great with our drip coffee if you wanna add one."
-- Small order (1-2 items): "Did you wanna grab an extra donut or two? The Dizzy Pig with maple and bacon is a customer favorite."
-- Before wrapping up: "Anything else I can add for you today?"
-
-UPSELLING RULES:
-- Sound like a real person giving genuine advice, NOT a sales script.
-- Only suggest things that make sense with what they already ordered.
-- If they say no, move on immediately — "No worries!" and continue.
-- NEVER upsell more than twice in a call.
-- Frame suggestions around value and taste, not pressure.
-- Good: "A lot of people grab a cold brew with the doninis — want me to add one?"
-- Bad: "Would you like to upgrade your order today for a special value?"
-
-STYLE:
-- Conversational, upbeat, genuine enthusiasm about the products.
-- Use casual language: "awesome", "great choice", "you got it", "no worries".
-- Vary your responses — don't repeat the same phrases.
-- Keep it moving — don't over-explain or linger.
-- Finish complete sentences. Don't cut off mid-word.`;
+    const instructions = this._buildInstructions();
 
     const sessionUpdate = {
       type: 'session.update',
@@ -146,107 +107,59 @@ STYLE:
     this.client.send(JSON.stringify(sessionUpdate));
     console.log('✅ OpenAI session configured (g711_ulaw, whisper-1 transcription, server_vad)');
 
-    // Trigger the initial greeting
+    // Keep the agent's menu current if items sell out or the menu reloads mid-call
+    this.unsubscribeMenu = onMenuChange(() => this.refreshInstructions());
+
+    // Trigger the initial greeting (by name for a returning caller; with their cart if they redialed)
+    const customer = this.orderManager.customer;
+    const order = this.orderManager.getOrder();
+    let greeting;
+    if (order.resumedFrom && order.items.length > 0) {
+      const name = order.customerName ? ` ${order.customerName.split(' ')[0]}` : '';
+      greeting = `The caller's last call got cut off before they finished ordering, and their order is still here: ${this.orderManager.getSummary()}. ` +
+        `Greet them and pick up where you left off — say something like: "Hey${name}, looks like we got cut off! I've still got your <their items, said naturally> — want to keep going?" ` +
+        'If they\'d rather start over, call clear_order.';
+    } else if (customer?.name) {
+      greeting = `Greet ${customer.name} by first name like a regular — say something like: "Hey ${customer.name.split(' ')[0]}, welcome back to Glazed and Confused! ${customer.usual ? 'Want your usual?' : 'What can I get started for you?'}"`;
+    } else {
+      greeting = 'Greet the customer warmly and casually. Say something like: "Hey, thanks for calling Glazed and Confused! What can I get started for you?"';
+    }
     this.client.send(JSON.stringify({
       type: 'response.create',
       response: {
         modalities: ['text', 'audio'],
-        instructions: 'Greet the customer warmly and casually. Say something like: "Hey, thanks for calling Glazed and Confused! What can I get started for you?"'
+        instructions: greeting
       }
     }));
     console.log('✅ Initial greeting triggered');
   }
 
+  /**
+   * Re-send the instructions (menu + current order) with a fresh session.update
+   */
+  refreshInstructions() {
+    if (!this.client || this.client.readyState !== WebSocket.OPEN) return false;
+
+    this.client.send(JSON.stringify({
+      type: 'session.update',
+      session: { instructions: this._buildInstructions() }
+    }));
+    console.log('🔄 OpenAI session instructions refreshed');
+    return true;
+  }
+
+  /**
+   * Build the system instructions: persona, live menu, current order and flow
+   */
+  _buildInstructions() {
+    return buildOrderInstructions(this.orderManager, { channel: 'voice' });
+  }
+
   /**
    * Define available tools for the AI
    */
   _getTools() {
-    return [
-      {
-        type: 'function',
-        name: 'add_item_to_order',
-        description: 'Add an item to the customer\'s order',
-        parameters: {
-          type: 'object',
-          properties: {
-            name: { type: 'string', description: 'The menu item name' },
-            size: {
-              type: 'string',
-              description: 'Size: single, half-dozen, dozen for donuts; small, medium, large for drinks; regular for bakery',
-              enum: ['single', 'half-dozen', 'dozen', 'small', 'medium', 'large', 'regular', 'double']
-            },
-            quantity: { type: 'number', description: 'How many of that size', minimum: 1, default: 1 }
-          },
-          required: ['name']
-        }
-      },
-      {
-        type: 'function',
-        name: 'set_delivery_method',
-        description: 'Set whether order is for pickup or delivery',
-        parameters: {
-          type: 'object',
-          properties: {
-            method: { type: 'string', enum: ['pickup', 'delivery'], description: 'Pickup or delivery' }
-          },
-          required: ['method']
-        }
-      },
-      {
-        type: 'function',
-        name: 'set_address',
-        description: 'Set delivery address',
-        parameters: {
-          type: 'object',
-          properties: {
-            address: { type: 'string', description: 'Full delivery address' }
-          },
-          required: ['address']
-        }
-      },
-      {
-        type: 'function',
-        name: 'set_customer_name',
-        description: 'Set customer name',
-        parameters: {
-          type: 'object',
-          properties: {
-            name: { type: 'string', description: 'Customer name' }
-          },
-          required: ['name']
-        }
-      },
-      {
-        type: 'function',
-        name: 'set_customer_phone',
-        description: 'Set customer phone number',
-        parameters: {
-          type: 'object',
-          properties: {
-            phone: { type: 'string', description: 'Customer phone number' }
-          },
-          required: ['phone']
-        }
-      },
-      {
-        type: 'function',
-        name: 'set_payment_method',
-        description: 'Set payment method',
-        parameters: {
-          type: 'object',
-          properties: {
-            method: { type: 'string', enum: ['cash', 'card'], description: 'Payment method' }
-          },
-          required: ['method']
-        }
-      },
-      {
-        type: 'function',
-        name: 'confirm_order',
-        description: 'Confirm the order is complete and ready to be submitted',
-        parameters: { type: 'object', properties: {} }
-      }
-    ];
+    return ORDER_TOOLS;
   }
 
   /**
@@ -282,11 +195,14 @@ STYLE:
 
         // ── AI speech transcript (what the AI said) ──
         case 'response.audio_transcript.delta':
-          break; // partial transcript, ignore
+          // partial transcript — only note when the agent started speaking
+          if (!this.speechStartedAt.has(message.item_id)) this.speechStartedAt.set(message.item_id, new Date());
+          break;
 
         case 'response.audio_transcript.done':
           if (message.transcript) {
             console.log(`🤖 AI said: "${message.transcript}"`);
+            this._recordSpeech('agent', message.item_id, message.transcript);
           }
           break;
 
@@ -294,11 +210,13 @@ STYLE:
         case 'conversation.item.input_audio_transcription.completed':
           if (message.transcript) {
             console.log(`👤 USER SAID: "${message.transcript}"`);
+            this._recordSpeech('caller', message.item_id, message.transcript);
             if (this.onTranscriptCallback) {
               this.onTranscriptCallback(message.transcript);
             }
           } else {
             console.log('👤 USER SAID: (empty transcription)');
+            this.speechStartedAt.delete(message.item_id);
           }
           break;
 
@@ -318,10 +236,14 @@ STYLE:
           if (message.response?.status === 'failed') {
             console.error('❌ Response failed:', JSON.stringify(message.response?.status_details));
           }
+          if (this.onResponseDone) {
+            this.onResponseDone(message.response);
+          }
           break;
 
         case 'input_audio_buffer.speech_started':
           console.log('🎤 User started speaking');
+          if (message.item_id) this.speechStartedAt.set(message.item_id, new Date());
           break;
 
         case 'input_audio_buffer.speech_stopped':
@@ -351,69 +273,18 @@ STYLE:
    */
   _handleToolCall(message) {
     let result = '';
+    let args = null;
+    let output;
     try {
       const callId = message.call_id;
       const functionName = message.name;
-      const args = JSON.parse(message.arguments || '{}');
+      args = JSON.parse(message.arguments || '{}');
 
       console.log(`🔧 TOOL CALL: ${functionName}(${JSON.stringify(args)})`);
 
-      switch (functionName) {
-        case 'add_item_to_order': {
-          const order = this.orderManager.addItem(args.name, args.size || 'single', args.quantity || 1);
-          result = JSON.stringify({
-            success: true,
-            message: `Added ${args.quantity || 1}x ${args.size || 'single'} ${args.name} to the order`,
-            currentOrder: this.orderManager.getSummary(),
-            total: `$${order.total.toFixed(2)}`
-          });
-          console.log(`   ✅ Added: ${args.quantity || 1}x ${args.size || 'single'} ${args.name} → total: $${order.total.toFixed(2)}`);
-          break;
-        }
-        case 'set_delivery_method':
-          this.orderManager.setDeliveryMethod(args.method);
-          result = JSON.stringify({ success: true, method: args.method });
-          console.log(`   ✅ Delivery: ${args.method}`);
-          break;
-
-        case 'set_address':
-          this.orderManager.setAddress(args.address);
-          result = JSON.stringify({ success: true, address: args.address });
-          console.log(`   ✅ Address: ${args.address}`);
-          break;
-
-        case 'set_customer_name':
-          this.orderManager.setCustomerName(args.name);
-          result = JSON.stringify({ success: true, name: args.name });
-          console.log(`   ✅ Name: ${args.name}`);
-          break;
-
-        case 'set_customer_phone':
-          this.orderManager.setCustomerPhone(args.phone);
-          result = JSON.stringify({ success: true, phone: args.phone });
-          console.log(`   ✅ Phone: ${args.phone}`);
-          break;
-
-        case 'set_payment_method':
-          this.orderManager.setPaymentMethod(args.method);
-          result = JSON.stringify({ success: true, method: args.method });
-          console.log(`   ✅ Payment: ${args.method}`);
-          break;
-
-        case 'confirm_order':
-          this.orderManager.confirm();
-          result = JSON.stringify({
-            success: true,
-            message: 'Order confirmed!',
-            summary: this.orderManager.getFullSummary()
-          });
-          console.log('   ✅ ORDER CONFIRMED');
-          console.log('   📋', this.orderManager.getFullSummary().replace(/\n/g, '\n   '));
-          break;
-
-        default:
-          result = JSON.stringify({ error: `Unknown function: ${functionName}` });
-      }
+      output = runOrderTool(this.orderManager, functionName, args);
+      if (this.transcript) this.transcript.addToolCall(functionName, args, output);
+      result = JSON.stringify(output);
 
       // Send the tool result back to OpenAI (correct format)
       this.client.send(JSON.stringify({
@@ -430,6 +301,9 @@ STYLE:
 
     } catch (error) {
       console.error('❌ Tool call error:', error.message);
+      if (this.transcript && output === undefined) {
+        this.transcript.addToolCall(message.name, args ?? message.arguments, { error: error.message });
+      }
       // Even on error, send a result so the AI doesn't get stuck
       if (message.call_id) {
         this.client.send(JSON.stringify({
@@ -445,6 +319,29 @@ STYLE:
     }
   }
 
+  /**
+   * Add a finished utterance to the call transcript, timed from when it started
+   */
+  _recordSpeech(speaker, itemId, text) {
+    const startedAt = this.speechStartedAt.get(itemId);
+    this.speechStartedAt.delete(itemId);
+    if (this.transcript) this.transcript.addSpeech(speaker, text, startedAt || new Date());
+  }
+
+  /**
+   * Tell the agent something mid-call (e.g. a transfer that didn't go through) and let it respond
+   */
+  sendSystemMessage(text) {
+    if (!this.client || this.client.readyState !== WebSocket.OPEN) return false;
+
+    this.client.send(JSON.stringify({
+      type: 'conversation.item.create',
+      item: { type: 'message', role: 'system', content: [{ type: 'input_text', text }] }
+    }));
+    this.client.send(JSON.stringify({ type: 'response.create' }));
+    return true;
+  }
+
   /**
    * Send audio input to OpenAI
    */
@@ -470,6 +367,10 @@ STYLE:
    * Close connection
    */
   close() {
+    if (this.unsubscribeMenu) {
+      this.unsubscribeMenu();
+      this.unsubscribeMenu = null;
+    }
     if (this.client) {
       this.client.removeAllListeners();
       if (this.client.readyState === WebSocket.OPEN || this.client.readyState === WebSocket.CONNECTING) {
@@ -0,0 +1,286 @@
+/**
+ * Order Finalizer Service
+ * Everything that happens to an order once the conversation is over: save it to the order store,
+ * send confirmed orders to the POS, credit the fundraiser campaign, remember it for the caller,
+ * and log it to Zapier and the Call Log sheet.
+ * Later status changes (staff marking it ready, a caller cancelling) are synced to the
+ * Call Log, ready orders are texted to the caller, and cancellations go to the POS,
+ * kitchen schedule and campaign totals. Card payments made through a payment link are
+ * marked in the Call Log's Payment column and on the POS ticket. Calls with a saved
+ * transcript get a link to it in the Call Log.
+ * With an orderVerifier, a confirmed call's order is first checked against its transcript;
+ * an order that doesn't match is flagged "needs review" in the Call Log and held back from
+ * the POS until staff approve it.
+ * With abandonedOrders, unconfirmed orders are classified, listed on the Abandoned tab and
+ * followed up by text.
+ * for Glazed and Confused donut shop
+ *
+ * Every dependency is optional — the shop runs with whichever integrations are configured.
+ */
+
+const { describePayment } = require('./payment-service');
+const { describeReview } = require('./order-verifier');
+
+class OrderFinalizer {
+  constructor({
+    orderStore = null,
+    logger = null,
+    sheetsLogger = null,
+    sheetsStatusUpdater = null,
+    posSender = null,
+    posCanceller = null,
+    campaignTracker = null,
+    customerStore = null,
+    kitchenScheduler = null,
+    smsNotifier = null,
+    paymentService = null,
+    sheetsPaymentUpdater = null,
+    posPaymentMarker = null,
+    transcriptStore = null,
+    orderVerifier = null,
+    sheetsReviewUpdater = null,
+    abandonedOrders = null,
+  } = {}) {
+    this.orderStore = orderStore;
+    this.logger = logger;
+    this.sheetsLogger = sheetsLogger;
+    this.sheetsStatusUpdater = sheetsStatusUpdater;
+    this.posSender = posSender;
+    this.posCanceller = posCanceller;
+    this.campaignTracker = campaignTracker;
+    this.customerStore = customerStore;
+    this.kitchenScheduler = kitchenScheduler;
+    this.smsNotifier = smsNotifier;
+    this.paymentService = paymentService;
+    this.sheetsPaymentUpdater = sheetsPaymentUpdater;
+    this.posPaymentMarker = posPaymentMarker;
+    this.transcriptStore = transcriptStore;
+    this.orderVerifier = orderVerifier;
+    this.sheetsReviewUpdater = sheetsReviewUpdater;
+    this.abandonedOrders = abandonedOrders;
+
+    if (orderStore) {
+      orderStore.onStatusChange((record) => {
+        this.syncStatus(record).catch(err => console.error('❌ Status sync error:', err.message));
+      });
+    }
+    if (paymentService) {
+      paymentService.onPaymentChange((record) => {
+        this.syncPayment(record).catch(err => console.error('❌ Payment sync error:', err.message));
+      });
+    }
+  }
+
+  /**
+   * Finish an order when its call (or chat) ends. Unconfirmed orders with items are kept
+   * as abandoned; empty ones are dropped (calls still go on the Abandoned tab).
+   * endReason: how an unconfirmed conversation ended ('hung-up', 'dropped', ...).
+   * Returns the stored record, if any.
+   */
+  async finalize(orderManager, { endReason = null } = {}) {
+    const order = orderManager.getOrder();
+    if (!order.confirmed) {
+      orderManager.abandon(endReason);
+    }
+    if (order.items.length === 0) {
+      console.log('ℹ️  No items in order — skipping log');
+      if (this.abandonedOrders && order.channel === 'voice') {
+        await this.abandonedOrders.record(this._withTranscript(orderManager.getOrderForLogging()));
+      }
+      return null;
+    }
+
+    const record = this.orderStore
+      ? this.orderStore.save(orderManager.getOrderForLogging(), { status: order.confirmed ? null : 'abandoned' })
+      : null;
+    const orderData = record
+      ? { ...record.order, ...(record.payment ? { payment: record.payment } : {}) }
+      : orderManager.getOrderForLogging();
+    this._withTranscript(orderData);
+
+    if (order.confirmed && record?.status === 'cancelled') {
+      // Cancelled with cancel_order before the call ended — log it, but nothing to make or credit
+      console.log(`ℹ️  Order #${record.orderNumber} was cancelled — skipping POS, campaign and customer history`);
+    } else if (order.confirmed) {
+      // Changed after the payment link went out (without confirming again) — send one for the new total
+      if (this.paymentService && record?.payment) {
+        await this.paymentService.requestPayment(orderData);
+        orderData.payment = record.payment;
+      }
+      const review = await this._verify(orderData, record);
+      this._creditCampaign(orderData);
+      this._rememberCustomer(orderData);
+      if (review?.status === 'needs-review') {
+        console.log('🚩 Order held back from the POS until staff review it');
+      } else {
+        await this._sendToPOS(orderData, record);
+      }
+    }
+
+    if (!order.confirmed && this.abandonedOrders) {
+      await this.abandonedOrders.record(orderData, record);
+    }
+
+    if (order.logged) {
+      console.log('ℹ️  Order already logged — skipping');
+    } else {
+      await this._log(orderManager, orderData);
+    }
+    return record;
+  }
+
+  /**
+   * Staff checked an order flagged "needs review": mark it approved in the Call Log and send
+   * it to the POS (unless it was cancelled meanwhile). Resolves to the updated record.
+   */
+  async approveReview(ref, now = new Date()) {
+    const record = this.orderStore?.find(ref);
+    if (!record) throw new Error(`Order not found: ${ref}`);
+    if (record.review?.status !== 'needs-review') {
+      throw new Error(`Order ${record.orderNumber ? `#${record.orderNumber}` : record.id} isn't waiting for review`);
+    }
+
+    this.orderStore.update(record.id, { review: { ...record.review, status: 'approved', approvedAt: now.toISOString() } }, now);
+    console.log(`✅ Order #${record.orderNumber} approved after review`);
+
+    const tasks = [];
+    if (this.sheetsReviewUpdater && record.orderNumber) {
+      tasks.push(this.sheetsReviewUpdater(record.orderNumber, describeReview(record.review)));
+    }
+    if (!['cancelled', 'abandoned'].includes(record.status)) {
+      tasks.push(this._sendToPOS({ ...record.order, ...(record.payment ? { payment: record.payment } : {}) }, record));
+    }
+    await Promise.all(tasks);
+    return record;
+  }
+
+  /**
+   * Push a status change out: the Call Log's Status column, a text when it's ready,
+   * and for a cancellation the POS, the kitchen hold and the campaign total
+   */
+  async syncStatus(record) {
+    console.log(`📦 Order #${record.orderNumber} → ${record.status}`);
+    const tasks = [];
+
+    if (this.sheetsStatusUpdater && record.orderNumber) {
+      tasks.push(this.sheetsStatusUpdater(record.orderNumber, record.status));
+    }
+
+    if (record.status === 'ready' && this.smsNotifier) {
+      tasks.push(this.smsNotifier.sendReady(record));
+    }
+
+    if (record.status === 'cancelled') {
+      if (this.kitchenScheduler) this.kitchenScheduler.release(record.id);
+      if (this.campaignTracker) this.campaignTracker.remove(record.id);
+      if (this.posCanceller && record.posOrderId) {
+        tasks.push(this.posCanceller(record.posOrderId));
+      }
+    }
+
+    await Promise.all(tasks);
+  }
+
+  /**
+   * Push a payment change out: the Call Log's Payment column, and a paid order's POS ticket.
+   * Orders not yet sent to the POS or logged pick up their payment when they are.
+   */
+  async syncPayment(record) {
+    if (!record.payment) return;
+    const tasks = [];
+
+    if (this.sheetsPaymentUpdater && record.orderNumber) {
+      tasks.push(this.sheetsPaymentUpdater(record.orderNumber, describePayment(record.order?.paymentMethod, record.payment)));
+    }
+    if (record.payment.status === 'paid' && this.posPaymentMarker && record.posOrderId) {
+      tasks.push(this.posPaymentMarker(record.posOrderId, record.payment));
+    }
+
+    await Promise.all(tasks);
+  }
+
+  /**
+   * Check a confirmed order against its call transcript and keep the result on the record
+   */
+  async _verify(orderData, record) {
+    if (!this.orderVerifier || record?.review) return record?.review || null;
+    const review = await this.orderVerifier.verify(orderData);
+    if (!review) return null;
+    orderData.review = review;
+    if (record) this.orderStore.update(record.id, { review });
+    return review;
+  }
+
+  /**
+   * Add the link to the call's transcript, if one was saved
+   */
+  _withTranscript(orderData) {
+    const { callSid } = orderData;
+    if (this.transcriptStore && callSid && this.transcriptStore.get(callSid)) {
+      const transcriptUrl = this.transcriptStore.linkFor(callSid);
+      if (transcriptUrl) orderData.transcriptUrl = transcriptUrl;
+    }
+    return orderData;
+  }
+
+  _creditCampaign(orderData) {
+    if (!this.campaignTracker || !orderData.campaign) return;
+    this.campaignTracker.record(orderData);
+    const { name, sellerName } = orderData.campaign;
+    console.log(`🎗️  Credited to ${name}${sellerName ? ` (${sellerName})` : ''}`);
+  }
+
+  _rememberCustomer(orderData) {
+    if (this.customerStore && this.customerStore.recordOrder(orderData)) {
+      console.log('👤 Order saved to customer history');
+    }
+  }
+
+  async _sendToPOS(orderData, record) {
+    if (!this.posSender || record?.posOrderId) return;
+    try {
+      const posOrderId = await this.posSender(orderData);
+      if (posOrderId && record) {
+        this.orderStore.update(record.id, { posOrderId });
+        // Paid while the POS order was being created — mark the new ticket too
+        if (record.payment?.status === 'paid' && orderData.payment?.status !== 'paid') {
+          await this.syncPayment(record);
+        }
+      }
+    } catch (error) {
+      console.error('❌ POS error:', error.message);
+    }
+  }
+
+  /**
+   * Zapier and the Call Log (partial orders too — staff can call back)
+   */
+  async _log(orderManager, orderData) {
+    const tasks = [];
+
+    if (this.logger) {
+      tasks.push(this.logger.logOrder(orderData).then(result => {
+        if (result.success) {
+          console.log('✅ Order logged to Zapier');
+        } else {
+          console.log('⚠️  Zapier log failed:', result.error);
+        }
+      }).catch(err => console.error('❌ Zapier error:', err.message)));
+    }
+
+    if (this.sheetsLogger) {
+      tasks.push(this.sheetsLogger(orderData).then(success => {
+        if (success) {
+          console.log('✅ Order logged to Google Sheets');
+          orderManager.markAsLogged();
+        } else {
+          console.log('⚠️  Google Sheets log failed');
+        }
+      }).catch(err => console.error('❌ Google Sheets error:', err.message)));
+    }
+
+    await Promise.all(tasks);
+  }
+}
+
+module.exports = OrderFinalizer;
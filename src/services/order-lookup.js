@@ -0,0 +1,122 @@
+/**
+ * Order Lookup Service
+ * "Is my order ready?" and "I need to cancel" for callers: finds their recent orders by
+ * caller ID or a spoken order number, describes status and pickup time, and cancels
+ * within the cutoff.
+ * for Glazed and Confused donut shop
+ */
+
+const { getPickupRules, describeTime } = require('../config/store-hours');
+const { normalizePhone } = require('../utils/phone');
+
+const LOOKBACK_DAYS = 3; // "my order" means something recent (scheduled pickups can be further out)
+const ACTIVE_STATUSES = ['received', 'in-progress', 'ready'];
+
+/**
+ * The caller's orders: the one with a spoken number, else their recent and upcoming ones
+ * (newest first). Abandoned calls are never returned, and neither is an order placed from
+ * another phone — an order number alone doesn't show whose order it is.
+ */
+function findCallerOrders(orderStore, { phone, orderNumber = null, now = new Date() }) {
+  if (orderNumber) {
+    const record = _findByNumber(orderStore, orderNumber);
+    return record && _isCallersOrder(record, phone) ? [record] : [];
+  }
+  if (!normalizePhone(phone)) return [];
+
+  const since = new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * 60000);
+  return orderStore.list({ phone, status: [...ACTIVE_STATUSES, 'picked-up', 'cancelled'] })
+    .filter(r => new Date(r.createdAt) >= since || (ACTIVE_STATUSES.includes(r.status) && _dueAt(r) >= now));
+}
+
+/**
+ * What the agent tells the caller about one order
+ */
+function describeOrderStatus(record) {
+  const due = _dueAt(record);
+  return {
+    orderNumber: record.orderNumber,
+    status: record.status,
+    items: record.order.itemsSummary,
+    total: `$${Number(record.order.total || 0).toFixed(2)}`,
+    method: record.order.deliveryMethod || 'pickup',
+    ...(due ? { pickupTime: describeTime(due) } : {}),
+    ...(record.payment ? { payment: record.payment.status } : {}),
+  };
+}
+
+/**
+ * Why the caller can't cancel this order themselves, or null if they can
+ */
+function getCancelProblem(record, phone, now = new Date()) {
+  if (!_isCallersOrder(record, phone)) {
+    return 'was placed from a different phone number — ask them to call back from that number';
+  }
+  if (record.status === 'cancelled') return 'is already cancelled';
+  if (record.status !== 'received') {
+    return `is already ${record.status === 'picked-up' ? 'picked up' : record.status} and can't be cancelled`;
+  }
+
+  if (record.payment?.status === 'paid') {
+    return 'was already paid by card — staff have to cancel and refund it, so ask them to talk to someone at the shop';
+  }
+
+  const cutoff = getPickupRules().cancelCutoffMinutes;
+  const due = _dueAt(record);
+  if (due && due.getTime() - now.getTime() < cutoff * 60000) {
+    return `is due ${describeTime(due)} — orders can't be cancelled within ${cutoff} minutes of pickup`;
+  }
+  return null;
+}
+
+/**
+ * Cancel one of the caller's orders. With no order number the caller must have exactly one
+ * order that can be cancelled. Throws with what to tell the caller otherwise.
+ */
+function cancelCallerOrder(orderStore, { phone, orderNumber = null, reason = null, now = new Date() }) {
+  let record;
+  if (orderNumber) {
+    record = _findByNumber(orderStore, orderNumber);
+    if (!record) throw new Error(`There's no order #${orderNumber} — ask the caller to check the number`);
+  } else {
+    const active = findCallerOrders(orderStore, { phone, now }).filter(r => r.status === 'received');
+    if (active.length === 0) throw new Error('No open orders found for this phone number — ask for the order number');
+    if (active.length > 1) {
+      throw new Error(`This caller has ${active.length} open orders (${active.map(r => `#${r.orderNumber}`).join(', ')}) — ask which one`);
+    }
+    record = active[0];
+  }
+
+  const problem = getCancelProblem(record, phone, now);
+  if (problem) throw new Error(`Order #${record.orderNumber} ${problem}`);
+
+  return orderStore.updateStatus(record.id, 'cancelled', { note: reason ? `caller: ${reason}` : 'cancelled by caller', now });
+}
+
+function _findByNumber(orderStore, orderNumber) {
+  const record = orderStore.getByNumber(orderNumber);
+  return record && record.status !== 'abandoned' ? record : null;
+}
+
+/**
+ * Whether the order was placed from (or for) the caller's phone
+ */
+function _isCallersOrder(record, phone) {
+  const callerPhone = normalizePhone(phone);
+  return !!callerPhone && [record.order.from, record.order.customerPhone].map(normalizePhone).includes(callerPhone);
+}
+
+/**
+ * When the order is due: the scheduled pickup time, else the booked ready time
+ */
+function _dueAt(record) {
+  const due = record.order?.pickupTime || record.order?.readyAt;
+  return due ? new Date(due) : null;
+}
+
+module.exports = {
+  findCallerOrders,
+  describeOrderStatus,
+  getCancelProblem,
+  cancelCallerOrder,
+};
@@ -4,14 +4,53 @@
  * for Glazed and Confused donut shop
  */
 
-const { getMenu, findMenuItem, getPrice } = require('../config/menu');
+const {
+  getMenu, findMenuItem, getPrice, findModifier, isSingleChoiceGroup, getBoxConfig, isBoxFlavor
+} = require('../config/menu');
+const {
+  getSchedule, getPickupRules, isOpenAt, getNextOpening, describeTime
+} = require('../config/store-hours');
+const { isDeliveryRestricted, findDeliveryZone, extractZip } = require('../config/delivery-zones');
+const { getTaxConfig } = require('../config/tax');
+const { toCents, fromCents, formatMoney, unitPriceCents, calculateTotals } = require('./pricing');
+const { parsePickupTime } = require('../utils/time-parser');
+const { normalizePhone } = require('../utils/phone');
+const { getPromotions, findPromoCode, normalizeCode } = require('../config/promotions');
+const { evaluatePromotions, getCodeProblem } = require('./promotions');
+const { findCampaignByCode } = require('../config/campaigns');
+
+const BOX_ITEM_NAME = 'mixed box';
+
+// Why an order was left unconfirmed
+const ABANDON_REASONS = ['hung-up', 'dropped', 'transferred', 'stopped-replying', 'no-items'];
 
 class OrderManager {
-  constructor(streamSid, callSid, fromNumber) {
+  /**
+   * options.scheduler: shared KitchenScheduler — when set, pickup times and confirmed
+   * orders book fryer capacity
+   * options.customer: the returning caller's profile from the CustomerStore (name, usual, ...)
+   * options.orderStore: shared OrderStore — confirmed orders are saved there and get an order number
+   * options.smsNotifier: shared SmsNotifier — confirmed orders are texted to the caller
+   * options.paymentService: shared PaymentService — confirmed card orders are texted a payment link
+   * options.staffTransfer: shared StaffTransfer — lets the agent hand a call to a person at the shop
+   * options.channel: how the order came in — 'voice' (default), 'text', 'web' (chat) or 'api'
+   */
+  constructor(streamSid, callSid, fromNumber, options = {}) {
     this.streamSid = streamSid;
     this.callSid = callSid;
     this.fromNumber = fromNumber;
+    this.scheduler = options.scheduler || null;
+    this.customer = options.customer || null;
+    this.orderStore = options.orderStore || null;
+    this.smsNotifier = options.smsNotifier || null;
+    this.paymentService = options.paymentService || null;
+    this.staffTransfer = options.staffTransfer || null;
+    this.channel = options.channel || 'voice';
     this.order = this.createEmptyOrder();
+    if (this.customer?.name) {
+      this.order.customerName = this.customer.name;
+    }
+    this.history = []; // snapshots of items before each edit, newest last (for undo)
   }
   
   createEmptyOrder() {
@@ -19,60 +58,436 @@ class OrderManager {
       streamSid: this.streamSid,
       callSid: this.callSid,
       from: this.fromNumber,
+      channel: this.channel,
       items: [],
       deliveryMethod: null, // 'pickup' or 'delivery'
       address: null,
+      deliveryZone: null, // { name, fee, minimumOrder, zip } when delivery zones are configured
       customerName: null,
       customerPhone: this.fromNumber,
+      verifiedPhone: null, // normalized number a web customer proved with a code (or a resume link)
       paymentMethod: null,
+      taxExempt: false, // nonprofit / tax-exempt organization order
+      taxExemptOrganization: null,
+      preorderFor: null, // ISO time of the next opening when ordering after hours
+      pickupTime: null, // ISO time the caller asked for (null = as soon as it's ready)
+      pickupTimeRequested: null, // the caller's own words, e.g. "7am Saturday"
+      readyAt: null, // ISO kitchen slot booked for an ASAP order at confirmation
+      promoCodes: [], // codes the caller gave, normalized (e.g. 'SWEET5')
+      discounts: [], // [{ id, name, code, category, amountCents, amount }] from the promotions engine
+      campaign: null, // { id, name, seller, sellerName } — the fundraiser this order supports
+      orderNumber: null, // friendly number from the order store, read back to the caller
+      status: null, // order store lifecycle status once confirmed (received, ready, ...) or abandoned
+      abandonReason: null, // why an unconfirmed order ended — see ABANDON_REASONS
+      resumedFrom: null, // callSid of the unfinished order this one picked up from
       confirmed: false,
       logged: false,
       timestamp: new Date().toISOString(),
       subtotal: 0,
+      discount: 0,
       tax: 0,
+      deliveryFee: 0,
       total: 0
     };
   }
   
   /**
    * Add item to order
+   * modifiers: list of modifier names (e.g. ['oat milk', 'extra shot'])
    */
-  addItem(itemName, size = 'single', quantity = 1, specialInstructions = null) {
+  addItem(itemName, size = 'single', quantity = 1, specialInstructions = null, modifiers = []) {
+    _assertAddQuantity(quantity);
     const found = findMenuItem(itemName);
     
     if (!found) {
       throw new Error(`Menu item not found: ${itemName}`);
     }
+    if (found.data.available === false) {
+      throw new Error(`Sorry, ${found.name} is sold out today`);
+    }
     
-    const price = getPrice(itemName, size);
-    if (price === null) {
+    const basePrice = getPrice(itemName, size);
+    if (basePrice === null) {
       throw new Error(`Price not found for ${itemName} (size: ${size})`);
     }
     
-    // Check if item already exists with same size
-    const existingIndex = this.order.items.findIndex(
-      item => item.name.toLowerCase() === found.name.toLowerCase() && 
-              (item.size || 'single') === (size || 'single')
-    );
+    const resolvedModifiers = this._resolveModifiers(found, modifiers);
+    const newItem = {
+      name: found.name,
+      size: size || 'single',
+      quantity: quantity,
+      basePrice: basePrice,
+      price: this._unitPrice(basePrice, resolvedModifiers),
+      modifiers: resolvedModifiers,
+      category: found.data.category || null,
+      specialInstructions: specialInstructions || null
+    };
+    
+    this._recordChange(`add ${quantity}x ${this._describeItem(newItem)}`);
+    
+    // Check if item already exists with same size and customizations
+    const existingIndex = this.order.items.findIndex(item => this._isSameLine(item, newItem));
     
     if (existingIndex >= 0) {
       // Update quantity of existing item
       this.order.items[existingIndex].quantity += quantity;
     } else {
       // Add new item
-      this.order.items.push({
-        name: found.name,
-        size: size || 'single',
-        quantity: quantity,
-        price: price,
-        specialInstructions: specialInstructions
-      });
+      this.order.items.push(newItem);
+    }
+    
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Add a build-your-own half-dozen or dozen box with a mix of flavors
+   * flavors: [{ name, count }] — counts must add up to the box size (6 or 12)
+   */
+  addBox(size, flavors, quantity = 1) {
+    _assertAddQuantity(quantity);
+    const box = getBoxConfig(size);
+    if (!box) {
+      throw new Error(`Invalid box size: ${size}. Must be 'half-dozen' or 'dozen'`);
+    }
+    if (!Array.isArray(flavors) || flavors.length === 0) {
+      throw new Error('A box needs at least one flavor');
+    }
+    
+    const resolved = [];
+    for (const flavor of flavors) {
+      const found = findMenuItem(flavor.name);
+      if (found && found.data.available === false) {
+        throw new Error(`Sorry, ${found.name} is sold out today`);
+      }
+      if (!found || !isBoxFlavor(found.name)) {
+        throw new Error(`${flavor.name} can't go in a mixed box`);
+      }
+      const count = Number(flavor.count);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`Invalid count for ${found.name}: ${flavor.count}`);
+      }
+      
+      const existing = resolved.find(f => f.name === found.name);
+      if (existing) {
+        existing.count += count;
+      } else {
+        resolved.push({
+          name: found.name, count, surcharge: found.data.boxSurcharge || 0, category: found.data.category || null
+        });
+      }
+    }
+    
+    const total = resolved.reduce((sum, f) => sum + f.count, 0);
+    if (total !== box.count) {
+      throw new Error(`A ${size} box holds ${box.count} donuts but ${total} were given`);
+    }
+    
+    const surchargeCents = resolved.reduce((sum, f) => sum + f.count * toCents(f.surcharge), 0);
+    const newItem = {
+      name: BOX_ITEM_NAME,
+      size: size,
+      quantity: quantity,
+      basePrice: box.price,
+      price: fromCents(toCents(box.price) + surchargeCents),
+      modifiers: [],
+      category: resolved[0].category,
+      specialInstructions: null,
+      box: { flavors: resolved.map(({ category, ...flavor }) => flavor) }
+    };
+    
+    this._recordChange(`add ${quantity}x ${this._describeItem(newItem)}`);
+    
+    const existingIndex = this.order.items.findIndex(item => this._isSameLine(item, newItem));
+    if (existingIndex >= 0) {
+      this.order.items[existingIndex].quantity += quantity;
+    } else {
+      this.order.items.push(newItem);
+    }
+    
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Remove an item (all of its quantity) from the order
+   */
+  removeItem(itemName, size = null, modifiers = null) {
+    const index = this._findItemIndex(itemName, size, modifiers);
+    const item = this.order.items[index];
+    
+    this._recordChange(`remove ${item.quantity}x ${this._describeItem(item)}`);
+    this.order.items.splice(index, 1);
+    
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Set the quantity of an item already in the order (0 removes it)
+   */
+  updateItemQuantity(itemName, quantity, size = null, modifiers = null) {
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new Error(`Invalid quantity: ${quantity}`);
+    }
+    if (quantity === 0) {
+      return this.removeItem(itemName, size, modifiers);
+    }
+    
+    const index = this._findItemIndex(itemName, size, modifiers);
+    const item = this.order.items[index];
+    
+    this._recordChange(`change ${this._describeItem(item)} quantity from ${item.quantity} to ${quantity}`);
+    item.quantity = quantity;
+    
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Swap the size of an item already in the order (e.g. half-dozen -> dozen)
+   */
+  changeItemSize(itemName, newSize, currentSize = null) {
+    const index = this._findItemIndex(itemName, currentSize);
+    const item = this.order.items[index];
+    
+    if (item.box) {
+      throw new Error('A mixed box can\'t be resized — remove it and fill a new box');
+    }
+    
+    const found = findMenuItem(item.name);
+    if (!found || !found.data.sizes.includes(newSize)) {
+      throw new Error(`Size ${newSize} not available for ${item.name}`);
+    }
+    if (item.size === newSize) {
+      return this.order;
+    }
+    
+    this._recordChange(`change ${item.name} size from ${item.size} to ${newSize}`);
+    
+    // Merge into an existing line of the new size rather than duplicating it
+    const resized = { ...item, size: newSize };
+    const existingIndex = this.order.items.findIndex(
+      other => other !== item && this._isSameLine(other, resized)
+    );
+    if (existingIndex >= 0) {
+      this.order.items[existingIndex].quantity += item.quantity;
+      this.order.items.splice(index, 1);
+    } else {
+      item.size = newSize;
+      item.basePrice = getPrice(item.name, newSize);
+      item.price = this._unitPrice(item.basePrice, item.modifiers || []);
+    }
+    
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Add a returning caller's usual order at today's prices.
+   * Lines that can't be added (sold out, off the menu) are skipped and reported.
+   */
+  reorderUsual() {
+    const usual = this.customer?.usual;
+    if (!usual || usual.length === 0) {
+      throw new Error('No usual order on file for this caller — take their order as normal');
+    }
+    
+    const { added, skipped } = this._addLines(usual);
+    if (added.length === 0) {
+      throw new Error(`Couldn't add their usual: ${skipped.map(s => s.reason).join('; ')}`);
+    }
+    return { added, skipped };
+  }
+  
+  /**
+   * Carry over an unfinished order (an order for logging) — its items at today's prices, the
+   * name, callback number and pickup/delivery choice. Items that can't be added are skipped
+   * and reported, like reorderUsual.
+   */
+  restoreCart(saved) {
+    const { added, skipped } = this._addLines(saved.items || []);
+    if (added.length > 0) this.order.resumedFrom = saved.callSid || null;
+    try {
+      if (saved.customerName && !this.order.customerName) this.setCustomerName(saved.customerName);
+      if (saved.customerPhone) this.setCustomerPhone(saved.customerPhone);
+      if (saved.deliveryMethod) this.setDeliveryMethod(saved.deliveryMethod);
+      if (saved.deliveryMethod === 'delivery' && saved.address) this.setAddress(saved.address);
+    } catch (error) {
+      console.log(`⚠️  Restored cart details not carried over: ${error.message}`);
     }
+    return { added, skipped };
+  }
+  
+  /**
+   * Add order lines ({ name, size, quantity, modifiers, specialInstructions, box }) one by one
+   */
+  _addLines(lines) {
+    const added = [];
+    const skipped = [];
+    for (const item of lines) {
+      try {
+        if (item.box) {
+          this.addBox(item.size, item.box.flavors, item.quantity);
+        } else {
+          const modifiers = (item.modifiers || []).map(m => (typeof m === 'string' ? m : m.name));
+          this.addItem(item.name, item.size, item.quantity, item.specialInstructions, modifiers);
+        }
+        added.push(item);
+      } catch (error) {
+        skipped.push({ name: item.name, reason: error.message });
+      }
+    }
+    return { added, skipped };
+  }
+  
+  /**
+   * Remove every item from the order
+   */
+  clearOrder() {
+    if (this.order.items.length === 0) {
+      return this.order;
+    }
+    
+    this._recordChange('clear order');
+    this.order.items = [];
     
     this.recalculateTotals();
     return this.order;
   }
   
+  /**
+   * Get the most recent item edit that can be undone
+   */
+  getLastChange() {
+    const last = this.history[this.history.length - 1];
+    return last ? last.action : null;
+  }
+  
+  /**
+   * Revert the items to how they were before the last edit
+   */
+  undoLastChange() {
+    const last = this.history.pop();
+    if (!last) {
+      throw new Error('Nothing to undo');
+    }
+    
+    this.order.items = last.items;
+    
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Snapshot the current items before an edit so it can be undone
+   */
+  _recordChange(action) {
+    this.history.push({
+      action,
+      items: JSON.parse(JSON.stringify(this.order.items)),
+      timestamp: new Date().toISOString()
+    });
+    if (this.history.length > 50) {
+      this.history.shift();
+    }
+  }
+  
+  /**
+   * Validate requested modifiers against the item's allowed list
+   * Returns [{ name, price }] in the order requested, without duplicates
+   */
+  _resolveModifiers(found, modifiers) {
+    if (!modifiers || modifiers.length === 0) return [];
+    
+    const allowed = found.data.modifiers || [];
+    const resolved = [];
+    const groupsUsed = {};
+    
+    for (const requested of modifiers) {
+      const mod = findModifier(requested);
+      if (!mod || !allowed.includes(mod.name)) {
+        const options = allowed.length > 0 ? `Options: ${allowed.join(', ')}` : 'It cannot be customized';
+        throw new Error(`"${requested}" is not available on ${found.name}. ${options}`);
+      }
+      if (resolved.some(m => m.name === mod.name)) continue;
+      
+      const group = mod.data.group;
+      if (isSingleChoiceGroup(group) && groupsUsed[group]) {
+        throw new Error(`Only one ${group} choice allowed on ${found.name} (got ${groupsUsed[group]} and ${mod.name})`);
+      }
+      groupsUsed[group] = mod.name;
+      
+      resolved.push({ name: mod.name, price: mod.data.price });
+    }
+    
+    return resolved;
+  }
+  
+  /**
+   * Unit price of an item including its modifiers
+   */
+  _unitPrice(basePrice, modifiers) {
+    return fromCents(unitPriceCents(basePrice, modifiers));
+  }
+  
+  /**
+   * Two order lines can be merged if everything but quantity matches
+   */
+  _isSameLine(a, b) {
+    const mods = (item) => (item.modifiers || []).map(m => m.name).sort().join('|');
+    const flavors = (item) => (item.box?.flavors || []).map(f => `${f.count} ${f.name}`).sort().join('|');
+    return a.name.toLowerCase() === b.name.toLowerCase() &&
+      (a.size || 'single') === (b.size || 'single') &&
+      mods(a) === mods(b) &&
+      flavors(a) === flavors(b) &&
+      (a.specialInstructions || null) === (b.specialInstructions || null);
+  }
+  
+  /**
+   * Human-readable item description, e.g. "large latte (oat milk, extra shot)"
+   * or "dozen mixed box (6 glazed donut, 6 boston cream donut)"
+   */
+  _describeItem(item) {
+    if (item.box) {
+      const flavors = item.box.flavors.map(f => `${f.count} ${f.name}`).join(', ');
+      return `${item.size} ${item.name} (${flavors})`;
+    }
+    const size = item.size ? `${item.size} ` : '';
+    const mods = item.modifiers && item.modifiers.length > 0
+      ? ` (${item.modifiers.map(m => m.name).join(', ')})`
+      : '';
+    return `${size}${item.name}${mods}`;
+  }
+  
+  /**
+   * Find the index of an item in the order by (fuzzy) name, optional size
+   * and optional modifiers (to tell apart e.g. an oat milk and a plain latte)
+   */
+  _findItemIndex(itemName, size = null, modifiers = null) {
+    const isBox = /\bbox\b/i.test(itemName || '');
+    const found = isBox ? null : findMenuItem(itemName);
+    const lowerName = isBox ? BOX_ITEM_NAME : (found ? found.name : itemName || '').toLowerCase().trim();
+    const modNames = modifiers ? modifiers.map(m => findModifier(m)?.name || m.toLowerCase()) : null;
+    
+    const matches = [];
+    this.order.items.forEach((item, index) => {
+      if (item.name.toLowerCase() !== lowerName || (size && item.size !== size)) return;
+      if (modNames && !modNames.every(m => (item.modifiers || []).some(im => im.name === m))) return;
+      matches.push(index);
+    });
+    
+    if (matches.length === 0) {
+      throw new Error(`Item not in order: ${size ? `${size} ` : ''}${itemName}`);
+    }
+    if (matches.length > 1) {
+      const lines = matches.map(i => this._describeItem(this.order.items[i])).join('; ');
+      throw new Error(`Order has more than one ${lowerName} (${lines}) — specify which one`);
+    }
+    
+    return matches[0];
+  }
+  
   /**
    * Set delivery method
    */
@@ -81,17 +496,32 @@ class OrderManager {
       throw new Error(`Invalid delivery method: ${method}. Must be 'pickup' or 'delivery'`);
     }
     this.order.deliveryMethod = method;
+    this.recalculateTotals();
     return this.order;
   }
   
   /**
    * Set delivery address
+   * With delivery zones configured, the address must fall in one (its fee is added to the total)
    */
   setAddress(address) {
     if (!address || address.trim().length === 0) {
       throw new Error('Address cannot be empty');
     }
+    
+    if (isDeliveryRestricted()) {
+      if (!extractZip(address)) {
+        throw new Error('Need the ZIP code to check the delivery area — ask the customer for it');
+      }
+      const zone = findDeliveryZone(address);
+      if (!zone) {
+        throw new Error(`Sorry, ${address.trim()} is outside our delivery area — offer pickup instead`);
+      }
+      this.order.deliveryZone = zone;
+    }
+    
     this.order.address = address.trim();
+    this.recalculateTotals();
     return this.order;
   }
   
@@ -113,6 +543,22 @@ class OrderManager {
     this.order.customerPhone = phone || this.fromNumber;
     return this.order;
   }
+
+  /**
+   * Record that the customer proved they get texts at this number (web orders)
+   */
+  markPhoneVerified(phone) {
+    this.order.verifiedPhone = normalizePhone(phone);
+    return this.order;
+  }
+
+  /**
+   * Whether the customer's current number is the one they verified
+   */
+  isPhoneVerified() {
+    const phone = normalizePhone(this.order.customerPhone);
+    return !!phone && phone === this.order.verifiedPhone;
+  }
   
   /**
    * Set payment method
@@ -130,10 +576,125 @@ class OrderManager {
     return this.order;
   }
   
+  /**
+   * Mark the order as an after-hours pre-order for the next opening
+   */
+  setPreorder(opensAt) {
+    const date = new Date(opensAt);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid pre-order time: ${opensAt}`);
+    }
+    this.order.preorderFor = date.toISOString();
+    return this.order;
+  }
+  
+  /**
+   * Schedule pickup (or delivery) from the caller's words: "7am Saturday", "tomorrow at 8:30",
+   * "in 30 minutes". "ASAP" clears any scheduled time.
+   */
+  setPickupTime(requested, now = new Date()) {
+    const parsed = requested instanceof Date
+      ? { time: requested }
+      : parsePickupTime(requested, now, getSchedule().timezone);
+    
+    if (!parsed) {
+      throw new Error(`Could not understand pickup time "${requested}" — ask for a day and time, like "Saturday at 7am"`);
+    }
+    
+    if (parsed.asap) {
+      this.order.pickupTime = null;
+      this.order.pickupTimeRequested = 'ASAP';
+      this.releaseSlot();
+      return this.order;
+    }
+    
+    this._validatePickupTime(parsed.time, now);
+    this._bookSlot(parsed.time, false, now);
+    this.order.pickupTime = parsed.time.toISOString();
+    this.order.pickupTimeRequested = requested instanceof Date ? null : String(requested).trim();
+    return this.order;
+  }
+  
+  /**
+   * Total donuts in the order, in dozens (boxes, dozens, half-dozens and singles)
+   */
+  getDozenCount() {
+    const donuts = this.order.items.reduce((sum, item) => {
+      const qty = item.quantity || 1;
+      if (item.box) return sum + qty * (getBoxConfig(item.size)?.count || 0);
+      if (!isBoxFlavor(item.name)) return sum;
+      const perItem = getBoxConfig(item.size)?.count || 1;
+      return sum + qty * perItem;
+    }, 0);
+    return donuts / 12;
+  }
+  
+  /**
+   * Mark the order tax-exempt (e.g. a nonprofit buying for an event), or clear it
+   */
+  setTaxExempt(exempt = true, organization = null) {
+    this.order.taxExempt = !!exempt;
+    this.order.taxExemptOrganization = exempt && organization ? organization.trim() : null;
+    this.recalculateTotals();
+    return this.order;
+  }
+  
+  /**
+   * Apply a promo code the caller gave; throws if it's unknown or can't be used on this order
+   */
+  applyPromoCode(code, now = new Date()) {
+    const promo = findPromoCode(code);
+    if (!promo) {
+      throw new Error(`"${code}" isn't a valid promo code — ask the caller to double-check it`);
+    }
+    const problem = getCodeProblem(promo, this.order.items, now, getSchedule().timezone);
+    if (problem) {
+      throw new Error(`Promo code ${promo.code} ${problem}`);
+    }
+    
+    const normalized = normalizeCode(promo.code);
+    if (!this.order.promoCodes.includes(normalized)) {
+      this.order.promoCodes.push(normalized);
+    }
+    this.recalculateTotals();
+    return this.order.discounts.find(d => d.code === promo.code) || null;
+  }
+  
+  /**
+   * Attribute the order to a fundraiser campaign (and optionally one of its sellers)
+   */
+  setCampaign(campaign, seller = null) {
+    this.order.campaign = campaign ? {
+      id: campaign.id,
+      name: campaign.name,
+      seller: seller?.code || null,
+      sellerName: seller?.name || null,
+    } : null;
+    return this.order;
+  }
+  
+  /**
+   * Attribute the order from a code the caller gave — a campaign code or a seller's code.
+   * A campaign code keeps a seller already credited to the same campaign.
+   */
+  applyCampaignCode(code) {
+    const match = findCampaignByCode(code);
+    if (!match) {
+      throw new Error(`"${code}" isn't a fundraiser or seller code — ask the caller to spell it`);
+    }
+    
+    const current = this.order.campaign;
+    const keepSeller = !match.seller && current?.id === match.campaign.id && current.seller;
+    const seller = keepSeller
+      ? (match.campaign.sellers || []).find(s => s.code === current.seller)
+      : match.seller;
+    return this.setCampaign(match.campaign, seller);
+  }
+  
   /**
    * Confirm order
    */
-  confirm() {
+  confirm(now = new Date()) {
     if (this.order.items.length === 0) {
       throw new Error('Cannot confirm order with no items');
     }
@@ -142,30 +703,171 @@ class OrderManager {
       throw new Error('Cannot confirm order without customer name');
     }
     
+    const zone = this.order.deliveryMethod === 'delivery' ? this.order.deliveryZone : null;
+    if (zone && toCents(this.order.subtotal) < toCents(zone.minimumOrder)) {
+      const short = toCents(zone.minimumOrder) - toCents(this.order.subtotal);
+      throw new Error(`Delivery to ${zone.name} needs at least ${formatMoney(toCents(zone.minimumOrder))} before tax — ` +
+        `add ${formatMoney(short)} more or switch to pickup`);
+    }
+    
+    // Items may have changed since the time was set (e.g. grew past a large-order lead time)
+    if (this.order.pickupTime) {
+      this._validatePickupTime(new Date(this.order.pickupTime), now);
+      this._bookSlot(new Date(this.order.pickupTime), true);
+    } else {
+      // ASAP (or as soon as a pre-order opens) gets the same notice as a scheduled pickup
+      const asap = this.order.preorderFor && new Date(this.order.preorderFor) > now ? new Date(this.order.preorderFor) : now;
+      this._checkLargeOrderLeadTime(asap, now, 'schedule a pickup time');
+      if (this.scheduler) this._bookEarliestSlot(now);
+    }
+    
     this.order.confirmed = true;
+    this.order.status = 'received';
+    
+    if (this.orderStore) {
+      const record = this.orderStore.save(this.getOrderForLogging(), { status: 'received' });
+      this.order.orderNumber = record.orderNumber;
+    }
+    if (this.smsNotifier) {
+      this.smsNotifier.sendConfirmation(this.getOrderForLogging()); // never rejects
+    }
+    if (this.paymentService) {
+      this.paymentService.requestPayment(this.getOrderForLogging()); // never rejects
+    }
+    return this.order;
+  }
+  
+  /**
+   * The conversation ended without confirming: free the kitchen hold and mark the order abandoned.
+   * reason: 'hung-up', 'dropped' or 'transferred' (to staff) for calls — off the phone the
+   * default is 'stopped-replying'; an empty order is always 'no-items'.
+   */
+  abandon(reason = null) {
+    if (this.order.confirmed) return this.order;
+    if (reason && !ABANDON_REASONS.includes(reason)) {
+      throw new Error(`Unknown abandon reason "${reason}" — use ${ABANDON_REASONS.join(', ')}`);
+    }
+    this.releaseSlot();
+    this.order.status = 'abandoned';
+    if (this.order.items.length === 0) {
+      this.order.abandonReason = 'no-items';
+    } else {
+      this.order.abandonReason = reason || (this.channel === 'voice' ? 'hung-up' : 'stopped-replying');
+    }
     return this.order;
   }
   
   /**
-   * Recalculate order totals
+   * Give back any kitchen capacity held for this call (call ended unconfirmed, switched to ASAP)
+   */
+  releaseSlot() {
+    if (this.scheduler) this.scheduler.release(this.callSid);
+  }
+  
+  /**
+   * Hold (or commit) fryer capacity for a scheduled time; throws with the next open slot if full
+   */
+  _bookSlot(time, confirmed = false, now = new Date()) {
+    if (!this.scheduler) return;
+    const booking = this.scheduler.reserve(this.callSid, time, this.getDozenCount(), { confirmed, now });
+    if (!booking.ok) {
+      throw new Error(`The kitchen is fully booked for ${describeTime(time, now)}` +
+        (booking.nextAvailable ? ` — the next available pickup is ${describeTime(booking.nextAvailable, now)}` : ''));
+    }
+  }
+  
+  /**
+   * Commit the first slot with room for an ASAP order and record when it'll be ready
    */
-  recalculateTotals(taxRate = 0.08) {
-    let subtotal = 0;
+  _bookEarliestSlot(now = new Date()) {
+    const dozens = this.getDozenCount();
+    const soonest = new Date(now.getTime() + getPickupRules().minLeadMinutes * 60000);
+    const from = this.order.preorderFor && new Date(this.order.preorderFor) > soonest
+      ? new Date(this.order.preorderFor)
+      : soonest;
     
-    this.order.items.forEach(item => {
-      subtotal += (item.price || 0) * (item.quantity || 1);
-    });
+    const slot = this.scheduler.findNextAvailable(from, dozens, { excludeId: this.callSid, now });
+    if (!slot) {
+      throw new Error('The kitchen is fully booked — ask the customer to call back or schedule a later pickup');
+    }
+    this.scheduler.reserve(this.callSid, slot, dozens, { confirmed: true, now });
+    this.order.readyAt = slot.toISOString();
+  }
+  
+  /**
+   * Check a scheduled time against store hours and lead-time rules
+   */
+  _validatePickupTime(time, now = new Date()) {
+    const rules = getPickupRules();
+    const minutesAhead = (time - now) / 60000;
     
-    const tax = subtotal * taxRate;
-    const total = subtotal + tax;
+    if (minutesAhead < rules.minLeadMinutes) {
+      throw new Error(`Pickup time must be at least ${rules.minLeadMinutes} minutes from now`);
+    }
+    if (minutesAhead > rules.maxDaysAhead * 24 * 60) {
+      throw new Error(`Pickup can only be scheduled up to ${rules.maxDaysAhead} days ahead`);
+    }
+    if (!isOpenAt(time)) {
+      const next = getNextOpening(time);
+      throw new Error(`We're closed ${describeTime(time, now)}${next ? ` — the next opening is ${describeTime(next, now)}` : ''}`);
+    }
     
-    this.order.subtotal = parseFloat(subtotal.toFixed(2));
-    this.order.tax = parseFloat(tax.toFixed(2));
-    this.order.total = parseFloat(total.toFixed(2));
+    this._checkLargeOrderLeadTime(time, now);
+  }
+  
+  /**
+   * Throw if an order this big needs more notice than `time` gives (strictest rule that applies).
+   * hint: what the agent should do about it, added to the message
+   */
+  _checkLargeOrderLeadTime(time, now = new Date(), hint = null) {
+    const dozens = this.getDozenCount();
+    const rule = (getPickupRules().largeOrderLeadTimes || [])
+      .filter(r => dozens >= r.minDozens)
+      .sort((a, b) => b.hours - a.hours)[0];
+    if (rule && (time - now) / 60000 < rule.hours * 60) {
+      const ready = new Date(now.getTime() + rule.hours * 3600000);
+      const earliest = isOpenAt(ready) ? ready : getNextOpening(ready);
+      throw new Error(`Orders of ${rule.minDozens}+ dozen need ${rule.hours} hours notice` +
+        (hint ? ` — ${hint}` : '') +
+        (earliest ? ` — the earliest pickup is ${describeTime(earliest, now)}` : ''));
+    }
+  }
+  
+  /**
+   * Recalculate order totals with the pricing engine (integer cents), after promotions.
+   * taxRate: optional flat rate overriding the store's tax config
+   */
+  recalculateTotals(taxRate = null) {
+    const codes = this.order.promoCodes.map(code => findPromoCode(code)).filter(Boolean);
+    this.order.discounts = evaluatePromotions(this.order.items, {
+      rules: getPromotions().rules,
+      codes,
+      timezone: getSchedule().timezone,
+    }).map(d => ({ ...d, amount: fromCents(d.amountCents) }));
+    
+    const deliveryFee = this.order.deliveryMethod === 'delivery' && this.order.items.length > 0
+      ? (this.order.deliveryZone?.fee || 0)
+      : 0;
+    
+    const totals = calculateTotals(this.order.items, {
+      taxConfig: getTaxConfig(),
+      taxRate,
+      taxExempt: this.order.taxExempt,
+      deliveryFee,
+      discounts: this.order.discounts,
+    });
+    
+    this.order.subtotal = totals.subtotal;
+    this.order.discount = totals.discount;
+    this.order.tax = totals.tax;
+    this.order.deliveryFee = totals.deliveryFee;
+    this.order.total = totals.total;
     
     return {
       subtotal: this.order.subtotal,
+      discount: this.order.discount,
       tax: this.order.tax,
+      deliveryFee: this.order.deliveryFee,
       total: this.order.total
     };
   }
@@ -180,8 +882,7 @@ class OrderManager {
     
     const items = this.order.items.map(item => {
       const qty = item.quantity || 1;
-      const size = item.size ? ` ${item.size}` : '';
-      return `${qty}x${size} ${item.name}`;
+      return `${qty}x ${this._describeItem(item)}`;
     }).join(', ');
     
     return items;
@@ -193,22 +894,45 @@ class OrderManager {
   getFullSummary() {
     const items = this.order.items.map(item => {
       const qty = item.quantity || 1;
-      const size = item.size ? ` ${item.size}` : '';
-      const itemTotal = (item.price || 0) * qty;
-      return `${qty}x${size} ${item.name} - $${itemTotal.toFixed(2)}`;
+      const itemTotal = formatMoney(toCents(item.price) * qty);
+      const note = item.specialInstructions ? ` [${item.specialInstructions}]` : '';
+      return `${qty}x ${this._describeItem(item)} - ${itemTotal}${note}`;
     }).join('\n');
+    const discounts = this.order.discounts
+      .map(d => `${d.name}: ${formatMoney(-d.amountCents)}\n`)
+      .join('');
     
     return `Order Summary:
 ${items}
 
 Subtotal: $${this.order.subtotal.toFixed(2)}
-Tax: $${this.order.tax.toFixed(2)}
-Total: $${this.order.total.toFixed(2)}
+${discounts}Tax: ${this.order.taxExempt ? `exempt${this.order.taxExemptOrganization ? ` (${this.order.taxExemptOrganization})` : ''}` : `$${this.order.tax.toFixed(2)}`}
+${this.order.deliveryFee > 0 ? `Delivery Fee: $${this.order.deliveryFee.toFixed(2)}\n` : ''}Total: $${this.order.total.toFixed(2)}
 
 Delivery Method: ${this.order.deliveryMethod || 'Not specified'}
+Pickup Time: ${this._describePickup()}
 ${this.order.address ? `Address: ${this.order.address}` : ''}
 Customer: ${this.order.customerName || 'Not provided'}
-Payment: ${this.order.paymentMethod || 'Not specified'}`;
+Payment: ${this.order.paymentMethod || 'Not specified'}${this.describeCampaign() ? `
+Supporting: ${this.describeCampaign()}` : ''}`;
+  }
+  
+  /**
+   * Spoken pickup time: the scheduled time, the booked ASAP slot, or "ASAP"
+   */
+  _describePickup() {
+    if (this.order.pickupTime) return describeTime(new Date(this.order.pickupTime));
+    if (this.order.readyAt) return `ASAP (ready ${describeTime(new Date(this.order.readyAt))})`;
+    return 'ASAP';
+  }
+  
+  /**
+   * "Lincoln Elementary PTA (Emma R.)", or null when the order isn't attributed
+   */
+  describeCampaign() {
+    const campaign = this.order.campaign;
+    if (!campaign) return null;
+    return campaign.sellerName ? `${campaign.name} (${campaign.sellerName})` : campaign.name;
   }
   
   /**
@@ -228,23 +952,44 @@ Payment: ${this.order.paymentMethod || 'Not specified'}`;
       streamSid: this.order.streamSid,
       timestamp: this.order.timestamp,
       from: this.order.from,
+      channel: this.order.channel,
       customerName: this.order.customerName,
       customerPhone: this.order.customerPhone,
+      verifiedPhone: this.order.verifiedPhone,
       items: this.order.items.map(item => ({
         name: item.name,
         size: item.size,
         quantity: item.quantity,
         price: item.price,
-        itemTotal: (item.price || 0) * (item.quantity || 1),
+        basePrice: item.basePrice ?? item.price,
+        modifiers: (item.modifiers || []).map(m => ({ name: m.name, price: m.price })),
+        itemTotal: fromCents(toCents(item.price) * (item.quantity || 1)),
+        category: item.category || null,
+        box: item.box ? { flavors: item.box.flavors.map(f => ({ name: f.name, count: f.count })) } : null,
         specialInstructions: item.specialInstructions
       })),
       deliveryMethod: this.order.deliveryMethod,
       address: this.order.address,
+      deliveryZone: this.order.deliveryZone?.name || null,
+      deliveryFee: this.order.deliveryFee,
       paymentMethod: this.order.paymentMethod,
+      taxExempt: this.order.taxExempt,
+      taxExemptOrganization: this.order.taxExemptOrganization,
+      preorderFor: this.order.preorderFor,
+      pickupTime: this.order.pickupTime,
+      pickupTimeRequested: this.order.pickupTimeRequested,
+      readyAt: this.order.readyAt,
+      promoCodes: [...this.order.promoCodes],
+      campaign: this.order.campaign ? { ...this.order.campaign } : null,
+      discounts: this.order.discounts.map(d => ({ name: d.name, code: d.code, category: d.category, amount: d.amount })),
       subtotal: this.order.subtotal,
+      discount: this.order.discount,
       tax: this.order.tax,
       total: this.order.total,
-      status: this.order.confirmed ? 'completed' : 'pending',
+      orderNumber: this.order.orderNumber,
+      status: this.order.status || 'pending',
+      abandonReason: this.order.abandonReason,
+      resumedFrom: this.order.resumedFrom,
       itemsSummary: this.getSummary()
     };
   }
@@ -269,4 +1014,12 @@ Payment: ${this.order.paymentMethod || 'Not specified'}`;
   }
 }
 
+// Adding needs a whole number of at least one (updateItemQuantity also allows 0 to remove)
+function _assertAddQuantity(quantity) {
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error(`Invalid quantity: ${quantity} — it must be a whole number of at least 1`);
+  }
+}
+
 module.exports = OrderManager;
+module.exports.ABANDON_REASONS = ABANDON_REASONS;
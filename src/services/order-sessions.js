@@ -0,0 +1,120 @@
+/**
+ * Order Sessions Service
+ * Open orders that outlive a single request — text conversations, web chats and REST carts.
+ * Each session owns an OrderManager; it ends when the order is confirmed or after
+ * `idleMinutes` without activity, and the order then goes to `onSessionEnd`
+ * (the OrderFinalizer) just like a call that hangs up.
+ * for Glazed and Confused donut shop
+ */
+
+const OrderManager = require('./order-manager');
+
+class OrderSessions {
+  constructor({
+    idleMinutes = 30,
+    onSessionEnd = null,
+    kitchenScheduler = null,
+    customerStore = null,
+    orderStore = null,
+    smsNotifier = null,
+    paymentService = null,
+  } = {}) {
+    this.idleMinutes = idleMinutes;
+    this.onSessionEnd = onSessionEnd;
+    this.kitchenScheduler = kitchenScheduler;
+    this.customerStore = customerStore;
+    this.orderStore = orderStore;
+    this.smsNotifier = smsNotifier;
+    this.paymentService = paymentService;
+    this.sessions = new Map(); // key -> { key, phone, channel, orderManager, messages, lastActivity, queue }
+    this.timer = null;
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  get(key) {
+    return this.sessions.get(key) || null;
+  }
+
+  /**
+   * How many sessions are open on a channel ('text', 'web')
+   */
+  count(channel) {
+    let open = 0;
+    for (const session of this.sessions.values()) {
+      if (session.channel === channel) open++;
+    }
+    return open;
+  }
+
+  /**
+   * The session for `key`, started if there isn't one. `id` becomes the order's callSid.
+   */
+  open(key, { id, phone = null, channel, now = new Date() }) {
+    let session = this.sessions.get(key);
+    if (!session) {
+      const customer = phone ? this.customerStore?.getProfile(phone) || null : null;
+      const orderManager = new OrderManager(null, id, phone, {
+        scheduler: this.kitchenScheduler,
+        customer,
+        orderStore: this.orderStore,
+        smsNotifier: this.smsNotifier,
+        paymentService: this.paymentService,
+        channel,
+      });
+      session = { key, phone, channel, orderManager, messages: [], lastActivity: now, queue: Promise.resolve() };
+      this.sessions.set(key, session);
+      console.log(`🛒 New ${channel} order session: ${phone || id}${customer?.name ? ` (${customer.name})` : ''}`);
+    }
+    session.lastActivity = now;
+    return session;
+  }
+
+  /**
+   * Close a session and hand its order to onSessionEnd
+   */
+  async end(key) {
+    const session = this.sessions.get(key);
+    if (!session) return;
+    this.sessions.delete(key);
+    if (!this.onSessionEnd) return;
+    try {
+      await this.onSessionEnd(session.orderManager);
+    } catch (error) {
+      console.error(`❌ Error finishing ${session.channel} order:`, error.message);
+    }
+  }
+
+  /**
+   * End sessions idle for longer than idleMinutes. Returns how many ended.
+   */
+  async expireIdle(now = new Date()) {
+    const cutoff = now.getTime() - this.idleMinutes * 60000;
+    const idle = [...this.sessions.values()].filter(s => s.lastActivity.getTime() < cutoff);
+    for (const session of idle) {
+      console.log(`⌛ ${session.channel} order session ${session.phone || session.key} expired`);
+      await this.end(session.key);
+    }
+    return idle.length;
+  }
+
+  /**
+   * Check for idle sessions every minute
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.expireIdle().catch(err => console.error('❌ Order session expiry error:', err.message));
+    }, 60000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = OrderSessions;
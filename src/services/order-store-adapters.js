@@ -0,0 +1,175 @@
+/**
+ * Order Store Adapters
+ * Where the OrderStore keeps its records. Each adapter implements:
+ *   loadAll()         — every saved record (called once at startup)
+ *   save(record)      — persist one record (insert or replace by record.id)
+ *   archive(record)   — move a finished record out of the live store (kept, but no longer loaded)
+ *   nextOrderNumber() — the next friendly order number, never reused
+ * A database adapter (e.g. SQLite with an autoincrement column) only needs these four.
+ * for Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dataPath, readJsonFile, writeJsonFile, writeJsonFileAsync } = require('../utils/json-file');
+
+const DEFAULT_FIRST_NUMBER = 1001;
+const COUNTER_FILE = 'next-number.json';
+
+/**
+ * One JSON file per order under DATA_DIR/orders, archived ones under orders/archive.
+ * Saves are written in the background (a record saved several times in a row is written
+ * once), so a live call never waits on the disk. An old single orders.json is split up on startup.
+ */
+class JsonFileOrderAdapter {
+  constructor({
+    dir = dataPath('orders'),
+    legacyPath = dataPath('orders.json'),
+    firstNumber = DEFAULT_FIRST_NUMBER,
+  } = {}) {
+    this.dir = dir;
+    this.nextNumber = readJsonFile(path.join(dir, COUNTER_FILE), {}).nextNumber || firstNumber;
+    this.pending = new Map(); // id -> record to write
+    this.toArchive = new Map(); // id -> record to move to the archive
+    this.counterDirty = false;
+    this.scheduled = false;
+    this.writes = Promise.resolve();
+    this._migrate(legacyPath);
+  }
+
+  loadAll() {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dir).filter(f => f.endsWith('.json') && f !== COUNTER_FILE);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('❌ Failed to read orders:', error.message);
+    }
+    return files.map(f => readJsonFile(path.join(this.dir, f), null)).filter(Boolean);
+  }
+
+  save(record) {
+    this.pending.set(record.id, record);
+    this._schedule();
+  }
+
+  archive(record) {
+    this.pending.delete(record.id);
+    this.toArchive.set(record.id, record);
+    this._schedule();
+  }
+
+  nextOrderNumber() {
+    const number = this.nextNumber++;
+    this.counterDirty = true;
+    this._schedule();
+    return number;
+  }
+
+  /**
+   * Resolves once everything saved so far is on disk
+   */
+  flush() {
+    return this.writes;
+  }
+
+  _fileFor(id, archived = false) {
+    const name = `${encodeURIComponent(id)}.json`;
+    return archived ? path.join(this.dir, 'archive', name) : path.join(this.dir, name);
+  }
+
+  _schedule() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    this.writes = this.writes
+      .then(() => new Promise(resolve => setImmediate(resolve)))
+      .then(() => this._write());
+  }
+
+  async _write() {
+    this.scheduled = false;
+    const records = [...this.pending.values()];
+    const archived = [...this.toArchive.values()];
+    const counter = this.counterDirty ? { nextNumber: this.nextNumber } : null;
+    this.pending.clear();
+    this.toArchive.clear();
+    this.counterDirty = false;
+
+    try {
+      if (counter) await writeJsonFileAsync(path.join(this.dir, COUNTER_FILE), counter);
+      for (const record of records) {
+        await writeJsonFileAsync(this._fileFor(record.id), record);
+      }
+      for (const record of archived) {
+        await writeJsonFileAsync(this._fileFor(record.id, true), record);
+        await fs.promises.rm(this._fileFor(record.id), { force: true });
+      }
+    } catch (error) {
+      console.error('❌ Failed to save orders:', error.message);
+    }
+  }
+
+  /**
+   * Split an orders.json from before one-file-per-order into the orders directory
+   */
+  _migrate(legacyPath) {
+    if (!legacyPath || !fs.existsSync(legacyPath)) return;
+    const saved = readJsonFile(legacyPath, null);
+    if (!saved) return;
+
+    const records = Object.values(saved.orders || {});
+    for (const record of records) {
+      writeJsonFile(this._fileFor(record.id), record);
+    }
+    this.nextNumber = Math.max(this.nextNumber, saved.nextNumber || 0);
+    writeJsonFile(path.join(this.dir, COUNTER_FILE), { nextNumber: this.nextNumber });
+    fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+    console.log(`✅ Moved ${records.length} orders from ${legacyPath} to ${this.dir}`);
+  }
+}
+
+/**
+ * Nothing persisted — for tests and ORDER_STORE=memory
+ */
+class MemoryOrderAdapter {
+  constructor({ firstNumber = DEFAULT_FIRST_NUMBER } = {}) {
+    this.orders = {};
+    this.nextNumber = firstNumber;
+  }
+
+  loadAll() {
+    return Object.values(this.orders);
+  }
+
+  save(record) {
+    this.orders[record.id] = record;
+  }
+
+  archive(record) {
+    delete this.orders[record.id];
+  }
+
+  nextOrderNumber() {
+    return this.nextNumber++;
+  }
+}
+
+/**
+ * Adapter from ORDER_STORE ('json' by default, or 'memory'); ORDER_NUMBER_START sets the first number
+ */
+function createOrderAdapter(type = process.env.ORDER_STORE || 'json') {
+  const firstNumber = parseInt(process.env.ORDER_NUMBER_START || DEFAULT_FIRST_NUMBER, 10);
+  switch (type.toLowerCase()) {
+    case 'memory':
+      return new MemoryOrderAdapter({ firstNumber });
+    case 'json':
+      return new JsonFileOrderAdapter({ firstNumber });
+    default:
+      throw new Error(`Unknown ORDER_STORE "${type}" — use "json" or "memory"`);
+  }
+}
+
+module.exports = {
+  JsonFileOrderAdapter,
+  MemoryOrderAdapter,
+  createOrderAdapter,
+};
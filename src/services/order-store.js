@@ -0,0 +1,320 @@
+/**
+ * Order Store Service
+ * Durable record of every order: a friendly order number to read back to the caller,
+ * a lifecycle status with a timestamp per transition, and queries for logging, POS and staff.
+ * for Glazed and Confused donut shop
+ *
+ * Storage is a swappable adapter (see order-store-adapters.js): JSON files by default,
+ * in-memory for tests. An adapter only has to load records, save and archive one, and hand
+ * out numbers. Finished orders are archived after ORDER_ARCHIVE_DAYS so the live set stays small.
+ *
+ * Lookups go through indexes kept up to date on every change: by order number, status and
+ * phone built in, plus any a service adds for its own keys (addIndex, e.g. payment links).
+ *
+ * Record shape:
+ * {
+ *   id,               // callSid (or streamSid)
+ *   orderNumber,      // 1042 — null for abandoned calls until staff revive them
+ *   status,           // received | in-progress | ready | picked-up | cancelled | abandoned
+ *   statusHistory,    // [{ status, at, note }]
+ *   createdAt, updatedAt,
+ *   posOrderId,       // set once the POS accepts it
+ *   order             // OrderManager.getOrderForLogging() snapshot
+ * }
+ */
+
+const { normalizePhone } = require('../utils/phone');
+
+const ORDER_STATUSES = ['received', 'in-progress', 'ready', 'picked-up', 'cancelled', 'abandoned'];
+
+// Nothing more will happen to these, so they can be archived once they're old enough
+const FINISHED_STATUSES = ['picked-up', 'cancelled', 'abandoned'];
+
+// Which statuses each status can move to
+const TRANSITIONS = {
+  received: ['in-progress', 'ready', 'cancelled'],
+  'in-progress': ['ready', 'cancelled'],
+  ready: ['picked-up', 'cancelled'],
+  'picked-up': [],
+  cancelled: [],
+  abandoned: ['received', 'cancelled'],
+};
+
+class OrderStore {
+  /**
+   * archiveDays: finished orders untouched this long are archived (0 = never)
+   */
+  constructor({ adapter, archiveDays = parseFloat(process.env.ORDER_ARCHIVE_DAYS || '90') }) {
+    this.adapter = adapter;
+    this.archiveDays = archiveDays;
+    this.records = new Map(); // id -> record
+    this.indexes = new Map(); // name -> { keysOf, ids: Map(key -> Set(id)) }
+    this.indexedKeys = new Map(); // id -> Map(name -> keys) — what each record is indexed under now
+    this.statusListeners = new Set();
+    this.timer = null;
+    for (const record of adapter.loadAll()) {
+      this.records.set(record.id, record);
+    }
+    this.addIndex('orderNumber', r => [r.orderNumber]);
+    this.addIndex('status', r => [r.status]);
+    this.addIndex('phone', r => [normalizePhone(r.order?.from), normalizePhone(r.order?.customerPhone)]);
+    console.log(`✅ Order store: ${this.records.size} orders loaded`);
+  }
+
+  /**
+   * Index records by keys of your own: keysOf(record) => [key, ...] (empty keys are skipped).
+   * Look them up with findByIndex.
+   */
+  addIndex(name, keysOf) {
+    this.indexes.set(name, { keysOf, ids: new Map() });
+    for (const record of this.records.values()) {
+      this._indexUnder(name, record);
+    }
+  }
+
+  /**
+   * Records indexed under `key`, newest first
+   */
+  findByIndex(name, key) {
+    const ids = this.indexes.get(name)?.ids.get(key);
+    if (!ids) return [];
+    return _newestFirst([...ids].map(id => this.records.get(id)));
+  }
+
+  /**
+   * Create or update the record for an order snapshot (from getOrderForLogging).
+   * A new record starts at `status` (default received); an existing one moves to it if given.
+   */
+  save(order, { status = null, note = null, now = new Date() } = {}) {
+    const id = order.callSid || order.streamSid;
+    if (!id) throw new Error('Cannot store an order without a callSid or streamSid');
+
+    let record = this.records.get(id);
+    if (!record) {
+      const initial = status || 'received';
+      _assertStatus(initial);
+      record = {
+        id,
+        orderNumber: initial === 'abandoned' ? null : this.adapter.nextOrderNumber(),
+        status: initial,
+        statusHistory: [{ status: initial, at: now.toISOString(), note }],
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        posOrderId: null,
+        order: null,
+      };
+      this.records.set(id, record);
+    } else if (status && status !== record.status) {
+      this._transition(record, status, note, now);
+    }
+
+    record.order = { ...order, orderNumber: record.orderNumber, status: record.status };
+    record.updatedAt = now.toISOString();
+    this._reindex(record);
+    this.adapter.save(record);
+    return record;
+  }
+
+  /**
+   * Move an order (by id or order number) to a new status; throws if the move isn't allowed
+   */
+  updateStatus(ref, status, { note = null, now = new Date() } = {}) {
+    const record = this.find(ref);
+    if (!record) throw new Error(`Order not found: ${ref}`);
+
+    const previous = record.status;
+    this._transition(record, status, note, now);
+    record.order = { ...record.order, orderNumber: record.orderNumber, status: record.status };
+    record.updatedAt = now.toISOString();
+    this._reindex(record);
+    this.adapter.save(record);
+    this._notifyStatusChange(record, previous);
+    return record;
+  }
+
+  /**
+   * Register a listener for status changes made with updateStatus: (record, previousStatus) => {}.
+   * Returns an unsubscribe function.
+   */
+  onStatusChange(listener) {
+    this.statusListeners.add(listener);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  /**
+   * Attach extra fields to a record (e.g. { posOrderId })
+   */
+  update(ref, changes, now = new Date()) {
+    const record = this.find(ref);
+    if (!record) throw new Error(`Order not found: ${ref}`);
+
+    Object.assign(record, changes, { updatedAt: now.toISOString() });
+    this._reindex(record);
+    this.adapter.save(record);
+    return record;
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  getByNumber(orderNumber) {
+    const number = parseInt(String(orderNumber).replace(/\D/g, ''), 10);
+    if (isNaN(number)) return null;
+    return this.findByIndex('orderNumber', number)[0] || null;
+  }
+
+  /**
+   * Look up by order number ("1042", "#1042") or id
+   */
+  find(ref) {
+    return this.get(ref) || this.getByNumber(ref);
+  }
+
+  /**
+   * Records, newest first.
+   * query: status (one or a list), phone (any format), since / until (ISO or Date), limit
+   */
+  list({ status = null, phone = null, since = null, until = null, limit = null } = {}) {
+    const statuses = status ? [].concat(status) : null;
+    const phoneKey = phone ? normalizePhone(phone) : null;
+    const sinceMs = since ? new Date(since).getTime() : null;
+    const untilMs = until ? new Date(until).getTime() : null;
+
+    // Start from the smallest index that applies rather than every record
+    let candidates = null;
+    if (phone) {
+      candidates = phoneKey ? this._idsFor('phone', [phoneKey]) : new Set();
+    }
+    if (statuses) {
+      const byStatus = this._idsFor('status', statuses);
+      candidates = candidates ? new Set([...candidates].filter(id => byStatus.has(id))) : byStatus;
+    }
+    const records = candidates ? [...candidates].map(id => this.records.get(id)) : [...this.records.values()];
+
+    const results = _newestFirst(records
+      .filter(r => sinceMs === null || new Date(r.createdAt).getTime() >= sinceMs)
+      .filter(r => untilMs === null || new Date(r.createdAt).getTime() < untilMs));
+
+    return limit ? results.slice(0, limit) : results;
+  }
+
+  /**
+   * Archive finished orders (picked up, cancelled, abandoned) not touched in archiveDays.
+   * Returns how many were archived.
+   */
+  archiveFinished(now = new Date()) {
+    if (!this.archiveDays || !this.adapter.archive) return 0;
+    const cutoff = now.getTime() - this.archiveDays * 24 * 60 * 60 * 1000;
+    const old = [...this._idsFor('status', FINISHED_STATUSES)]
+      .map(id => this.records.get(id))
+      .filter(r => new Date(r.updatedAt).getTime() < cutoff);
+
+    for (const record of old) {
+      this._unindex(record.id);
+      this.records.delete(record.id);
+      this.adapter.archive(record);
+    }
+    if (old.length > 0) console.log(`🗄️  Archived ${old.length} finished orders older than ${this.archiveDays} days`);
+    return old.length;
+  }
+
+  /**
+   * Archive finished orders now and once a day
+   */
+  start() {
+    if (this.timer) return;
+    this.archiveFinished();
+    this.timer = setInterval(() => this.archiveFinished(), 24 * 60 * 60 * 1000);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  _idsFor(name, keys) {
+    const { ids } = this.indexes.get(name);
+    const result = new Set();
+    for (const key of keys) {
+      for (const id of ids.get(key) || []) result.add(id);
+    }
+    return result;
+  }
+
+  _reindex(record) {
+    for (const name of this.indexes.keys()) {
+      this._indexUnder(name, record);
+    }
+  }
+
+  _indexUnder(name, record) {
+    const { keysOf, ids } = this.indexes.get(name);
+    const keys = [...new Set(keysOf(record).filter(key => key !== null && key !== undefined && key !== ''))];
+    if (!this.indexedKeys.has(record.id)) this.indexedKeys.set(record.id, new Map());
+    const current = this.indexedKeys.get(record.id);
+
+    for (const key of current.get(name) || []) {
+      if (keys.includes(key)) continue;
+      ids.get(key)?.delete(record.id);
+      if (ids.get(key)?.size === 0) ids.delete(key);
+    }
+    for (const key of keys) {
+      if (!ids.has(key)) ids.set(key, new Set());
+      ids.get(key).add(record.id);
+    }
+    current.set(name, keys);
+  }
+
+  _unindex(id) {
+    for (const [name, keys] of this.indexedKeys.get(id) || []) {
+      const { ids } = this.indexes.get(name);
+      for (const key of keys) {
+        ids.get(key)?.delete(id);
+        if (ids.get(key)?.size === 0) ids.delete(key);
+      }
+    }
+    this.indexedKeys.delete(id);
+  }
+
+  _notifyStatusChange(record, previous) {
+    for (const listener of this.statusListeners) {
+      try {
+        listener(record, previous);
+      } catch (error) {
+        console.error('❌ Order status listener error:', error.message);
+      }
+    }
+  }
+
+  _transition(record, status, note, now) {
+    _assertStatus(status);
+    if (!TRANSITIONS[record.status].includes(status)) {
+      throw new Error(`Can't move order ${_label(record)} from ${record.status} to ${status}`);
+    }
+    if (status === 'received' && !record.orderNumber) {
+      record.orderNumber = this.adapter.nextOrderNumber();
+    }
+    record.status = status;
+    record.statusHistory.push({ status, at: now.toISOString(), note });
+  }
+}
+
+// ISO timestamps sort as strings
+function _newestFirst(records) {
+  return records.sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+}
+
+function _assertStatus(status) {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new Error(`Unknown order status "${status}" — use one of: ${ORDER_STATUSES.join(', ')}`);
+  }
+}
+
+function _label(record) {
+  return record.orderNumber ? `#${record.orderNumber}` : record.id;
+}
+
+module.exports = OrderStore;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
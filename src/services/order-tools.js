@@ -0,0 +1,549 @@
+/**
+ * Order Tools
+ * The ordering agent's tool set — definitions and what each one does to an OrderManager —
+ * shared by the voice (Realtime), SMS and website chat channels
+ * for Glazed and Confused donut shop
+ *
+ * Tools throw with a message for the agent when a call can't be done; each channel
+ * sends that back to the model as { error }.
+ */
+
+const { describeTime } = require('../config/store-hours');
+const { findCallerOrders, describeOrderStatus, cancelCallerOrder } = require('./order-lookup');
+const { TRANSFER_REASONS } = require('./staff-transfer');
+
+const ITEM_SIZES = ['single', 'half-dozen', 'dozen', 'small', 'medium', 'large', 'regular', 'double'];
+
+/**
+ * Tool definitions in the Realtime API shape ({ type, name, description, parameters })
+ */
+const ORDER_TOOLS = [
+  {
+    type: 'function',
+    name: 'add_item_to_order',
+    description: 'Add an item to the customer\'s order',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'The menu item name' },
+        size: {
+          type: 'string',
+          description: 'Size: single, half-dozen, dozen for donuts; small, medium, large for drinks; regular for bakery',
+          enum: ITEM_SIZES
+        },
+        quantity: { type: 'number', description: 'How many of that size', minimum: 1, default: 1 },
+        modifiers: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Customizations from the CUSTOMIZATIONS list, e.g. ["oat milk", "extra shot"] or ["raspberry filling"]'
+        },
+        special_instructions: { type: 'string', description: 'Any other request that is not a listed customization, e.g. "extra hot"' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    type: 'function',
+    name: 'fill_box',
+    description: 'Add a mixed half-dozen or dozen box with more than one donut flavor (e.g. "a dozen, half glazed, half boston cream")',
+    parameters: {
+      type: 'object',
+      properties: {
+        size: { type: 'string', enum: ['half-dozen', 'dozen'], description: 'Box size: half-dozen holds 6, dozen holds 12' },
+        flavors: {
+          type: 'array',
+          description: 'Donut flavors in the box with how many of each; counts must add up to 6 or 12',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Donut name from the menu' },
+              count: { type: 'number', description: 'How many of this flavor', minimum: 1 }
+            },
+            required: ['name', 'count']
+          }
+        },
+        quantity: { type: 'number', description: 'How many boxes like this', minimum: 1, default: 1 }
+      },
+      required: ['size', 'flavors']
+    }
+  },
+  {
+    type: 'function',
+    name: 'remove_item',
+    description: 'Remove an item the customer no longer wants (e.g. "scratch the latte")',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'The item name as it appears in the order' },
+        size: { type: 'string', description: 'Size of the item to remove, only needed if the order has more than one size of it', enum: ITEM_SIZES },
+        modifiers: { type: 'array', items: { type: 'string' }, description: 'Customizations of the item to remove, only needed to tell apart two lines of the same item' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    type: 'function',
+    name: 'update_item_quantity',
+    description: 'Change how many of an item are in the order (e.g. "make that three lattes")',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'The item name as it appears in the order' },
+        quantity: { type: 'number', description: 'The new total quantity (0 removes the item)', minimum: 0 },
+        size: { type: 'string', description: 'Size of the item to change, only needed if the order has more than one size of it', enum: ITEM_SIZES },
+        modifiers: { type: 'array', items: { type: 'string' }, description: 'Customizations of the item to change, only needed to tell apart two lines of the same item' }
+      },
+      required: ['name', 'quantity']
+    }
+  },
+  {
+    type: 'function',
+    name: 'change_item_size',
+    description: 'Change the size of an item already in the order (e.g. "actually make that a dozen")',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'The item name as it appears in the order' },
+        new_size: { type: 'string', description: 'The size to switch to', enum: ITEM_SIZES },
+        current_size: { type: 'string', description: 'Current size, only needed if the order has more than one size of it', enum: ITEM_SIZES }
+      },
+      required: ['name', 'new_size']
+    }
+  },
+  {
+    type: 'function',
+    name: 'clear_order',
+    description: 'Remove every item from the order when the customer wants to start over',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    type: 'function',
+    name: 'undo_last_change',
+    description: 'Undo the most recent change to the items (add, remove, quantity or size change, or clear)',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    type: 'function',
+    name: 'set_delivery_method',
+    description: 'Set whether order is for pickup or delivery',
+    parameters: {
+      type: 'object',
+      properties: {
+        method: { type: 'string', enum: ['pickup', 'delivery'], description: 'Pickup or delivery' }
+      },
+      required: ['method']
+    }
+  },
+  {
+    type: 'function',
+    name: 'set_address',
+    description: 'Set delivery address',
+    parameters: {
+      type: 'object',
+      properties: {
+        address: { type: 'string', description: 'Full delivery address including ZIP code' }
+      },
+      required: ['address']
+    }
+  },
+  {
+    type: 'function',
+    name: 'set_customer_name',
+    description: 'Set customer name',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Customer name' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    type: 'function',
+    name: 'set_customer_phone',
+    description: 'Set customer phone number',
+    parameters: {
+      type: 'object',
+      properties: {
+        phone: { type: 'string', description: 'Customer phone number' }
+      },
+      required: ['phone']
+    }
+  },
+  {
+    type: 'function',
+    name: 'set_payment_method',
+    description: 'Set payment method. Card orders are texted a link to pay ahead once confirmed (when card payments are set up); otherwise payment is at pickup.',
+    parameters: {
+      type: 'object',
+      properties: {
+        method: { type: 'string', enum: ['cash', 'card'], description: 'Payment method' }
+      },
+      required: ['method']
+    }
+  },
+  {
+    type: 'function',
+    name: 'set_tax_exempt',
+    description: 'Mark the order tax-exempt for a nonprofit or other exempt organization (or undo it). Staff will check the exemption certificate at pickup',
+    parameters: {
+      type: 'object',
+      properties: {
+        exempt: { type: 'boolean', description: 'true to remove tax, false to charge it again' },
+        organization: { type: 'string', description: 'Name of the exempt organization' }
+      },
+      required: ['exempt']
+    }
+  },
+  {
+    type: 'function',
+    name: 'set_pickup_time',
+    description: 'Schedule when the customer will pick up (or receive delivery). Pass their words as-is, e.g. "7am Saturday", "tomorrow at 8:30", "in 30 minutes", or "ASAP" for as soon as it\'s ready',
+    parameters: {
+      type: 'object',
+      properties: {
+        time: { type: 'string', description: 'Requested time in the customer\'s words' }
+      },
+      required: ['time']
+    }
+  },
+  {
+    type: 'function',
+    name: 'reorder_usual',
+    description: 'Add the returning caller\'s usual order (listed under CALLER) at today\'s prices',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    type: 'function',
+    name: 'set_campaign_code',
+    description: 'Credit the order to a fundraiser campaign or one of its sellers, from the code the customer gives (e.g. a student\'s seller code)',
+    parameters: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'Campaign or seller code as the customer said or spelled it' }
+      },
+      required: ['code']
+    }
+  },
+  {
+    type: 'function',
+    name: 'apply_promo_code',
+    description: 'Apply a promo code the customer gives (e.g. a fundraiser code). Automatic deals need no code',
+    parameters: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'The code as the customer said it, e.g. "sweet five" -> "SWEET5"' }
+      },
+      required: ['code']
+    }
+  },
+  {
+    type: 'function',
+    name: 'lookup_order',
+    description: 'Look up orders the caller already placed — by the caller\'s phone number, or an order number they give',
+    parameters: {
+      type: 'object',
+      properties: {
+        order_number: { type: 'string', description: 'Order number if the caller gives one, e.g. "1042"' }
+      }
+    }
+  },
+  {
+    type: 'function',
+    name: 'cancel_order',
+    description: 'Cancel an order the caller already placed. Only after they confirm which order',
+    parameters: {
+      type: 'object',
+      properties: {
+        order_number: { type: 'string', description: 'Order number to cancel (needed if they have more than one open order)' },
+        reason: { type: 'string', description: 'Why they\'re cancelling, if they said' }
+      }
+    }
+  },
+  {
+    type: 'function',
+    name: 'transfer_to_staff',
+    description: 'Hand the call to a person at the shop — when the caller asks for one, has a complaint, or you keep misunderstanding them. Tell them you\'re connecting them; the transfer starts when you finish speaking',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', enum: TRANSFER_REASONS, description: 'requested (asked for a person), confusion (you misunderstood them twice), complaint, or other' },
+        details: { type: 'string', description: 'One short line for staff, e.g. "wrong order last Saturday"' }
+      },
+      required: ['reason']
+    }
+  },
+  {
+    type: 'function',
+    name: 'confirm_order',
+    description: 'Confirm the order is complete and ready to be submitted',
+    parameters: { type: 'object', properties: {} }
+  }
+];
+
+/**
+ * Run one tool call against the order. Returns the result object for the model.
+ */
+function runOrderTool(orderManager, functionName, args = {}) {
+  let result;
+  switch (functionName) {
+    case 'add_item_to_order': {
+      const order = orderManager.addItem(
+        args.name,
+        args.size || 'single',
+        args.quantity || 1,
+        args.special_instructions || null,
+        args.modifiers || []
+      );
+      const mods = args.modifiers?.length ? ` (${args.modifiers.join(', ')})` : '';
+      result = {
+        success: true,
+        message: `Added ${args.quantity || 1}x ${args.size || 'single'} ${args.name}${mods} to the order`,
+        currentOrder: orderManager.getSummary(),
+        total: `$${order.total.toFixed(2)}`
+      };
+      console.log(`   ✅ Added: ${args.quantity || 1}x ${args.size || 'single'} ${args.name}${mods} → total: $${order.total.toFixed(2)}`);
+      break;
+    }
+    case 'fill_box': {
+      const order = orderManager.addBox(args.size, args.flavors || [], args.quantity || 1);
+      const flavors = (args.flavors || []).map(f => `${f.count} ${f.name}`).join(', ');
+      result = {
+        success: true,
+        message: `Added ${args.quantity || 1}x ${args.size} mixed box (${flavors}) to the order`,
+        currentOrder: orderManager.getSummary(),
+        total: `$${order.total.toFixed(2)}`
+      };
+      console.log(`   ✅ Box: ${args.quantity || 1}x ${args.size} (${flavors}) → total: $${order.total.toFixed(2)}`);
+      break;
+    }
+    case 'remove_item': {
+      const order = orderManager.removeItem(args.name, args.size || null, args.modifiers || null);
+      result = {
+        success: true,
+        message: `Removed ${args.name} from the order`,
+        currentOrder: orderManager.getSummary(),
+        total: `$${order.total.toFixed(2)}`
+      };
+      console.log(`   ✅ Removed: ${args.name} → total: $${order.total.toFixed(2)}`);
+      break;
+    }
+    case 'update_item_quantity': {
+      const order = orderManager.updateItemQuantity(args.name, args.quantity, args.size || null, args.modifiers || null);
+      result = {
+        success: true,
+        message: `Set ${args.name} quantity to ${args.quantity}`,
+        currentOrder: orderManager.getSummary(),
+        total: `$${order.total.toFixed(2)}`
+      };
+      console.log(`   ✅ Quantity: ${args.name} → ${args.quantity} → total: $${order.total.toFixed(2)}`);
+      break;
+    }
+    case 'change_item_size': {
+      const order = orderManager.changeItemSize(args.name, args.new_size, args.current_size || null);
+      result = {
+        success: true,
+        message: `Changed ${args.name} to ${args.new_size}`,
+        currentOrder: orderManager.getSummary(),
+        total: `$${order.total.toFixed(2)}`
+      };
+      console.log(`   ✅ Size: ${args.name} → ${args.new_size} → total: $${order.total.toFixed(2)}`);
+      break;
+    }
+    case 'clear_order': {
+      const order = orderManager.clearOrder();
+      result = {
+        success: true,
+        message: 'Cleared all items from the order',
+        currentOrder: orderManager.getSummary(),
+        total: `$${order.total.toFixed(2)}`
+      };
+      console.log('   ✅ Order cleared');
+      break;
+    }
+    case 'undo_last_change': {
+      const change = orderManager.getLastChange();
+      const order = orderManager.undoLastChange();
+      result = {
+        success: true,
+        message: `Undid: ${change}`,
+        currentOrder: orderManager.getSummary(),
+        total: `$${order.total.toFixed(2)}`
+      };
+      console.log(`   ✅ Undid: ${change} → total: $${order.total.toFixed(2)}`);
+      break;
+    }
+    case 'set_delivery_method':
+      orderManager.setDeliveryMethod(args.method);
+      result = { success: true, method: args.method };
+      console.log(`   ✅ Delivery: ${args.method}`);
+      break;
+
+    case 'set_address': {
+      const order = orderManager.setAddress(args.address);
+      result = {
+        success: true,
+        address: args.address,
+        ...(order.deliveryZone ? {
+          zone: order.deliveryZone.name,
+          deliveryFee: `$${order.deliveryZone.fee.toFixed(2)}`,
+          minimumOrder: `$${order.deliveryZone.minimumOrder.toFixed(2)}`
+        } : {})
+      };
+      console.log(`   ✅ Address: ${args.address}`);
+      break;
+    }
+
+    case 'set_customer_name':
+      orderManager.setCustomerName(args.name);
+      result = { success: true, name: args.name };
+      console.log(`   ✅ Name: ${args.name}`);
+      break;
+
+    case 'set_customer_phone':
+      orderManager.setCustomerPhone(args.phone);
+      result = { success: true, phone: args.phone };
+      console.log(`   ✅ Phone: ${args.phone}`);
+      break;
+
+    case 'set_payment_method':
+      orderManager.setPaymentMethod(args.method);
+      result = { success: true, method: args.method };
+      console.log(`   ✅ Payment: ${args.method}`);
+      break;
+
+    case 'set_tax_exempt': {
+      const order = orderManager.setTaxExempt(args.exempt, args.organization || null);
+      result = {
+        success: true,
+        taxExempt: order.taxExempt,
+        organization: order.taxExemptOrganization,
+        total: `$${order.total.toFixed(2)}`
+      };
+      console.log(`   ✅ Tax exempt: ${order.taxExempt}${order.taxExemptOrganization ? ` (${order.taxExemptOrganization})` : ''}`);
+      break;
+    }
+
+    case 'set_pickup_time': {
+      const order = orderManager.setPickupTime(args.time);
+      const when = order.pickupTime ? describeTime(new Date(order.pickupTime)) : 'as soon as it\'s ready';
+      result = { success: true, pickupTime: when };
+      console.log(`   ✅ Pickup time: ${when}`);
+      break;
+    }
+
+    case 'reorder_usual': {
+      const { added, skipped } = orderManager.reorderUsual();
+      result = {
+        success: true,
+        added: added.length,
+        ...(skipped.length > 0 ? { skipped } : {}),
+        orderSummary: orderManager.getSummary(),
+        total: `$${orderManager.getOrder().total.toFixed(2)}`
+      };
+      console.log(`   ✅ Reordered usual: ${added.length} items${skipped.length > 0 ? `, skipped ${skipped.length}` : ''}`);
+      break;
+    }
+
+    case 'set_campaign_code': {
+      const { campaign } = orderManager.applyCampaignCode(args.code);
+      result = {
+        success: true,
+        campaign: campaign.name,
+        seller: campaign.sellerName
+      };
+      console.log(`   ✅ Campaign: ${orderManager.describeCampaign()}`);
+      break;
+    }
+
+    case 'apply_promo_code': {
+      const discount = orderManager.applyPromoCode(args.code);
+      const order = orderManager.getOrder();
+      result = {
+        success: true,
+        promotion: discount ? discount.name : null,
+        discount: discount ? `$${discount.amount.toFixed(2)}` : '$0.00',
+        ...(discount ? {} : { note: 'Code saved — nothing on the order qualifies yet' }),
+        total: `$${order.total.toFixed(2)}`
+      };
+      console.log(`   ✅ Promo code: ${args.code}${discount ? ` (-$${discount.amount.toFixed(2)})` : ''}`);
+      break;
+    }
+
+    case 'lookup_order': {
+      const orders = findCallerOrders(_requireOrderStore(orderManager), {
+        phone: orderManager.fromNumber,
+        orderNumber: args.order_number || null
+      });
+      result = orders.length > 0
+        ? { success: true, orders: orders.map(describeOrderStatus) }
+        : { success: false, message: args.order_number
+          ? `No order #${args.order_number} found for this phone number — ask them to check the number, or to call from the phone they ordered with`
+          : 'No recent orders for this phone number — ask for their order number' };
+      console.log(`   ✅ Lookup: ${orders.length} order(s)${args.order_number ? ` for #${args.order_number}` : ''}`);
+      break;
+    }
+
+    case 'cancel_order': {
+      const record = cancelCallerOrder(_requireOrderStore(orderManager), {
+        phone: orderManager.fromNumber,
+        orderNumber: args.order_number || null,
+        reason: args.reason || null
+      });
+      result = { success: true, orderNumber: record.orderNumber, status: record.status };
+      console.log(`   ✅ Cancelled order #${record.orderNumber}`);
+      break;
+    }
+
+    case 'transfer_to_staff': {
+      if (!orderManager.staffTransfer) {
+        throw new Error('Nobody can take a transfer right now — apologize, keep helping them yourself, and if they still want a person suggest calling back during business hours');
+      }
+      orderManager.staffTransfer.request(orderManager, { reason: args.reason, details: args.details || null });
+      result = {
+        success: true,
+        message: 'Tell the caller in one short sentence that you\'re connecting them with someone at the shop. Don\'t ask anything else.'
+      };
+      console.log(`   🙋 Transfer to staff (${args.reason})`);
+      break;
+    }
+
+    case 'confirm_order':
+      orderManager.confirm();
+      result = {
+        success: true,
+        message: 'Order confirmed!',
+        ...(orderManager.getOrder().orderNumber ? {
+          orderNumber: orderManager.getOrder().orderNumber
+        } : {}),
+        ...(orderManager.getOrder().readyAt ? {
+          readyAt: describeTime(new Date(orderManager.getOrder().readyAt))
+        } : {}),
+        ...(orderManager.smsNotifier?.canText(orderManager.getOrder()) ? { textConfirmation: true } : {}),
+        ...(orderManager.paymentService?.canRequest(orderManager.getOrder()) ? { paymentLink: true } : {}),
+        summary: orderManager.getFullSummary()
+      };
+      console.log('   ✅ ORDER CONFIRMED');
+      console.log('   📋', orderManager.getFullSummary().replace(/\n/g, '\n   '));
+      break;
+
+    default:
+      result = { error: `Unknown function: ${functionName}` };
+  }
+  return result;
+}
+
+/**
+ * The shared order store, or a tool error the agent can explain
+ */
+function _requireOrderStore(orderManager) {
+  if (!orderManager.orderStore) {
+    throw new Error('Order lookup is unavailable right now — apologize and suggest calling back later');
+  }
+  return orderManager.orderStore;
+}
+
+module.exports = {
+  ORDER_TOOLS,
+  runOrderTool,
+};
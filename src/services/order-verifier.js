@@ -0,0 +1,75 @@
+/**
+ * Order Verifier Service
+ * After a call, checks the confirmed order against what was actually said: the saved transcript
+ * and the final order go to an order reviewer (integrations/order-review.js), and any
+ * discrepancies flag the order "needs review" so staff check it before it reaches the kitchen.
+ * for Glazed and Confused donut shop
+ *
+ * The result is kept on the order record as `review`:
+ *   { status: 'ok' | 'needs-review' | 'approved' | 'unverified', issues: [string], checkedAt, approvedAt }
+ * 'unverified' means the reviewer timed out — the order goes through, marked as not checked.
+ */
+
+class OrderVerifier {
+  constructor({ reviewer, transcriptStore }) {
+    this.reviewer = reviewer;
+    this.transcriptStore = transcriptStore;
+  }
+
+  /**
+   * Review an order (for logging) against its call's transcript. Resolves to the review
+   * ('unverified' if the reviewer timed out), or null when there's no transcript or the
+   * reviewer failed — those orders go through as usual.
+   */
+  async verify(order, now = new Date()) {
+    const transcript = order.callSid ? this.transcriptStore.get(order.callSid) : null;
+    if (!transcript) return null;
+
+    try {
+      const { discrepancies } = await this.reviewer.review({
+        transcript: this.transcriptStore.format(transcript),
+        entries: transcript.entries,
+        order,
+      });
+      const review = {
+        status: discrepancies.length > 0 ? 'needs-review' : 'ok',
+        issues: discrepancies,
+        checkedAt: now.toISOString(),
+        approvedAt: null,
+      };
+      if (review.status === 'needs-review') {
+        console.log(`🚩 Order ${order.orderNumber ? `#${order.orderNumber}` : order.callSid} needs review: ${discrepancies.join('; ')}`);
+      } else {
+        console.log('✅ Order matches the call transcript');
+      }
+      return review;
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        console.warn(`⚠️  Order review timed out — ${order.orderNumber ? `#${order.orderNumber}` : order.callSid} goes through unverified`);
+        return { status: 'unverified', issues: [], checkedAt: now.toISOString(), approvedAt: null };
+      }
+      console.error('❌ Order review failed:', error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * The Call Log's Review column for an order's review
+ */
+function describeReview(review) {
+  if (!review) return '';
+  switch (review.status) {
+    case 'needs-review':
+      return `NEEDS REVIEW: ${review.issues.join('; ')}`;
+    case 'approved':
+      return 'Reviewed — OK to make';
+    case 'unverified':
+      return 'Not checked (review timed out)';
+    default:
+      return 'OK';
+  }
+}
+
+module.exports = OrderVerifier;
+module.exports.describeReview = describeReview;
@@ -0,0 +1,196 @@
+/**
+ * Payment Service
+ * Pay-by-link for card orders: when a card order is confirmed, create a payment link with the
+ * provider (Square Checkout, or the fake provider locally) and text it to the caller. The
+ * provider's webhook then moves the order from unpaid to paid (or failed).
+ * for Glazed and Confused donut shop
+ *
+ * Payment state lives on the order store record, next to posOrderId:
+ *   payment: { status, provider, linkId, providerOrderId, url, amount, createdAt, paidAt, paymentId,
+ *              paidAmount, replacedLinks }
+ * where status is unpaid | paid | failed and amount is the order total it covers. If the order
+ * changes and is confirmed again, the old link is cancelled and a new one sent for what's left
+ * to pay (paidAmount is what earlier links already collected). A paid order stays paid.
+ * Listeners registered with onPaymentChange (the OrderFinalizer) push changes to the Call Log and POS.
+ */
+
+const { toCents } = require('./pricing');
+
+const PAYMENT_STATUSES = ['unpaid', 'paid', 'failed'];
+
+class PaymentService {
+  constructor({ provider, orderStore, smsNotifier = null }) {
+    this.provider = provider;
+    this.orderStore = orderStore;
+    this.smsNotifier = smsNotifier;
+    this.listeners = new Set();
+    orderStore.addIndex('paymentLink', r => [r.payment?.linkId, r.payment?.providerOrderId]);
+  }
+
+  /**
+   * Whether a confirmed order would get a payment link: paying by card, with a number we can text
+   */
+  canRequest(order) {
+    return order.paymentMethod === 'card' && !!this.smsNotifier?.canText(order);
+  }
+
+  /**
+   * Create a payment link for a confirmed card order (an OrderManager.getOrderForLogging()
+   * snapshot) and text it. One link per order total: confirming again after the order changed
+   * replaces the link. Resolves to the payment, or null.
+   * Never rejects — a failed link is logged and the order is simply paid at pickup.
+   */
+  async requestPayment(order, now = new Date()) {
+    if (!this.canRequest(order)) return null;
+    const record = this.orderStore.get(order.callSid || order.streamSid);
+    if (!record) return null;
+
+    const previous = record.payment || null;
+    const totalCents = toCents(order.total);
+    if (previous && toCents(previous.amount) === totalCents) return previous;
+
+    // Paid before the order changed: a smaller order keeps its payment, a bigger one owes the rest
+    const paidCents = previous?.status === 'paid' ? toCents(previous.amount) : toCents(previous?.paidAmount || 0);
+    if (paidCents >= totalCents) {
+      console.warn(`⚠️  Order #${record.orderNumber} went down to $${order.total.toFixed(2)} after it was paid — refund the difference`);
+      return previous;
+    }
+    if (previous && previous.status !== 'paid') await this._cancelLink(previous, record);
+
+    const replacedLinks = previous ? [...(previous.replacedLinks || []), previous.linkId] : [];
+    let link;
+    try {
+      link = await this.provider.createLink({
+        reference: replacedLinks.length ? `${record.id}-${replacedLinks.length}` : record.id,
+        amountCents: totalCents - paidCents,
+        description: `Glazed and Confused order #${record.orderNumber}`,
+      });
+    } catch (error) {
+      console.error(`❌ Payment link for #${record.orderNumber} failed:`, error.message);
+      // The old link is gone, so it's collected at pickup
+      if (previous && previous.status !== 'paid') {
+        this.orderStore.update(record.id, { payment: { ...previous, status: 'failed', amount: order.total } }, now);
+        this._notify(record);
+      }
+      return null;
+    }
+
+    const payment = {
+      status: 'unpaid',
+      provider: this.provider.name,
+      linkId: link.linkId,
+      providerOrderId: link.providerOrderId || null,
+      url: link.url,
+      amount: order.total,
+      createdAt: now.toISOString(),
+      paidAt: null,
+      paymentId: null,
+      ...(paidCents ? { paidAmount: paidCents / 100 } : {}),
+      ...(replacedLinks.length ? { replacedLinks } : {}),
+    };
+    this.orderStore.update(record.id, { payment }, now);
+    console.log(`💳 Payment link for #${record.orderNumber}${previous ? ' (order changed — replaces the last one)' : ''}: ${link.url}`);
+
+    if (this.smsNotifier) {
+      await this.smsNotifier.sendPaymentLink({ ...order, orderNumber: record.orderNumber, total: (totalCents - paidCents) / 100 }, link.url);
+    }
+    this._notify(record);
+    return payment;
+  }
+
+  verifyWebhook(rawBody, headers) {
+    return this.provider.verifyWebhook(rawBody, headers);
+  }
+
+  /**
+   * Apply a provider notification. Resolves to the updated record, or null if it wasn't
+   * about one of our payment links.
+   */
+  async handleWebhook(body, now = new Date()) {
+    const event = this.provider.parseWebhook(body);
+    if (!event) return null;
+    return this.recordPayment(event, now);
+  }
+
+  /**
+   * Move an order's payment to `status` ({ linkId or providerOrderId, status, paymentId })
+   */
+  recordPayment({ linkId = null, providerOrderId = null, status, paymentId = null }, now = new Date()) {
+    if (!PAYMENT_STATUSES.includes(status)) {
+      throw new Error(`Unknown payment status "${status}" — use one of: ${PAYMENT_STATUSES.join(', ')}`);
+    }
+    const record = this.findByLink({ linkId, providerOrderId });
+    if (!record) {
+      console.warn(`⚠️  Payment notification for an unknown link (${linkId || providerOrderId})`);
+      return null;
+    }
+    // Providers retry notifications, and a declined retry after a good card doesn't unpay the order
+    if (record.payment.status === status || record.payment.status === 'paid') return record;
+
+    this.orderStore.update(record.id, {
+      payment: {
+        ...record.payment,
+        status,
+        paymentId: paymentId || record.payment.paymentId,
+        paidAt: status === 'paid' ? now.toISOString() : null,
+      },
+    }, now);
+    console.log(`💳 Order #${record.orderNumber} payment → ${status}`);
+    this._notify(record);
+    return record;
+  }
+
+  findByLink({ linkId = null, providerOrderId = null }) {
+    return this.orderStore.findByIndex('paymentLink', linkId)[0]
+      || this.orderStore.findByIndex('paymentLink', providerOrderId)[0]
+      || null;
+  }
+
+  /**
+   * Cancel a link that no longer matches its order so it can't be paid. A provider that can't
+   * cancel links leaves it live, but its payment no longer finds the order.
+   */
+  async _cancelLink(payment, record) {
+    if (!this.provider.cancelLink) return;
+    try {
+      await this.provider.cancelLink(payment.linkId);
+      console.log(`💳 Cancelled the old payment link for #${record.orderNumber}`);
+    } catch (error) {
+      console.error(`❌ Couldn't cancel the old payment link for #${record.orderNumber}:`, error.message);
+    }
+  }
+
+  /**
+   * Register a listener for payment changes: (record) => {}. Returns an unsubscribe function.
+   */
+  onPaymentChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _notify(record) {
+    for (const listener of this.listeners) {
+      try {
+        listener(record);
+      } catch (error) {
+        console.error('❌ Payment listener error:', error.message);
+      }
+    }
+  }
+}
+
+/**
+ * How an order is being paid, for the Call Log's Payment column
+ */
+function describePayment(paymentMethod, payment = null) {
+  const alreadyPaid = payment?.paidAmount ? ` ($${payment.paidAmount.toFixed(2)} already paid)` : '';
+  if (payment?.status === 'paid') return 'PREPAID (card)';
+  if (payment?.status === 'failed') return `Card — payment failed, collect at pickup${alreadyPaid}`;
+  if (payment) return `Card — payment link sent${alreadyPaid}`;
+  if (paymentMethod === 'card') return 'Card at pickup';
+  if (paymentMethod === 'cash') return 'Cash at pickup';
+  return '';
+}
+
+module.exports = PaymentService;
+module.exports.describePayment = describePayment;
@@ -0,0 +1,102 @@
+/**
+ * Phone Verifier Service
+ * One-time codes that prove a website customer can receive texts at the number they typed,
+ * so a web cart can't be used to make the shop text someone else's phone.
+ * Sending is rate limited per phone and per IP address.
+ * for Glazed and Confused donut shop
+ */
+
+const crypto = require('crypto');
+const { normalizePhone } = require('../utils/phone');
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const WINDOW_MS = 60 * 60 * 1000;
+const MAX_CODES_PER_PHONE = 3; // per WINDOW_MS
+const MAX_CODES_PER_IP = 10; // per WINDOW_MS
+
+class PhoneVerifier {
+  constructor({ smsNotifier }) {
+    this.smsNotifier = smsNotifier;
+    this.codes = new Map(); // normalized phone -> { code, expiresAt, attempts }
+    this.sent = new Map(); // 'phone:<key>' or 'ip:<addr>' -> send times (ms) within WINDOW_MS
+  }
+
+  /**
+   * Whether this phone or IP has already been sent as many codes as the hour allows
+   */
+  isLimited(phone, ip = null, now = new Date()) {
+    this._prune(now);
+    const key = normalizePhone(phone);
+    const limited = (!!key && this._count(`phone:${key}`) >= MAX_CODES_PER_PHONE) ||
+      (!!ip && this._count(`ip:${ip}`) >= MAX_CODES_PER_IP);
+    if (limited) console.warn(`⚠️  Verification code limit reached for ${key || phone}${ip ? ` / ${ip}` : ''}`);
+    return limited;
+  }
+
+  /**
+   * Text a code to the phone. Throws when the number isn't textable or is over its limit.
+   */
+  async sendCode(phone, ip = null, now = new Date()) {
+    const key = normalizePhone(phone);
+    if (!key) {
+      throw new Error('A valid 10-digit phone number is needed to send a code');
+    }
+    if (this.isLimited(key, ip, now)) {
+      throw new Error('Too many codes requested — please wait a while and try again, or give us a call');
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    this._record(`phone:${key}`, now);
+    if (ip) this._record(`ip:${ip}`, now);
+    const sent = await this.smsNotifier.sendVerificationCode(key, code);
+    if (!sent) {
+      throw new Error('We couldn\'t text that number — check it, or give us a call');
+    }
+    this.codes.set(key, { code, expiresAt: now.getTime() + CODE_TTL_MS, attempts: 0 });
+    return true;
+  }
+
+  /**
+   * Check a code the customer typed. Throws with a message for them when it doesn't match.
+   */
+  check(phone, code, now = new Date()) {
+    const key = normalizePhone(phone);
+    const pending = key && this.codes.get(key);
+    if (!pending || pending.expiresAt < now.getTime()) {
+      if (pending) this.codes.delete(key);
+      throw new Error('No code pending for that number — request a new one');
+    }
+    if (String(code || '').trim() !== pending.code) {
+      pending.attempts++;
+      if (pending.attempts >= MAX_ATTEMPTS) this.codes.delete(key);
+      throw new Error('That code doesn\'t match — check the text we sent and try again');
+    }
+    this.codes.delete(key);
+    console.log(`✅ Phone verified: ${key}`);
+    return true;
+  }
+
+  _count(bucket) {
+    return (this.sent.get(bucket) || []).length;
+  }
+
+  _record(bucket, now) {
+    this.sent.set(bucket, [...(this.sent.get(bucket) || []), now.getTime()]);
+  }
+
+  // Drop expired codes and sends that have aged out of the rate-limit window
+  _prune(now) {
+    const cutoff = now.getTime() - WINDOW_MS;
+    for (const [bucket, times] of this.sent) {
+      const recent = times.filter(t => t > cutoff);
+      if (recent.length) this.sent.set(bucket, recent);
+      else this.sent.delete(bucket);
+    }
+    for (const [key, pending] of this.codes) {
+      if (pending.expiresAt < now.getTime()) this.codes.delete(key);
+    }
+  }
+}
+
+module.exports = PhoneVerifier;
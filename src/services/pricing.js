@@ -0,0 +1,172 @@
+/**
+ * Pricing Engine
+ * Subtotal, tax and total for an order in integer cents — the one place order math happens.
+ * Shared by the OrderManager, the Sheets logger, the POS integrations and the Studio function.
+ * for Glazed and Confused donut shop
+ *
+ * Dependency-free on purpose: the Studio function loads this file as a private Twilio asset.
+ *
+ * Tax config shape:
+ * {
+ *   "defaultRate": 0.08,                                      // any category not listed
+ *   "categoryRates": { "bakery": 0, "coffee & drinks": 0.1 }, // by menu category (case-insensitive)
+ *   "taxDeliveryFee": false
+ * }
+ */
+
+const DEFAULT_TAX_CONFIG = {
+  defaultRate: 0.08,
+  categoryRates: {},
+  taxDeliveryFee: false,
+};
+
+/**
+ * Dollars (number or string) -> integer cents
+ */
+function toCents(dollars) {
+  const value = parseFloat(dollars);
+  return isNaN(value) ? 0 : _roundHalfUp(value * 100);
+}
+
+/**
+ * Integer cents -> dollars (number, for storage on the order)
+ */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * Integer cents -> "$12.34"
+ */
+function formatMoney(cents) {
+  const sign = cents < 0 ? '-' : '';
+  return `${sign}$${(Math.abs(cents) / 100).toFixed(2)}`;
+}
+
+/**
+ * Unit price in cents of an item with modifiers: base + each modifier's price
+ */
+function unitPriceCents(basePrice, modifiers = []) {
+  return modifiers.reduce((sum, m) => sum + toCents(m.price || 0), toCents(basePrice));
+}
+
+/**
+ * Tax rate for a menu category under a tax config
+ */
+function getTaxRate(category, taxConfig = DEFAULT_TAX_CONFIG) {
+  const rates = taxConfig.categoryRates || {};
+  const key = String(category || '').toLowerCase();
+  if (key && Object.prototype.hasOwnProperty.call(rates, key)) return rates[key];
+  return taxConfig.defaultRate ?? DEFAULT_TAX_CONFIG.defaultRate;
+}
+
+/**
+ * Order totals.
+ * items: [{ price (unit dollars), quantity, category }]
+ * options:
+ *   taxConfig    — rates (defaults to 8% on everything)
+ *   taxRate      — flat rate overriding the config
+ *   taxExempt    — no tax at all (e.g. nonprofit orders)
+ *   deliveryFee  — dollars, added after tax (taxed only if taxConfig.taxDeliveryFee)
+ *   discounts    — [{ amountCents, category }] from the promotions engine, taken off before tax:
+ *                  a category discount reduces that category's taxable amount, an order-wide one
+ *                  (category null) is spread across the order in proportion
+ * Tax is rounded half-up once per rate, not per line.
+ * Returns cents ({ subtotalCents, discountCents, taxCents, deliveryFeeCents, totalCents }) and the same in dollars.
+ */
+function calculateTotals(items = [], options = {}) {
+  const taxConfig = { ...DEFAULT_TAX_CONFIG, ...(options.taxConfig || {}) };
+  const rateFor = (item) => (options.taxRate !== undefined && options.taxRate !== null
+    ? options.taxRate
+    : getTaxRate(item.category, taxConfig));
+
+  let subtotalCents = 0;
+  const taxableByRate = new Map(); // rate -> cents
+  for (const item of items) {
+    const lineCents = toCents(item.price) * (parseInt(item.quantity, 10) || 1);
+    subtotalCents += lineCents;
+    const rate = rateFor(item);
+    taxableByRate.set(rate, (taxableByRate.get(rate) || 0) + lineCents);
+  }
+
+  const discountCents = _applyDiscounts(taxableByRate, options.discounts || [], rateFor, subtotalCents);
+
+  const deliveryFeeCents = toCents(options.deliveryFee || 0);
+  if (taxConfig.taxDeliveryFee && deliveryFeeCents > 0) {
+    const rate = options.taxRate ?? taxConfig.defaultRate;
+    taxableByRate.set(rate, (taxableByRate.get(rate) || 0) + deliveryFeeCents);
+  }
+
+  let taxCents = 0;
+  if (!options.taxExempt) {
+    for (const [rate, cents] of taxableByRate) {
+      taxCents += _roundHalfUp(cents * rate);
+    }
+  }
+
+  const totalCents = subtotalCents - discountCents + taxCents + deliveryFeeCents;
+  return {
+    subtotalCents,
+    discountCents,
+    taxCents,
+    deliveryFeeCents,
+    totalCents,
+    subtotal: fromCents(subtotalCents),
+    discount: fromCents(discountCents),
+    tax: fromCents(taxCents),
+    deliveryFee: fromCents(deliveryFeeCents),
+    total: fromCents(totalCents),
+  };
+}
+
+/**
+ * Take discounts off the taxable amounts (rate -> cents), in place; returns the cents taken,
+ * never more than the subtotal
+ */
+function _applyDiscounts(taxableByRate, discounts, rateFor, subtotalCents) {
+  let takenCents = 0;
+  for (const discount of discounts) {
+    let remaining = Math.min(Math.round(discount.amountCents || 0), subtotalCents - takenCents);
+    if (remaining <= 0) continue;
+    takenCents += remaining;
+
+    if (discount.category) {
+      const rate = rateFor({ category: discount.category });
+      const available = taxableByRate.get(rate) || 0;
+      const taken = Math.min(remaining, available);
+      taxableByRate.set(rate, available - taken);
+      remaining -= taken;
+    }
+
+    // Order-wide (or whatever a category bucket couldn't absorb): spread by each rate's share
+    const base = [...taxableByRate.values()].reduce((sum, cents) => sum + cents, 0);
+    const entries = [...taxableByRate.entries()];
+    let spread = 0;
+    entries.forEach(([rate, cents], i) => {
+      const share = i === entries.length - 1
+        ? remaining - spread
+        : Math.round(remaining * cents / (base || 1));
+      const taken = Math.min(share, cents);
+      taxableByRate.set(rate, cents - taken);
+      spread += taken;
+    });
+  }
+  return takenCents;
+}
+
+/**
+ * Round to the nearest cent, halves up (guards against 0.5 landing as 0.49999...)
+ */
+function _roundHalfUp(cents) {
+  return Math.round(parseFloat(cents.toFixed(6)));
+}
+
+module.exports = {
+  DEFAULT_TAX_CONFIG,
+  toCents,
+  fromCents,
+  formatMoney,
+  unitPriceCents,
+  getTaxRate,
+  calculateTotals,
+};
@@ -0,0 +1,214 @@
+/**
+ * Promotions Engine
+ * Works out which deals and promo codes apply to an order and what each takes off, in cents.
+ * for Glazed and Confused donut shop
+ *
+ * Each unit (one donut line quantity, one coffee, ...) counts toward at most one automatic deal,
+ * in the order the rules are listed. Promo codes stack on top of deals and apply to what's left.
+ */
+
+const { toCents, formatMoney } = require('./pricing');
+const { localParts } = require('../utils/timezone');
+
+/**
+ * Discounts for a list of order items: [{ id, name, code, category, amountCents }]
+ * options: rules, codes (promo code configs the caller gave), now, timezone
+ */
+function evaluatePromotions(items, { rules = [], codes = [], now = new Date(), timezone = 'America/New_York' } = {}) {
+  const units = _expandUnits(items);
+  const local = localParts(now, timezone);
+  const discounts = [];
+
+  for (const rule of rules) {
+    if (!_isActive(rule, local)) continue;
+
+    let affected = [];
+    let amountCents = 0;
+    if (rule.type === 'buy-n-get-one') {
+      ({ affected, amountCents } = _applyBuyNGetOne(rule, units));
+    } else if (rule.type === 'combo') {
+      ({ affected, amountCents } = _applyCombo(rule, units));
+    } else if (rule.type === 'percent') {
+      affected = units.filter(u => !u.consumed && u.remainingCents > 0 && _matches(u, rule.match));
+      amountCents = _takePercent(affected, rule.percent);
+      affected.forEach(u => { u.consumed = true; });
+    }
+
+    if (amountCents > 0) {
+      discounts.push({ id: rule.id || rule.name, name: rule.name, code: null, category: _commonCategory(affected), amountCents });
+    }
+  }
+
+  const grossCents = units.reduce((sum, u) => sum + u.unitCents, 0);
+  for (const code of codes) {
+    if (!_isActive(code, local) || grossCents < toCents(code.minSubtotal || 0)) continue;
+
+    const affected = units.filter(u => u.remainingCents > 0 && _matches(u, code.match));
+    const available = affected.reduce((sum, u) => sum + u.remainingCents, 0);
+    const amountCents = code.percent
+      ? _takePercent(affected, code.percent)
+      : Math.min(toCents(code.amount || 0), available);
+
+    if (amountCents > 0) {
+      discounts.push({ id: code.code, name: code.name || code.code, code: code.code, category: _commonCategory(affected), amountCents });
+    }
+  }
+
+  return discounts;
+}
+
+/**
+ * Why a code can't be used right now ("has expired", "needs an order of at least $25.00"), or null if it can
+ */
+function getCodeProblem(code, items, now = new Date(), timezone = 'America/New_York') {
+  const local = localParts(now, timezone);
+  if (code.expires && local.date > code.expires) return 'has expired';
+  if (code.startsOn && local.date < code.startsOn) return "isn't active yet";
+  const grossCents = _expandUnits(items).reduce((sum, u) => sum + u.unitCents, 0);
+  if (grossCents < toCents(code.minSubtotal || 0)) {
+    return `needs an order of at least ${formatMoney(toCents(code.minSubtotal))}`;
+  }
+  return null;
+}
+
+// ── Rules ──
+
+/**
+ * Buy N of one thing, get `free` of another (or the same) thing free — the cheapest qualifying units
+ */
+function _applyBuyNGetOne(rule, units) {
+  const buyQuantity = rule.buyQuantity || 1;
+  const free = rule.free || 1;
+  const buyUnits = units.filter(u => !u.consumed && _matches(u, rule.buy));
+  let paid;
+  let freeUnits;
+
+  if (!rule.get) {
+    // Same item: every (buy + free) units, the cheapest `free` are on the house
+    const pool = [...buyUnits].sort((a, b) => b.unitCents - a.unitCents);
+    const groups = Math.floor(pool.length / (buyQuantity + free));
+    paid = pool.slice(0, groups * buyQuantity);
+    freeUnits = pool.slice(pool.length - groups * free);
+  } else {
+    const groups = Math.floor(buyUnits.length / buyQuantity);
+    freeUnits = units
+      .filter(u => !u.consumed && !buyUnits.includes(u) && _matches(u, rule.get))
+      .sort((a, b) => a.unitCents - b.unitCents)
+      .slice(0, groups * free);
+    paid = buyUnits.slice(0, Math.ceil(freeUnits.length / free) * buyQuantity);
+  }
+
+  let amountCents = 0;
+  freeUnits.forEach(u => {
+    amountCents += u.remainingCents;
+    u.remainingCents = 0;
+    u.consumed = true;
+  });
+  paid.forEach(u => { u.consumed = true; });
+  return { affected: freeUnits.length > 0 ? [...paid, ...freeUnits] : [], amountCents };
+}
+
+/**
+ * Combo: one unit per component for a fixed price (or a fixed discount), as many times as it fits
+ */
+function _applyCombo(rule, units) {
+  const affected = [];
+  let amountCents = 0;
+
+  for (;;) {
+    const picked = [];
+    for (const spec of rule.items || []) {
+      const unit = units.find(u => !u.consumed && !picked.includes(u) && _matches(u, spec));
+      if (!unit) break;
+      picked.push(unit);
+    }
+    if (picked.length === 0 || picked.length < (rule.items || []).length) break;
+
+    const fullCents = picked.reduce((sum, u) => sum + u.remainingCents, 0);
+    const offCents = rule.price !== undefined && rule.price !== null
+      ? fullCents - toCents(rule.price)
+      : Math.min(toCents(rule.discount || 0), fullCents);
+    if (offCents <= 0) break;
+
+    picked.forEach(u => {
+      u.remainingCents = Math.round(u.remainingCents * (1 - offCents / fullCents));
+      u.consumed = true;
+    });
+    affected.push(...picked);
+    amountCents += offCents;
+  }
+
+  return { affected, amountCents };
+}
+
+/**
+ * Take a percentage off the remaining price of some units; returns the cents taken
+ */
+function _takePercent(units, percent) {
+  const base = units.reduce((sum, u) => sum + u.remainingCents, 0);
+  const amountCents = Math.round(base * (percent || 0) / 100);
+  if (base > 0) {
+    units.forEach(u => { u.remainingCents = Math.round(u.remainingCents * (1 - amountCents / base)); });
+  }
+  return amountCents;
+}
+
+// ── Helpers ──
+
+/**
+ * One entry per unit of quantity: { name, size, category, unitCents, remainingCents, consumed }
+ */
+function _expandUnits(items) {
+  const units = [];
+  for (const item of items) {
+    const unitCents = toCents(item.price);
+    for (let i = 0; i < (parseInt(item.quantity, 10) || 1); i++) {
+      units.push({
+        name: String(item.name || '').toLowerCase(),
+        size: item.size || null,
+        category: item.category || null,
+        unitCents,
+        remainingCents: unitCents,
+        consumed: false,
+      });
+    }
+  }
+  return units;
+}
+
+/**
+ * Whether a unit fits an item matcher { item, category, size } (an empty matcher fits everything)
+ */
+function _matches(unit, spec = {}) {
+  if (!spec) return true;
+  if (spec.item && unit.name !== spec.item.toLowerCase()) return false;
+  if (spec.category && String(unit.category || '').toLowerCase() !== spec.category.toLowerCase()) return false;
+  if (spec.size && unit.size !== spec.size) return false;
+  return true;
+}
+
+/**
+ * Rule/code window: optional startsOn/expires dates, weekdays and a daily start-end time
+ */
+function _isActive(rule, local) {
+  if (rule.expires && local.date > rule.expires) return false;
+  if (rule.startsOn && local.date < rule.startsOn) return false;
+  if (rule.days && !rule.days.map(d => d.toLowerCase()).includes(local.weekday)) return false;
+  const minutes = (time) => { const [h, m] = time.split(':').map(Number); return h * 60 + m; };
+  if (rule.start && local.minutes < minutes(rule.start)) return false;
+  if (rule.end && local.minutes >= minutes(rule.end)) return false;
+  return true;
+}
+
+/**
+ * The category shared by every affected unit, or null if they differ (order-wide for tax)
+ */
+function _commonCategory(units) {
+  const categories = new Set(units.map(u => u.category));
+  return categories.size === 1 ? [...categories][0] : null;
+}
+
+module.exports = {
+  evaluatePromotions,
+  getCodeProblem,
+};
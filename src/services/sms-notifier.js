@@ -0,0 +1,212 @@
+/**
+ * SMS Notifier Service
+ * Texts the caller after the call: the order confirmation (number, items, total, pickup time),
+ * a payment link for card orders, a "ready for pickup" text when staff mark the order ready,
+ * a nudge to finish an order that was left unconfirmed, and one-time codes for website customers.
+ * A web order's number is only texted once the customer has verified it with a code.
+ * Callers who reply STOP are never texted again until they reply START; opt-outs are
+ * persisted to a JSON file under DATA_DIR.
+ * for Glazed and Confused donut shop
+ *
+ * Sending never throws — a failed text is logged and reported as false, so it can't
+ * break a call or a status update.
+ */
+
+const { describeTime } = require('../config/store-hours');
+const { normalizePhone } = require('../utils/phone');
+const { dataPath, readJsonFile, writeJsonFile } = require('../utils/json-file');
+
+// Carrier-standard keywords (CTIA)
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP'];
+// The only keywords that still count mid text order — CANCEL, END, HELP... are answers to the order
+const MID_ORDER_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+const SHOP = 'Glazed and Confused';
+const CONFIRMED_TTL_MS = 24 * 60 * 60000; // a call's order is finalized once, so a day is plenty
+
+class SmsNotifier {
+  constructor({ client, from, filePath = dataPath('sms-opt-outs.json') }) {
+    this.client = client;
+    this.from = from;
+    this.filePath = filePath;
+    this.optOuts = readJsonFile(filePath, {}).optOuts || {}; // normalized phone -> opted-out time
+    this.confirmed = new Map(); // callSid -> when its confirmation was sent (ms), pruned after a day
+    console.log(`✅ SMS notifier: ${Object.keys(this.optOuts).length} opted-out numbers loaded`);
+  }
+
+  isOptedOut(phone) {
+    const key = normalizePhone(phone);
+    return !!key && !!this.optOuts[key];
+  }
+
+  /**
+   * Whether texts for this order would go out (a textable number that hasn't opted out)
+   */
+  canText(order) {
+    const key = normalizePhone(_recipient(order));
+    return !!key && !this.optOuts[key];
+  }
+
+  /**
+   * Text the order confirmation (once per call). Resolves to true if a text was sent.
+   */
+  async sendConfirmation(order, now = new Date()) {
+    const id = order.callSid || order.streamSid;
+    this._prune(now);
+    if (this.confirmed.has(id)) return false;
+
+    const sent = await this._send(_recipient(order), this._confirmationText(order, now), 'confirmation');
+    if (sent) this.confirmed.set(id, now.getTime());
+    return sent;
+  }
+
+  /**
+   * Text a card order's payment link. Resolves to true if a text was sent.
+   */
+  async sendPaymentLink(order, url) {
+    const number = order.orderNumber ? ` order #${order.orderNumber}` : ' your order';
+    const total = `$${Number(order.total || 0).toFixed(2)}`;
+    const body = `${SHOP}: pay for${number} (${total}) by card here: ${url} Reply STOP to opt out.`;
+    return this._send(_recipient(order), body, 'payment link');
+  }
+
+  /**
+   * Text about an unfinished order, with a link to reopen the cart when there is one.
+   * Resolves to true if a text was sent.
+   */
+  async sendFollowUp(order, resumeUrl = null) {
+    const next = resumeUrl
+      ? `Pick up where you left off: ${resumeUrl}`
+      : 'Just call us back and we\'ll take it from there.';
+    const body = `${SHOP}: looks like we got cut off — want to finish your order (${order.itemsSummary})? ${next} ` +
+      'Reply STOP to opt out.';
+    return this._send(_recipient(order), body, 'follow-up');
+  }
+
+  /**
+   * Text that an order (an order store record) is ready. Resolves to true if a text was sent.
+   */
+  async sendReady(record) {
+    const order = record.order || {};
+    const body = order.deliveryMethod === 'delivery'
+      ? `${SHOP}: order #${record.orderNumber} is ready and heading your way!`
+      : `${SHOP}: order #${record.orderNumber} is ready for pickup! See you soon.`;
+    return this._send(_recipient(order), body, 'ready');
+  }
+
+  /**
+   * Text a website customer the code that verifies their number. Resolves to true if a text was sent.
+   */
+  async sendVerificationCode(phone, code) {
+    return this._send(phone, `${SHOP}: your verification code is ${code}. It expires in 10 minutes.`, 'verification code');
+  }
+
+  /**
+   * Text the shop's own staff line (transfers, voicemails). Resolves to true if a text was sent.
+   */
+  async sendStaffAlert(phone, body) {
+    return this._send(phone, `${SHOP}: ${body}`, 'staff alert');
+  }
+
+  /**
+   * Handle a text the shop received. Opt-out / opt-in / help keywords update the caller's
+   * preference; returns the reply to send back, or null for anything else.
+   * midOrder: they're in the middle of a text order, so only STOP / STOPALL / UNSUBSCRIBE count.
+   */
+  handleInbound(from, body, { midOrder = false } = {}) {
+    const key = normalizePhone(from);
+    const keyword = String(body || '').trim().toUpperCase();
+    if (midOrder && !MID_ORDER_KEYWORDS.includes(keyword)) return null;
+
+    if (OPT_OUT_KEYWORDS.includes(keyword)) {
+      if (key) this._setOptOut(key, true);
+      console.log(`📵 SMS opt-out: ${from}`);
+      return `${SHOP}: you're unsubscribed and won't get any more order texts. Reply START to opt back in.`;
+    }
+    if (OPT_IN_KEYWORDS.includes(keyword)) {
+      if (key) this._setOptOut(key, false);
+      console.log(`📱 SMS opt-in: ${from}`);
+      return `${SHOP}: you're subscribed to order texts again. Reply STOP to opt out.`;
+    }
+    if (HELP_KEYWORDS.includes(keyword)) {
+      return `${SHOP}: we text order confirmations, card payment links, pickup updates and reminders about unfinished orders. Reply STOP to opt out. Call the shop for anything else.`;
+    }
+    return null;
+  }
+
+  _confirmationText(order, now) {
+    const number = order.orderNumber ? ` Order #${order.orderNumber}:` : '';
+    const total = `$${Number(order.total || 0).toFixed(2)}`;
+    let when;
+    if (order.deliveryMethod === 'delivery') {
+      when = `Delivery to ${order.address || 'your address'}`;
+    } else if (order.pickupTime) {
+      when = `Pickup ${describeTime(new Date(order.pickupTime), now)}`;
+    } else if (order.readyAt) {
+      when = `Ready for pickup ${describeTime(new Date(order.readyAt), now)}`;
+    } else {
+      when = 'Ready for pickup soon';
+    }
+    const name = order.customerName ? `, ${order.customerName}` : '';
+    return `${SHOP}: thanks${name}!${number} ${order.itemsSummary}. Total ${total}. ${when}. ` +
+      'Reply STOP to opt out.';
+  }
+
+  async _send(phone, body, kind) {
+    const key = normalizePhone(phone);
+    if (!key) {
+      console.log(`ℹ️  No textable (or verified) number — skipping ${kind} SMS`);
+      return false;
+    }
+    if (this.optOuts[key]) {
+      console.log(`📵 ${phone} opted out — skipping ${kind} SMS`);
+      return false;
+    }
+
+    try {
+      const sid = await this.client.send({ to: `+1${key}`, from: this.from, body });
+      console.log(`📱 ${kind} SMS sent (${sid})`);
+      return true;
+    } catch (error) {
+      console.error(`❌ ${kind} SMS failed:`, error.message);
+      return false;
+    }
+  }
+
+  _prune(now) {
+    for (const [id, sentAt] of this.confirmed) {
+      if (now.getTime() - sentAt > CONFIRMED_TTL_MS) {
+        this.confirmed.delete(id);
+      }
+    }
+  }
+
+  _setOptOut(key, optedOut) {
+    if (optedOut) {
+      this.optOuts[key] = new Date().toISOString();
+    } else {
+      delete this.optOuts[key];
+    }
+    try {
+      writeJsonFile(this.filePath, { optOuts: this.optOuts });
+    } catch (error) {
+      console.error('❌ Failed to save SMS opt-outs:', error.message);
+    }
+  }
+}
+
+/**
+ * The number to text: the callback number they gave, else caller ID.
+ * Web orders have no caller ID, so their number must have been verified with a code.
+ */
+function _recipient(order) {
+  if (order.channel === 'web') {
+    const phone = normalizePhone(order.customerPhone);
+    return phone && phone === order.verifiedPhone ? order.customerPhone : null;
+  }
+  return normalizePhone(order.customerPhone) ? order.customerPhone : order.from;
+}
+
+module.exports = SmsNotifier;
@@ -0,0 +1,221 @@
+/**
+ * Staff Transfer Service
+ * Warm transfer from the AI agent to a person at the shop. The agent's transfer_to_staff tool
+ * asks for a transfer; once the agent has told the caller, the live call is redirected to dial
+ * STAFF_PHONE_NUMBER. Staff hear a short whisper (reason, caller, order so far) before they're
+ * connected, and/or get it by text. If nobody picks up, the caller can leave a voicemail and
+ * staff are texted the recording.
+ * for Glazed and Confused donut shop
+ *
+ * Twilio fetches the whisper and fallback TwiML from /transfer/* (see routes/staff-transfer.js),
+ * so baseUrl must be the server's public URL (SERVER_URL).
+ */
+
+const twilio = require('twilio');
+const { formatPhoneNumber } = require('../utils/phone');
+
+const TRANSFER_REASONS = ['requested', 'confusion', 'complaint', 'other'];
+const NOTIFY_MODES = ['whisper', 'text', 'both'];
+const PENDING_TTL_MS = 60 * 60000; // forget transfers after an hour
+
+const REASON_TEXT = {
+  requested: 'asked for a person',
+  confusion: 'the agent couldn\'t understand them',
+  complaint: 'complaint',
+  other: 'needs help',
+};
+
+class StaffTransfer {
+  constructor({
+    callClient,
+    staffNumber = process.env.STAFF_PHONE_NUMBER,
+    baseUrl = process.env.SERVER_URL,
+    notify = process.env.STAFF_TRANSFER_NOTIFY || 'whisper',
+    ringSeconds = parseInt(process.env.STAFF_RING_SECONDS || '20', 10),
+    smsNotifier = null,
+    orderStore = null,
+  }) {
+    if (!staffNumber || !baseUrl) {
+      throw new Error('STAFF_PHONE_NUMBER and SERVER_URL are required for staff transfers');
+    }
+    if (!NOTIFY_MODES.includes(notify)) {
+      throw new Error(`Unknown STAFF_TRANSFER_NOTIFY "${notify}" — use one of: ${NOTIFY_MODES.join(', ')}`);
+    }
+    this.callClient = callClient;
+    this.staffNumber = staffNumber;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.notify = notify;
+    this.ringSeconds = ringSeconds;
+    this.smsNotifier = smsNotifier;
+    this.orderStore = orderStore;
+    this.transfers = new Map(); // callSid -> { callSid, reason, details, summary, status, requestedAt }
+  }
+
+  /**
+   * Whether this conversation can be handed to staff (only live phone calls can)
+   */
+  canTransfer(orderManager) {
+    return orderManager.channel === 'voice' && !!orderManager.callSid;
+  }
+
+  /**
+   * Ask for a transfer (the transfer_to_staff tool). The call is redirected by start(),
+   * once the agent has finished telling the caller.
+   */
+  request(orderManager, { reason = 'requested', details = null } = {}, now = new Date()) {
+    if (!this.canTransfer(orderManager)) {
+      throw new Error(`Transfers only work on phone calls — give them the shop's number, ${formatPhoneNumber(this.staffNumber)}`);
+    }
+    if (!TRANSFER_REASONS.includes(reason)) {
+      throw new Error(`Unknown transfer reason "${reason}" — use one of: ${TRANSFER_REASONS.join(', ')}`);
+    }
+    this._prune(now);
+
+    const transfer = {
+      callSid: orderManager.callSid,
+      reason,
+      details,
+      summary: this._summarize(orderManager, reason, details),
+      status: 'pending',
+      requestedAt: now.toISOString(),
+    };
+    this.transfers.set(transfer.callSid, transfer);
+    console.log(`🙋 Transfer requested for ${transfer.callSid}: ${transfer.summary}`);
+    return transfer;
+  }
+
+  isPending(callSid) {
+    return this.transfers.get(callSid)?.status === 'pending';
+  }
+
+  get(callSid) {
+    return this.transfers.get(callSid) || null;
+  }
+
+  /**
+   * Redirect the call to the staff line. Resolves to true if Twilio took the redirect.
+   */
+  async start(callSid) {
+    const transfer = this.transfers.get(callSid);
+    if (!transfer || transfer.status !== 'pending') return false;
+    transfer.status = 'dialing';
+
+    try {
+      await this.callClient.updateCall(callSid, this.buildDialTwiml(callSid));
+    } catch (error) {
+      console.error(`❌ Transfer of ${callSid} failed:`, error.message);
+      transfer.status = 'failed';
+      return false;
+    }
+    console.log(`📞 Transferring ${callSid} to staff (${this.staffNumber})`);
+
+    if (this.notify !== 'whisper' && this.smsNotifier) {
+      await this.smsNotifier.sendStaffAlert(this.staffNumber, `Incoming transfer: ${transfer.summary}`);
+    }
+    return true;
+  }
+
+  /**
+   * Dial staff; Twilio posts the outcome to /transfer/:callSid/dial-status
+   */
+  buildDialTwiml(callSid) {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const dial = twiml.dial({
+      timeout: this.ringSeconds,
+      action: `${this.baseUrl}/transfer/${callSid}/dial-status`,
+      method: 'POST',
+    });
+    const whisper = this.notify !== 'text' ? { url: `${this.baseUrl}/transfer/${callSid}/whisper`, method: 'POST' } : {};
+    dial.number(whisper, this.staffNumber);
+    return twiml.toString();
+  }
+
+  /**
+   * What staff hear before they're connected
+   */
+  buildWhisperTwiml(callSid) {
+    const twiml = new twilio.twiml.VoiceResponse();
+    const transfer = this.transfers.get(callSid);
+    twiml.say(transfer ? `Transfer from the ordering line. ${transfer.summary}` : 'Transfer from the ordering line.');
+    return twiml.toString();
+  }
+
+  /**
+   * After the dial: hang up if staff answered, otherwise take a voicemail
+   */
+  buildDialStatusTwiml(callSid, dialStatus) {
+    const transfer = this.transfers.get(callSid);
+    const twiml = new twilio.twiml.VoiceResponse();
+
+    if (dialStatus === 'completed' || dialStatus === 'answered') {
+      if (transfer) transfer.status = 'connected';
+      console.log(`✅ Transfer of ${callSid} connected`);
+      twiml.hangup();
+      return twiml.toString();
+    }
+
+    if (transfer) transfer.status = 'voicemail';
+    console.log(`📭 Nobody answered the transfer of ${callSid} (${dialStatus}) — taking a voicemail`);
+    twiml.say('Sorry, nobody could get to the phone. Please leave your name, number and a short message after the tone, and we\'ll call you back.');
+    twiml.record({
+      maxLength: 120,
+      playBeep: true,
+      action: `${this.baseUrl}/transfer/${callSid}/voicemail`,
+      method: 'POST',
+      recordingStatusCallback: `${this.baseUrl}/transfer/${callSid}/recording`,
+      recordingStatusCallbackMethod: 'POST',
+    });
+    twiml.say('We didn\'t get a message. Please call back anytime. Goodbye!');
+    twiml.hangup();
+    return twiml.toString();
+  }
+
+  buildVoicemailDoneTwiml() {
+    const twiml = new twilio.twiml.VoiceResponse();
+    twiml.say('Thanks, we got your message and will call you back soon. Goodbye!');
+    twiml.hangup();
+    return twiml.toString();
+  }
+
+  /**
+   * A voicemail recording is ready: text staff the link and keep it on the order record
+   */
+  async handleRecording(callSid, { recordingUrl, duration = null }) {
+    if (!recordingUrl) return false;
+    const transfer = this.transfers.get(callSid);
+    const voicemail = { url: `${recordingUrl}.mp3`, duration: duration ? parseInt(duration, 10) : null };
+    console.log(`📭 Voicemail for ${callSid}: ${voicemail.url}`);
+
+    const record = this.orderStore?.get(callSid);
+    if (record) this.orderStore.update(callSid, { voicemail });
+
+    if (this.smsNotifier) {
+      const about = transfer ? transfer.summary : `Call ${callSid}.`;
+      await this.smsNotifier.sendStaffAlert(this.staffNumber, `Voicemail from a transferred call: ${voicemail.url} — ${about}`);
+    }
+    this.transfers.delete(callSid);
+    return true;
+  }
+
+  _summarize(orderManager, reason, details) {
+    const order = orderManager.getOrder();
+    const why = details ? `${REASON_TEXT[reason]}: ${details}` : REASON_TEXT[reason];
+    const caller = [order.customerName, formatPhoneNumber(order.customerPhone || orderManager.fromNumber)]
+      .filter(Boolean).join(', ');
+    const items = order.items.length > 0
+      ? `Order so far: ${orderManager.getSummary()}, total $${order.total.toFixed(2)}${order.orderNumber ? `, placed as order ${order.orderNumber}` : ''}.`
+      : 'No order yet.';
+    return `Reason: ${why}. Caller: ${caller}. ${items}`;
+  }
+
+  _prune(now) {
+    for (const [callSid, transfer] of this.transfers) {
+      if (now.getTime() - new Date(transfer.requestedAt).getTime() > PENDING_TTL_MS) {
+        this.transfers.delete(callSid);
+      }
+    }
+  }
+}
+
+module.exports = StaffTransfer;
+module.exports.TRANSFER_REASONS = TRANSFER_REASONS;
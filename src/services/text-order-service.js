@@ -0,0 +1,173 @@
+/**
+ * Text Order Service
+ * Ordering by text message and website chat: each conversation drives its own OrderManager
+ * through the same prompt and tools as a phone call, using a text-only model (Chat Completions).
+ * Text conversations are keyed by phone number, web chats by the widget's session id.
+ * Conversations live in OrderSessions, so they end on confirmation or inactivity like any
+ * other open order.
+ * for Glazed and Confused donut shop
+ */
+
+const crypto = require('crypto');
+const OrderSessions = require('./order-sessions');
+const { buildOrderInstructions } = require('./order-prompt');
+const { ORDER_TOOLS, runOrderTool } = require('./order-tools');
+const { normalizePhone } = require('../utils/phone');
+
+const MAX_TOOL_ROUNDS = 6; // model turns per inbound message before we give up and apologize
+const FALLBACK_REPLY = 'Sorry, we\'re having trouble taking orders here right now. Please give us a call!';
+
+// Chat Completions wants { type: 'function', function: { name, description, parameters } }
+const CHAT_TOOLS = ORDER_TOOLS.map(({ type, ...definition }) => ({ type, function: definition }));
+
+class TextOrderService {
+  /**
+   * sessions: shared OrderSessions (one is created from the remaining options if omitted)
+   * complete: (messages, tools) => assistant message — defaults to OpenAI Chat Completions;
+   * tests pass a stub
+   */
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_TEXT_MODEL || 'gpt-4o-mini',
+    complete = null,
+    sessions = null,
+    ...sessionOptions
+  } = {}) {
+    this.apiKey = apiKey;
+    this.model = model;
+    this.complete = complete || ((messages, tools) => this._completeChat(messages, tools));
+    this.sessions = sessions || new OrderSessions(sessionOptions);
+  }
+
+  /**
+   * Handle one inbound text and resolve to the reply. Texts from the same number are
+   * handled one at a time, in order.
+   */
+  handleMessage(phone, text, now = new Date()) {
+    const key = normalizePhone(phone) || String(phone);
+    const session = this.sessions.open(key, { id: `text-${key}-${now.getTime()}`, phone, channel: 'text', now });
+    return this._enqueue(session, text);
+  }
+
+  /**
+   * Whether this number is in the middle of a text order
+   */
+  isOrdering(phone) {
+    return !!this.sessions.get(normalizePhone(phone) || String(phone));
+  }
+
+  /**
+   * Handle one message from the website chat widget. Without a sessionId a new chat starts.
+   * Resolves to { sessionId, reply, order }.
+   */
+  async handleChat(sessionId, text, now = new Date()) {
+    const id = sessionId || crypto.randomUUID();
+    const session = this.sessions.open(`web:${id}`, { id: `web-${id}`, channel: 'web', now });
+    const reply = await this._enqueue(session, text);
+    const order = session.orderManager.getOrder();
+    return {
+      sessionId: id,
+      reply,
+      order: {
+        summary: session.orderManager.getSummary(),
+        total: order.total,
+        confirmed: order.confirmed,
+        orderNumber: order.orderNumber,
+      },
+    };
+  }
+
+  /**
+   * Start a website chat with an earlier cart put back in it (an abandoned order's items and
+   * details). Returns { sessionId, added, skipped } — the widget opens the chat by sessionId.
+   */
+  resumeChat(order, now = new Date()) {
+    const id = crypto.randomUUID();
+    const phone = order.customerPhone || order.from || null;
+    const session = this.sessions.open(`web:${id}`, { id: `web-${id}`, phone, channel: 'web', now });
+    const { added, skipped } = session.orderManager.restoreCart(order);
+    // The resume link was texted to this number, so following it proves they get texts there
+    session.orderManager.markPhoneVerified(normalizePhone(order.customerPhone) ? order.customerPhone : order.from);
+    console.log(`🛒 Reopened a cart in web chat ${id}: ${added.length} item(s)${skipped.length ? `, skipped ${skipped.map(s => s.name).join(', ')}` : ''}`);
+    return { sessionId: id, added, skipped };
+  }
+
+  expireIdle(now = new Date()) {
+    return this.sessions.expireIdle(now);
+  }
+
+  _enqueue(session, text) {
+    const turn = session.queue.then(() => this._reply(session, String(text || '').trim()));
+    session.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Run the model (and any tool calls it makes) until it has a reply for the customer
+   */
+  async _reply(session, text) {
+    const who = session.phone || session.key;
+    console.log(`💬 ${who}: "${text}"`);
+    session.messages.push({ role: 'user', content: text });
+
+    let reply = null;
+    try {
+      for (let round = 0; round < MAX_TOOL_ROUNDS && reply === null; round++) {
+        const system = { role: 'system', content: buildOrderInstructions(session.orderManager, { channel: session.channel }) };
+        const message = await this.complete([system, ...session.messages], CHAT_TOOLS);
+        session.messages.push(message);
+
+        if (message.tool_calls?.length) {
+          for (const call of message.tool_calls) {
+            session.messages.push({ role: 'tool', tool_call_id: call.id, content: this._runTool(session, call) });
+          }
+        } else {
+          reply = message.content || '';
+        }
+      }
+    } catch (error) {
+      console.error('❌ Text order error:', error.message);
+    }
+
+    if (reply === null) {
+      reply = FALLBACK_REPLY;
+      session.messages.push({ role: 'assistant', content: reply });
+    }
+    console.log(`🤖 Reply to ${who}: "${reply}"`);
+
+    if (session.orderManager.getOrder().confirmed) {
+      this.sessions.end(session.key); // don't hold the reply for POS and logging
+    }
+    return reply;
+  }
+
+  _runTool(session, call) {
+    const name = call.function.name;
+    try {
+      const args = JSON.parse(call.function.arguments || '{}');
+      console.log(`🔧 TEXT TOOL CALL: ${name}(${JSON.stringify(args)})`);
+      return JSON.stringify(runOrderTool(session.orderManager, name, args));
+    } catch (error) {
+      console.error('❌ Tool call error:', error.message);
+      return JSON.stringify({ error: error.message });
+    }
+  }
+
+  async _completeChat(messages, tools) {
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ model: this.model, messages, tools, tool_choice: 'auto', temperature: 0.7 }),
+    });
+    if (!response.ok) {
+      throw new Error(`OpenAI ${response.status}: ${await response.text()}`);
+    }
+    const data = await response.json();
+    return data.choices[0].message;
+  }
+}
+
+module.exports = TextOrderService;
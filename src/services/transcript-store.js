@@ -0,0 +1,164 @@
+/**
+ * Transcript Store
+ * Full call transcripts: what the caller said, what the agent said, and every tool call with its
+ * result, each time-stamped. A call's transcript is recorded while it's live and saved when it
+ * ends, one JSON file per call SID under DATA_DIR/transcripts — the same id as its order record.
+ * for Glazed and Confused donut shop
+ *
+ * Transcripts can be shared by signed link (SERVER_URL/transcripts/:callSid?sig=...), which is
+ * what goes in the Call Log. Links are signed with TRANSCRIPT_LINK_SECRET (or ADMIN_API_KEY).
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { formatLocalTime } = require('../config/store-hours');
+const { formatPhoneNumber } = require('../utils/phone');
+const { safeEqual } = require('../utils/admin-auth');
+const { dataPath, readJsonFile, writeJsonFile } = require('../utils/json-file');
+
+const SPEAKERS = { caller: 'Caller', agent: 'Agent' };
+
+/**
+ * One call's transcript while it's being recorded. Entries stay in time order even when
+ * speech recognition finishes after the agent has started answering.
+ */
+class CallTranscript {
+  constructor({ callSid, from = null, channel = 'voice', now = new Date() }) {
+    this.callSid = callSid;
+    this.from = from;
+    this.channel = channel;
+    this.startedAt = now.toISOString();
+    this.endedAt = null;
+    this.entries = []; // { at, type: 'speech', speaker, text } | { at, type: 'tool', name, args, result }
+  }
+
+  addSpeech(speaker, text, at = new Date()) {
+    if (!SPEAKERS[speaker]) throw new Error(`Unknown speaker "${speaker}" — use caller or agent`);
+    if (!text || !String(text).trim()) return;
+    this._insert({ at: at.toISOString(), type: 'speech', speaker, text: String(text).trim() });
+  }
+
+  addToolCall(name, args, result, at = new Date()) {
+    this._insert({ at: at.toISOString(), type: 'tool', name, args, result });
+  }
+
+  toJSON() {
+    return {
+      callSid: this.callSid,
+      from: this.from,
+      channel: this.channel,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      entries: this.entries,
+    };
+  }
+
+  _insert(entry) {
+    let index = this.entries.length;
+    while (index > 0 && this.entries[index - 1].at > entry.at) index--;
+    this.entries.splice(index, 0, entry);
+  }
+}
+
+class TranscriptStore {
+  constructor({
+    dir = dataPath('transcripts'),
+    linkSecret = process.env.TRANSCRIPT_LINK_SECRET || process.env.ADMIN_API_KEY,
+    baseUrl = process.env.SERVER_URL,
+  } = {}) {
+    this.dir = dir;
+    this.linkSecret = linkSecret || null;
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/$/, '') : null;
+    this.active = new Map(); // callSid -> CallTranscript
+  }
+
+  /**
+   * Start recording a call
+   */
+  start(callSid, { from = null, channel = 'voice', now = new Date() } = {}) {
+    const transcript = new CallTranscript({ callSid, from, channel, now });
+    this.active.set(callSid, transcript);
+    return transcript;
+  }
+
+  /**
+   * Stop recording a call and save it. Returns the saved transcript (null if nothing was said).
+   */
+  finish(callSid, now = new Date()) {
+    const transcript = this.active.get(callSid);
+    if (!transcript) return null;
+    this.active.delete(callSid);
+    if (transcript.entries.length === 0) return null;
+
+    transcript.endedAt = now.toISOString();
+    const data = transcript.toJSON();
+    try {
+      writeJsonFile(this._filePath(callSid), data);
+      console.log(`📝 Transcript saved: ${callSid} (${data.entries.length} entries)`);
+    } catch (error) {
+      console.error(`❌ Failed to save transcript ${callSid}:`, error.message);
+    }
+    return data;
+  }
+
+  /**
+   * A saved transcript, or the live one for a call still in progress
+   */
+  get(callSid) {
+    const live = this.active.get(callSid);
+    if (live) return live.toJSON();
+    if (!_isSafeId(callSid)) return null;
+    return readJsonFile(this._filePath(callSid), null);
+  }
+
+  /**
+   * Signed link to a call's transcript, or null without a secret and SERVER_URL
+   */
+  linkFor(callSid) {
+    if (!this.linkSecret || !this.baseUrl || !_isSafeId(callSid)) return null;
+    return `${this.baseUrl}/transcripts/${encodeURIComponent(callSid)}?sig=${this._sign(callSid)}`;
+  }
+
+  verifyLink(callSid, sig) {
+    return !!this.linkSecret && !!sig && safeEqual(sig, this._sign(callSid));
+  }
+
+  /**
+   * Plain-text transcript for people: header, then one line per entry with the time into the call
+   */
+  format(transcript) {
+    const start = new Date(transcript.startedAt).getTime();
+    const lines = transcript.entries.map(entry => {
+      const offset = _formatOffset(new Date(entry.at).getTime() - start);
+      if (entry.type === 'tool') {
+        return `[${offset}] 🔧 ${entry.name}(${JSON.stringify(entry.args || {})}) → ${JSON.stringify(entry.result)}`;
+      }
+      return `[${offset}] ${SPEAKERS[entry.speaker]}: ${entry.text}`;
+    });
+    const from = transcript.from ? ` from ${formatPhoneNumber(transcript.from)}` : '';
+    return [`Call ${transcript.callSid}${from} — ${formatLocalTime(transcript.startedAt)}`, '', ...lines].join('\n');
+  }
+
+  _sign(callSid) {
+    return crypto.createHmac('sha256', this.linkSecret).update(`transcript:${callSid}`).digest('hex').slice(0, 32);
+  }
+
+  _filePath(callSid) {
+    return path.join(this.dir, `${callSid}.json`);
+  }
+}
+
+/**
+ * Call SIDs and session ids only — never a path
+ */
+function _isSafeId(id) {
+  return /^[A-Za-z0-9_-]+$/.test(String(id || ''));
+}
+
+function _formatOffset(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+module.exports = TranscriptStore;
+module.exports.CallTranscript = CallTranscript;
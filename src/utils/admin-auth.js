@@ -0,0 +1,42 @@
+/**
+ * Admin Authentication
+ * Protects staff/admin endpoints with a shared API key (ADMIN_API_KEY)
+ * for Glazed and Confused donut shop
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Express middleware: require "Authorization: Bearer <ADMIN_API_KEY>"
+ * (or an "X-Admin-Key" header). Admin routes are disabled if the key is not set.
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API disabled (ADMIN_API_KEY not set)' });
+  }
+
+  const header = req.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('x-admin-key');
+
+  if (!provided || !safeEqual(provided, adminKey)) {
+    console.warn(`⚠️  Unauthorized admin request: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdmin,
+  safeEqual
+};
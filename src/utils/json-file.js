@@ -0,0 +1,58 @@
+/**
+ * JSON File Helpers
+ * Small persisted stores (bookings, opt-outs, ...) kept as JSON files under DATA_DIR
+ * for Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Path of a data file under DATA_DIR (default ./data)
+ */
+function dataPath(fileName) {
+  return path.join(process.env.DATA_DIR || path.join(process.cwd(), 'data'), fileName);
+}
+
+/**
+ * Read and parse a JSON file; returns `fallback` if it doesn't exist or can't be parsed
+ */
+function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Failed to read ${filePath}:`, error.message);
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename) so a crash never leaves it half-written
+ */
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+let tmpCounter = 0;
+
+/**
+ * writeJsonFile without blocking the event loop (live calls keep streaming while it writes)
+ */
+async function writeJsonFileAsync(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${tmpCounter++}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+module.exports = {
+  dataPath,
+  readJsonFile,
+  writeJsonFile,
+  writeJsonFileAsync,
+};
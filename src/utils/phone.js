@@ -0,0 +1,42 @@
+/**
+ * Phone Number Helpers
+ * One normalization for caller ID, customer lookups and the Call Log
+ * for Glazed and Confused donut shop
+ */
+
+const BLOCKED_CALLER_IDS = ['anonymous', 'blocked', 'restricted', 'private', 'undefined', 'null'];
+
+/**
+ * Whether caller ID was withheld ("Anonymous", "Restricted", ...)
+ */
+function isBlockedNumber(phone) {
+  const phoneStr = String(phone || '').toLowerCase().trim();
+  return !phoneStr || BLOCKED_CALLER_IDS.some(s => phoneStr.includes(s));
+}
+
+/**
+ * US number -> 10 digits ("+1 (555) 123-4567" -> "5551234567"), or null if it isn't one
+ */
+function normalizePhone(phone) {
+  if (isBlockedNumber(phone)) return null;
+  const digits = String(phone).replace(/\D/g, '');
+  const clean = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  return clean.length === 10 ? clean : null;
+}
+
+/**
+ * Format phone number as (123) 456-0987
+ */
+function formatPhoneNumber(phone) {
+  if (!phone) return 'Unknown';
+  if (isBlockedNumber(phone)) return 'Blocked';
+  const clean = normalizePhone(phone);
+  if (!clean) return phone;
+  return `(${clean.slice(0, 3)}) ${clean.slice(3, 6)}-${clean.slice(6)}`;
+}
+
+module.exports = {
+  isBlockedNumber,
+  normalizePhone,
+  formatPhoneNumber,
+};
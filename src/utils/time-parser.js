@@ -0,0 +1,112 @@
+/**
+ * Pickup Time Parser
+ * Turns what a caller says ("7am Saturday", "tomorrow at 8:30", "in 30 minutes", "noon")
+ * into a concrete moment in the store's timezone
+ * for Glazed and Confused donut shop
+ */
+
+const { DAYS, localParts, zonedTime, addDays, minutesToClock } = require('./timezone');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  ten: 10, fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45,
+};
+
+/**
+ * Parse a spoken pickup time.
+ * Returns { asap: true }, { time: Date }, or null if no day/time could be understood.
+ * Times without am/pm are read the way a donut shop would hear them: 6-11 is morning, 12-5 is afternoon.
+ */
+function parsePickupTime(text, now = new Date(), timezone = 'America/New_York') {
+  let input = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!input) return null;
+
+  if (/\b(asap|as soon as possible|right now|right away|now)\b/.test(input)) {
+    return { asap: true };
+  }
+
+  // Relative: "in 30 minutes", "in an hour", "in half an hour"
+  const relative = input.match(/\bin (half an?|[a-z-]+|\d+(?:\.\d+)?) ?(minutes?|mins?|hours?|hrs?)\b/);
+  if (relative) {
+    const amount = relative[1].startsWith('half') ? 0.5 : (WORD_NUMBERS[relative[1]] ?? parseFloat(relative[1]));
+    if (!isNaN(amount)) {
+      const minutes = relative[2].startsWith('h') ? amount * 60 : amount;
+      return { time: new Date(now.getTime() + Math.round(minutes) * 60000) };
+    }
+  }
+
+  const local = localParts(now, timezone);
+
+  // Day: explicit date, today/tomorrow, or a weekday
+  let date = null;
+  const numericDate = input.match(/\b(\d{1,2})\/(\d{1,2})\b/);
+  const namedDate = input.match(new RegExp(`\\b(${MONTHS.join('|')})[a-z]*\\.? (\\d{1,2})(?:st|nd|rd|th)?\\b`));
+  if (numericDate || namedDate) {
+    const month = numericDate ? parseInt(numericDate[1], 10) : MONTHS.indexOf(namedDate[1]) + 1;
+    const day = parseInt(numericDate ? numericDate[2] : namedDate[2], 10);
+    date = _calendarDate(local.date, month, day);
+    if (!date) return null;
+    input = input.replace((numericDate || namedDate)[0], ' ');
+  } else if (/\btoday\b/.test(input)) {
+    date = local.date;
+  } else if (/\btomorrow\b/.test(input)) {
+    date = addDays(local.date, 1);
+  } else {
+    const weekday = DAYS.find(day => new RegExp(`\\b${day.slice(0, 3)}(${day.slice(3)})?\\b`).test(input));
+    if (weekday) {
+      const ahead = (DAYS.indexOf(weekday) - DAYS.indexOf(local.weekday) + 7) % 7;
+      date = addDays(local.date, ahead);
+    }
+  }
+
+  const minutes = _parseClock(input);
+  if (minutes === null) return null;
+
+  if (!date) {
+    // No day given: today if that time is still ahead, otherwise tomorrow
+    date = minutes > local.minutes ? local.date : addDays(local.date, 1);
+  } else if (date === local.date && minutes <= local.minutes && !/\btoday\b/.test(input) && !numericDate && !namedDate) {
+    // "Saturday at 7" said on a Saturday after 7 means next Saturday
+    date = addDays(date, 7);
+  }
+
+  return { time: zonedTime(date, minutesToClock(minutes), timezone) };
+}
+
+/**
+ * Minutes since midnight from "7", "7am", "8:30 p.m.", "14:30", "noon"; null if there's no time
+ */
+function _parseClock(input) {
+  if (/\bnoon\b/.test(input)) return 12 * 60;
+
+  const match = input.match(/\b(\d{1,2})(?::(\d{2}))? ?(a\.?m\.?|p\.?m\.?)?(?![\d/])/);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  if (hour > 23 || minute > 59) return null;
+
+  const meridiem = match[3] ? match[3][0] : null;
+  if (meridiem === 'p' && hour < 12) hour += 12;
+  else if (meridiem === 'a' && hour === 12) hour = 0;
+  else if (!meridiem && hour >= 1 && hour <= 5) hour += 12;
+  else if (!meridiem && hour < 12 && /\b(afternoon|evening|tonight)\b/.test(input)) hour += 12;
+
+  return hour * 60 + minute;
+}
+
+/**
+ * 'YYYY-MM-DD' for month/day in the current year, or next year if that date has passed
+ */
+function _calendarDate(today, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const year = parseInt(today.slice(0, 4), 10);
+  const format = (y) => `${y}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return format(year) >= today ? format(year) : format(year + 1);
+}
+
+module.exports = {
+  parsePickupTime,
+};
@@ -0,0 +1,76 @@
+/**
+ * Timezone Helpers
+ * Convert between instants and store-local wall-clock time using Intl (no dependencies)
+ * for Glazed and Confused donut shop
+ */
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Local calendar date ('YYYY-MM-DD'), weekday and minutes-since-midnight of a moment in a timezone
+ */
+function localParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', weekday: 'long', hourCycle: 'h23',
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    weekday: get('weekday').toLowerCase(),
+    minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10),
+  };
+}
+
+/**
+ * The instant at which the local clock in `timezone` reads `time` ('HH:MM') on `date` ('YYYY-MM-DD')
+ */
+function zonedTime(date, time, timezone) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm] = time.split(':').map(Number);
+  const target = Date.UTC(y, m - 1, d, hh, mm);
+
+  // Start from the UTC reading and correct by the zone offset (twice, to settle across DST changes)
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    const local = localParts(new Date(guess), timezone);
+    const [ly, lm, ld] = local.date.split('-').map(Number);
+    const localAsUtc = Date.UTC(ly, lm - 1, ld, Math.floor(local.minutes / 60), local.minutes % 60);
+    guess += target - localAsUtc;
+  }
+  return new Date(guess);
+}
+
+/**
+ * 'YYYY-MM-DD' plus a number of days
+ */
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Weekday name ('monday'...) of a 'YYYY-MM-DD' date
+ */
+function weekdayOf(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  const index = new Date(Date.UTC(y, m - 1, d)).getUTCDay(); // 0 = Sunday
+  return DAYS[(index + 6) % 7];
+}
+
+/**
+ * Minutes since midnight -> 'HH:MM'
+ */
+function minutesToClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+  DAYS,
+  localParts,
+  zonedTime,
+  addDays,
+  weekdayOf,
+  minutesToClock,
+};
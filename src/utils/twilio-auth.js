@@ -0,0 +1,35 @@
+/**
+ * Twilio Webhook Authentication
+ * Checks that a webhook request really came from Twilio (X-Twilio-Signature)
+ * for Glazed and Confused donut shop
+ */
+
+const twilio = require('twilio');
+
+/**
+ * Express middleware: reject requests whose X-Twilio-Signature doesn't match the public URL
+ * Twilio called (baseUrl + path) and the posted form, signed with TWILIO_AUTH_TOKEN.
+ * Without a baseUrl (SERVER_URL) the URL is rebuilt from the request's host, behind a proxy
+ * from X-Forwarded-Proto.
+ */
+function requireTwilioSignature({ authToken = process.env.TWILIO_AUTH_TOKEN, baseUrl = process.env.SERVER_URL } = {}) {
+  const publicBase = baseUrl ? baseUrl.replace(/\/$/, '') : null;
+
+  return (req, res, next) => {
+    if (!authToken) {
+      return res.status(503).send('Twilio callbacks disabled (TWILIO_AUTH_TOKEN not set)');
+    }
+    const signature = req.get('x-twilio-signature');
+    const base = publicBase || `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`;
+    const url = `${base}${req.originalUrl}`;
+    if (!signature || !twilio.validateRequest(authToken, signature, url, req.body || {})) {
+      console.warn(`⚠️  Request without a valid Twilio signature: ${req.method} ${req.originalUrl}`);
+      return res.status(403).send('Forbidden');
+    }
+    next();
+  };
+}
+
+module.exports = {
+  requireTwilioSignature,
+};
@@ -15,7 +15,8 @@ function validateEnv() {
   const optional = [
     'GOOGLE_SHEETS_CREDENTIALS_PATH',
     'GOOGLE_SHEETS_ID',
-    'NGROK_URL'
+    'NGROK_URL',
+    'ADMIN_API_KEY'
   ];
   
   const missing = [];
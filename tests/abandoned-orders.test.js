@@ -0,0 +1,280 @@
+/**
+ * Abandoned Orders Tests
+ * Tests for classifying unfinished orders, the Abandoned tab, follow-up texts, and
+ * reopening a cart from the resume link or by calling back
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const AbandonedOrders = require('../src/services/abandoned-orders');
+const { describeFollowUp } = require('../src/services/abandoned-orders');
+const OrderFinalizer = require('../src/services/order-finalizer');
+const OrderManager = require('../src/services/order-manager');
+const OpenAIService = require('../src/services/openai-service');
+const OrderStore = require('../src/services/order-store');
+const SmsNotifier = require('../src/services/sms-notifier');
+const TextOrderService = require('../src/services/text-order-service');
+const createResumeRoutes = require('../src/routes/resume');
+const createAdminRoutes = require('../src/routes/admin');
+const { MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+const { StubSmsClient } = require('../integrations/sms');
+
+const NOW = new Date('2026-10-14T13:00:00Z'); // Wednesday 9:00 AM EDT
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000);
+
+async function listen(app) {
+  const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('AbandonedOrders', () => {
+  let dir;
+  let orderStore;
+  let client;
+  let smsNotifier;
+  let sheetsLogger;
+  let sheetsFollowUpUpdater;
+  let abandonedOrders;
+  let finalizer;
+
+  function call(callSid, items = [['glazed donut', 'dozen']]) {
+    const orderManager = new OrderManager('MZ1', callSid, '+15551234567', { orderStore });
+    items.forEach(([name, size]) => orderManager.addItem(name, size, 1));
+    return orderManager;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'abandoned-'));
+    orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+    client = new StubSmsClient();
+    smsNotifier = new SmsNotifier({ client, from: '+15559990000', filePath: path.join(dir, 'opt-outs.json') });
+    sheetsLogger = jest.fn().mockResolvedValue(true);
+    sheetsFollowUpUpdater = jest.fn().mockResolvedValue(true);
+    abandonedOrders = new AbandonedOrders({
+      orderStore,
+      smsNotifier,
+      sheetsLogger,
+      sheetsFollowUpUpdater,
+      followUp: true,
+      followUpMinutes: 10,
+      resumeBaseUrl: 'https://donuts.example.com/',
+    });
+    finalizer = new OrderFinalizer({ orderStore, abandonedOrders });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should classify how an unfinished order ended', async () => {
+    await finalizer.finalize(call('CA1'), { endReason: 'hung-up' });
+    await finalizer.finalize(call('CA2'), { endReason: 'dropped' });
+    await finalizer.finalize(call('CA3'), { endReason: 'transferred' });
+    await finalizer.finalize(call('CA4', []), { endReason: 'hung-up' });
+
+    expect(orderStore.get('CA1').abandonment.reason).toBe('hung-up');
+    expect(orderStore.get('CA2').abandonment.reason).toBe('dropped');
+    expect(orderStore.get('CA3').abandonment).toMatchObject({ reason: 'transferred', followUp: { status: 'skipped' } });
+    expect(orderStore.get('CA4')).toBeNull(); // nothing to keep, but still on the Abandoned tab
+    expect(sheetsLogger.mock.calls.map(([order]) => [order.callSid, order.abandonReason])).toEqual([
+      ['CA1', 'hung-up'], ['CA2', 'dropped'], ['CA3', 'transferred'], ['CA4', 'no-items'],
+    ]);
+
+    const chat = new OrderManager(null, 'web-1', null, { channel: 'web' });
+    chat.addItem('glazed donut', 'dozen', 1);
+    expect(chat.abandon().abandonReason).toBe('stopped-replying');
+    expect(() => call('CA5').abandon('bored')).toThrow(/Unknown abandon reason/);
+  });
+
+  test('should text a resume link once the follow-up is due', async () => {
+    await finalizer.finalize(call('CA1'), { endReason: 'dropped' });
+    const { abandonment } = orderStore.get('CA1');
+    expect(abandonment.followUp).toMatchObject({ status: 'scheduled' });
+    expect(abandonment.resumeToken).toEqual(expect.any(String));
+
+    const dueAt = new Date(abandonment.followUp.dueAt);
+    expect(await abandonedOrders.sendDueFollowUps(new Date(dueAt.getTime() - 1000))).toBe(0);
+    expect(await abandonedOrders.sendDueFollowUps(dueAt)).toBe(1);
+    expect(await abandonedOrders.sendDueFollowUps(dueAt)).toBe(0);
+
+    expect(client.sent).toHaveLength(1);
+    expect(client.sent[0].to).toBe('+15551234567');
+    expect(client.sent[0].body).toBe('Glazed and Confused: looks like we got cut off — want to finish your order ' +
+      `(1x dozen glazed donut)? Pick up where you left off: https://donuts.example.com/resume/${abandonment.resumeToken} ` +
+      'Reply STOP to opt out.');
+    expect(orderStore.get('CA1').abandonment.followUp).toMatchObject({ status: 'sent', sentAt: dueAt.toISOString() });
+    expect(sheetsFollowUpUpdater).toHaveBeenCalledWith('CA1', expect.stringMatching(/^Texted /));
+  });
+
+  test('should not text customers who ordered again, opted out or have follow-ups off', async () => {
+    await finalizer.finalize(call('CA2'), { endReason: 'hung-up' });
+    const reorder = call('CA3');
+    reorder.setCustomerName('Sam');
+    reorder.setDeliveryMethod('pickup');
+    reorder.confirm();
+    await finalizer.finalize(reorder);
+    expect(await abandonedOrders.sendDueFollowUps(minutesFromNow(60))).toBe(0);
+    expect(orderStore.get('CA2').abandonment.followUp).toMatchObject({ status: 'skipped', note: 'ordered again' });
+
+    smsNotifier.handleInbound('+15551234567', 'STOP');
+    await finalizer.finalize(call('CA4'), { endReason: 'hung-up' });
+    expect(orderStore.get('CA4').abandonment.followUp).toMatchObject({ status: 'skipped', note: 'no textable number or opted out' });
+
+    abandonedOrders.followUp = false;
+    await finalizer.finalize(call('CA5'), { endReason: 'hung-up' });
+    expect(orderStore.get('CA5').abandonment.followUp.status).toBe('off');
+    expect(client.sent.filter(sms => sms.body.includes('cut off'))).toHaveLength(0);
+  });
+
+  test('should not text a web cart whose number was never verified', async () => {
+    const cart = new OrderManager('web-1', 'web-1', null, { orderStore, channel: 'web' });
+    cart.addItem('glazed donut', 'dozen', 1);
+    cart.setCustomerPhone('555-000-1111');
+    await finalizer.finalize(cart, { endReason: 'stopped-replying' });
+    expect(orderStore.get('web-1').abandonment.followUp).toMatchObject({ status: 'skipped', note: 'web number never verified' });
+
+    const verified = new OrderManager('web-2', 'web-2', null, { orderStore, channel: 'web' });
+    verified.addItem('glazed donut', 'dozen', 1);
+    verified.setCustomerPhone('555-000-1111');
+    verified.markPhoneVerified('555-000-1111');
+    await finalizer.finalize(verified, { endReason: 'stopped-replying' });
+    expect(orderStore.get('web-2').abandonment.followUp.status).toBe('scheduled');
+
+    expect(await abandonedOrders.sendDueFollowUps(minutesFromNow(60))).toBe(1);
+    expect(client.sent.map(sms => sms.to)).toEqual(['+15550001111']);
+  });
+
+  test('should reopen the cart in a web chat from the resume link', async () => {
+    const orderManager = call('CA1', [['glazed donut', 'dozen'], ['coffee', 'large']]);
+    orderManager.setCustomerName('Sam');
+    orderManager.setDeliveryMethod('pickup');
+    await finalizer.finalize(orderManager, { endReason: 'dropped' });
+    const { resumeToken } = orderStore.get('CA1').abandonment;
+
+    const textOrders = new TextOrderService({ orderStore, complete: jest.fn() });
+    const app = express();
+    app.use('/resume', createResumeRoutes({ abandonedOrders, textOrders, pageUrl: 'https://shop.example.com/order?ref=sms' }));
+    const { server, url } = await listen(app);
+
+    try {
+      // Opening the link (or a link preview fetching it) only shows the cart
+      const page = await fetch(`${url}/resume/${resumeToken}`);
+      expect(page.status).toBe(200);
+      const html = await page.text();
+      expect(html).toContain('1x dozen glazed donut');
+      expect(html).toContain('<form method="post">');
+      expect(textOrders.sessions.count('web')).toBe(0);
+      expect(orderStore.get('CA1').abandonment.resumedAt).toBeNull();
+
+      const response = await fetch(`${url}/resume/${resumeToken}`, { method: 'POST', redirect: 'manual' });
+      expect(response.status).toBe(303);
+      const sessionId = new URL(response.headers.get('location')).searchParams.get('gc_chat');
+      expect(response.headers.get('location')).toBe(`https://shop.example.com/order?ref=sms&gc_chat=${sessionId}`);
+
+      const cart = textOrders.sessions.get(`web:${sessionId}`).orderManager.getOrder();
+      expect(cart.items.map(item => `${item.size} ${item.name}`)).toEqual(['dozen glazed donut', 'large coffee']);
+      expect(cart).toMatchObject({ customerName: 'Sam', customerPhone: '+15551234567', deliveryMethod: 'pickup', channel: 'web' });
+      expect(smsNotifier.canText(cart)).toBe(true); // the link was texted there, so the number counts as verified
+      expect(orderStore.get('CA1').abandonment.resumedAt).toEqual(expect.any(String));
+
+      expect((await fetch(`${url}/resume/not-a-token`)).status).toBe(404);
+      expect((await fetch(`${url}/resume/not-a-token`, { method: 'POST' })).status).toBe(404);
+      expect(abandonedOrders.findByToken(resumeToken, minutesFromNow(49 * 60))).toBeNull();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should not follow up again when a reopened cart is left again', async () => {
+    await finalizer.finalize(call('CA1'), { endReason: 'dropped' });
+    const first = orderStore.get('CA1').abandonment;
+    await abandonedOrders.sendDueFollowUps(new Date(first.followUp.dueAt));
+    expect(client.sent).toHaveLength(1);
+
+    const textOrders = new TextOrderService({ orderStore, complete: jest.fn() });
+    const { sessionId } = textOrders.resumeChat(abandonedOrders.findByToken(first.resumeToken).order);
+    abandonedOrders.markResumed(orderStore.get('CA1'));
+    const chat = textOrders.sessions.get(`web:${sessionId}`).orderManager;
+    await finalizer.finalize(chat, { endReason: 'stopped-replying' });
+
+    const again = orderStore.get(`web-${sessionId}`).abandonment;
+    expect(again.followUp).toMatchObject({ status: 'skipped', note: 'already followed up on this cart' });
+    expect(await abandonedOrders.sendDueFollowUps(minutesFromNow(60))).toBe(0);
+    expect(client.sent).toHaveLength(1);
+  });
+
+  test('should hand a dropped call\'s cart to the caller\'s redial once', async () => {
+    const orderManager = call('CA1');
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    await finalizer.finalize(orderManager, { endReason: 'dropped' });
+    await finalizer.finalize(call('CA2'), { endReason: 'transferred' });
+
+    expect(abandonedOrders.claimRedial('+15559998888')).toBeNull();
+    const dropped = abandonedOrders.claimRedial('(555) 123-4567');
+    expect(dropped.id).toBe('CA1');
+    expect(abandonedOrders.claimRedial('+15551234567')).toBeNull(); // handed out once
+    expect(orderStore.get('CA1').abandonment).toMatchObject({
+      resumedAt: expect.any(String),
+      followUp: { status: 'skipped', note: 'reopened before the text' },
+    });
+    expect(await abandonedOrders.sendDueFollowUps(minutesFromNow(60))).toBe(0);
+
+    const redial = new OrderManager('MZ2', 'CA3', '+15551234567', { orderStore });
+    redial.restoreCart(dropped.order);
+    expect(redial.getOrderForLogging()).toMatchObject({ resumedFrom: 'CA1', itemsSummary: '2x dozen glazed donut' });
+
+    const service = new OpenAIService('key', redial, null, null, null);
+    service.client = { send: jest.fn() };
+    service._setupSession();
+    service.unsubscribeMenu();
+    const greeting = service.client.send.mock.calls.map(([json]) => JSON.parse(json))
+      .find(m => m.type === 'response.create').response.instructions;
+    expect(greeting).toContain('their order is still here: 2x dozen glazed donut');
+    expect(greeting).toContain('looks like we got cut off!');
+  });
+
+  test('should only hold carts for redials within the window', async () => {
+    await finalizer.finalize(call('CA1'), { endReason: 'hung-up' });
+
+    expect(abandonedOrders.claimRedial('+15551234567', minutesFromNow(11))).toBeNull();
+    abandonedOrders.redialMinutes = 0;
+    expect(abandonedOrders.claimRedial('+15551234567')).toBeNull();
+    abandonedOrders.redialMinutes = 10;
+    expect(abandonedOrders.claimRedial('anonymous')).toBeNull();
+    expect(abandonedOrders.claimRedial('+15551234567', minutesFromNow(9)).id).toBe('CA1');
+  });
+
+  test('should list abandoned orders for staff by reason', async () => {
+    const originalKey = process.env.ADMIN_API_KEY;
+    process.env.ADMIN_API_KEY = 'admin-key';
+    await finalizer.finalize(call('CA1'), { endReason: 'hung-up' });
+    await finalizer.finalize(call('CA2'), { endReason: 'dropped' });
+
+    const app = express();
+    app.use('/admin', createAdminRoutes({ reloadMenu: jest.fn(), orderStore, abandonedOrders }));
+    const { server, url } = await listen(app);
+    const get = (query) => fetch(`${url}/admin/abandoned${query}`, { headers: { Authorization: 'Bearer admin-key' } });
+
+    try {
+      const all = await (await get('')).json();
+      expect(all).toMatchObject({ count: 2, byReason: { 'hung-up': 1, dropped: 1 } });
+      const dropped = await (await get('?reason=dropped')).json();
+      expect(dropped.orders.map(o => o.id)).toEqual(['CA2']);
+      expect((await get('?reason=bored')).status).toBe(400);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      if (originalKey === undefined) delete process.env.ADMIN_API_KEY;
+      else process.env.ADMIN_API_KEY = originalKey;
+    }
+  });
+
+  test('should describe the follow-up for the Abandoned tab', () => {
+    expect(describeFollowUp({ followUp: { status: 'off' } })).toBe('');
+    expect(describeFollowUp({ followUp: { status: 'skipped', note: 'ordered again' } })).toBe('Not texted (ordered again)');
+    expect(describeFollowUp({ resumedAt: NOW.toISOString(), followUp: { status: 'sent', sentAt: NOW.toISOString() } }))
+      .toMatch(/^Texted .* — reopened their cart$/);
+  });
+});
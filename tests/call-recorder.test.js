@@ -0,0 +1,163 @@
+/**
+ * Call Recorder Tests
+ * Tests for the stereo WAV call recordings, the retention policy, the disclosure played
+ * before the agent picks up, and the admin download
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const CallRecorder = require('../src/services/call-recorder');
+const createAdminRoutes = require('../src/routes/admin');
+const handleIncomingCall = require('../src/routes/incoming-call');
+const { createIncomingCallHandler } = require('../src/routes/incoming-call');
+const { setSchedule } = require('../src/config/store-hours');
+const { DAYS } = require('../src/utils/timezone');
+const OrderManager = require('../src/services/order-manager');
+const OrderStore = require('../src/services/order-store');
+const { MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+
+const frame = (byte, length = 160) => Buffer.alloc(length, byte).toString('base64'); // 20 ms of μ-law
+
+describe('CallRecorder', () => {
+  let dir;
+  let recorder;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+    recorder = new CallRecorder({ dir, retentionDays: 30, disclosure: 'This call is recorded.' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should write a stereo μ-law WAV with the caller left and the agent right', async () => {
+    const recording = recorder.start('CA1');
+    recording.addInbound(frame(0x11));
+    recording.addOutbound(frame(0x22, 320)); // a burst from OpenAI, played from now on
+    recording.addInbound(frame(0x33));
+
+    const wav = fs.readFileSync(await recorder.finish('CA1'));
+    expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(wav.toString('ascii', 8, 12)).toBe('WAVE');
+    expect(wav.readUInt16LE(20)).toBe(7); // μ-law
+    expect(wav.readUInt16LE(22)).toBe(2);
+    expect(wav.readUInt32LE(24)).toBe(8000);
+    expect(wav.readUInt32LE(46)).toBe(480); // samples per channel
+    expect(wav.readUInt32LE(4)).toBe(wav.length - 8);
+
+    const data = wav.subarray(58);
+    const left = (i) => data[i * 2];
+    const right = (i) => data[i * 2 + 1];
+    expect(data.length).toBe(960);
+    expect([left(0), left(200), left(400)]).toEqual([0x11, 0x33, 0xff]);
+    expect([right(0), right(159), right(160), right(479)]).toEqual([0xff, 0xff, 0x22, 0x22]);
+  });
+
+  test('should queue agent audio behind what is still playing', async () => {
+    const recording = recorder.start('CA1');
+    recording.addOutbound(frame(0x22));
+    recording.addOutbound(frame(0x44));
+    recording.addInbound(frame(0x11, 800));
+    recording.addOutbound(frame(0x55)); // caller audio has moved past the agent's last words
+    expect(recording.seconds).toBe(0.12);
+
+    const data = fs.readFileSync(await recorder.finish('CA1')).subarray(58);
+    const right = (i) => data[i * 2 + 1];
+    expect(data.length).toBe(960 * 2);
+    expect([right(0), right(160), right(320), right(800), right(959)]).toEqual([0x22, 0x44, 0xff, 0x55, 0x55]);
+  });
+
+  test('should stream the call to a temporary file until it ends', async () => {
+    const recording = recorder.start('CA1');
+    recording.addInbound(frame(0x11));
+    recording.addOutbound(frame(0x22, 8000 * 3)); // agent audio still playing when the call ends
+    await new Promise(resolve => recording.file.once('ready', resolve));
+    expect(fs.readdirSync(dir)).toEqual([expect.stringMatching(/^CA1\.wav\.\d+\.tmp$/)]);
+
+    const wav = fs.readFileSync(await recorder.finish('CA1'));
+    expect(wav.readUInt32LE(46)).toBe(160 + 8000 * 3);
+    expect(wav.length).toBe(58 + (160 + 8000 * 3) * 2);
+    expect(fs.readdirSync(dir)).toEqual(['CA1.wav']);
+  });
+
+  test('should skip calls with no audio and find saved recordings', async () => {
+    recorder.start('CA2');
+    expect(await recorder.finish('CA2')).toBeNull();
+    expect(recorder.find('CA2')).toBeNull();
+
+    recorder.start('CA1').addInbound(frame(0x11));
+    await recorder.finish('CA1');
+    expect(recorder.find('CA1')).toBe(path.join(dir, 'CA1.wav'));
+    expect(recorder.find('../CA1')).toBeNull();
+  });
+
+  test('should delete recordings past the retention period', async () => {
+    recorder.start('CA1').addInbound(frame(0x11));
+    await recorder.finish('CA1');
+    recorder.start('CA2').addInbound(frame(0x11));
+    await recorder.finish('CA2');
+
+    const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(dir, 'CA1.wav'), old, old);
+
+    expect(recorder.purgeExpired()).toBe(1);
+    expect(recorder.find('CA1')).toBeNull();
+    expect(recorder.find('CA2')).not.toBeNull();
+    expect(new CallRecorder({ dir, retentionDays: 0 }).purgeExpired(new Date('2100-01-01'))).toBe(0);
+  });
+
+  test('should tell callers the call is recorded before the agent picks up', () => {
+    // Open around the clock (or taking pre-orders) so the call is always connected to the agent
+    const allDay = { open: '00:00', close: '23:59' };
+    setSchedule({ afterHours: 'preorder', weekly: Object.fromEntries(DAYS.map(day => [day, allDay])) });
+    const twimlFor = (handler) => {
+      const res = { type: jest.fn(), send: jest.fn(), status: jest.fn() };
+      handler({ body: { CallSid: 'CA1', From: '+15551234567', To: '+15559990000' }, get: () => 'shop.example' }, res);
+      return res.send.mock.calls[0][0];
+    };
+
+    try {
+      const twiml = twimlFor(createIncomingCallHandler({ disclosure: recorder.disclosure }));
+      expect(twiml).toMatch(/<Say>This call is recorded\.<\/Say><Connect><Stream url="wss:\/\/shop\.example\/media-stream"/);
+      expect(twimlFor(handleIncomingCall)).not.toContain('<Say>');
+    } finally {
+      setSchedule({});
+    }
+  });
+
+  test('should download a recording by order number for staff only', async () => {
+    const originalKey = process.env.ADMIN_API_KEY;
+    process.env.ADMIN_API_KEY = 'admin-key';
+    const orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+    const orderManager = new OrderManager('MZ1', 'CA1', '+15551234567');
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    const { orderNumber } = orderStore.save(orderManager.getOrderForLogging());
+    recorder.start('CA1').addInbound(frame(0x11));
+    await recorder.finish('CA1');
+
+    const app = express();
+    app.use('/admin', createAdminRoutes({ reloadMenu: jest.fn(), orderStore, callRecorder: recorder }));
+    const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+    const get = (route, headers = {}) => fetch(`http://127.0.0.1:${server.address().port}${route}`, { headers });
+
+    try {
+      const auth = { Authorization: 'Bearer admin-key' };
+      const response = await get(`/admin/orders/${orderNumber}/recording`, auth);
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toBe('audio/wav');
+      expect(response.headers.get('content-disposition')).toContain(`order-${orderNumber}-CA1.wav`);
+      expect(Buffer.from(await response.arrayBuffer()).length).toBe(58 + 320);
+
+      expect((await get('/admin/orders/CA9/recording', auth)).status).toBe(404);
+      expect((await get(`/admin/orders/${orderNumber}/recording`)).status).toBe(401);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      if (originalKey === undefined) delete process.env.ADMIN_API_KEY;
+      else process.env.ADMIN_API_KEY = originalKey;
+    }
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Campaign Tests
+ * Tests for fundraiser attribution by number and code, running totals and the seller leaderboard
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setCampaigns, findCampaignByNumber, findCampaignByCode } = require('../src/config/campaigns');
+const CampaignTracker = require('../src/services/campaign-tracker');
+const OrderManager = require('../src/services/order-manager');
+
+const LINCOLN = {
+  id: 'lincoln-pta',
+  name: 'Lincoln Elementary PTA',
+  phoneNumbers: ['+15551230001'],
+  codes: ['LINCOLN'],
+  sellers: [
+    { code: 'EMMA', name: 'Emma R.', team: '4th grade' },
+    { code: 'JAYDEN', name: 'Jayden T.', team: '5th grade' },
+  ],
+};
+const BAND = { id: 'band', name: 'Marching Band', codes: ['BAND'] };
+
+describe('Campaign config', () => {
+  beforeEach(() => setCampaigns({ campaigns: [LINCOLN, BAND] }));
+  afterEach(() => setCampaigns({ campaigns: [] }));
+
+  test('should find a campaign by its dedicated number in any format', () => {
+    expect(findCampaignByNumber('(555) 123-0001').id).toBe('lincoln-pta');
+    expect(findCampaignByNumber('+15559999999')).toBeNull();
+    expect(findCampaignByNumber(undefined)).toBeNull();
+  });
+
+  test('should match campaign and seller codes as spoken', () => {
+    expect(findCampaignByCode('lincoln')).toEqual({ campaign: LINCOLN, seller: null });
+    expect(findCampaignByCode('j a y d e n').seller.name).toBe('Jayden T.');
+    expect(findCampaignByCode('band').campaign.id).toBe('band');
+    expect(findCampaignByCode('nope')).toBeNull();
+  });
+});
+
+describe('OrderManager campaign attribution', () => {
+  let orderManager;
+
+  beforeEach(() => {
+    setCampaigns({ campaigns: [LINCOLN, BAND] });
+    orderManager = new OrderManager('test-stream-123', 'test-call-456', '+1234567890');
+  });
+
+  afterEach(() => setCampaigns({ campaigns: [] }));
+
+  test('should credit a seller from their code', () => {
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.applyCampaignCode('emma');
+
+    expect(orderManager.getOrder().campaign).toEqual({
+      id: 'lincoln-pta', name: 'Lincoln Elementary PTA', seller: 'EMMA', sellerName: 'Emma R.',
+    });
+    expect(orderManager.getFullSummary()).toContain('Supporting: Lincoln Elementary PTA (Emma R.)');
+    expect(orderManager.getOrderForLogging().campaign.seller).toBe('EMMA');
+  });
+
+  test('should keep the seller when the campaign code is given too', () => {
+    orderManager.applyCampaignCode('EMMA');
+    orderManager.applyCampaignCode('LINCOLN');
+    expect(orderManager.getOrder().campaign.seller).toBe('EMMA');
+
+    orderManager.applyCampaignCode('BAND');
+    expect(orderManager.getOrder().campaign).toMatchObject({ id: 'band', seller: null });
+  });
+
+  test('should reject unknown codes', () => {
+    expect(() => orderManager.applyCampaignCode('XYZ')).toThrow(/isn't a fundraiser or seller code/);
+    expect(orderManager.getOrder().campaign).toBeNull();
+  });
+});
+
+describe('CampaignTracker', () => {
+  let dir;
+  let filePath;
+  let tracker;
+
+  const order = (callSid, subtotal, seller, discount = 0) => ({
+    callSid,
+    subtotal,
+    discount,
+    campaign: { id: 'lincoln-pta', name: LINCOLN.name, seller },
+  });
+
+  beforeEach(() => {
+    setCampaigns({ campaigns: [LINCOLN] });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-'));
+    filePath = path.join(dir, 'campaign-orders.json');
+    tracker = new CampaignTracker({ filePath });
+  });
+
+  afterEach(() => {
+    setCampaigns({ campaigns: [] });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should total sales after discounts and rank sellers', () => {
+    tracker.record(order('CA1', 22.99, 'EMMA'));
+    tracker.record(order('CA2', 45.98, 'JAYDEN', 5));
+    tracker.record(order('CA3', 10, null));
+    expect(tracker.record({ callSid: 'CA4', subtotal: 10, campaign: null })).toBe(false);
+
+    const totals = tracker.getTotals('lincoln-pta');
+    expect(totals.orders).toBe(3);
+    expect(totals.raised).toBe(73.97);
+    expect(totals.leaderboard.map(s => [s.name, s.raised])).toEqual([['Jayden T.', 40.98], ['Emma R.', 22.99]]);
+  });
+
+  test('should count a re-recorded call once and persist across restarts', () => {
+    tracker.record(order('CA1', 22.99, 'EMMA'));
+    tracker.record(order('CA1', 30, 'EMMA'));
+
+    const reloaded = new CampaignTracker({ filePath });
+    expect(reloaded.getTotals('lincoln-pta')).toMatchObject({ orders: 1, raised: 30 });
+    expect(reloaded.getAllTotals().map(t => t.campaignId)).toEqual(['lincoln-pta']);
+  });
+});
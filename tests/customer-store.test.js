@@ -0,0 +1,119 @@
+/**
+ * Customer Store Tests
+ * Tests for phone normalization, remembered callers and one-step "your usual" reorders
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizePhone, formatPhoneNumber } = require('../src/utils/phone');
+const CustomerStore = require('../src/services/customer-store');
+const OrderManager = require('../src/services/order-manager');
+const { setItemAvailability } = require('../src/config/menu');
+
+/**
+ * A confirmed order in getOrderForLogging() shape
+ */
+function confirmedOrder(items, extra = {}) {
+  const orderManager = new OrderManager('stream', 'call', '+1 (555) 123-4567');
+  items.forEach(([name, size, quantity, modifiers]) => orderManager.addItem(name, size, quantity, null, modifiers || []));
+  orderManager.setCustomerName(extra.name || 'Sam Rivera');
+  if (extra.address) {
+    orderManager.setDeliveryMethod('delivery');
+    orderManager.setAddress(extra.address);
+  }
+  return orderManager.getOrderForLogging();
+}
+
+describe('Phone helpers', () => {
+  test('should normalize US numbers to 10 digits', () => {
+    expect(normalizePhone('+1 (555) 123-4567')).toBe('5551234567');
+    expect(normalizePhone('555.123.4567')).toBe('5551234567');
+    expect(normalizePhone('Anonymous')).toBeNull();
+    expect(normalizePhone('12345')).toBeNull();
+  });
+
+  test('should format numbers for the Call Log', () => {
+    expect(formatPhoneNumber('+15551234567')).toBe('(555) 123-4567');
+    expect(formatPhoneNumber('restricted')).toBe('Blocked');
+    expect(formatPhoneNumber(null)).toBe('Unknown');
+  });
+});
+
+describe('CustomerStore', () => {
+  let dir;
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'customers-'));
+    filePath = path.join(dir, 'customers.json');
+    store = new CustomerStore({ filePath, maxOrders: 3 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should remember a caller by any format of their number', () => {
+    store.recordOrder(confirmedOrder([['glazed donut', 'dozen', 1]], { address: '12 Elm St, Springfield 01101' }));
+
+    const profile = new CustomerStore({ filePath }).getProfile('5551234567');
+    expect(profile).toMatchObject({ name: 'Sam Rivera', orderCount: 1, address: '12 Elm St, Springfield 01101' });
+    expect(profile.usual).toEqual([
+      { name: 'glazed donut', size: 'dozen', quantity: 1, modifiers: [], specialInstructions: null, box: null },
+    ]);
+    expect(store.getProfile('+15559999999')).toBeNull();
+    expect(store.recordOrder({ ...confirmedOrder([['coffee', 'medium', 1]]), from: 'Anonymous', customerPhone: 'Anonymous' })).toBe(false);
+  });
+
+  test('should pick the most repeated order as the usual, newest on a tie', () => {
+    const latte = ['latte', 'medium', 1, ['oat milk']];
+    store.recordOrder(confirmedOrder([['glazed donut', 'single', 2], latte]));
+    store.recordOrder(confirmedOrder([latte, ['glazed donut', 'single', 2]]));
+    store.recordOrder(confirmedOrder([['coffee', 'large', 1]]));
+
+    expect(store.getUsual('5551234567').map(i => i.name).sort()).toEqual(['glazed donut', 'latte']);
+
+    store.recordOrder(confirmedOrder([['muffin', 'regular', 1]])); // pushes the oldest latte order out
+    expect(store.get('5551234567').orders).toHaveLength(3);
+    expect(store.getUsual('5551234567').map(i => i.name)).toEqual(['muffin']);
+  });
+});
+
+describe('OrderManager returning customers', () => {
+  const usual = [
+    { name: 'glazed donut', size: 'dozen', quantity: 1, modifiers: [], specialInstructions: null, box: null },
+    { name: 'latte', size: 'medium', quantity: 2, modifiers: ['oat milk'], specialInstructions: 'extra hot', box: null },
+  ];
+
+  afterEach(() => {
+    setItemAvailability('latte', true);
+  });
+
+  test('should prefill the name and add the usual in one step', () => {
+    const orderManager = new OrderManager('stream', 'call', '+15551234567', { customer: { name: 'Sam Rivera', orderCount: 4, usual } });
+    expect(orderManager.getOrder().customerName).toBe('Sam Rivera');
+
+    const { added, skipped } = orderManager.reorderUsual();
+    expect(added).toHaveLength(2);
+    expect(skipped).toEqual([]);
+    expect(orderManager.getOrder().items[1]).toMatchObject({ name: 'latte', quantity: 2, specialInstructions: 'extra hot' });
+    expect(orderManager.getOrder().items[1].modifiers.map(m => m.name)).toEqual(['oat milk']);
+  });
+
+  test('should skip sold-out items from the usual', () => {
+    setItemAvailability('latte', false);
+    const orderManager = new OrderManager('stream', 'call', '+15551234567', { customer: { name: 'Sam', orderCount: 1, usual } });
+
+    const { skipped } = orderManager.reorderUsual();
+    expect(skipped).toEqual([{ name: 'latte', reason: expect.stringMatching(/sold out/) }]);
+    expect(orderManager.getOrder().items).toHaveLength(1);
+  });
+
+  test('should refuse when there is no usual on file', () => {
+    const orderManager = new OrderManager('stream', 'call', '+15551234567');
+    expect(() => orderManager.reorderUsual()).toThrow(/No usual order on file/);
+  });
+});
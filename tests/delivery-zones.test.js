@@ -0,0 +1,92 @@
+/**
+ * Delivery Zone Tests
+ * Tests for zone matching, delivery fees and delivery minimums
+ * Glazed and Confused donut shop
+ */
+
+const { setDeliveryZones, findDeliveryZone, extractZip } = require('../src/config/delivery-zones');
+const OrderManager = require('../src/services/order-manager');
+
+const zones = {
+  origin: [45.5231, -122.6765],
+  minimumOrder: 15,
+  zones: [
+    { name: 'Downtown', zips: ['97201', '97204'], fee: 2.99 },
+    { name: '3 mile radius', radiusMiles: 3, fee: 4.99, minimumOrder: 25 },
+    { name: 'East side', polygon: [[45.55, -122.62], [45.55, -122.55], [45.50, -122.55], [45.50, -122.62]], fee: 5.99 },
+  ],
+  zipCentroids: {
+    '97214': [45.5143, -122.6423], // ~1.8 miles from the shop
+    '97215': [45.5149, -122.6003], // ~3.7 miles, inside the east side polygon
+    '97229': [45.5529, -122.8065], // ~6.5 miles west
+  },
+};
+
+describe('Delivery zones', () => {
+  beforeEach(() => {
+    setDeliveryZones(zones);
+  });
+
+  afterEach(() => {
+    setDeliveryZones(null);
+  });
+
+  test('should extract the ZIP, not the house number', () => {
+    expect(extractZip('12345 SE Division St, Portland, OR 97214')).toBe('97214');
+    expect(extractZip('456 Maple Ave, Portland OR 97201-1234')).toBe('97201');
+    expect(extractZip('456 Maple Ave')).toBeNull();
+    expect(extractZip('12345 Main St')).toBeNull();
+    expect(extractZip('12345 Main St, Portland, OR')).toBeNull();
+    expect(extractZip('456 Maple Ave, Portland, OR 97201, USA')).toBe('97201');
+  });
+
+  test('should match ZIP, radius and polygon zones in order', () => {
+    expect(findDeliveryZone('1 Main St, Portland, OR 97204')).toMatchObject({ name: 'Downtown', fee: 2.99, minimumOrder: 15 });
+    expect(findDeliveryZone('1 Main St, Portland, OR 97214')).toMatchObject({ name: '3 mile radius', fee: 4.99, minimumOrder: 25 });
+    expect(findDeliveryZone('1 Main St, Portland, OR 97215')).toMatchObject({ name: 'East side', fee: 5.99 });
+    expect(findDeliveryZone('1 Main St, Portland, OR 97229')).toBeNull();
+  });
+
+  test('should reject addresses outside the delivery area', () => {
+    const orderManager = new OrderManager('test-stream-123', 'test-call-456', '+1234567890');
+    orderManager.setDeliveryMethod('delivery');
+    expect(() => orderManager.setAddress('9 Far Rd, Beaverton, OR 97229')).toThrow(/outside our delivery area — offer pickup/);
+    expect(() => orderManager.setAddress('9 Far Rd')).toThrow(/ZIP code/);
+    expect(orderManager.getOrder().address).toBeNull();
+  });
+
+  test('should add the zone fee to the total for delivery only', () => {
+    const orderManager = new OrderManager('test-stream-123', 'test-call-456', '+1234567890');
+    orderManager.addItem('glazed donut', 'dozen', 1); // $22.99
+    orderManager.setDeliveryMethod('delivery');
+    orderManager.setAddress('456 Maple Ave, Portland, OR 97201');
+
+    expect(orderManager.getOrder().deliveryFee).toBe(2.99);
+    expect(orderManager.getOrder().total).toBeCloseTo(22.99 * 1.08 + 2.99, 2);
+
+    orderManager.setDeliveryMethod('pickup');
+    expect(orderManager.getOrder().deliveryFee).toBe(0);
+    expect(orderManager.getOrder().total).toBeCloseTo(22.99 * 1.08, 2);
+  });
+
+  test('should enforce the zone minimum on confirm', () => {
+    const orderManager = new OrderManager('test-stream-123', 'test-call-456', '+1234567890');
+    orderManager.addItem('glazed donut', 'dozen', 1); // $22.99, under the $25 radius minimum
+    orderManager.setDeliveryMethod('delivery');
+    orderManager.setAddress('12 SE Belmont St, Portland, OR 97214');
+    orderManager.setCustomerName('Sam');
+
+    expect(() => orderManager.confirm()).toThrow(/needs at least \$25.00 before tax — add \$2.01 more or switch to pickup/);
+
+    orderManager.addItem('coffee', 'medium', 1);
+    expect(orderManager.confirm().confirmed).toBe(true);
+  });
+
+  test('should not restrict delivery without a zone config', () => {
+    setDeliveryZones(null);
+    const orderManager = new OrderManager('test-stream-123', 'test-call-456', '+1234567890');
+    orderManager.setDeliveryMethod('delivery');
+    orderManager.setAddress('456 Maple Ave');
+    expect(orderManager.getOrder().deliveryFee).toBe(0);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Kitchen Scheduler Tests
+ * Tests for per-slot fryer capacity, next available slots and persisted bookings
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KitchenScheduler = require('../src/services/kitchen-scheduler');
+const OrderManager = require('../src/services/order-manager');
+const { setSchedule } = require('../src/config/store-hours');
+
+const weekday = { open: '06:00', close: '14:00' };
+
+// Wednesday Oct 14 2026, 9:00 AM EDT
+const NOW = new Date('2026-10-14T13:00:00Z');
+const TEN_AM = new Date('2026-10-14T14:00:00Z');
+
+describe('KitchenScheduler', () => {
+  let dir;
+  let filePath;
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(NOW);
+    setSchedule({
+      timezone: 'America/New_York',
+      weekly: {
+        monday: weekday, tuesday: weekday, wednesday: weekday, thursday: weekday, friday: weekday,
+        saturday: { open: '07:00', close: '13:00' },
+        sunday: null,
+      },
+      holidays: {},
+    });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kitchen-'));
+    filePath = path.join(dir, 'kitchen-slots.json');
+    scheduler = new KitchenScheduler({ filePath, dozensPerSlot: 4, prepSlots: 2 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should commit dozens to the pickup slot', () => {
+    expect(scheduler.reserve('CA1', TEN_AM, 3, { now: NOW }).ok).toBe(true);
+    expect(scheduler.getCommitted(TEN_AM, null, NOW)).toBe(3);
+    expect(scheduler.getCommitted(new Date('2026-10-14T14:10:00Z'), null, NOW)).toBe(3);
+  });
+
+  test('should spill a big order into the slot before pickup', () => {
+    scheduler.reserve('CA1', TEN_AM, 6, { now: NOW });
+    const slots = scheduler.getSlots(NOW);
+    expect(slots).toEqual([
+      { slot: '2026-10-14T13:45:00.000Z', committed: 2, capacity: 4 },
+      { slot: '2026-10-14T14:00:00.000Z', committed: 4, capacity: 4 },
+    ]);
+  });
+
+  test('should offer the next slot with room when full', () => {
+    scheduler.reserve('CA1', TEN_AM, 8, { now: NOW }); // fills 9:45 and 10:00
+    const result = scheduler.reserve('CA2', TEN_AM, 1, { now: NOW });
+    expect(result.ok).toBe(false);
+    expect(result.nextAvailable.toISOString()).toBe('2026-10-14T14:15:00.000Z');
+  });
+
+  test('should skip closed hours when looking for a slot', () => {
+    const lateAfternoon = new Date('2026-10-14T18:30:00Z'); // 2:30 PM, closed
+    const next = scheduler.findNextAvailable(lateAfternoon, 1, { now: NOW });
+    expect(next.toISOString()).toBe('2026-10-15T10:00:00.000Z'); // Thursday 6 AM
+  });
+
+  test('should replace a booking for the same call instead of double counting', () => {
+    scheduler.reserve('CA1', TEN_AM, 2, { now: NOW });
+    scheduler.reserve('CA1', TEN_AM, 3, { now: NOW });
+    expect(scheduler.getCommitted(TEN_AM, null, NOW)).toBe(3);
+  });
+
+  test('should persist bookings across restarts', () => {
+    scheduler.reserve('CA1', TEN_AM, 3, { confirmed: true, now: NOW });
+    const reloaded = new KitchenScheduler({ filePath, dozensPerSlot: 4, prepSlots: 2 });
+    expect(reloaded.getBooking('CA1').dozens).toBe(3);
+    expect(reloaded.getCommitted(TEN_AM, null, NOW)).toBe(3);
+  });
+
+  test('should release holds and let unconfirmed holds expire', () => {
+    scheduler.reserve('CA1', TEN_AM, 3, { now: NOW });
+    scheduler.release('CA1', NOW);
+    expect(scheduler.getCommitted(TEN_AM, null, NOW)).toBe(0);
+
+    scheduler.reserve('CA2', TEN_AM, 3, { now: NOW });
+    const later = new Date(NOW.getTime() + 31 * 60000);
+    expect(scheduler.getCommitted(TEN_AM, null, later)).toBe(0);
+  });
+
+  test('should tell the caller the next slot when their pickup time is full', () => {
+    scheduler.reserve('CA1', TEN_AM, 8, { confirmed: true, now: NOW });
+    const orderManager = new OrderManager('test-stream', 'CA2', '+1234567890', { scheduler });
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    expect(() => orderManager.setPickupTime('at 10', NOW))
+      .toThrow(/fully booked for today at 10 AM — the next available pickup is today at 10:15 AM/);
+  });
+
+  test('should book the first open slot for an ASAP order on confirm', () => {
+    const orderManager = new OrderManager('test-stream', 'CA3', '+1234567890', { scheduler });
+    orderManager.addItem('glazed donut', 'dozen', 2);
+    orderManager.setCustomerName('Sam');
+    orderManager.confirm();
+
+    // 15 minute minimum lead from 9:00 AM
+    expect(orderManager.getOrder().readyAt).toBe('2026-10-14T13:15:00.000Z');
+    expect(scheduler.getBooking('CA3').confirmed).toBe(true);
+  });
+});
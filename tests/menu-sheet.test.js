@@ -0,0 +1,81 @@
+/**
+ * Menu Sheet Parsing Tests
+ * Tests for the Google Sheets menu parser, the dynamic menu it feeds, and Call Log cell escaping
+ * Glazed and Confused donut shop
+ */
+
+const { parseMenuRows, plainText } = require('../integrations/google-sheets');
+const { setDynamicMenu, findMenuItem, getPrice, getMenuText, findModifier } = require('../src/config/menu');
+const OrderManager = require('../src/services/order-manager');
+
+const rows = [
+  ['Category', 'Item Name', 'Description', 'Price', 'Single', 'Half-Dozen', 'Price (Dozen)', 'Small', 'Medium', 'Large', 'Available', 'Modifiers', 'Box Surcharge'],
+  ['Donuts', 'Glazed Donut', 'The classic', '', '2.49', '12.99', '$22.99', '', '', '', 'Y', 'warmed'],
+  ['Donuts', 'Apple Fritter', '', '', '3.99', '21.99', '39.99', '', '', '', 'sold out', '', '1.25'],
+  ['Coffee', 'Latte', '', '', '', '', '', '4.29', '4.99', '5.79', '', 'oat milk +0.80, decaf, lavender (+$0.50)'],
+  ['Bakery', 'Muffin', 'Blueberry', '3.49'],
+  ['Bakery', '', 'row without a name is skipped', '1.00'],
+];
+
+describe('Menu sheet parsing', () => {
+  let parsed;
+  
+  beforeAll(() => {
+    parsed = parseMenuRows(rows);
+    setDynamicMenu(parsed);
+  });
+  
+  test('should parse per-size price columns', () => {
+    expect(parsed.menu['glazed donut'].sizes).toEqual(['single', 'half-dozen', 'dozen']);
+    expect(parsed.menu['glazed donut'].priceMap.dozen).toBe(22.99);
+    expect(parsed.menu['latte'].sizes).toEqual(['small', 'medium', 'large']);
+  });
+  
+  test('should treat a plain Price column as a single regular size', () => {
+    expect(parsed.menu['muffin'].sizes).toEqual(['regular']);
+    expect(parsed.menu['muffin'].priceMap.regular).toBe(3.49);
+  });
+  
+  test('should parse availability, modifiers and box surcharge', () => {
+    expect(parsed.menu['apple fritter'].available).toBe(false);
+    expect(parsed.menu['apple fritter'].boxSurcharge).toBe(1.25);
+    expect(parsed.menu['latte'].modifiers).toEqual(['oat milk', 'decaf', 'lavender']);
+    expect(parsed.modifiers['oat milk'].price).toBe(0.80);
+  });
+  
+  test('should skip rows without a name', () => {
+    expect(Object.keys(parsed.menu).length).toBe(4);
+  });
+  
+  test('should keep dozen pricing and drink sizes with the live menu', () => {
+    expect(findMenuItem('glazed').data.sizes).toContain('dozen');
+    expect(getPrice('glazed donut', 'dozen')).toBe(22.99);
+    expect(getPrice('latte', 'large')).toBe(5.79);
+  });
+  
+  test('should use sheet modifier prices', () => {
+    expect(findModifier('oat milk').data.price).toBe(0.80);
+    expect(findModifier('lavender').data.price).toBe(0.50);
+    
+    const orderManager = new OrderManager('s', 'c', '+1234567890');
+    orderManager.addItem('latte', 'small', 1, null, ['oat milk']);
+    expect(orderManager.getOrder().items[0].price).toBeCloseTo(5.09, 2);
+  });
+  
+  test('should refuse sold out items and list them in the menu text', () => {
+    const orderManager = new OrderManager('s', 'c', '+1234567890');
+    expect(() => orderManager.addItem('apple fritter', 'single', 1)).toThrow(/sold out/);
+    expect(getMenuText()).toContain('SOLD OUT TODAY (do not offer): apple fritter');
+  });
+});
+
+describe('Call Log cells', () => {
+  test('should keep customer text that looks like a formula as plain text', () => {
+    expect(plainText('=HYPERLINK("http://evil.example", "Sam")')).toBe('\'=HYPERLINK("http://evil.example", "Sam")');
+    expect(plainText('+1 555 123 4567')).toBe('\'+1 555 123 4567');
+    expect(plainText('-2+3')).toBe('\'-2+3');
+    expect(plainText('@SUM(A1)')).toBe('\'@SUM(A1)');
+    expect(plainText('Sam O\'Neil')).toBe('Sam O\'Neil');
+    expect(plainText(null)).toBeNull();
+  });
+});
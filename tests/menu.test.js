@@ -3,7 +3,10 @@
  * Glazed and Confused donut shop
  */
 
-const { findMenuItem, getPrice, getMenu } = require('../src/config/menu');
+const {
+  findMenuItem, getPrice, getMenu, getMenuText, findModifier, getAllowedModifiers,
+  setItemAvailability, getSoldOutItems, isItemAvailable, onMenuChange
+} = require('../src/config/menu');
 
 describe('Menu Configuration', () => {
   test('should find menu item by exact name', () => {
@@ -83,4 +86,37 @@ describe('Menu Configuration', () => {
     const price = getPrice('sprinkle donut', 'half-dozen');
     expect(price).toBe(14.99);
   });
+  
+  test('should find modifier with fuzzy matching', () => {
+    const result = findModifier('oat');
+    expect(result).not.toBeNull();
+    expect(result.name).toBe('oat milk');
+    expect(result.data.price).toBe(0.70);
+  });
+  
+  test('should list allowed modifiers per item', () => {
+    expect(getAllowedModifiers('latte')).toContain('extra shot');
+    expect(getAllowedModifiers('water')).toEqual([]);
+  });
+  
+  test('should mark an item sold out and back in stock', () => {
+    const listener = jest.fn();
+    const unsubscribe = onMenuChange(listener);
+    
+    expect(setItemAvailability('apple fritter', false)).toBe('apple fritter');
+    expect(isItemAvailable('apple fritter')).toBe(false);
+    expect(getSoldOutItems()).toEqual(['apple fritter']);
+    expect(getMenuText()).toContain('SOLD OUT TODAY (do not offer): apple fritter');
+    
+    setItemAvailability('apple fritter', true);
+    expect(isItemAvailable('apple fritter')).toBe(true);
+    expect(getSoldOutItems()).toEqual([]);
+    
+    expect(listener).toHaveBeenCalledTimes(2);
+    unsubscribe();
+  });
+  
+  test('should return null when marking an unknown item', () => {
+    expect(setItemAvailability('pizza that does not exist', false)).toBeNull();
+  });
 });
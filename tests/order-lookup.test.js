@@ -0,0 +1,131 @@
+/**
+ * Order Lookup Tests
+ * Tests for finding a caller's orders, the cancellation cutoff and syncing cancellations out
+ * Glazed and Confused donut shop
+ */
+
+const OrderStore = require('../src/services/order-store');
+const { MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+const OrderFinalizer = require('../src/services/order-finalizer');
+const { findCallerOrders, describeOrderStatus, cancelCallerOrder } = require('../src/services/order-lookup');
+
+const CALLER = '+15551234567';
+const NOW = new Date('2026-10-14T13:00:00Z'); // Wednesday 9:00 AM EDT
+const minutesFromNow = (minutes) => new Date(NOW.getTime() + minutes * 60000).toISOString();
+
+function placeOrder(store, callSid, { from = CALLER, pickupTime = null, createdAt = NOW, status } = {}) {
+  return store.save({
+    callSid,
+    from,
+    customerPhone: from,
+    itemsSummary: '1x dozen glazed donut',
+    total: 24.83,
+    deliveryMethod: 'pickup',
+    pickupTime,
+  }, { now: createdAt, status });
+}
+
+describe('Order lookup', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new OrderStore({ adapter: new MemoryOrderAdapter() });
+  });
+
+  test('should find the caller\'s recent orders but not abandoned or old ones', () => {
+    placeOrder(store, 'CA1', { createdAt: new Date('2026-10-01T13:00:00Z') });
+    placeOrder(store, 'CA2', { pickupTime: minutesFromNow(60) });
+    placeOrder(store, 'CA3', { status: 'abandoned' });
+    placeOrder(store, 'CA4', { from: '+15550000000' });
+
+    expect(findCallerOrders(store, { phone: '(555) 123-4567', now: NOW }).map(r => r.id)).toEqual(['CA2']);
+    expect(findCallerOrders(store, { phone: 'Anonymous', now: NOW })).toEqual([]);
+    expect(findCallerOrders(store, { phone: '+15550000000', orderNumber: '1003' }).map(r => r.id)).toEqual(['CA4']);
+    expect(findCallerOrders(store, { phone: CALLER, orderNumber: '9999' })).toEqual([]);
+  });
+
+  test('should not show an order to a caller from another phone who gives its number', () => {
+    placeOrder(store, 'CA1', { from: '+15550000000', pickupTime: minutesFromNow(60) });
+
+    expect(findCallerOrders(store, { phone: CALLER, orderNumber: '1001', now: NOW })).toEqual([]);
+    expect(findCallerOrders(store, { phone: 'Anonymous', orderNumber: '1001', now: NOW })).toEqual([]);
+    expect(findCallerOrders(store, { phone: '(555) 000-0000', orderNumber: '1001', now: NOW })).toHaveLength(1);
+  });
+
+  test('should still find a scheduled order placed long ago', () => {
+    placeOrder(store, 'CA1', { createdAt: new Date('2026-10-01T13:00:00Z'), pickupTime: minutesFromNow(24 * 60) });
+    expect(findCallerOrders(store, { phone: CALLER, now: NOW })).toHaveLength(1);
+  });
+
+  test('should describe status and pickup time for the agent', () => {
+    const record = placeOrder(store, 'CA1', { pickupTime: '2026-10-14T15:00:00Z' });
+    store.updateStatus('CA1', 'ready');
+
+    expect(describeOrderStatus(record)).toEqual({
+      orderNumber: 1001,
+      status: 'ready',
+      items: '1x dozen glazed donut',
+      total: '$24.83',
+      method: 'pickup',
+      pickupTime: expect.stringMatching(/11 AM$/),
+    });
+  });
+});
+
+describe('Cancelling by phone', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new OrderStore({ adapter: new MemoryOrderAdapter() });
+  });
+
+  test('should cancel the caller\'s only open order', () => {
+    placeOrder(store, 'CA1', { pickupTime: minutesFromNow(120) });
+    const record = cancelCallerOrder(store, { phone: CALLER, reason: 'plans changed', now: NOW });
+
+    expect(record.status).toBe('cancelled');
+    expect(record.statusHistory[1].note).toBe('caller: plans changed');
+  });
+
+  test('should enforce the cutoff before pickup', () => {
+    placeOrder(store, 'CA1', { pickupTime: minutesFromNow(20) });
+    expect(() => cancelCallerOrder(store, { phone: CALLER, now: NOW }))
+      .toThrow(/can't be cancelled within 30 minutes of pickup/);
+  });
+
+  test('should ask which order when there are several, and refuse other callers\' orders', () => {
+    placeOrder(store, 'CA1', { pickupTime: minutesFromNow(120) });
+    placeOrder(store, 'CA2', { pickupTime: minutesFromNow(180) });
+    placeOrder(store, 'CA3', { from: '+15550000000', pickupTime: minutesFromNow(120) });
+
+    expect(() => cancelCallerOrder(store, { phone: CALLER, now: NOW })).toThrow(/2 open orders \(#1001, #1002\)/);
+    expect(() => cancelCallerOrder(store, { phone: CALLER, orderNumber: '1003', now: NOW }))
+      .toThrow(/different phone number/);
+    expect(cancelCallerOrder(store, { phone: CALLER, orderNumber: '1002', now: NOW }).status).toBe('cancelled');
+  });
+
+  test('should not cancel an order the kitchen has started', () => {
+    placeOrder(store, 'CA1', { pickupTime: minutesFromNow(120) });
+    store.updateStatus('CA1', 'in-progress');
+    expect(() => cancelCallerOrder(store, { phone: CALLER, orderNumber: '1001', now: NOW }))
+      .toThrow(/is already in-progress/);
+  });
+
+  test('should sync a cancellation to the Call Log, POS, kitchen and campaign totals', async () => {
+    const sheetsStatusUpdater = jest.fn().mockResolvedValue(true);
+    const posCanceller = jest.fn().mockResolvedValue(true);
+    const kitchenScheduler = { release: jest.fn() };
+    const campaignTracker = { remove: jest.fn() };
+    const finalizer = new OrderFinalizer({ orderStore: store, sheetsStatusUpdater, posCanceller, kitchenScheduler, campaignTracker });
+
+    placeOrder(store, 'CA1', { pickupTime: minutesFromNow(120) });
+    store.update('CA1', { posOrderId: 'sq-1' });
+    const record = cancelCallerOrder(store, { phone: CALLER, now: NOW });
+    await finalizer.syncStatus(record);
+
+    expect(sheetsStatusUpdater).toHaveBeenCalledWith(1001, 'cancelled');
+    expect(posCanceller).toHaveBeenCalledWith('sq-1');
+    expect(kitchenScheduler.release).toHaveBeenCalledWith('CA1');
+    expect(campaignTracker.remove).toHaveBeenCalledWith('CA1');
+  });
+});
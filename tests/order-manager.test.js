@@ -156,7 +156,7 @@ describe('OrderManager', () => {
     expect(logData.callSid).toBe('test-call-456');
     expect(logData.customerName).toBe('Jane Smith');
     expect(logData.deliveryMethod).toBe('delivery');
-    expect(logData.status).toBe('completed');
+    expect(logData.status).toBe('received');
     expect(logData.items.length).toBe(1);
   });
   
@@ -167,4 +167,189 @@ describe('OrderManager', () => {
     expect(order.items[0].size).toBe('half-dozen');
     expect(order.items[0].price).toBe(18.99);
   });
+  
+  test('should remove item from order', () => {
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.addItem('latte', 'large', 1);
+    orderManager.removeItem('latte');
+    const order = orderManager.getOrder();
+    
+    expect(order.items.length).toBe(1);
+    expect(order.items[0].name).toBe('glazed donut');
+    expect(order.subtotal).toBeCloseTo(22.99, 2);
+  });
+  
+  test('should reject removing an item not in the order', () => {
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    expect(() => {
+      orderManager.removeItem('latte');
+    }).toThrow();
+  });
+  
+  test('should require a size when removing an item ordered in two sizes', () => {
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.addItem('glazed donut', 'single', 2);
+    
+    expect(() => orderManager.removeItem('glazed donut')).toThrow();
+    orderManager.removeItem('glazed donut', 'single');
+    expect(orderManager.getOrder().items.length).toBe(1);
+    expect(orderManager.getOrder().items[0].size).toBe('dozen');
+  });
+  
+  test('should update item quantity and totals', () => {
+    orderManager.addItem('coffee', 'medium', 1);
+    orderManager.updateItemQuantity('coffee', 3);
+    const order = orderManager.getOrder();
+    
+    expect(order.items[0].quantity).toBe(3);
+    expect(order.subtotal).toBeCloseTo(3.29 * 3, 2);
+  });
+  
+  test('should remove item when quantity set to zero', () => {
+    orderManager.addItem('coffee', 'medium', 1);
+    orderManager.updateItemQuantity('coffee', 0);
+    expect(orderManager.getOrder().items.length).toBe(0);
+  });
+  
+  test('should change item size and reprice', () => {
+    orderManager.addItem('glazed donut', 'half-dozen', 1);
+    orderManager.changeItemSize('glazed donut', 'dozen');
+    const order = orderManager.getOrder();
+    
+    expect(order.items[0].size).toBe('dozen');
+    expect(order.items[0].price).toBe(22.99);
+    expect(order.subtotal).toBeCloseTo(22.99, 2);
+  });
+  
+  test('should reject a size the item does not come in', () => {
+    orderManager.addItem('latte', 'small', 1);
+    expect(() => {
+      orderManager.changeItemSize('latte', 'dozen');
+    }).toThrow();
+  });
+  
+  test('should clear order', () => {
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.addItem('latte', 'large', 1);
+    orderManager.clearOrder();
+    
+    expect(orderManager.getOrder().items).toEqual([]);
+    expect(orderManager.getOrder().total).toBe(0);
+  });
+  
+  test('should undo the last change', () => {
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.addItem('latte', 'large', 1);
+    orderManager.clearOrder();
+    
+    expect(orderManager.getLastChange()).toBe('clear order');
+    orderManager.undoLastChange();
+    expect(orderManager.getOrder().items.length).toBe(2);
+    
+    orderManager.undoLastChange();
+    expect(orderManager.getOrder().items.length).toBe(1);
+    expect(orderManager.getOrder().subtotal).toBeCloseTo(22.99, 2);
+  });
+  
+  test('should reject undo with no history', () => {
+    expect(() => {
+      orderManager.undoLastChange();
+    }).toThrow();
+  });
+  
+  test('should add item with modifiers and price them in', () => {
+    orderManager.addItem('latte', 'large', 1, null, ['oat milk', 'extra shot']);
+    const item = orderManager.getOrder().items[0];
+    
+    expect(item.modifiers.map(m => m.name)).toEqual(['oat milk', 'extra shot']);
+    expect(item.basePrice).toBe(5.79);
+    expect(item.price).toBeCloseTo(5.79 + 0.70 + 1.00, 2);
+  });
+  
+  test('should reject modifiers not allowed on the item', () => {
+    expect(() => {
+      orderManager.addItem('glazed donut', 'single', 1, null, ['oat milk']);
+    }).toThrow();
+  });
+  
+  test('should reject two choices from a single-choice group', () => {
+    expect(() => {
+      orderManager.addItem('latte', 'small', 1, null, ['oat milk', 'almond milk']);
+    }).toThrow();
+  });
+  
+  test('should keep differently customized items on separate lines', () => {
+    orderManager.addItem('latte', 'large', 1, null, ['oat milk']);
+    orderManager.addItem('latte', 'large', 1);
+    orderManager.addItem('latte', 'large', 1, null, ['oat milk']);
+    const order = orderManager.getOrder();
+    
+    expect(order.items.length).toBe(2);
+    expect(order.items[0].quantity).toBe(2);
+    
+    orderManager.removeItem('latte', 'large', ['oat milk']);
+    expect(orderManager.getOrder().items[0].modifiers).toEqual([]);
+  });
+  
+  test('should carry modifiers and instructions into summary and logging', () => {
+    orderManager.addItem('jelly filled donut', 'single', 2, 'cut in half', ['lemon filling']);
+    
+    expect(orderManager.getSummary()).toContain('(lemon filling)');
+    const logItem = orderManager.getOrderForLogging().items[0];
+    expect(logItem.modifiers).toEqual([{ name: 'lemon filling', price: 0 }]);
+    expect(logItem.specialInstructions).toBe('cut in half');
+  });
+  
+  test('should add a mixed dozen box', () => {
+    orderManager.addBox('dozen', [
+      { name: 'glazed', count: 6 },
+      { name: 'chocolate frosted', count: 6 }
+    ]);
+    const item = orderManager.getOrder().items[0];
+    
+    expect(item.name).toBe('mixed box');
+    expect(item.size).toBe('dozen');
+    expect(item.price).toBe(22.99);
+    expect(item.box.flavors.map(f => f.name)).toEqual(['glazed donut', 'chocolate frosted donut']);
+  });
+  
+  test('should add premium-flavor surcharge to a box', () => {
+    orderManager.addBox('half-dozen', [
+      { name: 'glazed donut', count: 3 },
+      { name: 'boston cream donut', count: 3 }
+    ]);
+    expect(orderManager.getOrder().items[0].price).toBeCloseTo(12.99 + 3 * 0.75, 2);
+  });
+  
+  test('should reject a box whose counts do not add up', () => {
+    expect(() => {
+      orderManager.addBox('dozen', [{ name: 'glazed donut', count: 6 }, { name: 'cruller', count: 4 }]);
+    }).toThrow();
+  });
+  
+  test('should reject negative, zero, string and fractional quantities', () => {
+    for (const quantity of [-3, 0, '2', 1.5]) {
+      expect(() => orderManager.addItem('glazed donut', 'dozen', quantity)).toThrow(/Invalid quantity/);
+      expect(() => orderManager.addBox('half-dozen', [{ name: 'glazed donut', count: 6 }], quantity)).toThrow(/Invalid quantity/);
+    }
+    expect(orderManager.getOrder().items).toEqual([]);
+    expect(orderManager.getOrder().total).toBe(0);
+  });
+  
+  test('should reject non-donut flavors in a box', () => {
+    expect(() => {
+      orderManager.addBox('half-dozen', [{ name: 'latte', count: 6 }]);
+    }).toThrow();
+  });
+  
+  test('should show box flavors in summary and remove the box by name', () => {
+    orderManager.addBox('dozen', [
+      { name: 'glazed donut', count: 6 },
+      { name: 'boston cream donut', count: 6 }
+    ]);
+    
+    expect(orderManager.getSummary()).toBe('1x dozen mixed box (6 glazed donut, 6 boston cream donut)');
+    orderManager.removeItem('mixed box');
+    expect(orderManager.getOrder().items.length).toBe(0);
+  });
 });
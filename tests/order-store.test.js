@@ -0,0 +1,258 @@
+/**
+ * Order Store Tests
+ * Tests for order numbers, lifecycle statuses, queries, the JSON adapter and the order finalizer
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OrderStore = require('../src/services/order-store');
+const { JsonFileOrderAdapter, MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+const OrderFinalizer = require('../src/services/order-finalizer');
+const OrderManager = require('../src/services/order-manager');
+
+const NOW = new Date('2026-10-14T13:00:00Z');
+
+function snapshot(callSid, from = '+15551234567') {
+  return { callSid, from, customerName: 'Sam', items: [{ name: 'glazed donut', quantity: 1, price: 2.49 }], total: 2.69 };
+}
+
+function confirmedOrderManager(orderStore, callSid = 'CA100') {
+  const orderManager = new OrderManager('stream', callSid, '+15551234567', { orderStore });
+  orderManager.addItem('glazed donut', 'dozen', 1);
+  orderManager.setCustomerName('Sam');
+  return orderManager;
+}
+
+describe('OrderStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new OrderStore({ adapter: new MemoryOrderAdapter() });
+  });
+
+  test('should number new orders and time-stamp each status change', () => {
+    const first = store.save(snapshot('CA1'), { now: NOW });
+    const second = store.save(snapshot('CA2'), { now: NOW });
+    expect([first.orderNumber, second.orderNumber]).toEqual([1001, 1002]);
+    expect(first.status).toBe('received');
+
+    const later = new Date(NOW.getTime() + 20 * 60000);
+    store.updateStatus('1001', 'in-progress', { now: NOW });
+    const ready = store.updateStatus('#1001', 'ready', { note: 'on the shelf', now: later });
+
+    expect(ready.statusHistory.map(h => h.status)).toEqual(['received', 'in-progress', 'ready']);
+    expect(ready.statusHistory[2]).toEqual({ status: 'ready', at: later.toISOString(), note: 'on the shelf' });
+    expect(ready.order.status).toBe('ready');
+  });
+
+  test('should reject unknown statuses and moves that go backwards', () => {
+    store.save(snapshot('CA1'));
+    store.updateStatus('CA1', 'cancelled');
+    expect(() => store.updateStatus('CA1', 'ready')).toThrow("Can't move order #1001 from cancelled to ready");
+    expect(() => store.updateStatus('CA1', 'eaten')).toThrow(/Unknown order status/);
+    expect(() => store.updateStatus('9999', 'ready')).toThrow(/Order not found/);
+  });
+
+  test('should only number abandoned orders if staff revive them', () => {
+    const abandoned = store.save(snapshot('CA1'), { status: 'abandoned' });
+    expect(abandoned.orderNumber).toBeNull();
+
+    store.save(snapshot('CA2'));
+    expect(store.updateStatus('CA1', 'received').orderNumber).toBe(1002);
+  });
+
+  test('should keep the status when an order is saved again', () => {
+    store.save(snapshot('CA1'));
+    store.updateStatus('CA1', 'in-progress');
+    const record = store.save({ ...snapshot('CA1'), customerName: 'Samantha' });
+    expect(record.status).toBe('in-progress');
+    expect(record.order.customerName).toBe('Samantha');
+    expect(store.list()).toHaveLength(1);
+  });
+
+  test('should query by status, phone and time, newest first', () => {
+    store.save(snapshot('CA1'), { now: new Date('2026-10-13T12:00:00Z') });
+    store.save(snapshot('CA2', '+15550000000'), { now: new Date('2026-10-14T12:00:00Z') });
+    store.save(snapshot('CA3'), { status: 'abandoned', now: new Date('2026-10-14T13:00:00Z') });
+
+    expect(store.list().map(r => r.id)).toEqual(['CA3', 'CA2', 'CA1']);
+    expect(store.list({ status: ['received'] }).map(r => r.id)).toEqual(['CA2', 'CA1']);
+    expect(store.list({ phone: '(555) 123-4567' }).map(r => r.id)).toEqual(['CA3', 'CA1']);
+    expect(store.list({ since: '2026-10-14T00:00:00Z', limit: 1 }).map(r => r.id)).toEqual(['CA3']);
+  });
+
+  test('should keep lookups current as orders change', () => {
+    store.save(snapshot('CA1'), { now: NOW });
+    store.save({ ...snapshot('CA1'), customerPhone: '555-987-6543' }, { now: NOW });
+    store.updateStatus('CA1', 'ready', { now: NOW });
+
+    expect(store.list({ phone: '5559876543' }).map(r => r.id)).toEqual(['CA1']);
+    expect(store.list({ status: 'received' })).toEqual([]);
+    expect(store.list({ status: 'ready', phone: '+15551234567' }).map(r => r.id)).toEqual(['CA1']);
+
+    store.addIndex('pos', r => [r.posOrderId]);
+    store.update('CA1', { posOrderId: 'SQ1' });
+    expect(store.findByIndex('pos', 'SQ1').map(r => r.id)).toEqual(['CA1']);
+    store.update('CA1', { posOrderId: 'SQ2' });
+    expect(store.findByIndex('pos', 'SQ1')).toEqual([]);
+  });
+
+  test('should archive finished orders once they are old enough', () => {
+    const old = new Date('2026-08-01T12:00:00Z');
+    store = new OrderStore({ adapter: new MemoryOrderAdapter(), archiveDays: 30 });
+    store.save(snapshot('CA1'), { now: old });
+    store.updateStatus('CA1', 'ready', { now: old });
+    store.updateStatus('CA1', 'picked-up', { now: old });
+    store.save(snapshot('CA2'), { now: old }); // still open, however old
+    store.save(snapshot('CA3'), { now: NOW });
+    store.updateStatus('CA3', 'cancelled', { now: NOW });
+
+    expect(store.archiveFinished(NOW)).toBe(1);
+    expect(store.find('1001')).toBeNull();
+    expect(store.list().map(r => r.id).sort()).toEqual(['CA2', 'CA3']);
+    expect(store.list({ phone: '+15551234567' }).map(r => r.id).sort()).toEqual(['CA2', 'CA3']);
+  });
+});
+
+describe('JsonFileOrderAdapter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-'));
+    adapters = [];
+  });
+
+  let adapters;
+
+  afterEach(async () => {
+    await Promise.all(adapters.map(adapter => adapter.flush())); // background writes land before cleanup
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function adapterFor(ordersDir) {
+    const adapter = new JsonFileOrderAdapter({ dir: ordersDir, legacyPath: path.join(dir, 'orders.json') });
+    adapters.push(adapter);
+    return adapter;
+  }
+
+  test('should keep orders and the number sequence across restarts', async () => {
+    const ordersDir = path.join(dir, 'orders');
+    const adapter = adapterFor(ordersDir);
+    const store = new OrderStore({ adapter });
+    store.save(snapshot('CA1'));
+    store.updateStatus('CA1', 'ready');
+    await adapter.flush();
+
+    expect(fs.readdirSync(ordersDir).sort()).toEqual(['CA1.json', 'next-number.json']);
+    const reloaded = new OrderStore({ adapter: adapterFor(ordersDir) });
+    expect(reloaded.find('1001').status).toBe('ready');
+    expect(reloaded.save(snapshot('CA2')).orderNumber).toBe(1002);
+  });
+
+  test('should split an old orders.json into one file per order', () => {
+    const legacyPath = path.join(dir, 'orders.json');
+    fs.writeFileSync(legacyPath, JSON.stringify({
+      nextNumber: 1003,
+      orders: {
+        CA1: { id: 'CA1', orderNumber: 1001, status: 'picked-up', statusHistory: [], createdAt: NOW.toISOString(), updatedAt: NOW.toISOString(), order: snapshot('CA1') },
+        CA2: { id: 'CA2', orderNumber: 1002, status: 'received', statusHistory: [], createdAt: NOW.toISOString(), updatedAt: NOW.toISOString(), order: snapshot('CA2') },
+      },
+    }));
+
+    const store = new OrderStore({ adapter: adapterFor(path.join(dir, 'orders')) });
+    expect(store.list().map(r => r.id).sort()).toEqual(['CA1', 'CA2']);
+    expect(store.save(snapshot('CA3')).orderNumber).toBe(1003);
+    expect(fs.existsSync(legacyPath)).toBe(false);
+    expect(fs.existsSync(`${legacyPath}.migrated`)).toBe(true);
+  });
+
+  test('should move archived orders out of the live directory', async () => {
+    const ordersDir = path.join(dir, 'orders');
+    const adapter = adapterFor(ordersDir);
+    const store = new OrderStore({ adapter, archiveDays: 30 });
+    store.save(snapshot('CA1'), { now: new Date('2026-08-01T12:00:00Z') });
+    store.updateStatus('CA1', 'cancelled', { now: new Date('2026-08-01T12:05:00Z') });
+    store.save(snapshot('CA2'), { now: NOW });
+
+    expect(store.archiveFinished(NOW)).toBe(1);
+    await adapter.flush();
+
+    expect(fs.existsSync(path.join(ordersDir, 'archive', 'CA1.json'))).toBe(true);
+    expect(fs.existsSync(path.join(ordersDir, 'CA1.json'))).toBe(false);
+    expect(new OrderStore({ adapter: adapterFor(ordersDir) }).list().map(r => r.id)).toEqual(['CA2']);
+  });
+});
+
+describe('Order numbers on confirmation', () => {
+  test('should give the caller an order number when the order is confirmed', () => {
+    const orderStore = new OrderStore({ adapter: new MemoryOrderAdapter({ firstNumber: 42 }) });
+    const orderManager = confirmedOrderManager(orderStore);
+    orderManager.confirm();
+
+    expect(orderManager.getOrder().orderNumber).toBe(42);
+    expect(orderManager.getOrderForLogging()).toMatchObject({ orderNumber: 42, status: 'received' });
+    expect(orderStore.find('42').order.customerName).toBe('Sam');
+  });
+});
+
+describe('OrderFinalizer', () => {
+  let orderStore;
+
+  beforeEach(() => {
+    orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+  });
+
+  test('should send confirmed orders to the POS and log them once', async () => {
+    const posSender = jest.fn().mockResolvedValue('sq-123');
+    const sheetsLogger = jest.fn().mockResolvedValue(true);
+    const finalizer = new OrderFinalizer({ orderStore, posSender, sheetsLogger });
+
+    const orderManager = confirmedOrderManager(orderStore);
+    orderManager.confirm();
+    const record = await finalizer.finalize(orderManager);
+
+    expect(posSender).toHaveBeenCalledWith(expect.objectContaining({ orderNumber: 1001, status: 'received' }));
+    expect(record.posOrderId).toBe('sq-123');
+    expect(sheetsLogger).toHaveBeenCalledTimes(1);
+    expect(orderManager.getOrder().logged).toBe(true);
+
+    await finalizer.finalize(orderManager);
+    expect(posSender).toHaveBeenCalledTimes(1);
+    expect(sheetsLogger).toHaveBeenCalledTimes(1);
+  });
+
+  test('should skip the POS, campaign and customer history for an order cancelled during the call', async () => {
+    const posSender = jest.fn().mockResolvedValue('sq-123');
+    const sheetsLogger = jest.fn().mockResolvedValue(true);
+    const campaignTracker = { record: jest.fn(), remove: jest.fn() };
+    const customerStore = { recordOrder: jest.fn() };
+    const finalizer = new OrderFinalizer({ orderStore, posSender, sheetsLogger, campaignTracker, customerStore });
+
+    const orderManager = confirmedOrderManager(orderStore);
+    orderManager.setCampaign({ id: 'lincoln', name: 'Lincoln PTA' });
+    orderManager.confirm();
+    orderStore.updateStatus(orderManager.getOrder().orderNumber, 'cancelled', { note: 'cancelled by caller' });
+    const record = await finalizer.finalize(orderManager);
+
+    expect(record.status).toBe('cancelled');
+    expect(posSender).not.toHaveBeenCalled();
+    expect(campaignTracker.record).not.toHaveBeenCalled();
+    expect(customerStore.recordOrder).not.toHaveBeenCalled();
+    expect(sheetsLogger).toHaveBeenCalledWith(expect.objectContaining({ status: 'cancelled' }));
+  });
+
+  test('should keep unconfirmed orders as abandoned and skip the POS', async () => {
+    const posSender = jest.fn();
+    const finalizer = new OrderFinalizer({ orderStore, posSender });
+
+    const record = await finalizer.finalize(confirmedOrderManager(orderStore, 'CA200'));
+    expect(record).toMatchObject({ status: 'abandoned', orderNumber: null });
+    expect(record.order.status).toBe('abandoned');
+    expect(posSender).not.toHaveBeenCalled();
+
+    expect(await finalizer.finalize(new OrderManager('stream', 'CA300', '+15551234567'))).toBeNull();
+    expect(orderStore.list()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Order Verifier Tests
+ * Tests for the post-call check of an order against its transcript, holding flagged orders
+ * back from the POS, and staff approving them
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const OrderVerifier = require('../src/services/order-verifier');
+const { describeReview } = require('../src/services/order-verifier');
+const OrderFinalizer = require('../src/services/order-finalizer');
+const OrderManager = require('../src/services/order-manager');
+const OrderStore = require('../src/services/order-store');
+const TranscriptStore = require('../src/services/transcript-store');
+const createAdminRoutes = require('../src/routes/admin');
+const { MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+const { StubOrderReviewer, OpenAIOrderReviewer } = require('../integrations/order-review');
+
+describe('OrderVerifier', () => {
+  let dir;
+  let transcriptStore;
+  let orderStore;
+  let reviewer;
+  let posSender;
+  let sheetsLogger;
+  let sheetsReviewUpdater;
+  let finalizer;
+
+  function call(callSid, callerLines) {
+    const transcript = transcriptStore.start(callSid);
+    callerLines.forEach(line => transcript.addSpeech('caller', line));
+    transcriptStore.finish(callSid);
+
+    const orderManager = new OrderManager('MZ1', callSid, '+15551234567', { orderStore });
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.addItem('coffee', 'large', 1);
+    orderManager.setCustomerName('Sam');
+    orderManager.setDeliveryMethod('pickup');
+    orderManager.confirm();
+    return orderManager;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verifier-'));
+    transcriptStore = new TranscriptStore({ dir });
+    orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+    reviewer = new StubOrderReviewer();
+    posSender = jest.fn().mockResolvedValue('POS-1');
+    sheetsLogger = jest.fn().mockResolvedValue(true);
+    sheetsReviewUpdater = jest.fn().mockResolvedValue(true);
+    finalizer = new OrderFinalizer({
+      orderStore,
+      posSender,
+      sheetsLogger,
+      sheetsReviewUpdater,
+      transcriptStore,
+      orderVerifier: new OrderVerifier({ reviewer, transcriptStore }),
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should send an order that matches the call to the POS', async () => {
+    const record = await finalizer.finalize(call('CA1', ['Can I get a dozen glazed', 'and a large coffee']));
+
+    expect(record.review).toMatchObject({ status: 'ok', issues: [] });
+    expect(reviewer.reviews[0].transcript).toContain('Caller: Can I get a dozen glazed');
+    expect(posSender).toHaveBeenCalledTimes(1);
+    expect(sheetsLogger.mock.calls[0][0].review.status).toBe('ok');
+  });
+
+  test('should flag an order that does not match and hold it from the POS', async () => {
+    const record = await finalizer.finalize(call('CA1', ['Can I get a half dozen glazed', 'and a coffee']));
+
+    expect(record.review.status).toBe('needs-review');
+    expect(record.review.issues).toEqual([
+      '1x dozen glazed donut: the caller never said dozen',
+      '1x large coffee: the caller never said large',
+    ]);
+    expect(posSender).not.toHaveBeenCalled();
+    expect(record.posOrderId).toBeNull();
+    expect(describeReview(sheetsLogger.mock.calls[0][0].review)).toBe('NEEDS REVIEW: ' +
+      '1x dozen glazed donut: the caller never said dozen; 1x large coffee: the caller never said large');
+  });
+
+  test('should send a flagged order once staff approve it', async () => {
+    await finalizer.finalize(call('CA1', ['a dozen please', 'coffee']));
+    const { orderNumber } = orderStore.get('CA1');
+
+    const record = await finalizer.approveReview(orderNumber);
+    expect(record.review).toMatchObject({ status: 'approved', approvedAt: expect.any(String) });
+    expect(record.posOrderId).toBe('POS-1');
+    expect(sheetsReviewUpdater).toHaveBeenCalledWith(orderNumber, 'Reviewed — OK to make');
+
+    await expect(finalizer.approveReview(orderNumber)).rejects.toThrow(/isn't waiting for review/);
+    await expect(finalizer.approveReview('9999')).rejects.toThrow(/Order not found/);
+  });
+
+  test('should let orders through when there is no transcript or the review fails', async () => {
+    const orderManager = new OrderManager('MZ1', 'CA2', '+15551234567', { orderStore });
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.setCustomerName('Sam');
+    orderManager.setDeliveryMethod('pickup');
+    orderManager.confirm();
+    expect((await finalizer.finalize(orderManager)).review).toBeUndefined();
+
+    reviewer.review = jest.fn().mockRejectedValue(new Error('OpenAI 503'));
+    const record = await finalizer.finalize(call('CA3', ['a dozen glazed']));
+    expect(record.review).toBeUndefined();
+    expect(posSender).toHaveBeenCalledTimes(2);
+  });
+
+  test('should send an order to the POS unverified when the review times out', async () => {
+    const originalFetch = global.fetch;
+    // A model that never answers: the fetch only settles when the reviewer's timeout aborts it
+    global.fetch = jest.fn((_url, { signal }) => new Promise((_resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    finalizer.orderVerifier.reviewer = new OpenAIOrderReviewer({ apiKey: 'sk-test', timeoutMs: 50 });
+
+    try {
+      const record = await finalizer.finalize(call('CA1', ['a dozen glazed', 'a large coffee']));
+      expect(record.review).toMatchObject({ status: 'unverified', issues: [] });
+      expect(posSender).toHaveBeenCalledTimes(1);
+      expect(describeReview(record.review)).toBe('Not checked (review timed out)');
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  test('should approve flagged orders through the admin API', async () => {
+    const originalKey = process.env.ADMIN_API_KEY;
+    process.env.ADMIN_API_KEY = 'admin-key';
+    await finalizer.finalize(call('CA1', ['a dozen glazed', 'coffee']));
+    const { orderNumber } = orderStore.get('CA1');
+
+    const app = express();
+    app.use(express.json());
+    app.use('/admin', createAdminRoutes({ reloadMenu: jest.fn(), orderStore, approveReview: (ref) => finalizer.approveReview(ref) }));
+    const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+    const post = async (ref, body) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/admin/orders/${ref}/review`, {
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer admin-key', 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    try {
+      expect((await post(orderNumber, {})).status).toBe(400);
+      const approved = await post(orderNumber, { approved: true });
+      expect(approved.status).toBe(200);
+      expect(approved.body).toMatchObject({ success: true, orderNumber, review: { status: 'approved' }, posOrderId: 'POS-1' });
+      expect((await post(orderNumber, { approved: true })).body.error).toMatch(/isn't waiting for review/);
+      expect((await post('9999', { approved: true })).status).toBe(404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      if (originalKey === undefined) delete process.env.ADMIN_API_KEY;
+      else process.env.ADMIN_API_KEY = originalKey;
+    }
+  });
+
+  test('should ask the text model for discrepancies as JSON', async () => {
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: '{"discrepancies":["Caller asked for a half dozen, order has a dozen"]}' } }] }),
+    });
+
+    try {
+      const result = await new OpenAIOrderReviewer({ apiKey: 'sk-test' }).review({
+        transcript: '[00:02] Caller: half dozen glazed',
+        order: {
+          customerName: 'Sam',
+          items: [{ name: 'glazed donut', size: 'dozen', quantity: 1, price: 24.83 }],
+          pickupTime: '2026-10-17T11:00:00.000Z',
+          pickupTimeRequested: '7am Saturday',
+        },
+      });
+      expect(result.discrepancies).toEqual(['Caller asked for a half dozen, order has a dozen']);
+
+      const request = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(request).toMatchObject({ model: 'gpt-4o-mini', temperature: 0, response_format: { type: 'json_object' } });
+      expect(request.messages[1].content).toContain('"size": "dozen"');
+      expect(request.messages[1].content).not.toContain('24.83');
+      // The pickup time as the caller said it, in store time — not UTC
+      expect(request.messages[1].content).toContain('"pickupTime": "Oct 17, 7:00 AM"');
+      expect(request.messages[1].content).toContain('"pickupTimeRequested": "7am Saturday"');
+      expect(global.fetch.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Payment Tests
+ * Tests for card payment links: creating and texting the link on confirm, webhook
+ * status tracking, Square signatures, and syncing prepaid orders to the Call Log and POS
+ * Glazed and Confused donut shop
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const PaymentService = require('../src/services/payment-service');
+const { describePayment } = require('../src/services/payment-service');
+const { FakePaymentProvider, SquarePaymentProvider } = require('../integrations/payments');
+const createPaymentRoutes = require('../src/routes/payments');
+const SmsNotifier = require('../src/services/sms-notifier');
+const { StubSmsClient } = require('../integrations/sms');
+const OrderStore = require('../src/services/order-store');
+const { MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+const OrderFinalizer = require('../src/services/order-finalizer');
+const OrderManager = require('../src/services/order-manager');
+const { runOrderTool } = require('../src/services/order-tools');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('PaymentService', () => {
+  let dir;
+  let client;
+  let smsNotifier;
+  let orderStore;
+  let provider;
+  let payments;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-'));
+    client = new StubSmsClient();
+    smsNotifier = new SmsNotifier({ client, from: '+15559990000', filePath: path.join(dir, 'opt-outs.json') });
+    orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+    provider = new FakePaymentProvider({ baseUrl: 'https://shop.example' });
+    payments = new PaymentService({ provider, orderStore, smsNotifier });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function confirmOrder(callSid, paymentMethod) {
+    const orderManager = new OrderManager('stream', callSid, '+15551234567', {
+      orderStore, smsNotifier, paymentService: payments,
+    });
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.setCustomerName('Sam');
+    if (paymentMethod) orderManager.setPaymentMethod(paymentMethod);
+    const result = runOrderTool(orderManager, 'confirm_order', {});
+    return { orderManager, result };
+  }
+
+  test('should text a payment link when a card order is confirmed', async () => {
+    const { orderManager, result } = confirmOrder('CA1', 'card');
+    expect(result).toMatchObject({ orderNumber: 1001, paymentLink: true });
+    await flush();
+
+    const record = orderStore.get('CA1');
+    expect(record.payment).toMatchObject({
+      status: 'unpaid',
+      provider: 'fake',
+      amount: orderManager.getOrder().total,
+    });
+    expect(record.payment.url).toBe(`https://shop.example/payments/fake/${record.payment.linkId}`);
+
+    const linkText = client.sent.find(m => m.body.includes('by card'));
+    expect(linkText.to).toBe('+15551234567');
+    expect(linkText.body).toBe(`Glazed and Confused: pay for order #1001 ($${orderManager.getOrder().total.toFixed(2)}) ` +
+      `by card here: ${record.payment.url} Reply STOP to opt out.`);
+
+    // One link per order
+    expect(await payments.requestPayment(orderManager.getOrderForLogging())).toBe(record.payment);
+    expect(client.sent.filter(m => m.body.includes('by card'))).toHaveLength(1);
+  });
+
+  test('should replace the link when the order changes and is confirmed again', async () => {
+    const { orderManager } = confirmOrder('CA1', 'card');
+    await flush();
+    const first = orderStore.get('CA1').payment;
+
+    orderManager.addItem('glazed donut', 'dozen', 2);
+    runOrderTool(orderManager, 'confirm_order', {});
+    await flush();
+
+    const { payment } = orderStore.get('CA1');
+    expect(payment).toMatchObject({ status: 'unpaid', amount: orderManager.getOrder().total, replacedLinks: [first.linkId] });
+    expect(payment.linkId).not.toBe(first.linkId);
+    expect(provider.links.has(first.linkId)).toBe(false);
+    expect(client.sent.filter(m => m.body.includes('by card')).pop().body).toContain(`($${orderManager.getOrder().total.toFixed(2)})`);
+
+    // The stale link no longer pays for the bigger order
+    expect(await payments.handleWebhook({ linkId: first.linkId, status: 'paid' })).toBeNull();
+    expect(orderStore.get('CA1').payment.status).toBe('unpaid');
+    expect((await payments.handleWebhook({ linkId: payment.linkId, status: 'paid' })).payment.status).toBe('paid');
+  });
+
+  test('should ask for the rest when a paid order grows', async () => {
+    const { orderManager } = confirmOrder('CA1', 'card');
+    await flush();
+    const first = orderStore.get('CA1').payment;
+    await payments.handleWebhook({ linkId: first.linkId, status: 'paid' });
+
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    runOrderTool(orderManager, 'confirm_order', {});
+    await flush();
+
+    const { payment } = orderStore.get('CA1');
+    const balance = orderManager.getOrder().total - first.amount;
+    expect(payment).toMatchObject({ status: 'unpaid', paidAmount: first.amount });
+    expect(provider.links.get(payment.linkId).amountCents).toBe(Math.round(balance * 100));
+    expect(provider.links.has(first.linkId)).toBe(true); // paid — nothing to cancel
+    expect(describePayment('card', payment)).toBe(`Card — payment link sent ($${first.amount.toFixed(2)} already paid)`);
+  });
+
+  test('should not create links for cash orders or callers who opted out of texts', async () => {
+    expect(confirmOrder('CA1', 'cash').result.paymentLink).toBeUndefined();
+
+    smsNotifier.handleInbound('+15551234567', 'STOP');
+    expect(confirmOrder('CA2', 'card').result.paymentLink).toBeUndefined();
+    await flush();
+
+    expect(orderStore.get('CA1').payment).toBeUndefined();
+    expect(orderStore.get('CA2').payment).toBeUndefined();
+  });
+
+  test('should keep the order unpaid when the provider fails', async () => {
+    provider.createLink = jest.fn().mockRejectedValue(new Error('Square 500'));
+    const { orderManager } = confirmOrder('CA1', 'card');
+    expect(await payments.requestPayment(orderManager.getOrderForLogging())).toBeNull();
+    expect(orderStore.get('CA1').payment).toBeUndefined();
+  });
+
+  test('should track webhook payments and sync prepaid orders to the Call Log and POS', async () => {
+    const sheetsPaymentUpdater = jest.fn().mockResolvedValue(true);
+    const posPaymentMarker = jest.fn().mockResolvedValue(true);
+    new OrderFinalizer({ orderStore, paymentService: payments, sheetsPaymentUpdater, posPaymentMarker });
+
+    confirmOrder('CA1', 'card');
+    await flush();
+    orderStore.update('CA1', { posOrderId: 'sq-1' });
+    const { linkId } = orderStore.get('CA1').payment;
+    expect(sheetsPaymentUpdater).toHaveBeenLastCalledWith(1001, 'Card — payment link sent');
+
+    expect(await payments.handleWebhook({ linkId: 'nope', status: 'paid' })).toBeNull();
+    expect(await payments.handleWebhook({ something: 'else' })).toBeNull();
+
+    const record = await payments.handleWebhook({ linkId, status: 'paid' });
+    await flush();
+    expect(record.payment).toMatchObject({ status: 'paid', paymentId: expect.stringMatching(/^fakepay-/) });
+    expect(record.payment.paidAt).toBeTruthy();
+    expect(sheetsPaymentUpdater).toHaveBeenLastCalledWith(1001, 'PREPAID (card)');
+    expect(posPaymentMarker).toHaveBeenCalledWith('sq-1', record.payment);
+
+    // Retries and a later decline don't change a paid order
+    await payments.handleWebhook({ linkId, status: 'paid' });
+    await payments.handleWebhook({ linkId, status: 'failed' });
+    await flush();
+    expect(orderStore.get('CA1').payment.status).toBe('paid');
+    expect(posPaymentMarker).toHaveBeenCalledTimes(1);
+  });
+
+  test('should send an already-paid order to the POS as prepaid', async () => {
+    const posSender = jest.fn().mockResolvedValue('sq-9');
+    const posPaymentMarker = jest.fn().mockResolvedValue(true);
+    const finalizer = new OrderFinalizer({ orderStore, paymentService: payments, posSender, posPaymentMarker });
+
+    const { orderManager } = confirmOrder('CA1', 'card');
+    await flush();
+    await payments.handleWebhook({ linkId: orderStore.get('CA1').payment.linkId, status: 'paid' });
+    await finalizer.finalize(orderManager);
+
+    expect(posSender.mock.calls[0][0].payment).toMatchObject({ status: 'paid' });
+    expect(posPaymentMarker).not.toHaveBeenCalled();
+    expect(orderStore.get('CA1').posOrderId).toBe('sq-9');
+  });
+
+  test('should describe payments for the Call Log', () => {
+    expect(describePayment(null)).toBe('');
+    expect(describePayment('cash')).toBe('Cash at pickup');
+    expect(describePayment('card')).toBe('Card at pickup');
+    expect(describePayment('card', { status: 'unpaid' })).toBe('Card — payment link sent');
+    expect(describePayment('card', { status: 'failed' })).toBe('Card — payment failed, collect at pickup');
+  });
+});
+
+describe('SquarePaymentProvider', () => {
+  const options = {
+    accessToken: 'token',
+    locationId: 'LOC1',
+    signatureKey: 'sig-key',
+    notificationUrl: 'https://shop.example/payments/webhook',
+  };
+
+  function sign(body) {
+    return crypto.createHmac('sha256', 'sig-key').update(options.notificationUrl + body).digest('base64');
+  }
+
+  test('should require credentials and a webhook signature key', () => {
+    expect(() => new SquarePaymentProvider({ ...options, accessToken: undefined })).toThrow(/SQUARE_ACCESS_TOKEN/);
+    expect(() => new SquarePaymentProvider({ ...options, signatureKey: undefined })).toThrow(/SQUARE_WEBHOOK_SIGNATURE_KEY/);
+  });
+
+  test('should create a quick-pay checkout link', async () => {
+    const provider = new SquarePaymentProvider(options);
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ payment_link: { id: 'PL1', url: 'https://square.link/u/abc', order_id: 'SQO1' } }),
+    });
+    try {
+      const link = await provider.createLink({ reference: 'CA1', amountCents: 2483, description: 'Order #1001' });
+      expect(link).toEqual({ linkId: 'PL1', url: 'https://square.link/u/abc', providerOrderId: 'SQO1' });
+
+      const [url, request] = fetchMock.mock.calls[0];
+      expect(url).toBe('https://connect.squareupsandbox.com/v2/online-checkout/payment-links');
+      expect(JSON.parse(request.body)).toMatchObject({
+        idempotency_key: 'pay-CA1',
+        quick_pay: { price_money: { amount: 2483, currency: 'USD' }, location_id: 'LOC1' },
+      });
+    } finally {
+      fetchMock.mockRestore();
+    }
+  });
+
+  test('should accept only signed payment webhooks through the route', async () => {
+    const orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+    const record = orderStore.save({ callSid: 'CA1', total: 24.83, paymentMethod: 'card' });
+    orderStore.update('CA1', { payment: { status: 'unpaid', linkId: 'PL1', providerOrderId: 'SQO1' } });
+    const payments = new PaymentService({ provider: new SquarePaymentProvider(options), orderStore });
+
+    const app = express();
+    app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
+    app.use('/payments', createPaymentRoutes({ paymentService: payments }));
+    const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+    const post = (body, signature) => fetch(`http://127.0.0.1:${server.address().port}/payments/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-square-hmacsha256-signature': signature },
+      body,
+    });
+
+    try {
+      const pending = JSON.stringify({ type: 'payment.updated', data: { object: { payment: { id: 'P1', order_id: 'SQO1', status: 'APPROVED' } } } });
+      const completed = JSON.stringify({ type: 'payment.updated', data: { object: { payment: { id: 'P1', order_id: 'SQO1', status: 'COMPLETED' } } } });
+
+      expect((await post(completed, 'forged')).status).toBe(401);
+      expect(await (await post(pending, sign(pending))).json()).toEqual({ received: true });
+      expect(record.payment.status).toBe('unpaid');
+
+      const response = await post(completed, sign(completed));
+      expect(await response.json()).toEqual({ received: true, orderNumber: 1001, payment: 'paid' });
+      expect(record.payment).toMatchObject({ status: 'paid', paymentId: 'P1' });
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
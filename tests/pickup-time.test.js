@@ -0,0 +1,119 @@
+/**
+ * Pickup Time Tests
+ * Tests for spoken pickup time parsing and scheduled pickup validation
+ * Glazed and Confused donut shop
+ */
+
+const { parsePickupTime } = require('../src/utils/time-parser');
+const { setSchedule } = require('../src/config/store-hours');
+const OrderManager = require('../src/services/order-manager');
+
+const weekday = { open: '06:00', close: '14:00' };
+const TZ = 'America/New_York';
+
+// Wednesday Oct 14 2026, 9:00 AM EDT
+const NOW = new Date('2026-10-14T13:00:00Z');
+
+describe('parsePickupTime', () => {
+  test('should read times without am/pm as shop hours', () => {
+    expect(parsePickupTime('at 11', NOW, TZ).time.toISOString()).toBe('2026-10-14T15:00:00.000Z');
+    expect(parsePickupTime('1:30', NOW, TZ).time.toISOString()).toBe('2026-10-14T17:30:00.000Z');
+    expect(parsePickupTime('noon', NOW, TZ).time.toISOString()).toBe('2026-10-14T16:00:00.000Z');
+  });
+
+  test('should roll a time already past today over to tomorrow', () => {
+    expect(parsePickupTime('7am', NOW, TZ).time.toISOString()).toBe('2026-10-15T11:00:00.000Z');
+  });
+
+  test('should parse weekdays, tomorrow and dates', () => {
+    expect(parsePickupTime('7am Saturday', NOW, TZ).time.toISOString()).toBe('2026-10-17T11:00:00.000Z');
+    expect(parsePickupTime('tomorrow at 8:30', NOW, TZ).time.toISOString()).toBe('2026-10-15T12:30:00.000Z');
+    expect(parsePickupTime('October 20th at 10 a.m.', NOW, TZ).time.toISOString()).toBe('2026-10-20T14:00:00.000Z');
+    expect(parsePickupTime('10/20 at 10', NOW, TZ).time.toISOString()).toBe('2026-10-20T14:00:00.000Z');
+    // Same weekday, time already passed -> next week
+    expect(parsePickupTime('wednesday at 7', NOW, TZ).time.toISOString()).toBe('2026-10-21T11:00:00.000Z');
+  });
+
+  test('should parse relative times and ASAP', () => {
+    expect(parsePickupTime('in 30 minutes', NOW, TZ).time.toISOString()).toBe('2026-10-14T13:30:00.000Z');
+    expect(parsePickupTime('in an hour', NOW, TZ).time.toISOString()).toBe('2026-10-14T14:00:00.000Z');
+    expect(parsePickupTime('in half an hour', NOW, TZ).time.toISOString()).toBe('2026-10-14T13:30:00.000Z');
+    expect(parsePickupTime('as soon as possible', NOW, TZ)).toEqual({ asap: true });
+  });
+
+  test('should return null when there is no time', () => {
+    expect(parsePickupTime('Saturday', NOW, TZ)).toBeNull();
+    expect(parsePickupTime('whenever', NOW, TZ)).toBeNull();
+    expect(parsePickupTime('', NOW, TZ)).toBeNull();
+  });
+});
+
+describe('OrderManager scheduled pickup', () => {
+  let orderManager;
+
+  beforeEach(() => {
+    setSchedule({
+      timezone: TZ,
+      weekly: {
+        monday: weekday, tuesday: weekday, wednesday: weekday, thursday: weekday, friday: weekday,
+        saturday: { open: '07:00', close: '13:00' },
+        sunday: null,
+      },
+      holidays: {},
+    });
+    orderManager = new OrderManager('test-stream-123', 'test-call-456', '+1234567890');
+  });
+
+  test('should store the requested time and the caller\'s words', () => {
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.setPickupTime('7am Saturday', NOW);
+
+    const order = orderManager.getOrderForLogging();
+    expect(order.pickupTime).toBe('2026-10-17T11:00:00.000Z');
+    expect(order.pickupTimeRequested).toBe('7am Saturday');
+  });
+
+  test('should clear a scheduled time for ASAP', () => {
+    orderManager.setPickupTime('tomorrow at 8', NOW);
+    orderManager.setPickupTime('asap', NOW);
+    expect(orderManager.getOrder().pickupTime).toBeNull();
+  });
+
+  test('should reject times when the store is closed', () => {
+    expect(() => orderManager.setPickupTime('Sunday at 9', NOW)).toThrow(/closed Sunday at 9 AM — the next opening is Monday at 6 AM/);
+    expect(() => orderManager.setPickupTime('4pm', NOW)).toThrow(/closed/);
+  });
+
+  test('should reject times too soon or unparseable', () => {
+    expect(() => orderManager.setPickupTime('in 5 minutes', NOW)).toThrow(/at least 15 minutes/);
+    expect(() => orderManager.setPickupTime('whenever', NOW)).toThrow(/Could not understand/);
+  });
+
+  test('should count dozens across boxes, dozens and singles', () => {
+    orderManager.addItem('glazed donut', 'dozen', 2);
+    orderManager.addBox('half-dozen', [{ name: 'glazed donut', count: 6 }]);
+    orderManager.addItem('glazed donut', 'single', 6);
+    orderManager.addItem('coffee', 'medium', 1);
+    expect(orderManager.getDozenCount()).toBe(3);
+  });
+
+  test('should require 24 hours notice for 4+ dozen', () => {
+    orderManager.addItem('glazed donut', 'dozen', 4);
+    expect(() => orderManager.setPickupTime('tomorrow at 8', NOW))
+      .toThrow(/4\+ dozen need 24 hours notice — the earliest pickup is tomorrow at 9 AM/);
+
+    orderManager.setPickupTime('Friday at 8', NOW);
+    expect(orderManager.getOrder().pickupTime).toBe('2026-10-16T12:00:00.000Z');
+  });
+
+  test('should require the same notice for a big ASAP order', () => {
+    orderManager.addItem('glazed donut', 'dozen', 6);
+    orderManager.setCustomerName('Sam');
+    expect(() => orderManager.confirm(NOW))
+      .toThrow(/4\+ dozen need 24 hours notice — schedule a pickup time — the earliest pickup is tomorrow at 9 AM/);
+    expect(orderManager.getOrder().confirmed).toBe(false);
+
+    orderManager.setPickupTime('Friday at 8', NOW);
+    expect(orderManager.confirm(NOW).confirmed).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Pricing Engine Tests
+ * Tests for integer-cents totals, per-category tax rates and tax-exempt orders
+ * Glazed and Confused donut shop
+ */
+
+const { calculateTotals, toCents, formatMoney, unitPriceCents } = require('../src/services/pricing');
+const { setTaxConfig } = require('../src/config/tax');
+const OrderManager = require('../src/services/order-manager');
+
+describe('Pricing engine', () => {
+  test('should add prices in cents without float drift', () => {
+    const totals = calculateTotals([
+      { price: 0.1, quantity: 1 },
+      { price: 0.2, quantity: 1 },
+      { price: 1.15, quantity: 3 },
+    ], { taxRate: 0 });
+    expect(totals.subtotalCents).toBe(375);
+    expect(totals.subtotal).toBe(3.75);
+  });
+
+  test('should round tax half up once per rate', () => {
+    // Three 10¢ lines at 5% are half a cent each: 2¢ on the order, not 3¢ rounded per line
+    const totals = calculateTotals([
+      { price: 0.1, quantity: 1 }, { price: 0.1, quantity: 1 }, { price: 0.1, quantity: 1 },
+    ], { taxRate: 0.05 });
+    expect(totals.taxCents).toBe(2);
+
+    const half = calculateTotals([{ price: 0.25, quantity: 1 }], { taxRate: 0.1 }); // 2.5¢
+    expect(half.taxCents).toBe(3);
+  });
+
+  test('should apply per-category rates with a default', () => {
+    const taxConfig = { defaultRate: 0.08, categoryRates: { bakery: 0, 'coffee & drinks': 0.1 } };
+    const totals = calculateTotals([
+      { price: 22.99, quantity: 1, category: 'Donuts' },          // 8%  -> 1.84
+      { price: 3.49, quantity: 2, category: 'Bakery' },           // 0%
+      { price: 4.99, quantity: 1, category: 'Coffee & Drinks' },  // 10% -> 0.50
+    ], { taxConfig });
+    expect(totals.taxCents).toBe(184 + 50);
+    expect(totals.totalCents).toBe(2299 + 698 + 499 + 234);
+  });
+
+  test('should skip tax for exempt orders and tax delivery only when configured', () => {
+    const items = [{ price: 20, quantity: 1 }];
+    expect(calculateTotals(items, { taxExempt: true, deliveryFee: 2.99 }).totalCents).toBe(2299);
+    expect(calculateTotals(items, { deliveryFee: 2.99 }).taxCents).toBe(160);
+    expect(calculateTotals(items, { deliveryFee: 2.99, taxConfig: { taxDeliveryFee: true } }).taxCents).toBe(184);
+  });
+
+  test('should convert and format money', () => {
+    expect(toCents('4.35')).toBe(435);
+    expect(toCents(1.005)).toBe(101); // 100.49999... in floating point
+    expect(formatMoney(123456)).toBe('$1234.56');
+    expect(unitPriceCents(4.99, [{ price: 0.7 }, { price: 0.75 }])).toBe(644);
+  });
+});
+
+describe('OrderManager tax', () => {
+  let orderManager;
+
+  beforeEach(() => {
+    orderManager = new OrderManager('test-stream-123', 'test-call-456', '+1234567890');
+  });
+
+  afterEach(() => {
+    setTaxConfig({});
+  });
+
+  test('should use the store tax config by menu category', () => {
+    setTaxConfig({ defaultRate: 0.08, categoryRates: { Bakery: 0 } });
+    orderManager.addItem('muffin', 'regular', 2);      // $6.98, untaxed
+    orderManager.addItem('glazed donut', 'dozen', 1);  // $22.99 at 8% = $1.84
+
+    expect(orderManager.getOrder().items[0].category).toBe('Bakery');
+    expect(orderManager.getOrder().tax).toBe(1.84);
+    expect(orderManager.getOrder().total).toBe(31.81);
+  });
+
+  test('should tax a mixed box as donuts', () => {
+    setTaxConfig({ defaultRate: 0, categoryRates: { donuts: 0.1 } });
+    orderManager.addBox('half-dozen', [{ name: 'glazed donut', count: 6 }]); // $12.99
+    expect(orderManager.getOrder().tax).toBe(1.30);
+  });
+
+  test('should drop tax for exempt organizations and restore it', () => {
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.setTaxExempt(true, 'Lincoln Elementary PTA');
+
+    expect(orderManager.getOrder().tax).toBe(0);
+    expect(orderManager.getOrder().total).toBe(22.99);
+    expect(orderManager.getFullSummary()).toContain('Tax: exempt (Lincoln Elementary PTA)');
+    expect(orderManager.getOrderForLogging().taxExempt).toBe(true);
+
+    orderManager.setTaxExempt(false);
+    expect(orderManager.getOrder().tax).toBe(1.84);
+    expect(orderManager.getOrder().taxExemptOrganization).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Promotions Tests
+ * Tests for buy-N-get-one deals, combos, happy-hour percentages and promo codes
+ * Glazed and Confused donut shop
+ */
+
+const { evaluatePromotions } = require('../src/services/promotions');
+const { calculateTotals } = require('../src/services/pricing');
+const { setPromotions } = require('../src/config/promotions');
+const { setTaxConfig } = require('../src/config/tax');
+const OrderManager = require('../src/services/order-manager');
+
+const DONUT_DOZEN = { name: 'glazed donut', size: 'dozen', price: 22.99, quantity: 1, category: 'Donuts' };
+const DONUT_SINGLE = { name: 'glazed donut', size: 'single', price: 2.49, quantity: 1, category: 'Donuts' };
+const COFFEE = { name: 'coffee', size: 'medium', price: 3.49, quantity: 1, category: 'Coffee & Drinks' };
+
+const BAKERS_DOZEN = {
+  id: 'bakers-dozen', type: 'buy-n-get-one', name: "Baker's dozen",
+  buy: { size: 'dozen', category: 'Donuts' }, get: { size: 'single', category: 'Donuts' },
+};
+
+// Friday 1:30 PM in New York
+const FRIDAY_AFTERNOON = new Date('2026-10-23T17:30:00Z');
+
+describe('Promotions engine', () => {
+  test('should make one single donut free per dozen', () => {
+    const discounts = evaluatePromotions([DONUT_DOZEN, { ...DONUT_SINGLE, quantity: 3 }], { rules: [BAKERS_DOZEN] });
+    expect(discounts).toHaveLength(1);
+    expect(discounts[0]).toMatchObject({ id: 'bakers-dozen', amountCents: 249, category: 'Donuts' });
+  });
+
+  test('should give the cheapest unit free when buying and getting the same thing', () => {
+    const rule = { id: 'bogo', type: 'buy-n-get-one', name: 'Buy 2 get 1', buy: { category: 'Donuts', size: 'single' }, buyQuantity: 2 };
+    const items = [{ ...DONUT_SINGLE, quantity: 2 }, { ...DONUT_SINGLE, name: 'boston cream', price: 2.99, quantity: 4 }];
+    // 6 donuts = 2 groups of 3; the two cheapest (glazed) are free
+    expect(evaluatePromotions(items, { rules: [rule] })[0].amountCents).toBe(498);
+  });
+
+  test('should price a combo as many times as it fits', () => {
+    const combo = {
+      id: 'dozen-coffee', type: 'combo', name: 'Dozen + coffee', price: 24.99,
+      items: [{ item: 'glazed donut', size: 'dozen' }, { item: 'coffee', size: 'medium' }],
+    };
+    const discounts = evaluatePromotions([{ ...DONUT_DOZEN, quantity: 2 }, { ...COFFEE, quantity: 1 }], { rules: [combo] });
+    expect(discounts[0].amountCents).toBe(2299 + 349 - 2499);
+    expect(discounts[0].category).toBeNull();
+  });
+
+  test('should not let one donut count toward two deals', () => {
+    const combo = { id: 'combo', type: 'combo', name: 'Combo', discount: 2, items: [{ size: 'dozen' }, { item: 'coffee' }] };
+    const discounts = evaluatePromotions([DONUT_DOZEN, DONUT_SINGLE, COFFEE], { rules: [BAKERS_DOZEN, combo] });
+    expect(discounts.map(d => d.id)).toEqual(['bakers-dozen']);
+  });
+
+  test('should apply happy hour only inside its window', () => {
+    const happyHour = {
+      id: 'happy-hour', type: 'percent', name: 'Happy hour', percent: 20,
+      match: { category: 'Donuts' }, days: ['friday'], start: '13:00', end: '14:00',
+    };
+    const items = [DONUT_DOZEN, COFFEE];
+    expect(evaluatePromotions(items, { rules: [happyHour], now: FRIDAY_AFTERNOON })[0].amountCents).toBe(460);
+    expect(evaluatePromotions(items, { rules: [happyHour], now: new Date('2026-10-23T19:00:00Z') })).toEqual([]);
+    expect(evaluatePromotions(items, { rules: [happyHour], now: new Date('2026-10-22T17:30:00Z') })).toEqual([]);
+  });
+
+  test('should stack codes on top of deals and honor minimums', () => {
+    const codes = [{ code: 'SWEET5', name: '$5 off $25', amount: 5, minSubtotal: 25 }];
+    expect(evaluatePromotions([DONUT_DOZEN], { codes })).toEqual([]);
+
+    const discounts = evaluatePromotions([DONUT_DOZEN, DONUT_SINGLE, COFFEE], { rules: [BAKERS_DOZEN], codes });
+    expect(discounts.map(d => [d.id, d.amountCents])).toEqual([['bakers-dozen', 249], ['SWEET5', 500]]);
+  });
+});
+
+describe('Pricing with discounts', () => {
+  test('should take discounts off before tax', () => {
+    const taxConfig = { defaultRate: 0.1, categoryRates: { bakery: 0 } };
+    const items = [{ price: 20, quantity: 1, category: 'Donuts' }, { price: 10, quantity: 1, category: 'Bakery' }];
+
+    const byCategory = calculateTotals(items, { taxConfig, discounts: [{ amountCents: 500, category: 'Donuts' }] });
+    expect(byCategory.discountCents).toBe(500);
+    expect(byCategory.taxCents).toBe(150);
+    expect(byCategory.totalCents).toBe(3000 - 500 + 150);
+
+    // Order-wide: $3 off split 2:1, so $2 comes off the taxed donuts
+    const orderWide = calculateTotals(items, { taxConfig, discounts: [{ amountCents: 300, category: null }] });
+    expect(orderWide.taxCents).toBe(180);
+  });
+
+  test('should never discount more than the subtotal', () => {
+    const totals = calculateTotals([{ price: 3, quantity: 1 }], { taxRate: 0.08, discounts: [{ amountCents: 500 }] });
+    expect(totals.discountCents).toBe(300);
+    expect(totals.totalCents).toBe(0);
+  });
+});
+
+describe('OrderManager promotions', () => {
+  let orderManager;
+
+  beforeEach(() => {
+    setPromotions({
+      rules: [BAKERS_DOZEN],
+      codes: [
+        { code: 'SWEET5', name: '$5 off $25', amount: 5, minSubtotal: 25 },
+        { code: 'SPOOKY', name: 'Halloween 10% off', percent: 10, expires: '2025-10-31' },
+      ],
+    });
+    setTaxConfig({ defaultRate: 0.08 });
+    orderManager = new OrderManager('test-stream-123', 'test-call-456', '+1234567890');
+  });
+
+  afterEach(() => {
+    setPromotions({ rules: [], codes: [] });
+    setTaxConfig({});
+  });
+
+  test('should apply the baker\'s dozen as items are added and removed', () => {
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.addItem('glazed donut', 'single', 1);
+
+    const order = orderManager.getOrder();
+    expect(order.discounts.map(d => d.name)).toEqual(["Baker's dozen"]);
+    expect(order.total).toBe(24.83); // $22.99 + 8%
+    expect(orderManager.getFullSummary()).toContain("Baker's dozen: -$");
+
+    orderManager.removeItem('glazed donut', 'dozen');
+    expect(orderManager.getOrder().discounts).toEqual([]);
+  });
+
+  test('should apply promo codes and list them for logging', () => {
+    orderManager.addItem('glazed donut', 'dozen', 2);
+    const discount = orderManager.applyPromoCode('sweet 5');
+
+    expect(discount.amount).toBe(5);
+    expect(orderManager.getOrder().subtotal).toBe(45.98);
+    expect(orderManager.getOrder().discount).toBe(5);
+
+    const logged = orderManager.getOrderForLogging();
+    expect(logged.promoCodes).toEqual(['SWEET5']);
+    expect(logged.discounts[0]).toMatchObject({ name: '$5 off $25', code: 'SWEET5', amount: 5 });
+  });
+
+  test('should explain why a code can\'t be used', () => {
+    orderManager.addItem('glazed donut', 'single', 1);
+    expect(() => orderManager.applyPromoCode('NOPE')).toThrow(/isn't a valid promo code/);
+    expect(() => orderManager.applyPromoCode('SWEET5')).toThrow(/at least \$25\.00/);
+    expect(() => orderManager.applyPromoCode('spooky')).toThrow(/has expired/);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * SMS Notifier Tests
+ * Tests for confirmation and ready texts, and STOP / START opt-outs, against the stub client
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SmsNotifier = require('../src/services/sms-notifier');
+const { StubSmsClient } = require('../integrations/sms');
+const OrderStore = require('../src/services/order-store');
+const { MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+const OrderFinalizer = require('../src/services/order-finalizer');
+const OrderManager = require('../src/services/order-manager');
+
+const NOW = new Date('2026-10-14T13:00:00Z'); // Wednesday 9:00 AM EDT
+
+describe('SmsNotifier', () => {
+  let dir;
+  let client;
+  let notifier;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-'));
+    client = new StubSmsClient();
+    notifier = new SmsNotifier({ client, from: '+15559990000', filePath: path.join(dir, 'opt-outs.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should text the order number, items, total and pickup time once per call', async () => {
+    const order = {
+      callSid: 'CA1',
+      from: '+15551234567',
+      customerPhone: '+15551234567',
+      customerName: 'Sam',
+      orderNumber: 1042,
+      itemsSummary: '1x dozen glazed donut',
+      total: 24.83,
+      deliveryMethod: 'pickup',
+      pickupTime: '2026-10-14T15:00:00Z',
+    };
+
+    expect(await notifier.sendConfirmation(order, NOW)).toBe(true);
+    expect(await notifier.sendConfirmation(order, NOW)).toBe(false);
+
+    expect(client.sent).toHaveLength(1);
+    expect(client.sent[0]).toMatchObject({ to: '+15551234567', from: '+15559990000' });
+    expect(client.sent[0].body).toBe('Glazed and Confused: thanks, Sam! Order #1042: 1x dozen glazed donut. ' +
+      'Total $24.83. Pickup today at 11 AM. Reply STOP to opt out.');
+  });
+
+  test('should forget sent confirmations after a day', async () => {
+    const later = (hours) => new Date(NOW.getTime() + hours * 60 * 60000);
+    await notifier.sendConfirmation({ callSid: 'CA1', from: '+15551234567', total: 5 }, NOW);
+    await notifier.sendConfirmation({ callSid: 'CA2', from: '+15551234567', total: 5 }, later(20));
+    expect([...notifier.confirmed.keys()]).toEqual(['CA1', 'CA2']);
+
+    await notifier.sendConfirmation({ callSid: 'CA2', from: '+15551234567', total: 5 }, later(25));
+    expect([...notifier.confirmed.keys()]).toEqual(['CA2']);
+    expect(client.sent).toHaveLength(2);
+  });
+
+  test('should prefer the callback number and skip blocked caller ID', async () => {
+    await notifier.sendConfirmation({ callSid: 'CA1', from: 'Anonymous', customerPhone: '555-222-3333', total: 5 });
+    expect(await notifier.sendConfirmation({ callSid: 'CA2', from: 'Anonymous', customerPhone: 'Anonymous' })).toBe(false);
+    expect(client.sent.map(m => m.to)).toEqual(['+15552223333']);
+  });
+
+  test('should stop texting after STOP and resume after START', async () => {
+    expect(notifier.handleInbound('+15551234567', ' stop ')).toMatch(/unsubscribed/);
+    expect(await notifier.sendReady({ orderNumber: 1042, order: { from: '+15551234567' } })).toBe(false);
+
+    const reloaded = new SmsNotifier({ client, from: '+15559990000', filePath: path.join(dir, 'opt-outs.json') });
+    expect(reloaded.isOptedOut('(555) 123-4567')).toBe(true);
+
+    expect(reloaded.handleInbound('+15551234567', 'START')).toMatch(/subscribed to order texts again/);
+    expect(await reloaded.sendReady({ orderNumber: 1042, order: { from: '+15551234567' } })).toBe(true);
+    expect(client.sent[0].body).toBe('Glazed and Confused: order #1042 is ready for pickup! See you soon.');
+    expect(reloaded.handleInbound('+15551234567', 'Do you have crullers?')).toBeNull();
+  });
+
+  test('should report a failed send without throwing', async () => {
+    const failing = new SmsNotifier({
+      client: { send: jest.fn().mockRejectedValue(new Error('invalid number')) },
+      from: '+15559990000',
+      filePath: path.join(dir, 'opt-outs.json'),
+    });
+    expect(await failing.sendReady({ orderNumber: 1, order: { from: '+15551234567' } })).toBe(false);
+  });
+
+  test('should text on confirm_order and when staff mark the order ready', async () => {
+    const orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+    new OrderFinalizer({ orderStore, smsNotifier: notifier }); // listens for status changes
+    const orderManager = new OrderManager('stream', 'CA100', '+15551234567', { orderStore, smsNotifier: notifier });
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.setCustomerName('Sam');
+    orderManager.confirm();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(client.sent).toHaveLength(1);
+    expect(client.sent[0].body).toMatch(/^Glazed and Confused: thanks, Sam! Order #1001: 1x dozen/);
+
+    orderStore.updateStatus('1001', 'ready');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(client.sent).toHaveLength(2);
+    expect(client.sent[1].body).toBe('Glazed and Confused: order #1001 is ready for pickup! See you soon.');
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Staff Transfer Tests
+ * Tests for the transfer_to_staff tool, the call redirect with whisper / text to staff,
+ * and the voicemail fallback when nobody answers
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const twilio = require('twilio');
+const StaffTransfer = require('../src/services/staff-transfer');
+const createTransferRoutes = require('../src/routes/staff-transfer');
+const { StubCallClient } = require('../integrations/twilio-calls');
+const SmsNotifier = require('../src/services/sms-notifier');
+const { StubSmsClient } = require('../integrations/sms');
+const OrderManager = require('../src/services/order-manager');
+const OrderStore = require('../src/services/order-store');
+const { MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+const { runOrderTool } = require('../src/services/order-tools');
+const { buildOrderInstructions } = require('../src/services/order-prompt');
+
+const AUTH_TOKEN = 'test-auth-token';
+
+// What Twilio would send in X-Twilio-Signature for a callback to the shop's public URL
+function signed(route, form) {
+  return twilio.getExpectedTwilioSignature(AUTH_TOKEN, `https://shop.example${route}`, form);
+}
+
+describe('StaffTransfer', () => {
+  let dir;
+  let callClient;
+  let smsClient;
+  let orderStore;
+  let staffTransfer;
+
+  function createTransfer(options = {}) {
+    const smsNotifier = new SmsNotifier({ client: smsClient, from: '+15559990000', filePath: path.join(dir, 'opt-outs.json') });
+    return new StaffTransfer({
+      callClient,
+      staffNumber: '+15558675309',
+      baseUrl: 'https://shop.example/',
+      smsNotifier,
+      orderStore,
+      ...options,
+    });
+  }
+
+  function callWithOrder(callSid = 'CA1') {
+    const orderManager = new OrderManager('MZ1', callSid, '+15551234567', { orderStore, staffTransfer });
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    orderManager.setCustomerName('Sam');
+    return orderManager;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transfer-'));
+    callClient = new StubCallClient();
+    smsClient = new StubSmsClient();
+    orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+    staffTransfer = createTransfer();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should need a staff number and public URL', () => {
+    expect(() => createTransfer({ staffNumber: '' })).toThrow(/STAFF_PHONE_NUMBER and SERVER_URL/);
+    expect(() => createTransfer({ notify: 'pager' })).toThrow(/STAFF_TRANSFER_NOTIFY/);
+  });
+
+  test('should queue a transfer with a summary for staff', () => {
+    const orderManager = callWithOrder();
+    const result = runOrderTool(orderManager, 'transfer_to_staff', { reason: 'complaint', details: 'cold coffee yesterday' });
+
+    expect(result.success).toBe(true);
+    expect(staffTransfer.isPending('CA1')).toBe(true);
+    expect(staffTransfer.get('CA1').summary).toBe('Reason: complaint: cold coffee yesterday. Caller: Sam, (555) 123-4567. ' +
+      'Order so far: 1x dozen glazed donut, total $24.83.');
+    expect(callClient.updates).toHaveLength(0); // not until the agent has finished speaking
+  });
+
+  test('should refuse transfers when unavailable or not on a call', () => {
+    const noStaff = new OrderManager('MZ1', 'CA1', '+15551234567');
+    expect(() => runOrderTool(noStaff, 'transfer_to_staff', { reason: 'requested' })).toThrow(/Nobody can take a transfer/);
+
+    const text = new OrderManager(null, 'text-1', '+15551234567', { staffTransfer, channel: 'text' });
+    expect(() => runOrderTool(text, 'transfer_to_staff', { reason: 'requested' })).toThrow(/\(555\) 867-5309/);
+
+    expect(() => runOrderTool(callWithOrder(), 'transfer_to_staff', { reason: 'bored' })).toThrow(/Unknown transfer reason/);
+  });
+
+  test('should redirect the call to dial staff with a whisper', async () => {
+    runOrderTool(callWithOrder(), 'transfer_to_staff', { reason: 'requested' });
+
+    expect(await staffTransfer.start('CA1')).toBe(true);
+    expect(await staffTransfer.start('CA1')).toBe(false);
+    expect(callClient.updates).toHaveLength(1);
+
+    const { callSid, twiml } = callClient.updates[0];
+    expect(callSid).toBe('CA1');
+    expect(twiml).toContain('<Dial timeout="20" action="https://shop.example/transfer/CA1/dial-status" method="POST">');
+    expect(twiml).toContain('<Number url="https://shop.example/transfer/CA1/whisper" method="POST">+15558675309</Number>');
+    expect(staffTransfer.buildWhisperTwiml('CA1')).toContain('Reason: asked for a person. Caller: Sam');
+    expect(smsClient.sent).toHaveLength(0); // whisper only by default
+  });
+
+  test('should text staff instead of whispering when configured', async () => {
+    staffTransfer = createTransfer({ notify: 'text' });
+    runOrderTool(callWithOrder(), 'transfer_to_staff', { reason: 'confusion' });
+    await staffTransfer.start('CA1');
+
+    expect(callClient.updates[0].twiml).not.toContain('whisper');
+    expect(smsClient.sent[0]).toMatchObject({ to: '+15558675309' });
+    expect(smsClient.sent[0].body).toMatch(/^Glazed and Confused: Incoming transfer: Reason: the agent couldn't understand them/);
+  });
+
+  test('should report a redirect Twilio rejects', async () => {
+    callClient.updateCall = jest.fn().mockRejectedValue(new Error('Call is not in-progress'));
+    runOrderTool(callWithOrder(), 'transfer_to_staff', { reason: 'requested' });
+
+    expect(await staffTransfer.start('CA1')).toBe(false);
+    expect(staffTransfer.get('CA1').status).toBe('failed');
+  });
+
+  test('should hang up after a connected transfer and take a voicemail otherwise', async () => {
+    const orderManager = callWithOrder();
+    runOrderTool(orderManager, 'transfer_to_staff', { reason: 'requested' });
+    await staffTransfer.start('CA1');
+    orderStore.save(orderManager.getOrderForLogging(), { status: 'abandoned' }); // call stream ended
+
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/transfer', createTransferRoutes({ staffTransfer, authToken: AUTH_TOKEN }));
+    const server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+    const post = async (route, form, signature = signed(`/transfer/CA1/${route}`, form)) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/transfer/CA1/${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+        body: new URLSearchParams(form).toString(),
+      });
+      return { status: response.status, body: await response.text() };
+    };
+
+    try {
+      // Not from Twilio: no order details, no texts
+      expect((await post('whisper', {}, 'forged')).status).toBe(403);
+      const forged = { RecordingStatus: 'completed', RecordingUrl: 'https://evil.example/RE9', RecordingDuration: '3' };
+      expect((await post('recording', forged, signed('/transfer/CA1/recording', { ...forged, RecordingDuration: '4' }))).status).toBe(403);
+      expect(smsClient.sent).toHaveLength(0);
+
+      expect((await post('whisper', {})).body).toContain('<Say');
+
+      expect((await post('dial-status', { DialCallStatus: 'completed' })).body).toContain('<Hangup/>');
+
+      const voicemail = await post('dial-status', { DialCallStatus: 'no-answer' });
+      expect(voicemail.body).toContain('nobody could get to the phone');
+      expect(voicemail.body).toContain('<Record maxLength="120" playBeep="true" action="https://shop.example/transfer/CA1/voicemail"');
+      expect((await post('voicemail', {})).body).toContain('we got your message');
+
+      const recording = await post('recording', {
+        RecordingStatus: 'completed',
+        RecordingUrl: 'https://api.twilio.com/Recordings/RE1',
+        RecordingDuration: '14',
+      });
+      expect(recording.status).toBe(204);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    expect(orderStore.get('CA1').voicemail).toEqual({ url: 'https://api.twilio.com/Recordings/RE1.mp3', duration: 14 });
+    expect(smsClient.sent[0].to).toBe('+15558675309');
+    expect(smsClient.sent[0].body).toContain('Voicemail from a transferred call: https://api.twilio.com/Recordings/RE1.mp3');
+    expect(staffTransfer.get('CA1')).toBeNull();
+  });
+
+  test('should only tell the voice agent about transfers when they are set up', () => {
+    expect(buildOrderInstructions(callWithOrder())).toContain('TALKING TO A PERSON');
+    expect(buildOrderInstructions(new OrderManager('MZ1', 'CA2', '+15551234567'))).not.toContain('TALKING TO A PERSON');
+    const text = new OrderManager(null, 'text-1', '+15551234567', { staffTransfer, channel: 'text' });
+    expect(buildOrderInstructions(text, { channel: 'text' })).not.toContain('TALKING TO A PERSON');
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Store Hours Tests
+ * Tests for weekly hours, holidays and early closures
+ * Glazed and Confused donut shop
+ */
+
+const {
+  setSchedule, getStoreStatus, getNextOpening, isOpenAt, closeEarly, reopen, formatWeeklyHours, describeTime
+} = require('../src/config/store-hours');
+
+const weekday = { open: '06:00', close: '14:00' };
+
+describe('Store hours', () => {
+  beforeEach(() => {
+    setSchedule({
+      timezone: 'America/New_York',
+      weekly: {
+        monday: weekday, tuesday: weekday, wednesday: weekday, thursday: weekday, friday: weekday,
+        saturday: { open: '07:00', close: '13:00' },
+        sunday: null,
+      },
+      holidays: {
+        '2026-12-25': { closed: true, name: 'Christmas' },
+        '2026-12-24': { open: '06:00', close: '11:00', name: 'Christmas Eve' },
+      },
+    });
+  });
+  
+  test('should be open during weekday hours with minutes until close', () => {
+    // Wednesday Oct 14 2026, 1:15 PM EDT
+    const status = getStoreStatus(new Date('2026-10-14T17:15:00Z'));
+    expect(status.open).toBe(true);
+    expect(status.minutesUntilClose).toBe(45);
+    expect(status.closesAt.toISOString()).toBe('2026-10-14T18:00:00.000Z');
+  });
+  
+  test('should be closed after hours with the next opening', () => {
+    // Wednesday 3 PM EDT -> Thursday 6 AM EDT
+    const status = getStoreStatus(new Date('2026-10-14T19:00:00Z'));
+    expect(status.open).toBe(false);
+    expect(status.reason).toBe('closed');
+    expect(status.nextOpen.toISOString()).toBe('2026-10-15T10:00:00.000Z');
+  });
+  
+  test('should skip closed days when finding the next opening', () => {
+    // Saturday 2 PM EDT -> Monday 6 AM EDT (closed Sunday)
+    const next = getNextOpening(new Date('2026-10-17T18:00:00Z'));
+    expect(next.toISOString()).toBe('2026-10-19T10:00:00.000Z');
+  });
+  
+  test('should apply holiday closures and short hours', () => {
+    // Christmas Day (Friday) 9 AM EST
+    const christmas = getStoreStatus(new Date('2026-12-25T14:00:00Z'));
+    expect(christmas.open).toBe(false);
+    expect(christmas.reason).toBe('holiday');
+    expect(christmas.note).toBe('Christmas');
+    
+    // Christmas Eve noon EST — past the 11 AM early close
+    expect(isOpenAt(new Date('2026-12-24T17:00:00Z'))).toBe(false);
+    expect(isOpenAt(new Date('2026-12-24T15:00:00Z'))).toBe(true);
+  });
+  
+  test('should close early for the rest of the day and reopen', () => {
+    const now = new Date('2026-10-14T15:00:00Z'); // Wednesday 11 AM EDT
+    closeEarly('sold out', now);
+    
+    const status = getStoreStatus(now);
+    expect(status.open).toBe(false);
+    expect(status.reason).toBe('closed-early');
+    expect(status.nextOpen.toISOString()).toBe('2026-10-15T10:00:00.000Z');
+    
+    reopen();
+    expect(getStoreStatus(now).open).toBe(true);
+  });
+  
+  test('should describe weekly hours for callers', () => {
+    expect(formatWeeklyHours()).toBe('Monday through Friday 6 AM to 2 PM; Saturday 7 AM to 1 PM; closed Sunday');
+  });
+  
+  test('should describe times relative to now', () => {
+    const now = new Date('2026-10-14T19:00:00Z'); // Wednesday 3 PM EDT
+    expect(describeTime(new Date('2026-10-15T10:00:00Z'), now)).toBe('tomorrow at 6 AM');
+    expect(describeTime(new Date('2026-10-17T11:30:00Z'), now)).toBe('Saturday at 7:30 AM');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Studio Function Tests
+ * Tests for the Twilio Studio function's totals, and its fallback replies when OpenAI can't be reached
+ * Glazed and Confused donut shop
+ */
+
+const https = require('https');
+const { EventEmitter } = require('events');
+const { handler } = require('../glazed-and-confused-function');
+
+const run = (event, context = { OPENAI_API_KEY: 'sk-test' }, handle = handler) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('callback was never called')), 2000);
+  handle(context, event, (error, response) => {
+    clearTimeout(timer);
+    if (error) reject(error);
+    else resolve(response);
+  });
+});
+
+describe('Studio function fallback', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Every OpenAI request fails to connect
+    jest.spyOn(https, 'request').mockImplementation(() => {
+      const req = new EventEmitter();
+      req.write = () => {};
+      req.end = () => process.nextTick(() => req.emit('error', new Error('connect ECONNREFUSED')));
+      return req;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should read back the order with totals when the caller is done', async () => {
+    const order = {
+      items: [{ name: 'glazed donut', size: 'dozen', quantity: 1 }],
+      confirmed: false,
+      deliveryMethod: 'pickup',
+      paymentMethod: 'cash',
+    };
+
+    const response = await run({ speech: "That's all", order }, { OPENAI_API_KEY: 'sk-test', TAX_RATE: '0.1' });
+    expect(response.order.confirmed).toBe(true);
+    expect(response.say).toContain('Is that correct?');
+    expect(response.say).toContain('25.29'); // $22.99 + 10% tax
+    expect(response.shouldLog).toBe(false);
+  });
+
+  test('should ask for what is missing, or to repeat, otherwise', async () => {
+    const order = { items: [{ name: 'glazed donut', size: 'dozen', quantity: 1 }], confirmed: false };
+    expect((await run({ speech: "I'm done", order })).say).toBe('Is this for pickup or delivery?');
+    expect((await run({ speech: 'uh maybe', order })).say).toMatch(/trouble understanding/);
+  });
+
+  test('should still answer with flat-rate totals when the pricing engine can\'t be loaded', async () => {
+    let isolatedHandler;
+    jest.isolateModules(() => {
+      jest.doMock('../src/services/pricing', () => {
+        throw new Error("Cannot find module './src/services/pricing'");
+      });
+      ({ handler: isolatedHandler } = require('../glazed-and-confused-function'));
+    });
+    const order = {
+      items: [{ name: 'glazed donut', size: 'dozen', quantity: 2 }],
+      confirmed: false,
+      deliveryMethod: 'pickup',
+      paymentMethod: 'cash',
+    };
+
+    const response = await run({ speech: "That's all", order }, { OPENAI_API_KEY: 'sk-test' }, isolatedHandler);
+    expect(response.say).toContain('49.66'); // 2 x $22.99 + 8% tax
+    jest.dontMock('../src/services/pricing');
+  });
+});
+
+describe('Studio function with OpenAI', () => {
+  let reply;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    // OpenAI answers with `reply` as the model's JSON
+    jest.spyOn(https, 'request').mockImplementation((_options, onResponse) => {
+      const req = new EventEmitter();
+      req.write = () => {};
+      req.end = () => process.nextTick(() => {
+        const res = new EventEmitter();
+        res.statusCode = 200;
+        onResponse(res);
+        res.emit('data', JSON.stringify({ choices: [{ message: { content: JSON.stringify(reply) } }] }));
+        res.emit('end');
+      });
+      return req;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should add the pricing engine\'s total to the reply when the caller is done', async () => {
+    reply = {
+      response: 'Great, that\'s a dozen glazed for pickup, paying cash.',
+      extractedData: { items: [], isDone: true },
+      shouldLog: false,
+    };
+    const order = {
+      items: [{ name: 'glazed donut', size: 'dozen', quantity: 1 }],
+      confirmed: false,
+      deliveryMethod: 'pickup',
+      paymentMethod: 'cash',
+    };
+
+    const response = await run({ speech: "That's all", order }, { OPENAI_API_KEY: 'sk-test', TAX_RATE: '0.1' });
+    expect(response.say).toBe('Great, that\'s a dozen glazed for pickup, paying cash. Your total comes to $25.29 with tax.');
+    expect(response.order).toMatchObject({ subtotal: 22.99, tax: 2.3, total: 25.29 });
+  });
+
+  test('should keep totals current without reading them out while ordering', async () => {
+    reply = {
+      response: 'Got it! A large coffee. Anything else?',
+      extractedData: { items: [{ name: 'coffee', size: 'large', quantity: 1 }] },
+      shouldLog: false,
+    };
+
+    const response = await run({ speech: 'and a large coffee', order: { items: [], confirmed: false } });
+    expect(response.say).toBe('Got it! A large coffee. Anything else?');
+    expect(response.order.total).toBeGreaterThan(0);
+  });
+});
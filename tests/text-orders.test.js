@@ -0,0 +1,171 @@
+/**
+ * Text Order Tests
+ * Tests for ordering by text: tool calls against the OrderManager, conversations keyed by
+ * phone number, ending on confirmation or inactivity (with a stubbed model), and keywords
+ * on the inbound SMS webhook
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const twilio = require('twilio');
+const createSmsRoutes = require('../src/routes/sms');
+const SmsNotifier = require('../src/services/sms-notifier');
+const { StubSmsClient } = require('../integrations/sms');
+const TextOrderService = require('../src/services/text-order-service');
+const OrderStore = require('../src/services/order-store');
+const { MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+
+const NOW = new Date('2026-10-14T13:00:00Z');
+
+function toolCall(id, name, args) {
+  return { role: 'assistant', content: null, tool_calls: [{ id, type: 'function', function: { name, arguments: JSON.stringify(args) } }] };
+}
+
+function say(content) {
+  return { role: 'assistant', content };
+}
+
+describe('TextOrderService', () => {
+  let script;
+  let complete;
+  let onSessionEnd;
+  let orderStore;
+  let service;
+
+  beforeEach(() => {
+    script = [];
+    complete = jest.fn(async () => script.shift());
+    onSessionEnd = jest.fn();
+    orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+    service = new TextOrderService({ complete, onSessionEnd, orderStore, idleMinutes: 30 });
+  });
+
+  test('should run tool calls against the order and reply with the model\'s text', async () => {
+    script.push(toolCall('call_1', 'add_item_to_order', { name: 'glazed donut', size: 'dozen' }), say('Added a dozen glazed! What else?'));
+
+    const reply = await service.handleMessage('+15551234567', 'a dozen glazed please', NOW);
+    expect(reply).toBe('Added a dozen glazed! What else?');
+
+    const session = service.sessions.get('5551234567');
+    expect(session.orderManager.getSummary()).toBe('1x dozen glazed donut');
+    expect(session.orderManager.getOrder().channel).toBe('text');
+
+    const [messages, tools] = complete.mock.calls[1];
+    expect(messages[0].content).toContain("You're texting with the customer");
+    expect(messages.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'tool']);
+    expect(JSON.parse(messages[3].content)).toMatchObject({ success: true, currentOrder: '1x dozen glazed donut' });
+    expect(tools.find(t => t.function.name === 'confirm_order')).toEqual(expect.objectContaining({ type: 'function' }));
+  });
+
+  test('should keep one conversation per phone number and pass tool errors back to the model', async () => {
+    script.push(say('Hey! What can I get you?'));
+    await service.handleMessage('+15551234567', 'hi', NOW);
+
+    script.push(toolCall('call_1', 'add_item_to_order', { name: 'unicorn donut' }), say('Sorry, we don\'t have that one.'));
+    await service.handleMessage('(555) 123-4567', 'a unicorn donut', NOW);
+
+    expect(service.sessions.size).toBe(1);
+    const messages = complete.mock.calls[2][0];
+    expect(messages.filter(m => m.role === 'user').map(m => m.content)).toEqual(['hi', 'a unicorn donut']);
+    expect(JSON.parse(messages[messages.length - 1].content).error).toBeTruthy();
+  });
+
+  test('should finish the conversation once the order is confirmed', async () => {
+    script.push(
+      toolCall('call_1', 'add_item_to_order', { name: 'glazed donut', size: 'dozen' }),
+      toolCall('call_2', 'set_customer_name', { name: 'Sam' }),
+      toolCall('call_3', 'confirm_order', {}),
+      say('You\'re all set, Sam! Your order number is #1001.')
+    );
+
+    const reply = await service.handleMessage('+15551234567', 'dozen glazed for Sam, that\'s it', NOW);
+    expect(reply).toMatch(/#1001/);
+    expect(orderStore.find('1001').order).toMatchObject({ channel: 'text', customerName: 'Sam' });
+    expect(onSessionEnd).toHaveBeenCalledTimes(1);
+    expect(service.sessions.size).toBe(0);
+  });
+
+  test('should end idle conversations and apologize when the model fails', async () => {
+    complete.mockRejectedValueOnce(new Error('OpenAI 500'));
+    expect(await service.handleMessage('+15551234567', 'hello', NOW)).toMatch(/having trouble/);
+
+    expect(await service.expireIdle(new Date(NOW.getTime() + 20 * 60000))).toBe(0);
+    expect(await service.expireIdle(new Date(NOW.getTime() + 31 * 60000))).toBe(1);
+    expect(onSessionEnd).toHaveBeenCalledWith(expect.objectContaining({ fromNumber: '+15551234567' }));
+    expect(service.sessions.size).toBe(0);
+  });
+});
+
+describe('POST /sms/inbound', () => {
+  let dir;
+  let script;
+  let smsNotifier;
+  let service;
+  let server;
+  let baseUrl;
+
+  beforeEach((done) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sms-'));
+    script = [];
+    smsNotifier = new SmsNotifier({ client: new StubSmsClient(), from: '+15559990000', filePath: path.join(dir, 'opt-outs.json') });
+    service = new TextOrderService({
+      complete: jest.fn(async () => script.shift()),
+      orderStore: new OrderStore({ adapter: new MemoryOrderAdapter() }),
+      idleMinutes: 30,
+    });
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use('/sms', createSmsRoutes({ smsNotifier, textOrders: service, authToken: 'test-auth-token', baseUrl: 'https://shop.example' }));
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  function text(body, signature = null) {
+    const form = { From: '+15551234567', Body: body };
+    return fetch(`${baseUrl}/sms/inbound`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Twilio-Signature': signature || twilio.getExpectedTwilioSignature('test-auth-token', 'https://shop.example/sms/inbound', form),
+      },
+      body: new URLSearchParams(form),
+    }).then(response => response.text());
+  }
+
+  test('should send "Yes" and "Cancel" to an open text order, but still honor STOP', async () => {
+    script.push(toolCall('call_1', 'add_item_to_order', { name: 'glazed donut', size: 'dozen' }), say('A dozen glazed — anything else, or shall I confirm?'));
+    await text('a dozen glazed');
+
+    script.push(say('Great, what name is it under?'));
+    expect(await text('Yes')).toContain('what name is it under?');
+    script.push(say('No problem, I\'ve cleared your order.'));
+    expect(await text('Cancel')).toContain('cleared your order');
+    expect(smsNotifier.isOptedOut('+15551234567')).toBe(false);
+
+    expect(await text('STOP')).toContain('unsubscribed');
+    expect(smsNotifier.isOptedOut('+15551234567')).toBe(true);
+  });
+
+  test('should only take texts Twilio signed', async () => {
+    expect(await text('STOP', 'forged')).toBe('Forbidden');
+    expect(smsNotifier.isOptedOut('+15551234567')).toBe(false);
+  });
+
+  test('should treat keywords as keywords when no order is open', async () => {
+    expect(await text('CANCEL')).toContain('unsubscribed');
+    expect(await text('START')).toContain('subscribed to order texts again');
+
+    script.push(say('Hi! What can I get you today?'));
+    expect(await text('Yes')).toContain('What can I get you today?');
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Transcript Tests
+ * Tests for recording call transcripts (both sides and tool calls), saving them by call SID,
+ * the signed Call Log link and the admin transcript API
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const TranscriptStore = require('../src/services/transcript-store');
+const createTranscriptRoutes = require('../src/routes/transcripts');
+const createAdminRoutes = require('../src/routes/admin');
+const OpenAIService = require('../src/services/openai-service');
+const OrderFinalizer = require('../src/services/order-finalizer');
+const OrderManager = require('../src/services/order-manager');
+const OrderStore = require('../src/services/order-store');
+const { MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+
+describe('TranscriptStore', () => {
+  let dir;
+  let store;
+  const start = new Date('2026-03-10T14:00:00Z');
+  const at = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcripts-'));
+    store = new TranscriptStore({ dir, linkSecret: 'secret', baseUrl: 'https://shop.example/' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should keep entries in time order and save them by call SID', () => {
+    const transcript = store.start('CA1', { from: '+15551234567', now: start });
+    transcript.addSpeech('agent', 'Hey, thanks for calling Glazed and Confused!', at(1));
+    transcript.addToolCall('add_item', { item_name: 'glazed donut' }, { success: true }, at(9));
+    transcript.addSpeech('caller', 'A dozen glazed please', at(5)); // transcribed after the tool ran
+    transcript.addSpeech('caller', '   ', at(12));
+
+    expect(() => transcript.addSpeech('kitchen', 'hi')).toThrow(/Unknown speaker/);
+    expect(store.get('CA1').endedAt).toBeNull(); // live
+
+    const saved = store.finish('CA1', at(30));
+    expect(saved.entries.map(e => e.type === 'tool' ? e.name : e.speaker)).toEqual(['agent', 'caller', 'add_item']);
+    expect(fs.existsSync(path.join(dir, 'CA1.json'))).toBe(true);
+
+    const reloaded = new TranscriptStore({ dir });
+    expect(reloaded.get('CA1')).toEqual(saved);
+    expect(reloaded.get('../CA1')).toBeNull();
+  });
+
+  test('should not save calls where nothing was said', () => {
+    store.start('CA2', { now: start });
+    expect(store.finish('CA2')).toBeNull();
+    expect(store.get('CA2')).toBeNull();
+  });
+
+  test('should format a readable transcript with times into the call', () => {
+    const transcript = store.start('CA1', { from: '+15551234567', now: start });
+    transcript.addSpeech('caller', 'A dozen glazed please', at(5));
+    transcript.addToolCall('add_item', { item_name: 'glazed donut' }, { success: true }, at(65));
+    const text = store.format(store.finish('CA1', at(70)));
+
+    expect(text).toMatch(/^Call CA1 from \(555\) 123-4567 — /);
+    expect(text).toContain('[00:05] Caller: A dozen glazed please');
+    expect(text).toContain('[01:05] 🔧 add_item({"item_name":"glazed donut"}) → {"success":true}');
+  });
+
+  test('should sign transcript links', () => {
+    const link = store.linkFor('CA1');
+    expect(link).toMatch(/^https:\/\/shop\.example\/transcripts\/CA1\?sig=[0-9a-f]{32}$/);
+
+    const sig = new URL(link).searchParams.get('sig');
+    expect(store.verifyLink('CA1', sig)).toBe(true);
+    expect(store.verifyLink('CA2', sig)).toBe(false);
+    expect(new TranscriptStore({ dir, linkSecret: '', baseUrl: 'https://shop.example' }).linkFor('CA1')).toBeNull();
+  });
+
+  test('should record both sides of a call and its tool calls from the realtime session', () => {
+    const transcript = store.start('CA1', { now: start });
+    const orderManager = new OrderManager('MZ1', 'CA1', '+15551234567');
+    const service = new OpenAIService('key', orderManager, null, null, null, transcript);
+    service.client = { send: jest.fn() };
+    const receive = (message) => service._handleMessage(JSON.stringify(message));
+
+    receive({ type: 'response.audio_transcript.delta', item_id: 'a1', delta: 'Hey' });
+    receive({ type: 'response.audio_transcript.done', item_id: 'a1', transcript: 'Hey, what can I get you?' });
+    receive({ type: 'input_audio_buffer.speech_started', item_id: 'u1' });
+    receive({ type: 'conversation.item.input_audio_transcription.completed', item_id: 'u1', transcript: 'A dozen glazed' });
+    receive({ type: 'response.function_call_arguments.done', call_id: 'c1', name: 'add_item_to_order',
+      arguments: JSON.stringify({ name: 'glazed donut', size: 'dozen', quantity: 1 }) });
+    receive({ type: 'response.function_call_arguments.done', call_id: 'c2', name: 'no_such_tool', arguments: '{}' });
+
+    const entries = store.finish('CA1').entries;
+    expect(entries.slice(0, 2)).toMatchObject([
+      { type: 'speech', speaker: 'agent', text: 'Hey, what can I get you?' },
+      { type: 'speech', speaker: 'caller', text: 'A dozen glazed' },
+    ]);
+    expect(entries[2]).toMatchObject({ type: 'tool', name: 'add_item_to_order', args: { name: 'glazed donut' }, result: { success: true } });
+    expect(entries[3]).toMatchObject({ type: 'tool', name: 'no_such_tool', result: { error: expect.any(String) } });
+  });
+
+  test('should link the transcript from the Call Log row', async () => {
+    const orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+    const sheetsLogger = jest.fn().mockResolvedValue(true);
+    const finalizer = new OrderFinalizer({ orderStore, sheetsLogger, transcriptStore: store });
+
+    const transcript = store.start('CA1', { now: start });
+    transcript.addSpeech('caller', 'A dozen glazed', at(2));
+    store.finish('CA1');
+
+    const orderManager = new OrderManager('MZ1', 'CA1', '+15551234567');
+    orderManager.addItem('glazed donut', 'dozen', 1);
+    await finalizer.finalize(orderManager);
+
+    expect(sheetsLogger.mock.calls[0][0].transcriptUrl).toBe(store.linkFor('CA1'));
+  });
+
+  describe('routes', () => {
+    let server;
+    let orderStore;
+    const originalKey = process.env.ADMIN_API_KEY;
+
+    beforeEach(async () => {
+      process.env.ADMIN_API_KEY = 'admin-key';
+      orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+      const orderManager = new OrderManager('MZ1', 'CA1', '+15551234567');
+      orderManager.addItem('glazed donut', 'dozen', 1);
+      orderStore.save(orderManager.getOrderForLogging());
+
+      const transcript = store.start('CA1', { now: start });
+      transcript.addSpeech('caller', 'A dozen glazed', at(2));
+      store.finish('CA1');
+
+      const app = express();
+      app.use('/transcripts', createTranscriptRoutes({ transcriptStore: store }));
+      app.use('/admin', createAdminRoutes({ reloadMenu: jest.fn(), orderStore, transcriptStore: store }));
+      server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+      if (originalKey === undefined) delete process.env.ADMIN_API_KEY;
+      else process.env.ADMIN_API_KEY = originalKey;
+    });
+
+    const get = async (route, headers = {}) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}${route}`, { headers });
+      return { status: response.status, body: await response.text() };
+    };
+
+    test('should serve a transcript only with a valid signature', async () => {
+      const link = new URL(store.linkFor('CA1'));
+      const ok = await get(`${link.pathname}${link.search}`);
+      expect(ok.status).toBe(200);
+      expect(ok.body).toContain('[00:02] Caller: A dozen glazed');
+
+      expect((await get('/transcripts/CA1?sig=forged')).status).toBe(403);
+      expect((await get('/transcripts/CA1')).status).toBe(403);
+    });
+
+    test('should return a transcript by order number through the admin API', async () => {
+      const auth = { Authorization: 'Bearer admin-key' };
+      const orderNumber = orderStore.get('CA1').orderNumber;
+
+      const json = await get(`/admin/orders/${orderNumber}/transcript`, auth);
+      expect(json.status).toBe(200);
+      expect(JSON.parse(json.body)).toMatchObject({ orderNumber, callSid: 'CA1', link: store.linkFor('CA1') });
+
+      const text = await get(`/admin/orders/${orderNumber}/transcript?format=text`, auth);
+      expect(text.body).toContain('Caller: A dozen glazed');
+
+      expect((await get('/admin/orders/CA9/transcript', auth)).status).toBe(404);
+      expect((await get(`/admin/orders/${orderNumber}/transcript`)).status).toBe(401);
+    });
+  });
+});
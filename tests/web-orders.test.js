@@ -0,0 +1,200 @@
+/**
+ * Web Order Tests
+ * Tests for the /api/orders cart API and the chat widget endpoint
+ * Glazed and Confused donut shop
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const createWebOrderRoutes = require('../src/routes/web-orders');
+const OrderSessions = require('../src/services/order-sessions');
+const TextOrderService = require('../src/services/text-order-service');
+const OrderStore = require('../src/services/order-store');
+const { MemoryOrderAdapter } = require('../src/services/order-store-adapters');
+const SmsNotifier = require('../src/services/sms-notifier');
+const PhoneVerifier = require('../src/services/phone-verifier');
+const { StubSmsClient } = require('../integrations/sms');
+
+describe('Web orders API', () => {
+  let server;
+  let baseUrl;
+  let orderStore;
+  let onSessionEnd;
+  let complete;
+  let dir;
+  let client;
+  let smsNotifier;
+
+  beforeEach((done) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'web-orders-'));
+    client = new StubSmsClient();
+    smsNotifier = new SmsNotifier({ client, from: '+15559990000', filePath: path.join(dir, 'opt-outs.json') });
+    const phoneVerifier = new PhoneVerifier({ smsNotifier });
+    orderStore = new OrderStore({ adapter: new MemoryOrderAdapter() });
+    onSessionEnd = jest.fn();
+    complete = jest.fn(async () => ({ role: 'assistant', content: 'Hey! What can I get you?' }));
+    const orderSessions = new OrderSessions({ orderStore, onSessionEnd });
+    const textOrders = new TextOrderService({ sessions: orderSessions, complete });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', createWebOrderRoutes({ orderSessions, textOrders, orderStore, phoneVerifier, maxCarts: 3 }));
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+      done();
+    });
+  });
+
+  afterEach((done) => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  async function call(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('should build a cart, place it, and report its status afterwards', async () => {
+    const created = await call('POST', '/orders', { customerName: 'Sam' });
+    expect(created.status).toBe(201);
+    const id = created.body.id;
+
+    const added = await call('POST', `/orders/${id}/items`, { name: 'glazed donut', size: 'dozen' });
+    expect(added.status).toBe(201);
+    expect(added.body).toMatchObject({ summary: '1x dozen glazed donut', subtotal: 22.99 });
+
+    await call('POST', `/orders/${id}/items`, { name: 'latte', size: 'small', modifiers: ['oat milk'] });
+    const removed = await call('DELETE', `/orders/${id}/items/latte`);
+    expect(removed.body.summary).toBe('1x dozen glazed donut');
+
+    expect((await call('POST', `/orders/${id}/confirm`)).body.error).toMatch(/customerPhone is required/);
+    expect((await call('PATCH', `/orders/${id}`, { customerPhone: '555-123-4567', deliveryMethod: 'pickup' })).status).toBe(200);
+
+    const placed = await call('POST', `/orders/${id}/confirm`);
+    expect(placed.body).toMatchObject({ confirmed: true, orderNumber: 1001, status: 'received' });
+    expect(onSessionEnd).toHaveBeenCalledTimes(1);
+    expect(orderStore.find('1001').order.channel).toBe('web');
+
+    const status = await call('GET', `/orders/${id}`);
+    expect(status.body).toMatchObject({ id, confirmed: true, orderNumber: 1001, status: 'received' });
+  });
+
+  test('should reject bad changes and unknown carts', async () => {
+    const { body: cart } = await call('POST', '/orders');
+
+    const badItem = await call('POST', `/orders/${cart.id}/items`, { name: 'unicorn donut' });
+    expect(badItem.status).toBe(400);
+    expect(badItem.body.error).toBeTruthy();
+
+    expect((await call('PATCH', `/orders/${cart.id}`, { deliveryMethod: 'drone' })).status).toBe(400);
+    expect((await call('GET', '/orders/nope')).status).toBe(404);
+    expect((await call('POST', '/orders/nope/items', { name: 'glazed donut' })).status).toBe(404);
+  });
+
+  test('should keep a chat session going across widget messages', async () => {
+    const first = await call('POST', '/chat', { message: 'hi' });
+    expect(first.body).toMatchObject({ reply: 'Hey! What can I get you?', order: { confirmed: false } });
+
+    await call('POST', '/chat', { sessionId: first.body.sessionId, message: 'what do you have?' });
+    const messages = complete.mock.calls[1][0];
+    expect(messages[0].content).toContain('chat box on our website');
+    expect(messages.filter(m => m.role === 'user')).toHaveLength(2);
+
+    expect((await call('POST', '/chat', {})).status).toBe(400);
+  });
+
+  test('should reject quantities that aren\'t whole numbers of at least one', async () => {
+    const { body: cart } = await call('POST', '/orders');
+
+    for (const quantity of [-3, 0, '2', 1.5]) {
+      const bad = await call('POST', `/orders/${cart.id}/items`, { name: 'glazed donut', size: 'dozen', quantity });
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toMatch(/Invalid quantity/);
+    }
+    const { body } = await call('GET', `/orders/${cart.id}`);
+    expect(body).toMatchObject({ items: [], total: 0 });
+
+    const good = await call('POST', `/orders/${cart.id}/items`, { name: 'glazed donut', size: 'dozen', quantity: 2 });
+    expect(good.body.summary).toBe('2x dozen glazed donut');
+  });
+
+  test('should length-limit free-text fields and turn away carts past the limit', async () => {
+    const { body: cart } = await call('POST', '/orders');
+
+    const longName = await call('PATCH', `/orders/${cart.id}`, { customerName: 'x'.repeat(61) });
+    expect(longName.status).toBe(400);
+    expect(longName.body.error).toMatch(/customerName is too long/);
+    expect((await call('PATCH', `/orders/${cart.id}`, { address: { street: '1 Main St' } })).status).toBe(400);
+    expect((await call('PATCH', `/orders/${cart.id}`, { customerName: 'Sam\n=1+1' })).status).toBe(400);
+    expect((await call('POST', `/orders/${cart.id}/items`, { name: 'glazed donut', specialInstructions: 'x'.repeat(201) })).status).toBe(400);
+    expect((await call('POST', '/orders', { customerName: 'x'.repeat(100) })).status).toBe(400);
+    expect((await call('POST', '/chat', { message: 'x'.repeat(1001) })).status).toBe(400);
+
+    const chat = await call('POST', '/chat', { message: 'hi' });
+    await call('POST', '/orders');
+    const full = await call('POST', '/orders');
+    expect(full.status).toBe(429);
+    expect(full.body.error).toMatch(/try again/);
+    expect((await call('POST', '/chat', { message: 'hi' })).status).toBe(429);
+    expect((await call('POST', '/chat', { sessionId: chat.body.sessionId, message: 'a dozen glazed' })).status).toBe(200);
+  });
+
+  test('should only text a web customer\'s number once they verify it with a code', async () => {
+    const { body: cart } = await call('POST', '/orders', { customerName: 'Sam', customerPhone: '555-123-4567' });
+    expect(cart.phoneVerified).toBe(false);
+    expect(smsNotifier.canText({ channel: 'web', customerPhone: '555-123-4567' })).toBe(false);
+
+    expect((await call('POST', `/orders/${cart.id}/phone/code`)).status).toBe(200);
+    expect(client.sent).toHaveLength(1);
+    expect(client.sent[0].to).toBe('+15551234567');
+    const code = client.sent[0].body.match(/code is (\d{6})/)[1];
+
+    const wrong = await call('POST', `/orders/${cart.id}/phone/verify`, { code: code === '000000' ? '111111' : '000000' });
+    expect(wrong.status).toBe(400);
+    expect(wrong.body.error).toMatch(/doesn't match/);
+
+    const verified = await call('POST', `/orders/${cart.id}/phone/verify`, { code });
+    expect(verified.body.phoneVerified).toBe(true);
+    await call('POST', `/orders/${cart.id}/items`, { name: 'glazed donut', size: 'dozen' });
+    await call('POST', `/orders/${cart.id}/confirm`);
+    const order = onSessionEnd.mock.calls[0][0].getOrderForLogging();
+    expect(smsNotifier.canText(order)).toBe(true);
+
+    // A different number typed in afterwards isn't verified
+    const { body: other } = await call('POST', '/orders', { customerPhone: '555-123-4567' });
+    expect((await call('PATCH', `/orders/${other.id}`, { customerPhone: '555-000-1111' })).body.phoneVerified).toBe(false);
+  });
+
+  test('should not text an unverified web order', async () => {
+    const { body: cart } = await call('POST', '/orders', { customerName: 'Sam', customerPhone: '555-123-4567' });
+    await call('POST', `/orders/${cart.id}/items`, { name: 'glazed donut', size: 'dozen' });
+    expect((await call('POST', `/orders/${cart.id}/confirm`)).body.confirmed).toBe(true);
+
+    const order = onSessionEnd.mock.calls[0][0].getOrderForLogging();
+    expect(smsNotifier.canText(order)).toBe(false);
+    expect(await smsNotifier.sendConfirmation(order)).toBe(false);
+    expect(await smsNotifier.sendPaymentLink(order, 'https://pay.example.com/x')).toBe(false);
+    expect(client.sent).toHaveLength(0);
+  });
+
+  test('should rate-limit verification codes per phone', async () => {
+    const { body: cart } = await call('POST', '/orders', { customerPhone: '555-123-4567' });
+    for (let i = 0; i < 3; i++) {
+      expect((await call('POST', `/orders/${cart.id}/phone/code`)).status).toBe(200);
+    }
+    const limited = await call('POST', `/orders/${cart.id}/phone/code`);
+    expect(limited.status).toBe(429);
+    expect(limited.body.error).toMatch(/Too many codes/);
+    expect(client.sent).toHaveLength(3);
+
+    const { body: noPhone } = await call('POST', '/orders');
+    expect((await call('POST', `/orders/${noPhone.id}/phone/code`)).status).toBe(400);
+  });
+});